@@ -1,14 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { StatusBar } from 'expo-status-bar';
-import { StyleSheet, Text, View, Button, ScrollView, ActivityIndicator, Alert, Platform } from 'react-native';
+import { StyleSheet, Text, View, Button, ScrollView, ActivityIndicator, Alert, Platform, Share } from 'react-native';
 import * as Clipboard from 'expo-clipboard';
 import Constants from 'expo-constants';
+import { describeError, formatAssertion, formatError, formatMetric, formatRunResult, runScenarios } from './expo/scenarios/ScenarioRunner';
+import { createReport, diffReports, exportReport, formatReportDiff, parseReport } from './expo/scenarios/ScenarioReports';
+import { describeAutomergeBackends } from './expo/scenarios/BenchmarkScenario';
+import { assertCryptoCapabilities, getStartupSelfTest } from './expo/crypto/CryptoCapabilities';
+import ViewExplorerScreen from './ViewExplorerScreen';
 
 // Lazy load MindooDB imports - defer until component mounts to avoid blocking app registration
 let BaseMindooTenantFactory, InMemoryContentAddressedStoreFactory;
 let QuickCryptoAdapter = null;
-let ReactNativeCryptoAdapter = null;
 let VirtualViewFactory, ColumnSorting, TotalMode, VirtualViewDataChange;
+let mindoodbModule = null;
 let mindoodbLoaded = false;
 let mindoodbLoadError = null;
 let mindoodbLoading = false;
@@ -22,11 +27,10 @@ function loadMindooDB() {
   try {
     console.log('Loading MindooDB...');
     const mindoodb = require('mindoodb');
+    mindoodbModule = mindoodb;
     BaseMindooTenantFactory = mindoodb.BaseMindooTenantFactory;
     InMemoryContentAddressedStoreFactory = mindoodb.InMemoryContentAddressedStoreFactory;
-    // Keep both adapters available; choose at runtime
     QuickCryptoAdapter = mindoodb.QuickCryptoAdapter;
-    ReactNativeCryptoAdapter = mindoodb.ReactNativeCryptoAdapter;
     // Load virtual view classes
     VirtualViewFactory = mindoodb.VirtualViewFactory;
     ColumnSorting = mindoodb.ColumnSorting;
@@ -35,7 +39,6 @@ function loadMindooDB() {
     mindoodbLoaded = true;
     console.log('MindooDB loaded successfully');
     console.log('QuickCryptoAdapter:', typeof QuickCryptoAdapter);
-    console.log('ReactNativeCryptoAdapter:', typeof ReactNativeCryptoAdapter);
   } catch (error) {
     console.error('Failed to load MindooDB:', error);
     mindoodbLoadError = error;
@@ -44,12 +47,216 @@ function loadMindooDB() {
   }
 }
 
+// Store backend from app.json extra.storeBackend: "memory" (default) or "filesystem", which keeps the stores in
+// the app's document directory across restarts, in mindoodb/<name> for each test, until "Clear Stored Data" deletes
+// them. Every run creates a tenant and database of its own next to those of earlier runs.
+function isPersistentStoreBackend() {
+  return Constants?.expoConfig?.extra?.storeBackend === 'filesystem';
+}
+
+function getStoreDirectory(fileSystem, name) {
+  return fileSystem.getDocumentPath(name ? `mindoodb/${name}` : 'mindoodb');
+}
+
+// With clear set, the stores of the earlier run are deleted first (the view explorer generates its sample database anew)
+async function createStoreFactory(name, { clear = false } = {}) {
+  const storeBackend = Constants?.expoConfig?.extra?.storeBackend || 'memory';
+  if (storeBackend === 'filesystem') {
+    const { ExpoFileSystem, FileSystemContentAddressedStoreFactory } = require('./expo/storage');
+    const fileSystem = new ExpoFileSystem(require('expo-file-system'));
+    const directory = getStoreDirectory(fileSystem, name);
+    if (clear) {
+      await fileSystem.deleteDirectory(directory);
+    }
+    const reopened = (await fileSystem.listDirectory(directory)).length > 0;
+    return {
+      storeFactory: new FileSystemContentAddressedStoreFactory(fileSystem, directory),
+      description: `${storeBackend} (${directory}${reopened ? ', reopened' : ''})`,
+    };
+  }
+  return { storeFactory: new InMemoryContentAddressedStoreFactory(), description: storeBackend };
+}
+
+// Delete the stores of every test
+async function clearStoredData() {
+  const { ExpoFileSystem } = require('./expo/storage');
+  const fileSystem = new ExpoFileSystem(require('expo-file-system'));
+  await fileSystem.deleteDirectory(getStoreDirectory(fileSystem));
+}
+
+// Native crypto by default; app.json extra.allowJsCryptoFallback routes each algorithm through this app's
+// ReactNativeCryptoAdapter, which falls back to the JS polyfill where quick-crypto lacks it
+async function createCryptoAdapter(log) {
+  log(`OS: ${Platform.OS}`);
+  if (Constants?.expoConfig?.extra?.allowJsCryptoFallback) {
+    const { ReactNativeCryptoAdapter } = require('./ReactNativeCryptoAdapter');
+    const cryptoAdapter = new ReactNativeCryptoAdapter();
+    log(`Crypto providers in priority order: ${cryptoAdapter.providerNames.join(', ')}`);
+    if (!cryptoAdapter.isUsingNativeCrypto) {
+      log('⚠️ JS crypto fallback enabled by config');
+    }
+    return { cryptoAdapter, name: `registry (${cryptoAdapter.providerNames.join(', ')})` };
+  }
+  try {
+    return { cryptoAdapter: new QuickCryptoAdapter(require('react-native-quick-crypto')), name: 'quick-crypto' };
+  } catch (err) {
+    throw new Error(`Native crypto is required, but QuickCryptoAdapter failed to initialize: ${err.message}`, { cause: err });
+  }
+}
+
+// Where the reports were made: platform, JS engine, crypto provider and the MindooDB and native Automerge versions,
+// plus what the scenario set adds (the benchmark adds the Automerge backends it can run)
+function collectEnvironment(state, extra) {
+  const hermes = global.HermesInternal;
+  let mindoodbVersion;
+  let automergeVersion;
+  try {
+    mindoodbVersion = require('mindoodb/package.json').version;
+  } catch (error) {
+    mindoodbVersion = undefined;
+  }
+  try {
+    automergeVersion = `native ${require('react-native-automerge-generated/package.json').version}`;
+  } catch (error) {
+    automergeVersion = undefined;
+  }
+  return {
+    platform: `${Platform.OS} ${Platform.Version}`,
+    jsEngine: hermes ? `Hermes ${hermes.getRuntimeProperties?.()['OSS Release Version'] || ''}`.trim() : 'JSC',
+    cryptoProvider: state.cryptoProvider,
+    mindoodbVersion,
+    automergeVersion,
+    ...extra,
+  };
+}
+
+// The JSON report of the previous run of each test is kept in the document directory to diff against
+function getReportPath(fileSystem, name) {
+  return fileSystem.getDocumentPath(`reports/${name}.json`);
+}
+
+async function loadPreviousReport(name) {
+  const { ExpoFileSystem } = require('./expo/storage');
+  const fileSystem = new ExpoFileSystem(require('expo-file-system'));
+  const bytes = await fileSystem.readFile(getReportPath(fileSystem, name));
+  try {
+    return bytes ? parseReport(new TextDecoder().decode(bytes)) : null;
+  } catch (error) {
+    // A report of an older app version is replaced by this run's report
+    console.warn('Ignoring unreadable previous report:', error.message);
+    return null;
+  }
+}
+
+async function saveReport(name, report) {
+  const { ExpoFileSystem } = require('./expo/storage');
+  const fileSystem = new ExpoFileSystem(require('expo-file-system'));
+  await fileSystem.makeDirectory(fileSystem.getDocumentPath('reports'));
+  await fileSystem.writeFile(getReportPath(fileSystem, name), new TextEncoder().encode(exportReport(report, 'json')));
+}
+
+// Automerge backends the benchmark compares: the native Rust backend index.js activates, and the WASM build on JS
+// engines with WebAssembly. Hermes has none, and Metro bundles the WASM build for web only, so on iOS and Android
+// the WASM build is listed as unavailable and the report says there was nothing to compare with. The native
+// backend comes first, so it is active again afterwards.
+function getAutomergeBackends() {
+  const AutomergeSlim = require('@automerge/automerge/slim');
+  const backends = [];
+  const unavailableBackends = [];
+  try {
+    const { nativeApi } = require('react-native-automerge-generated');
+    backends.push({ name: 'native', activate: () => AutomergeSlim.use(nativeApi) });
+  } catch (error) {
+    unavailableBackends.push({ name: 'native', reason: error.message });
+  }
+  if (typeof WebAssembly === 'undefined') {
+    unavailableBackends.push({ name: 'wasm', reason: `no WebAssembly in ${global.HermesInternal ? 'Hermes' : 'this JS engine'}` });
+  } else {
+    const { automergeWasmBase64 } = require('@automerge/automerge/automerge.wasm.base64');
+    if (automergeWasmBase64) {
+      backends.push({ name: 'wasm', activate: () => AutomergeSlim.initializeBase64Wasm(automergeWasmBase64) });
+    } else {
+      unavailableBackends.push({ name: 'wasm', reason: `the WASM build is not bundled for ${Platform.OS}` });
+    }
+  }
+  return { backends, unavailableBackends };
+}
+
+// A run that threw outside of the scenarios (creating them, or reporting on them) gets a failed scenario with the
+// error, so the results and the exported report show it
+function addRunError(run, error, startedAt) {
+  const durationMs = Date.now() - startedAt.getTime();
+  return {
+    startedAt: startedAt.toISOString(),
+    ...run,
+    status: 'failed',
+    durationMs: run?.durationMs ?? durationMs,
+    scenarios: [
+      ...(run?.scenarios ?? []),
+      { name: 'Test run', status: 'failed', durationMs, steps: [], assertions: [], logs: [], error: describeError(error) },
+    ],
+  };
+}
+
+// Benchmark workload from app.json extra.benchmark (fields, nestingDepth, arrayLength, textSize, seed); the
+// document count is picked in the app
+const BENCHMARK_DOCUMENT_COUNTS = [100, 1000, 10000, 100000];
+
+const EXPORT_FORMATS = [
+  { format: 'json', title: 'JSON' },
+  { format: 'junit', title: 'JUnit' },
+  { format: 'markdown', title: 'Markdown' },
+];
+
+// Error screen shown instead of the app when startup failed
+function StartupError({ title, label, error }) {
+  return (
+    <View style={styles.container}>
+      <StatusBar style="auto" />
+      <Text style={styles.title}>MindooDB Test App</Text>
+      <Text style={styles.errorText}>{title}</Text>
+      <ScrollView style={styles.resultsScroll}>
+        <Text style={styles.resultsText}>
+          {error?.message || 'Unknown error'}{'\n\n'}
+          {error?.stack || ''}
+        </Text>
+      </ScrollView>
+      <Button
+        title="Copy Error"
+        onPress={async () => {
+          try {
+            await Clipboard.setStringAsync(`${label}:\n${error?.message || 'Unknown error'}\n\n${error?.stack || ''}`);
+            Alert.alert('Copied!', 'Error details copied to clipboard');
+          } catch (err) {
+            Alert.alert('Error', `Failed to copy: ${err.message}`);
+          }
+        }}
+        color="#FF3B30"
+      />
+    </View>
+  );
+}
+
 export default function App() {
-  const [testStatus, setTestStatus] = useState('idle'); // idle, running, success, error
-  const [testResults, setTestResults] = useState('');
+  // Results model of the last scenario run, updated while it runs
+  const [run, setRun] = useState(null);
   const [isRunning, setIsRunning] = useState(false);
-  const [fullErrorText, setFullErrorText] = useState('');
+  // Report of the finished run, and its diff to the previous run of the same test
+  const [report, setReport] = useState(null);
+  const [reportDiff, setReportDiff] = useState(null);
+  const [exportFormat, setExportFormat] = useState('markdown');
+  const [benchmarkDocuments, setBenchmarkDocuments] = useState(BENCHMARK_DOCUMENT_COUNTS[0]);
+  // 'tests' or 'viewExplorer'
+  const [screen, setScreen] = useState('tests');
   const [mindoodbLoadState, setMindoodbLoadState] = useState({ loaded: mindoodbLoaded, error: mindoodbLoadError });
+  // Set when a required algorithm failed the crypto self-test started in index.js
+  const [cryptoSelfTestError, setCryptoSelfTestError] = useState(null);
+
+  useEffect(() => {
+    getStartupSelfTest()
+      ?.then(assertCryptoCapabilities)
+      .catch((error) => setCryptoSelfTestError(error));
+  }, []);
 
   // Load MindooDB after component mounts (defer to avoid blocking app registration)
   useEffect(() => {
@@ -68,560 +275,163 @@ export default function App() {
     }
   }, []);
 
-  // Show error if MindooDB failed to load
+  // Show error if MindooDB failed to load or the crypto self-test failed
   if (!mindoodbLoadState.loaded && mindoodbLoadState.error) {
-    return (
-      <View style={styles.container}>
-        <StatusBar style="auto" />
-        <Text style={styles.title}>MindooDB Test App</Text>
-        <Text style={styles.errorText}>Failed to load MindooDB:</Text>
-        <ScrollView style={styles.resultsScroll}>
-          <Text style={styles.resultsText}>
-            {mindoodbLoadState.error?.message || 'Unknown error'}{'\n\n'}
-            {mindoodbLoadState.error?.stack || ''}
-          </Text>
-        </ScrollView>
-        <Button
-          title="Copy Error"
-          onPress={async () => {
-            try {
-              await Clipboard.setStringAsync(
-                `MindooDB Load Error:\n${mindoodbLoadState.error?.message || 'Unknown error'}\n\n${mindoodbLoadState.error?.stack || ''}`
-              );
-              Alert.alert('Copied!', 'Error details copied to clipboard');
-            } catch (err) {
-              Alert.alert('Error', `Failed to copy: ${err.message}`);
-            }
-          }}
-          color="#FF3B30"
-        />
-      </View>
-    );
+    return <StartupError title="Failed to load MindooDB:" label="MindooDB Load Error" error={mindoodbLoadState.error} />;
+  }
+  if (cryptoSelfTestError) {
+    return <StartupError title="Crypto self-test failed:" label="Crypto Self-Test Error" error={cryptoSelfTestError} />;
   }
 
-  const runTest = async () => {
-    setIsRunning(true);
-    setTestStatus('running');
-    setTestResults('Starting test...\n');
-    
-    // Validate all imports are available
-    console.log('=== Validating Imports ===');
-    console.log('BaseMindooTenantFactory:', typeof BaseMindooTenantFactory);
-    console.log('InMemoryContentAddressedStoreFactory:', typeof InMemoryContentAddressedStoreFactory);
-    console.log('QuickCryptoAdapter:', typeof QuickCryptoAdapter);
-    console.log('ReactNativeCryptoAdapter:', typeof ReactNativeCryptoAdapter);
-    
+  const runScenarioSet = async (name, createScenarios) => {
     if (!mindoodbLoadState.loaded) {
-      if (mindoodbLoadState.error) {
-        throw new Error(`MindooDB modules failed to load: ${mindoodbLoadState.error.message}`);
-      }
-      throw new Error('MindooDB modules are still loading. Please wait and try again.');
-    }
-    if (!BaseMindooTenantFactory) {
-      throw new Error('BaseMindooTenantFactory is undefined');
-    }
-    if (!InMemoryContentAddressedStoreFactory) {
-      throw new Error('InMemoryContentAddressedStoreFactory is undefined');
+      Alert.alert('MindooDB not loaded', mindoodbLoadState.error?.message || 'MindooDB modules are still loading. Please wait and try again.');
+      return;
     }
-    if (!QuickCryptoAdapter || !ReactNativeCryptoAdapter) {
-      throw new Error('Crypto adapters are not available');
-    }
-    console.log('=== All imports validated ===\n');
-
+    setIsRunning(true);
+    setRun(null);
+    setReport(null);
+    setReportDiff(null);
+    const startedAt = new Date();
+    let result = null;
     try {
-      // Setup tenant (similar to test setup)
-      setTestResults(prev => prev + 'Step 1: Creating store factory...\n');
-      
-      let storeFactory;
-      try {
-        storeFactory = new InMemoryContentAddressedStoreFactory();
-        console.log('Step 1: Store factory created');
-        setTestResults(prev => prev + 'Step 1: ✓ Store factory created\n');
-      } catch (err) {
-        throw new Error(`Failed at Step 1 (store factory): ${err.message}`, { cause: err });
-      }
-      
-      setTestResults(prev => prev + 'Step 2: Creating crypto adapter - OS: ' + Platform.OS + '\n');
-      
-      // Configurable fallback: default is native-only (can be toggled in app.json)
-      const allowJsFallback = !!Constants?.expoConfig?.extra?.allowJsCryptoFallback;
-      // Use native crypto by default; optionally allow JS fallback
-      let cryptoAdapter;
-      let quickCrypto;
-      try {
-        if (allowJsFallback) {
-          cryptoAdapter = new ReactNativeCryptoAdapter();
-          const isNative = cryptoAdapter.isUsingNativeCrypto;
-          console.log('Step 2: ReactNativeCryptoAdapter created, using native crypto:', isNative);
-          setTestResults(prev => prev + `Step 2: ✓ ReactNativeCryptoAdapter created (${isNative ? 'native crypto' : 'JS polyfill'})\n`);
-          if (!isNative) {
-            setTestResults(prev => prev + '⚠️ JS crypto fallback enabled by config\n');
-          }
-        } else {
-          quickCrypto = require('react-native-quick-crypto');
-          cryptoAdapter = new QuickCryptoAdapter(quickCrypto);
-          console.log('Step 2: QuickCryptoAdapter created (native crypto)');
-          setTestResults(prev => prev + 'Step 2: ✓ QuickCryptoAdapter created (native crypto)\n');
-        }
-        // Log quick-crypto module shape for debugging
-        const qc = quickCrypto || require('react-native-quick-crypto');
-        const hasSubtle = !!qc?.subtle;
-        const hasGenerateKey = typeof qc?.subtle?.generateKey === 'function';
-        const hasCreateHash = typeof qc?.createHash === 'function';
-        console.log('QuickCrypto module loaded:', {
-          hasSubtle,
-          hasGenerateKey,
-          hasCreateHash,
-          keys: Object.keys(qc || {}).slice(0, 10),
-        });
-        setTestResults(prev => prev + `Step 2: QuickCrypto loaded (subtle: ${hasSubtle}, generateKey: ${hasGenerateKey}, createHash: ${hasCreateHash})\n`);
-      } catch (err) {
-        console.error('Step 2: Error creating crypto adapter:', err);
-        if (allowJsFallback) {
-          throw new Error(`Failed at Step 2 (crypto adapter): ${err.message}`, { cause: err });
-        }
-        throw new Error(
-          `Native crypto is required, but QuickCryptoAdapter failed to initialize: ${err.message}`,
-          { cause: err }
-        );
-      }
-      
-      // Test getSubtle()
-      console.log('Step 2: Testing getSubtle()...');
-      const subtle = cryptoAdapter.getSubtle();
-      console.log('Step 2: getSubtle() returned:', typeof subtle);
-      setTestResults(prev => prev + 'Step 2: ✓ getSubtle() works\n');
-
-      // Check ExpoCrypto native module availability
-      try {
-        const ExpoCrypto = require('expo-crypto');
-        const hasGetRandomBytes = typeof ExpoCrypto.getRandomBytesAsync === 'function';
-        console.log('ExpoCrypto module loaded:', hasGetRandomBytes ? 'getRandomBytesAsync available' : 'missing getRandomBytesAsync');
-        setTestResults(prev => prev + `Step 2: ExpoCrypto ${hasGetRandomBytes ? 'available' : 'missing getRandomBytesAsync'}\n`);
-      } catch (expoCryptoError) {
-        console.warn('ExpoCrypto module failed to load:', expoCryptoError.message);
-        setTestResults(prev => prev + `Step 2: ExpoCrypto not available (${expoCryptoError.message})\n`);
-      }
-
-      // Additional native crypto diagnostics (helps detect partial native support)
-      if (quickCrypto) {
-        setTestResults(prev => prev + 'Step 2: Running native crypto diagnostics...\n');
-        try {
-          const quickCrypto = require('react-native-quick-crypto');
-
-          // Test Hash.createHash().digest()
-          try {
-            const hash = quickCrypto.createHash('sha256');
-            hash.update('mindoodb-test');
-            const digestHex = hash.digest('hex');
-            console.log('Native Hash.digest() ok, sha256:', digestHex.slice(0, 16) + '...');
-            setTestResults(prev => prev + '  ✓ Hash.digest() works\n');
-            setTestResults(prev => prev + '  ✓ Nitro Hash hybrid object registered\n');
-          } catch (hashError) {
-            console.error('Native Hash.digest() failed:', hashError);
-            setTestResults(prev => prev + `  ✗ Hash.digest() failed: ${hashError.message}\n`);
-          }
-
-          // Test SubtleCrypto.digest()
-          try {
-            const data = new Uint8Array([9, 8, 7, 6]);
-            await quickCrypto.subtle.digest('SHA-256', data);
-            console.log('Native SubtleCrypto.digest() ok');
-            setTestResults(prev => prev + '  ✓ SubtleCrypto.digest() works\n');
-          } catch (subtleError) {
-            console.error('Native SubtleCrypto.digest() failed:', subtleError);
-            setTestResults(prev => prev + `  ✗ SubtleCrypto.digest() failed: ${subtleError.message}\n`);
-          }
-
-          // Test getRandomValues
-          try {
-            const buf = new Uint8Array(8);
-            quickCrypto.getRandomValues(buf);
-            console.log('Native getRandomValues() ok');
-            setTestResults(prev => prev + '  ✓ getRandomValues() works\n');
-          } catch (rngError) {
-            console.error('Native getRandomValues() failed:', rngError);
-            setTestResults(prev => prev + `  ✗ getRandomValues() failed: ${rngError.message}\n`);
-          }
-        } catch (diagError) {
-          console.error('Native crypto diagnostics failed to run:', diagError);
-          setTestResults(prev => prev + `  ✗ Diagnostics failed: ${diagError.message}\n`);
-        }
-      }
-      
-      setTestResults(prev => prev + 'Step 3: Creating BaseMindooTenantFactory...\n');
-      
-      let factory;
-      try {
-        factory = new BaseMindooTenantFactory(storeFactory, cryptoAdapter);
-        console.log('Step 3: Factory created');
-        setTestResults(prev => prev + 'Step 3: ✓ BaseMindooTenantFactory created\n');
-      } catch (err) {
-        throw new Error(`Failed at Step 3 (factory): ${err.message}`, { cause: err });
-      }
-
-      setTestResults(prev => prev + 'Step 4: Creating tenant (createTenant convenience API)...\n');
-      const tenantId = "test-tenant-expo-app";
-      let tenant, adminUser, appUser, keyBag;
-      try {
-        console.log('Step 4: Testing crypto readiness...');
-        const testData = new Uint8Array([1, 2, 3]);
-        await subtle.digest('SHA-256', testData);
-        console.log('Step 4: ✓ Crypto is ready');
-
-        console.log('Step 4: Calling factory.createTenant...');
-        const createTenantStart = Date.now();
-        const result = await factory.createTenant({
-          tenantId,
-          adminName: "CN=admin/O=testtenant",
-          adminPassword: "adminpass123",
-          userName: "CN=user/O=testtenant",
-          userPassword: "userpass123",
-        });
-        tenant = result.tenant;
-        adminUser = result.adminUser;
-        appUser = result.appUser;
-        keyBag = result.keyBag;
-        const createTenantTime = Date.now() - createTenantStart;
-        console.log('Step 4: Tenant created in', createTenantTime, 'ms');
-        setTestResults(prev => prev + `Step 4: ✓ Tenant created with admin + app user (${createTenantTime}ms)\n`);
-      } catch (err) {
-        console.error('Step 4: Error:', err);
-        throw new Error(`Failed at Step 4 (createTenant): ${err.message}`, { cause: err });
-      }
-
-      // Now run the document creation and iteration test
-      setTestResults(prev => prev + '\n=== Starting Document Test ===\n');
-      const db = await tenant.openDB("test-db");
-
-      const numDocs = 10;
-      const createdDocs = [];
-
-      setTestResults(prev => prev + `Creating ${numDocs} documents...\n`);
-      const baseTime = Date.now();
-
-      const categories = ['Sales', 'Engineering', 'Marketing'];
-      const priorities = ['High', 'Medium', 'Low'];
-      const names = ['Project Alpha', 'Project Beta', 'Project Gamma', 'Task Delta', 'Initiative Epsilon',
-                     'Campaign Zeta', 'Feature Eta', 'Update Theta', 'Report Iota', 'Analysis Kappa'];
-
-      for (let i = 0; i < numDocs; i++) {
-        if (i % 100 === 0) {
-          setTestResults(prev => prev + `  Created ${i}/${numDocs} documents...\n`);
-        }
-
-        const doc = await db.createDocument();
-        const docId = doc.getId();
-
-        await db.changeDoc(doc, (d) => {
-          const data = d.getData();
-          data.index = i;
-          data.timestamp = baseTime + i;
-          data.category = categories[i % categories.length];
-          data.priority = priorities[i % priorities.length];
-          data.name = names[i];
-          data.amount = (i + 1) * 1000; // $1000, $2000, ..., $10000
-        });
-
-        const updatedDoc = await db.getDocument(docId);
-        createdDocs.push({
-          docId: docId,
-          lastModified: updatedDoc.getLastModified()
-        });
-
-        // Debug first document
-        if (i === 0) {
-          const debugData = updatedDoc.getData();
-          console.log('=== DEBUG: First document data ===');
-          console.log('Raw getData():', debugData);
-          console.log('typeof debugData:', typeof debugData);
-          console.log('Object.keys:', Object.keys(debugData));
-          console.log('category value:', debugData.category);
-          console.log('typeof category:', typeof debugData.category);
-          console.log('priority value:', debugData.priority);
-          console.log('name value:', debugData.name);
-          console.log('amount value:', debugData.amount);
-          console.log('typeof amount:', typeof debugData.amount);
-          setTestResults(prev => prev + `DEBUG: category="${debugData.category}" priority="${debugData.priority}"\n`);
-        }
-
-        // Small delay to ensure different timestamps
-        await new Promise(resolve => setTimeout(resolve, 1));
-      }
-
-      setTestResults(prev => prev + 'Syncing store changes...\n');
-      await db.syncStoreChanges();
-
-      setTestResults(prev => prev + 'Iterating through all documents...\n');
-      const processedDocs = [];
-      let processedCount = 0;
-      
-      for await (const { doc, cursor } of db.iterateChangesSince(null)) {
-        processedDocs.push({
-          docId: doc.getId(),
-          lastModified: doc.getLastModified(),
-          cursor
-        });
-        processedCount++;
-        
-        if (processedCount % 100 === 0) {
-          setTestResults(prev => prev + `  Processed ${processedCount} documents...\n`);
-        }
-      }
-
-      // Verify results
-      setTestResults(prev => prev + '\n=== Verifying Results ===\n');
-      
-      const allProcessed = processedDocs.length === numDocs;
-      setTestResults(prev => prev + `Documents processed: ${processedDocs.length}/${numDocs} ${allProcessed ? '✓' : '✗'}\n`);
-
-      // Verify order
-      let orderCorrect = true;
-      for (let i = 1; i < processedDocs.length; i++) {
-        const prev = processedDocs[i - 1];
-        const curr = processedDocs[i];
-
-        if (prev.lastModified === curr.lastModified) {
-          if (prev.docId.localeCompare(curr.docId) > 0) {
-            orderCorrect = false;
-            break;
-          }
-        } else {
-          if (prev.lastModified > curr.lastModified) {
-            orderCorrect = false;
-            break;
-          }
-        }
-      }
-      setTestResults(prev => prev + `Order correct: ${orderCorrect ? '✓' : '✗'}\n`);
-
-      // Verify cursor tracking
-      let cursorCorrect = true;
-      for (let i = 0; i < processedDocs.length; i++) {
-        const result = processedDocs[i];
-        if (result.cursor.docId !== result.docId || result.cursor.lastModified !== result.lastModified) {
-          cursorCorrect = false;
-          break;
-        }
-      }
-      setTestResults(prev => prev + `Cursor tracking correct: ${cursorCorrect ? '✓' : '✗'}\n`);
-
-      if (!allProcessed || !orderCorrect || !cursorCorrect) {
-        setTestStatus('error');
-        setTestResults(prev => prev + '\n❌ TEST FAILED!\n');
-        console.error('=== TEST FAILED: processed=' + processedDocs.length + '/' + numDocs + ' order=' + orderCorrect + ' cursor=' + cursorCorrect + ' ===');
-        return;
-      }
-
-      // === Virtual View Test ===
-      setTestResults(prev => prev + '\n=== Creating Virtual View ===\n');
-
-      const view = await VirtualViewFactory.createView()
-        .addCategoryColumn("category", {
-          title: "Category",
-          sorting: ColumnSorting.ASCENDING,
-        })
-        .addSortedColumn("priority", ColumnSorting.DESCENDING)
-        .addSortedColumn("name", ColumnSorting.ASCENDING)
-        .addDisplayColumn("index")
-        .addTotalColumn("amount", TotalMode.SUM)
-        .withDB("test-db", db, (doc) => {
-          // Include all documents
-          return true;
-        })
-        .buildAndUpdate();
-
-      setTestResults(prev => prev + 'Virtual view created and populated\n');
-
-      // Navigate the view
-      const nav = VirtualViewFactory.createNavigator(view).build();
-      nav.expandAll();
-
-      setTestResults(prev => prev + '\n=== Virtual View Structure ===\n');
-
-      let entryCount = 0;
-      for await (const entry of nav.entriesForward()) {
-        const indent = "  ".repeat(entry.getLevel());
-
-        if (entry.isCategory()) {
-          const totalAmount = entry.getColumnValue("amount");
-          const docCount = entry.getChildDocumentCount();
-          setTestResults(prev => prev +
-            `${indent}📁 ${entry.getCategoryValue()} (${docCount} docs, Total: $${totalAmount})\n`);
-        } else {
-          const values = entry.getColumnValues();
-          setTestResults(prev => prev +
-            `${indent}📄 ${values.name} [${values.priority}] - $${values.amount}\n`);
-        }
-        entryCount++;
-      }
-
-      setTestResults(prev => prev + `\nView entries: ${entryCount}\n`);
-
-      // Verify view structure
-      const root = view.getRoot();
-      const categoryCount = root.getChildCount();
-      const totalDocCount = root.getDescendantDocumentCount();
-
-      setTestResults(prev => prev + `Categories: ${categoryCount}\n`);
-      setTestResults(prev => prev + `Total documents: ${totalDocCount}\n`);
-
-      if (totalDocCount !== numDocs || categoryCount !== 3) {
-        setTestStatus('error');
-        setTestResults(prev => prev + '\n❌ VIRTUAL VIEW TEST FAILED!\n');
-        console.error('=== VIRTUAL VIEW TEST FAILED: categories=' + categoryCount + '/3 totalDocs=' + totalDocCount + '/' + numDocs + ' ===');
-        return;
-      }
-
-      // === Document Modification Test ===
-      setTestResults(prev => prev + '\n=== Testing Document Modification ===\n');
-
-      // Get the first document (Project Alpha) and modify it
-      const firstDocId = createdDocs[0].docId;
-      setTestResults(prev => prev + `Modifying document: ${firstDocId}\n`);
-
-      // Read current values before modification
-      const beforeDoc = await db.getDocument(firstDocId);
-      const beforeData = beforeDoc.getData();
-      setTestResults(prev => prev + `Before: ${beforeData.name} - ${beforeData.category}/${beforeData.priority}/$${beforeData.amount}\n`);
-
-      // Change Project Alpha from Sales/High/$1000 to Marketing/Low/$99999
-      await db.changeDoc(beforeDoc, (d) => {
-        const data = d.getData();
-        data.category = "Marketing";
-        data.priority = "Low";
-        data.amount = 99999;
-        data.name = "Project Alpha (Modified)";
+      const state = {};
+      // Scenario sets add their own report environment fields
+      const environment = {};
+      result = await runScenarios(createScenarios(environment), {
+        state,
+        onProgress: setRun,
+        log: (line) => console.log(line),
       });
+      console.log(formatRunResult(result));
 
-      setTestResults(prev => prev + 'Document modified, updating virtual view...\n');
-
-      // Verify the document was actually modified
-      const modifiedDoc = await db.getDocument(firstDocId);
-      const modifiedData = modifiedDoc.getData();
-
-      setTestResults(prev => prev + `\nVerifying document ${firstDocId}:\n`);
-      setTestResults(prev => prev + `  category: ${modifiedData.category} (expected: Marketing)\n`);
-      setTestResults(prev => prev + `  priority: ${modifiedData.priority} (expected: Low)\n`);
-      setTestResults(prev => prev + `  amount: ${modifiedData.amount} (expected: 99999)\n`);
-      setTestResults(prev => prev + `  name: ${modifiedData.name} (expected: Project Alpha (Modified))\n`);
-
-      // Update the virtual view - this will re-query the database
-      setTestResults(prev => prev + `\nCalling view.update() to refresh from database...\n`);
-      await view.update();
-
-      setTestResults(prev => prev + 'Virtual view updated from database\n');
-
-      setTestResults(prev => prev + '\n=== Updated Virtual View Structure ===\n');
-
-      // Navigate the updated view
-      const updatedNav = VirtualViewFactory.createNavigator(view).build();
-      updatedNav.expandAll();
-
-      let foundModified = false;
-      let marketingTotal = 0;
-      let marketingDocs = 0;
-      let salesDocs = 0;
-      let allCategories = {};
-
-      for await (const entry of updatedNav.entriesForward()) {
-        const indent = "  ".repeat(entry.getLevel());
-
-        if (entry.isCategory()) {
-          const categoryName = entry.getCategoryValue();
-          const totalAmount = entry.getColumnValue("amount");
-          const docCount = entry.getChildDocumentCount();
-
-          allCategories[categoryName] = { docs: docCount, total: totalAmount };
-
-          if (categoryName === "Marketing") {
-            marketingTotal = totalAmount;
-            marketingDocs = docCount;
-          } else if (categoryName === "Sales") {
-            salesDocs = docCount;
-          }
-
-          setTestResults(prev => prev +
-            `${indent}📁 ${categoryName} (${docCount} docs, Total: $${totalAmount})\n`);
-        } else {
-          const values = entry.getColumnValues();
-
-          if (values.name === "Project Alpha (Modified)") {
-            foundModified = true;
-            setTestResults(prev => prev +
-              `${indent}📄 ${values.name} [${values.priority}] in ${values.category || '?'} - $${values.amount} ⭐\n`);
-          } else {
-            setTestResults(prev => prev +
-              `${indent}📄 ${values.name} [${values.priority}] - $${values.amount}\n`);
-          }
+      const newReport = createReport([{ name, run: result }], collectEnvironment(state, environment));
+      setReport(newReport);
+      try {
+        const previous = await loadPreviousReport(name);
+        if (previous) {
+          setReportDiff(formatReportDiff(diffReports(previous, newReport)));
         }
-      }
-
-      setTestResults(prev => prev + `\nAll categories: ${JSON.stringify(allCategories, null, 2)}\n`);
-
-      // Verify the modification was caught
-      // Original: Sales had 4 docs (0,3,6,9), Marketing had 3 docs (2,5,8)
-      // After: Sales should have 3 docs, Marketing should have 4 docs
-      const expectedMarketingTotal = 3000 + 6000 + 9000 + 99999; // All 4 Marketing docs
-      const expectedSalesDocs = 3; // Was 4, now 3 (removed Project Alpha)
-      const expectedMarketingDocs = 4; // Was 3, now 4 (added Project Alpha)
-      const modificationCorrect = foundModified && marketingDocs === expectedMarketingDocs;
-      const totalCorrect = marketingTotal === expectedMarketingTotal;
-      const salesCorrect = salesDocs === expectedSalesDocs;
-
-      setTestResults(prev => prev + `\n=== Verification Results ===\n`);
-      setTestResults(prev => prev + `Modified doc found in view: ${foundModified}\n`);
-      setTestResults(prev => prev + `Sales category now has: ${salesDocs} docs (expected ${expectedSalesDocs}) ${salesCorrect ? '✓' : '✗'}\n`);
-      setTestResults(prev => prev + `Marketing category now has: ${marketingDocs} docs (expected ${expectedMarketingDocs}) ${modificationCorrect ? '✓' : '✗'}\n`);
-      setTestResults(prev => prev + `Marketing total: $${marketingTotal} (expected $${expectedMarketingTotal}) ${totalCorrect ? '✓' : '✗'}\n`);
-
-      if (foundModified && modificationCorrect && totalCorrect && salesCorrect) {
-        setTestStatus('success');
-        setTestResults(prev => prev + '\n✅ ALL TESTS PASSED (including modification)!\n');
-        console.log('=== ALL TESTS PASSED: Documents, virtual view, and modification verified ===');
-      } else {
-        setTestStatus('error');
-        setTestResults(prev => prev + '\n❌ MODIFICATION TEST FAILED!\n');
-        setTestResults(prev => prev + `  found=${foundModified}, marketing=${modificationCorrect}, total=${totalCorrect}, sales=${salesCorrect}\n`);
-        console.error('=== MODIFICATION TEST FAILED: found=' + foundModified + ' marketing=' + modificationCorrect + ' total=' + totalCorrect + ' sales=' + salesCorrect + ' ===');
+        await saveReport(name, newReport);
+      } catch (error) {
+        console.warn('Could not compare with the previous report:', error);
       }
     } catch (error) {
-      setTestStatus('error');
-      
-      const errorDetails = {
-        message: error?.message || 'Unknown error',
-        stack: error?.stack || '',
-        name: error?.name || 'Error',
-        toString: error?.toString?.() || String(error),
-        ...(error?.cause && { cause: error.cause }),
-      };
-      
-      const errorText = `❌ ERROR: ${errorDetails.message}\n\n` +
-        `Error Type: ${errorDetails.name}\n\n` +
-        `Stack Trace:\n${errorDetails.stack || 'No stack trace available'}\n\n` +
-        `Timestamp: ${new Date().toISOString()}`;
-      
-      const fullText = testResults + errorText;
-      setFullErrorText(fullText);
-      setTestResults(prev => prev + errorText);
-      
-      console.error('Test error:', error);
-      console.error('Error details:', errorDetails);
+      console.error(`${name} failed:`, error);
+      const failed = addRunError(result, error, startedAt);
+      setRun(failed);
+      setReport(createReport([{ name, run: failed }]));
     } finally {
       setIsRunning(false);
     }
   };
 
-  const copyErrorToClipboard = async () => {
+  // Crypto diagnostics, createTenant, document creation, change iteration, virtual view, modification and reopening
+  // the stores
+  const runTest = () => runScenarioSet('app', () => {
+    const { createMindooDBScenarios } = require('./expo/scenarios/MindooDBScenarios');
+    return createMindooDBScenarios({
+      mindoodb: mindoodbModule,
+      createStoreFactory: () => createStoreFactory('app'),
+      // A new factory on the same directory reads the stores back like the app does after a restart
+      reopenStoreFactory: isPersistentStoreBackend() ? () => createStoreFactory('app') : undefined,
+      createCryptoAdapter,
+      numDocs: 10,
+    });
+  });
+
+  const runSyncTest = () => runScenarioSet('sync', () => {
+    const { createMindooDBScenarios, SCENARIO_NAMES } = require('./expo/scenarios/MindooDBScenarios');
+    const { createTwoReplicaSyncScenario } = require('./expo/scenarios/TwoReplicaSyncScenario');
+    const [cryptoDiagnostics] = createMindooDBScenarios({
+      mindoodb: mindoodbModule,
+      createStoreFactory: () => createStoreFactory('sync'),
+      createCryptoAdapter,
+    });
+    const sync = createTwoReplicaSyncScenario({ mindoodb: mindoodbModule });
+    return [cryptoDiagnostics, { ...sync, dependsOn: [SCENARIO_NAMES.crypto] }];
+  });
+
+  // Crypto diagnostics, then the benchmark on every available Automerge backend
+  const runBenchmark = () => runScenarioSet(`benchmark-${benchmarkDocuments}`, (environment) => {
+    const { createMindooDBScenarios, SCENARIO_NAMES } = require('./expo/scenarios/MindooDBScenarios');
+    const { createBenchmarkScenario } = require('./expo/scenarios/BenchmarkScenario');
+    const [cryptoDiagnostics] = createMindooDBScenarios({
+      mindoodb: mindoodbModule,
+      createStoreFactory: () => createStoreFactory('benchmark'),
+      createCryptoAdapter,
+    });
+    const { backends, unavailableBackends } = getAutomergeBackends();
+    environment.automergeBackends = describeAutomergeBackends(backends, unavailableBackends);
+    const benchmark = createBenchmarkScenario({
+      mindoodb: mindoodbModule,
+      workload: { ...Constants?.expoConfig?.extra?.benchmark, documents: benchmarkDocuments },
+      backends,
+      unavailableBackends,
+    });
+    return [cryptoDiagnostics, { ...benchmark, dependsOn: [SCENARIO_NAMES.crypto] }];
+  });
+
+  const copyReport = async () => {
     try {
-      const textToCopy = fullErrorText || testResults;
-      await Clipboard.setStringAsync(textToCopy);
-      Alert.alert('Copied!', 'Error details copied to clipboard');
+      await Clipboard.setStringAsync(exportReport(report, exportFormat));
+      Alert.alert('Copied!', 'Test report copied to clipboard');
     } catch (error) {
       Alert.alert('Error', `Failed to copy: ${error.message}`);
     }
   };
 
+  const shareReport = async () => {
+    try {
+      await Share.share({ title: 'MindooDB test report', message: exportReport(report, exportFormat) });
+    } catch (error) {
+      Alert.alert('Error', `Failed to share: ${error.message}`);
+    }
+  };
+
+  const finished = run && report && !isRunning;
+  const keepsStoredData = isPersistentStoreBackend();
+
+  const confirmClearStoredData = () => {
+    Alert.alert('Clear stored data?', 'Deletes the MindooDB stores every test kept on this device.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Clear',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await clearStoredData();
+            Alert.alert('Cleared', 'Stored data deleted');
+          } catch (error) {
+            Alert.alert('Error', `Failed to clear stored data: ${error.message}`);
+          }
+        },
+      },
+    ]);
+  };
+
+  if (screen === 'viewExplorer') {
+    return (
+      <View style={styles.container}>
+        <StatusBar style="auto" />
+        <ViewExplorerScreen
+          mindoodb={mindoodbModule}
+          createStoreFactory={() => createStoreFactory('view-explorer', { clear: true })}
+          createCryptoAdapter={createCryptoAdapter}
+          onClose={() => setScreen('tests')}
+        />
+      </View>
+    );
+  }
+
+  const openViewExplorer = () => {
+    if (!mindoodbLoadState.loaded) {
+      Alert.alert('MindooDB not loaded', mindoodbLoadState.error?.message || 'MindooDB modules are still loading. Please wait and try again.');
+      return;
+    }
+    setScreen('viewExplorer');
+  };
+
   return (
     <View style={styles.container}>
       <StatusBar style="auto" />
@@ -637,6 +447,55 @@ export default function App() {
         />
       </View>
 
+      <View style={styles.buttonContainer}>
+        <Button
+          title="Run Sync Test (2 replicas)"
+          onPress={runSyncTest}
+          disabled={isRunning}
+          color="#34C759"
+        />
+      </View>
+
+      <View style={styles.buttonContainer}>
+        <View style={styles.exportRow}>
+          {BENCHMARK_DOCUMENT_COUNTS.map((count) => (
+            <Button
+              key={count}
+              title={count.toLocaleString()}
+              onPress={() => setBenchmarkDocuments(count)}
+              disabled={isRunning}
+              color={benchmarkDocuments === count ? '#FF9500' : '#999'}
+            />
+          ))}
+        </View>
+        <Button
+          title={`Run Benchmark (${benchmarkDocuments.toLocaleString()} docs)`}
+          onPress={runBenchmark}
+          disabled={isRunning}
+          color="#FF9500"
+        />
+      </View>
+
+      <View style={styles.buttonContainer}>
+        <Button
+          title="Open View Explorer"
+          onPress={openViewExplorer}
+          disabled={isRunning}
+          color="#5856D6"
+        />
+      </View>
+
+      {keepsStoredData && (
+        <View style={styles.buttonContainer}>
+          <Button
+            title="Clear Stored Data"
+            onPress={confirmClearStoredData}
+            disabled={isRunning}
+            color="#FF3B30"
+          />
+        </View>
+      )}
+
       {isRunning && (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color="#007AFF" />
@@ -644,20 +503,30 @@ export default function App() {
         </View>
       )}
 
-      {testStatus !== 'idle' && (
+      {run && (
         <View style={styles.resultsContainer}>
           <View style={styles.resultsHeader}>
-            <Text style={styles.resultsTitle}>Test Results:</Text>
-            {testStatus === 'error' && (
-              <Button
-                title="Copy Error"
-                onPress={copyErrorToClipboard}
-                color="#FF3B30"
-              />
-            )}
+            <Text style={styles.resultsTitle}>
+              Test Results{finished ? `: ${STATUS_ICONS[run.status]} ${run.status} (${run.durationMs}ms)` : ':'}
+            </Text>
           </View>
+          {finished && (
+            <View style={styles.exportRow}>
+              {EXPORT_FORMATS.map(({ format, title }) => (
+                <Button
+                  key={format}
+                  title={title}
+                  onPress={() => setExportFormat(format)}
+                  color={exportFormat === format ? '#007AFF' : '#999'}
+                />
+              ))}
+              <Button title="Copy" onPress={copyReport} color="#007AFF" />
+              <Button title="Share" onPress={shareReport} color="#007AFF" />
+            </View>
+          )}
           <ScrollView style={styles.resultsScroll}>
-            <Text style={styles.resultsText}>{testResults}</Text>
+            {reportDiff && <Text style={styles.diffText}>{reportDiff}</Text>}
+            <ScenarioResults run={run} />
           </ScrollView>
         </View>
       )}
@@ -665,6 +534,52 @@ export default function App() {
   );
 }
 
+const STATUS_ICONS = { pending: '·', running: '…', passed: '✅', failed: '❌', skipped: '⏭️' };
+
+/**
+ * Render the scenario results model: status and timing of every scenario and step, assertions, metrics, logs and
+ * errors
+ */
+function ScenarioResults({ run }) {
+  return run.scenarios.map((scenario) => (
+    <View key={scenario.name} style={styles.scenario}>
+      <Text style={[styles.scenarioTitle, scenario.status === 'failed' && styles.failedText]}>
+        {STATUS_ICONS[scenario.status]} {scenario.name}
+        {scenario.status === 'pending' ? '' : ` (${scenario.durationMs}ms)`}
+      </Text>
+      {scenario.skipReason && <Text style={styles.resultsText}>Skipped: {scenario.skipReason}</Text>}
+      {scenario.steps.map((step, i) => (
+        <View key={i}>
+          <Text style={[styles.resultsText, step.status === 'failed' && styles.failedText]}>
+            {'  '}{STATUS_ICONS[step.status]} {step.name} ({step.durationMs}ms)
+          </Text>
+          {step.assertions.map((assertion, j) => (
+            <Text key={j} style={[styles.resultsText, !assertion.passed && styles.failedText]}>
+              {'    '}{formatAssertion(assertion)}
+            </Text>
+          ))}
+        </View>
+      ))}
+      {scenario.assertions.map((assertion, i) => (
+        <Text key={i} style={[styles.resultsText, !assertion.passed && styles.failedText]}>
+          {'  '}{formatAssertion(assertion)}
+        </Text>
+      ))}
+      {scenario.metrics?.map((metric, i) => (
+        <Text key={i} style={styles.resultsText}>
+          {'  '}{formatMetric(metric)}
+        </Text>
+      ))}
+      {scenario.logs.length > 0 && <Text style={styles.logText}>{scenario.logs.join('\n')}</Text>}
+      {scenario.error && (
+        <Text style={[styles.resultsText, styles.failedText]}>
+          {formatError(scenario.error, '  ')}{'\n\n'}{scenario.error.stack || ''}
+        </Text>
+      )}
+    </View>
+  ));
+}
+
 const styles = StyleSheet.create({
   container: {
     flex: 1,
@@ -709,6 +624,20 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 10,
   },
+  exportRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  diffText: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+    color: '#333',
+    backgroundColor: '#F2F2F7',
+    padding: 8,
+    marginBottom: 12,
+  },
   resultsTitle: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -722,6 +651,23 @@ const styles = StyleSheet.create({
     fontFamily: 'monospace',
     color: '#333',
   },
+  scenario: {
+    marginBottom: 12,
+  },
+  scenarioTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  failedText: {
+    color: '#FF3B30',
+  },
+  logText: {
+    fontSize: 11,
+    fontFamily: 'monospace',
+    color: '#888',
+    marginTop: 4,
+  },
   errorText: {
     fontSize: 16,
     color: '#FF3B30',
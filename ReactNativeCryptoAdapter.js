@@ -1,90 +1,117 @@
 /**
  * React Native Crypto Adapter for MindooDB
- * 
- * Auto-detects and uses the best available crypto implementation:
+ *
+ * Routes each SubtleCrypto call through a CryptoProviderRegistry over the available implementations:
  * 1. react-native-quick-crypto (native, fast) - for dev builds and production
  * 2. ExpoGoCryptoAdapter (JS-only, slower) - fallback for Expo Go
- * 
- * This allows the app to work in both Expo Go and native builds.
+ *
+ * Providers are probed per algorithm and operation at startup, so a quick-crypto build that lacks an
+ * algorithm (e.g. Ed25519) still uses native crypto for everything else.
+ *
+ * Routing can be overridden in app.json:
+ *   "extra": { "cryptoProviders": { "order": ["js"], "algorithms": { "Ed25519": "js" }, "disabled": ["quick-crypto"] } }
  */
 
-let subtle, getRandomValues;
-let quickCryptoAvailable = false;
-let ExpoGoCryptoAdapter = null;
+const { CryptoProviderRegistry, ExpoGoCryptoAdapter, getCryptoCapabilities } = require('./expo/crypto');
 
-// Try to load react-native-quick-crypto (native implementation)
-try {
-  const quickCrypto = require('react-native-quick-crypto');
-  subtle = quickCrypto.subtle;
-  getRandomValues = quickCrypto.getRandomValues;
-  
-  // Check if subtle is actually available (it won't be in Expo Go)
-  if (subtle && typeof subtle.generateKey === 'function') {
-    quickCryptoAvailable = true;
-    console.log('Using react-native-quick-crypto (native implementation)');
+/**
+ * Load the built-in providers: quick-crypto when its subtle is available (it isn't in Expo Go), then the
+ * JavaScript fallback
+ */
+function loadDefaultProviders(options) {
+  const providers = [];
+  try {
+    const quickCrypto = require('react-native-quick-crypto');
+    if (quickCrypto.subtle && typeof quickCrypto.subtle.generateKey === 'function') {
+      providers.push({
+        name: 'quick-crypto',
+        subtle: quickCrypto.subtle,
+        getRandomValues: (array) => quickCrypto.getRandomValues(array),
+      });
+    }
+  } catch (e) {
+    // react-native-quick-crypto not available (e.g., in Expo Go)
   }
-} catch (e) {
-  // react-native-quick-crypto not available (e.g., in Expo Go)
-  quickCryptoAvailable = false;
+
+  const adapter = new ExpoGoCryptoAdapter(options);
+  providers.push({
+    name: 'js',
+    subtle: adapter.getSubtle(),
+    getRandomValues: (array) => adapter.getRandomValues(array),
+    // The polyfill supports every algorithm; only probe the platform's native subtle behind it
+    skipProbes: !adapter.isUsingNativeSubtle(),
+  });
+  return providers;
 }
 
-// Try to load ExpoGoCryptoAdapter (JS-only fallback)
-if (!quickCryptoAvailable) {
+/**
+ * Read the overrides from app.json extra.cryptoProviders
+ */
+function loadConfigOverrides() {
   try {
-    const expoCrypto = require('./expo/crypto');
-    ExpoGoCryptoAdapter = expoCrypto.ExpoGoCryptoAdapter;
-    console.log('Using ExpoGoCryptoAdapter (JavaScript-only implementation for Expo Go)');
+    const Constants = require('expo-constants').default;
+    return Constants?.expoConfig?.extra?.cryptoProviders ?? {};
   } catch (e) {
-    console.error('Failed to load ExpoGoCryptoAdapter:', e);
+    return {};
   }
 }
 
 /**
  * React Native Crypto Adapter
- * Auto-selects the best available crypto implementation
+ * Routes each algorithm and operation to the best available crypto implementation
+ * Options:
+ * - providers: additional { name, subtle, getRandomValues?, skipProbes? } providers, ranked before the built-in ones
+ * - cryptoProviders: overrides ({ order, algorithms, disabled }) used instead of app.json extra.cryptoProviders
+ * - further options are passed to ExpoGoCryptoAdapter, e.g. { rsaKeyPool: { size: 1 } } to pre-generate RSA key pairs
  */
 export class ReactNativeCryptoAdapter {
-  constructor() {
-    if (quickCryptoAvailable) {
-      // Use native implementation
-      this.adapter = null; // We'll use the global subtle/getRandomValues
-    } else if (ExpoGoCryptoAdapter) {
-      // Use JS-only fallback
-      this.adapter = new ExpoGoCryptoAdapter();
-    } else {
-      throw new Error(
-        'No crypto implementation available. ' +
-        'Either react-native-quick-crypto (native) or ExpoGoCryptoAdapter (JS) must be available.'
-      );
-    }
+  constructor(options = {}) {
+    const { providers = [], cryptoProviders, ...adapterOptions } = options;
+    this.registry = new CryptoProviderRegistry(
+      [...providers, ...loadDefaultProviders(adapterOptions)],
+      cryptoProviders ?? loadConfigOverrides()
+    );
+  }
+
+  /**
+   * Names of the providers in priority order, e.g. ["quick-crypto", "js"]
+   */
+  get providerNames() {
+    return this.registry.getProviders().map((provider) => provider.name);
+  }
+
+  /**
+   * Resolves once every provider has been probed; SubtleCrypto calls made earlier wait for it
+   */
+  get ready() {
+    return this.registry.ready;
+  }
+
+  /**
+   * Whether the highest-ranked provider is native quick-crypto
+   */
+  get isUsingNativeCrypto() {
+    return this.registry.getProviders()[0].name === 'quick-crypto';
+  }
+
+  /**
+   * Run the known-answer self-tests through the registry and report provider, algorithm, operation, pass/fail,
+   * latency and error of every check; pass the report to assertCryptoCapabilities to stop startup when a
+   * required algorithm fails
+   */
+  getCryptoCapabilities(options = {}) {
+    return getCryptoCapabilities(this.registry, options);
+  }
+
+  getRegistry() {
+    return this.registry;
   }
 
   getSubtle() {
-    if (quickCryptoAvailable) {
-      if (!subtle) {
-        throw new Error('react-native-quick-crypto subtle is not available');
-      }
-      return subtle;
-    } else if (this.adapter) {
-      return this.adapter.getSubtle();
-    } else {
-      throw new Error('No crypto implementation available');
-    }
+    return this.registry.getSubtle();
   }
 
   getRandomValues(array) {
-    if (quickCryptoAvailable) {
-      if (!getRandomValues) {
-        throw new Error('react-native-quick-crypto getRandomValues is not available');
-      }
-      return getRandomValues(array);
-    } else if (this.adapter) {
-      return this.adapter.getRandomValues(array);
-    } else {
-      throw new Error('No crypto implementation available');
-    }
+    return this.registry.getRandomValues(array);
   }
 }
-
-// Export availability check
-export const isQuickCryptoAvailable = quickCryptoAvailable;
@@ -0,0 +1,302 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { StyleSheet, Text, TextInput, View, Button, FlatList, ActivityIndicator, Alert, TouchableOpacity } from 'react-native';
+import * as Clipboard from 'expo-clipboard';
+import { DEFAULT_VIEW_DEFINITION, VIEW_COLUMN_KINDS, buildView, enumKeys, toBuilderCode, validateViewDefinition } from './expo/views/ViewDefinition';
+import { SampleDatabase, ViewExplorer } from './expo/views/ViewExplorer';
+
+const SAMPLE_DOCUMENT_COUNTS = [100, 1000, 10000];
+const SAMPLE_FIELDS = ['index', 'category', 'priority', 'name', 'amount', 'field0', 'field1', 'field2', 'field3'];
+const LIVE_REFRESH_MS = 2000;
+const MODIFIED_PER_TAP = 10;
+
+// The value after `current` in `values`, wrapping around
+function nextValue(values, current) {
+  return values[(values.indexOf(current) + 1) % values.length];
+}
+
+function formatValue(value) {
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Define a virtual view column by column over a database of generated documents, and page through the result
+ * with expandable categories and totals that follow changes to the documents
+ */
+export default function ViewExplorerScreen({ mindoodb, createStoreFactory, createCryptoAdapter, onClose }) {
+  const [sampleDocuments, setSampleDocuments] = useState(SAMPLE_DOCUMENT_COUNTS[0]);
+  const [database, setDatabase] = useState(null);
+  const [definition, setDefinition] = useState(DEFAULT_VIEW_DEFINITION);
+  const [explorer, setExplorer] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [live, setLive] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const busyRef = useRef(false);
+
+  const sortings = enumKeys(mindoodb.ColumnSorting);
+  const totalModes = enumKeys(mindoodb.TotalMode);
+  const errors = validateViewDefinition(definition, mindoodb);
+
+  // Run one operation at a time, with its name as the busy indicator
+  const perform = async (label, operation) => {
+    if (busyRef.current) {
+      return;
+    }
+    busyRef.current = true;
+    setBusy(label);
+    try {
+      await operation();
+    } catch (error) {
+      console.error(`${label} failed:`, error);
+      Alert.alert(`${label} failed`, error.message);
+    } finally {
+      busyRef.current = false;
+      setBusy(null);
+    }
+  };
+
+  const showEntries = (currentExplorer, currentEntries) => {
+    setEntries([...currentEntries]);
+    setSummary(currentExplorer.getSummary());
+  };
+
+  const createDatabase = () => perform('Creating sample database', async () => {
+    const { storeFactory } = await createStoreFactory();
+    // The crypto diagnostics belong to the test runs, not to this screen
+    const { cryptoAdapter } = await createCryptoAdapter(() => {});
+    const created = await SampleDatabase.create(mindoodb, storeFactory, cryptoAdapter, { documents: sampleDocuments });
+    setDatabase(created);
+    setExplorer(null);
+    setEntries([]);
+  });
+
+  const build = () => perform('Building view', async () => {
+    const view = await buildView(mindoodb, definition, SampleDatabase.DB_NAME, database.db);
+    const totalFields = definition.columns.filter((column) => column.kind === 'total').map((column) => column.field.trim());
+    const created = new ViewExplorer(mindoodb, view, { totalFields });
+    setExplorer(created);
+    showEntries(created, await created.loadMore());
+  });
+
+  const loadMore = () => {
+    if (explorer && explorer.hasMore()) {
+      perform('Loading entries', async () => showEntries(explorer, await explorer.loadMore()));
+    }
+  };
+
+  const toggle = (key) => perform('Loading entries', async () => showEntries(explorer, await explorer.toggle(key)));
+
+  const refresh = () => perform('Updating view', async () => showEntries(explorer, await explorer.refresh()));
+
+  const modifyDocuments = () => perform('Modifying documents', async () => {
+    await database.modify(MODIFIED_PER_TAP);
+    showEntries(explorer, await explorer.refresh());
+  });
+
+  // Live mode applies the database's changes to the view every few seconds
+  useEffect(() => {
+    if (!live || !explorer) {
+      return undefined;
+    }
+    const interval = setInterval(() => {
+      if (!busyRef.current) {
+        refresh();
+      }
+    }, LIVE_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [live, explorer]);
+
+  const updateColumn = (index, changes) => {
+    setDefinition({ columns: definition.columns.map((column, i) => (i === index ? { ...column, ...changes } : column)) });
+  };
+
+  const moveColumn = (index, offset) => {
+    const columns = [...definition.columns];
+    const [column] = columns.splice(index, 1);
+    columns.splice(Math.max(0, Math.min(columns.length, index + offset)), 0, column);
+    setDefinition({ columns });
+  };
+
+  const copyCode = async () => {
+    try {
+      await Clipboard.setStringAsync(toBuilderCode(definition, SampleDatabase.DB_NAME));
+      Alert.alert('Copied!', 'View builder code copied to clipboard');
+    } catch (error) {
+      Alert.alert('Error', `Failed to copy: ${error.message}`);
+    }
+  };
+
+  const header = (
+    <View>
+      <View style={styles.headerRow}>
+        <Text style={styles.title}>View Explorer</Text>
+        <Button title="Close" onPress={onClose} disabled={!!busy} />
+      </View>
+
+      <Text style={styles.sectionTitle}>Sample database</Text>
+      <View style={styles.row}>
+        {SAMPLE_DOCUMENT_COUNTS.map((count) => (
+          <Button
+            key={count}
+            title={count.toLocaleString()}
+            onPress={() => setSampleDocuments(count)}
+            color={sampleDocuments === count ? '#007AFF' : '#999'}
+          />
+        ))}
+        <Button title={database ? 'Recreate' : 'Create'} onPress={createDatabase} disabled={!!busy} />
+      </View>
+      <Text style={styles.hint}>
+        {database ? `${database.documentCount} documents in ${SampleDatabase.DB_NAME}` : 'No database yet'}
+        {'\n'}Fields: {SAMPLE_FIELDS.join(', ')}
+      </Text>
+
+      <Text style={styles.sectionTitle}>Columns</Text>
+      {definition.columns.map((column, i) => (
+        <View key={i} style={styles.columnRow}>
+          <Button
+            title={column.kind}
+            onPress={() => updateColumn(i, { kind: nextValue(VIEW_COLUMN_KINDS, column.kind) })}
+          />
+          <TextInput
+            style={styles.fieldInput}
+            value={column.field}
+            onChangeText={(field) => updateColumn(i, { field })}
+            placeholder="field"
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          {(column.kind === 'category' || column.kind === 'sorted') && (
+            <Button
+              title={column.sorting ?? 'ASCENDING'}
+              onPress={() => updateColumn(i, { sorting: nextValue(sortings, column.sorting ?? 'ASCENDING') })}
+            />
+          )}
+          {column.kind === 'total' && (
+            <Button
+              title={column.totalMode ?? 'SUM'}
+              onPress={() => updateColumn(i, { totalMode: nextValue(totalModes, column.totalMode ?? 'SUM') })}
+            />
+          )}
+          <Button title="↑" onPress={() => moveColumn(i, -1)} disabled={i === 0} />
+          <Button title="✕" onPress={() => setDefinition({ columns: definition.columns.filter((_, j) => j !== i) })} color="#FF3B30" />
+        </View>
+      ))}
+      <View style={styles.row}>
+        <Button title="Add column" onPress={() => setDefinition({ columns: [...definition.columns, { kind: 'display', field: '' }] })} />
+        <Button title="Reset" onPress={() => setDefinition(DEFAULT_VIEW_DEFINITION)} />
+        <Button title="Copy code" onPress={copyCode} disabled={errors.length > 0} />
+      </View>
+      {errors.map((error) => (
+        <Text key={error} style={styles.errorText}>{error}</Text>
+      ))}
+      <Button
+        title="Build view"
+        onPress={build}
+        disabled={!database || errors.length > 0 || !!busy}
+        color="#34C759"
+      />
+
+      {explorer && (
+        <View>
+          <Text style={styles.sectionTitle}>
+            Result{summary ? `: ${summary.categories} top-level categories, ${summary.documents} documents` : ''}
+          </Text>
+          <View style={styles.row}>
+            <Button title="Refresh" onPress={refresh} disabled={!!busy} />
+            <Button title={`Modify ${MODIFIED_PER_TAP} docs`} onPress={modifyDocuments} disabled={!!busy} />
+            <Button title={live ? 'Live: on' : 'Live: off'} onPress={() => setLive(!live)} color={live ? '#FF9500' : '#999'} />
+          </View>
+        </View>
+      )}
+      {busy && (
+        <View style={styles.row}>
+          <ActivityIndicator size="small" color="#007AFF" />
+          <Text style={styles.hint}>{busy}...</Text>
+        </View>
+      )}
+    </View>
+  );
+
+  return (
+    <FlatList
+      style={styles.container}
+      data={entries}
+      keyExtractor={(entry) => entry.key}
+      ListHeaderComponent={header}
+      onEndReached={loadMore}
+      onEndReachedThreshold={0.5}
+      ListFooterComponent={explorer && explorer.hasMore() ? <Button title="Load more" onPress={loadMore} disabled={!!busy} /> : null}
+      renderItem={({ item }) => (
+        <TouchableOpacity disabled={!item.isCategory || !!busy} onPress={() => toggle(item.key)}>
+          <Text style={[styles.entryText, item.isCategory && styles.categoryText, { paddingLeft: item.level * 16 }]}>
+            {item.isCategory
+              ? `${item.collapsed ? '▶' : '▼'} ${item.label} (${item.documentCount} docs)`
+              : `📄 ${item.label}`}
+            {Object.entries(item.values).map(([field, value]) => `  ${field}: ${formatValue(value)}`).join('')}
+          </Text>
+        </TouchableOpacity>
+      )}
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 16,
+    marginBottom: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 6,
+  },
+  columnRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginBottom: 4,
+  },
+  fieldInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 4,
+    fontFamily: 'monospace',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#666',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#FF3B30',
+  },
+  entryText: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+    color: '#333',
+    paddingVertical: 3,
+  },
+  categoryText: {
+    fontWeight: 'bold',
+  },
+});
@@ -1,16 +1,81 @@
 /**
- * AES-GCM Adapter
- * Implements AES-GCM encryption/decryption using node-forge
+ * AES Adapter
+ * Implements AES-GCM, AES-CBC and AES-CTR encryption/decryption and AES-KW (RFC 3394) key wrapping
+ * using node-forge
  */
 
 import forge from "node-forge";
+import { getKeyMaterial } from "./CryptoKey";
+import { operationError } from "./CryptoErrors";
+import { binaryStringToBytes, bytesToBinaryString, concatBytes, toArrayBuffer, toBytes } from "./ByteUtils";
+
+export type AESAlgorithmName = "AES-GCM" | "AES-CBC" | "AES-CTR" | "AES-KW";
 
 export interface AESGCMParams {
   name: "AES-GCM";
   iv: BufferSource;
+  additionalData?: BufferSource;
   tagLength?: number; // in bits, default 128
 }
 
+export interface AESCBCParams {
+  name: "AES-CBC";
+  iv: BufferSource;
+}
+
+export interface AESCTRParams {
+  name: "AES-CTR";
+  counter: BufferSource;
+  length: number; // number of counter bits in the rightmost part of the block
+}
+
+const AES_BLOCK_SIZE = 16;
+
+// Payload bytes processed per step, bounding the size of intermediate binary strings
+const STREAM_CHUNK_SIZE = 64 * 1024;
+
+// Tag lengths in bits allowed by the Web Crypto spec
+const GCM_TAG_LENGTHS = [32, 64, 96, 104, 112, 120, 128];
+
+// RFC 3394 section 2.2.3.1 default initial value
+const AES_KW_IV = new Uint8Array([0xa6, 0xa6, 0xa6, 0xa6, 0xa6, 0xa6, 0xa6, 0xa6]);
+
+/**
+ * Incremental AES-GCM, AES-CBC or AES-CTR encryption or decryption of a payload split into chunks
+ * update() returns the output available so far and finish() the rest; joined, they equal the one-shot result.
+ * Decrypted AES-GCM output is unauthenticated until finish() has checked the tag.
+ */
+export interface AesCipherStream {
+  update(chunk: ArrayBuffer | ArrayBufferView): Uint8Array;
+  finish(): Uint8Array;
+}
+
+export type AesStreamParams = AESGCMParams | AESCBCParams | AESCTRParams;
+
+/**
+ * Create an encryption stream
+ */
+export function createAesEncryptStream(params: AesStreamParams, key: CryptoKey | ArrayBuffer): AesCipherStream {
+  if (params.name === "AES-GCM") {
+    return createGcmStream(params, key, false);
+  } else if (params.name === "AES-CBC") {
+    return createCbcEncryptStream(params, key);
+  }
+  return createCtrStream(params, key);
+}
+
+/**
+ * Create a decryption stream
+ */
+export function createAesDecryptStream(params: AesStreamParams, key: CryptoKey | ArrayBuffer): AesCipherStream {
+  if (params.name === "AES-GCM") {
+    return createGcmStream(params, key, true);
+  } else if (params.name === "AES-CBC") {
+    return createCbcDecryptStream(params, key);
+  }
+  return createCtrStream(params, key);
+}
+
 /**
  * Encrypt data with AES-GCM
  */
@@ -19,58 +84,7 @@ export async function aesGcmEncrypt(
   key: CryptoKey | ArrayBuffer,
   data: ArrayBuffer | Uint8Array
 ): Promise<ArrayBuffer> {
-  // Extract raw key material
-  const rawKey = (key as any)._rawKey || key;
-  const keyBytes = rawKey instanceof ArrayBuffer ? new Uint8Array(rawKey) : new Uint8Array(rawKey);
-  const dataBytes = data instanceof Uint8Array ? data : new Uint8Array(data);
-  
-  // Ensure IV is a proper ArrayBuffer
-  let ivBytes: Uint8Array;
-  if (params.iv instanceof Uint8Array) {
-    ivBytes = params.iv;
-  } else if (params.iv instanceof ArrayBuffer) {
-    ivBytes = new Uint8Array(params.iv);
-  } else {
-    // ArrayBufferView - copy to ensure we have ArrayBuffer
-    const view = params.iv as ArrayBufferView;
-    const copy = new Uint8Array(view.byteLength);
-    copy.set(new Uint8Array(view.buffer, view.byteOffset, view.byteLength));
-    ivBytes = copy;
-  }
-  
-  // Create cipher - node-forge expects key as ByteBuffer
-  const cipher = forge.cipher.createCipher("AES-GCM", forge.util.createBuffer(keyBytes.buffer as ArrayBuffer));
-  cipher.start({
-    iv: forge.util.createBuffer(ivBytes.buffer as ArrayBuffer),
-    tagLength: (params.tagLength || 128) / 8, // Convert bits to bytes
-  });
-  cipher.update(forge.util.createBuffer(dataBytes.buffer as ArrayBuffer));
-  cipher.finish();
-  
-  // Get ciphertext and tag
-  const encrypted = cipher.output;
-  const tag = cipher.mode.tag;
-  
-  // Combine ciphertext and tag (Web Crypto API appends tag automatically)
-  // node-forge ByteBuffer has a toBytes() method that returns a string
-  const encryptedHex = encrypted.toHex();
-  const encryptedBytes = new Uint8Array(encryptedHex.length / 2);
-  for (let i = 0; i < encryptedBytes.length; i++) {
-    encryptedBytes[i] = parseInt(encryptedHex.substr(i * 2, 2), 16);
-  }
-  
-  const tagHex = tag.toHex();
-  const tagBytes = new Uint8Array(tagHex.length / 2);
-  for (let i = 0; i < tagBytes.length; i++) {
-    tagBytes[i] = parseInt(tagHex.substr(i * 2, 2), 16);
-  }
-  
-  // Combine: ciphertext + tag
-  const result = new Uint8Array(encryptedBytes.length + tagBytes.length);
-  result.set(encryptedBytes, 0);
-  result.set(tagBytes, encryptedBytes.length);
-  
-  return result.buffer;
+  return runStream(createAesEncryptStream(params, key), data);
 }
 
 /**
@@ -81,49 +95,365 @@ export async function aesGcmDecrypt(
   key: CryptoKey | ArrayBuffer,
   data: ArrayBuffer | Uint8Array
 ): Promise<ArrayBuffer> {
-  // Extract raw key material
-  const rawKey = (key as any)._rawKey || key;
-  const keyBytes = rawKey instanceof ArrayBuffer ? new Uint8Array(rawKey) : new Uint8Array(rawKey);
-  const dataBytes = data instanceof Uint8Array ? data : new Uint8Array(data);
-  let ivBytes: Uint8Array;
-  if (params.iv instanceof Uint8Array) {
-    ivBytes = params.iv;
-  } else if (params.iv instanceof ArrayBuffer) {
-    ivBytes = new Uint8Array(params.iv);
-  } else {
-    // ArrayBufferView
-    const view = params.iv as ArrayBufferView;
-    ivBytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
-  }
-  
-  // Extract tag (last 16 bytes for 128-bit tag)
-  const tagLength = (params.tagLength || 128) / 8; // Convert bits to bytes
-  if (dataBytes.length < tagLength) {
-    throw new Error("Encrypted data too short (missing tag)");
-  }
-  const ciphertext = dataBytes.slice(0, dataBytes.length - tagLength);
-  const tag = dataBytes.slice(dataBytes.length - tagLength);
-  
-  // Create decipher - node-forge expects key as ByteBuffer
-  const decipher = forge.cipher.createDecipher("AES-GCM", forge.util.createBuffer(keyBytes.buffer as ArrayBuffer));
-  decipher.start({
-    iv: forge.util.createBuffer(ivBytes.buffer as ArrayBuffer),
-    tagLength: tagLength * 8, // Convert bytes to bits for node-forge
-    tag: forge.util.createBuffer(tag.buffer as ArrayBuffer),
+  return runStream(createAesDecryptStream(params, key), data);
+}
+
+/**
+ * Encrypt data with AES-CBC and PKCS#7 padding
+ */
+export async function aesCbcEncrypt(
+  params: AESCBCParams,
+  key: CryptoKey | ArrayBuffer,
+  data: ArrayBuffer | Uint8Array
+): Promise<ArrayBuffer> {
+  return runStream(createAesEncryptStream(params, key), data);
+}
+
+/**
+ * Decrypt AES-CBC data and remove the PKCS#7 padding
+ */
+export async function aesCbcDecrypt(
+  params: AESCBCParams,
+  key: CryptoKey | ArrayBuffer,
+  data: ArrayBuffer | Uint8Array
+): Promise<ArrayBuffer> {
+  return runStream(createAesDecryptStream(params, key), data);
+}
+
+/**
+ * Encrypt or decrypt data with AES-CTR (the operation is symmetric)
+ * Only the rightmost `length` bits of the counter block are incremented, wrapping around
+ * without carrying into the nonce, as Web Crypto specifies
+ */
+export async function aesCtrEncrypt(
+  params: AESCTRParams,
+  key: CryptoKey | ArrayBuffer,
+  data: ArrayBuffer | Uint8Array
+): Promise<ArrayBuffer> {
+  return runStream(createAesEncryptStream(params, key), data);
+}
+
+/**
+ * Decrypt data with AES-CTR
+ */
+export async function aesCtrDecrypt(
+  params: AESCTRParams,
+  key: CryptoKey | ArrayBuffer,
+  data: ArrayBuffer | Uint8Array
+): Promise<ArrayBuffer> {
+  return runStream(createAesDecryptStream(params, key), data);
+}
+
+/**
+ * Feed a whole payload through a stream in STREAM_CHUNK_SIZE slices
+ */
+function runStream(stream: AesCipherStream, data: ArrayBuffer | Uint8Array): ArrayBuffer {
+  const bytes = toBytes(data);
+  const output: Uint8Array[] = [];
+  for (let offset = 0; offset < bytes.length; offset += STREAM_CHUNK_SIZE) {
+    output.push(stream.update(bytes.subarray(offset, offset + STREAM_CHUNK_SIZE)));
+  }
+  output.push(stream.finish());
+  return toArrayBuffer(concatBytes(output));
+}
+
+/**
+ * Run bytes through a node-forge cipher and take the output produced so far
+ */
+function updateCipher(cipher: forge.cipher.BlockCipher, bytes: Uint8Array): Uint8Array {
+  cipher.update(forge.util.createBuffer(bytesToBinaryString(bytes)));
+  return binaryStringToBytes(cipher.output.getBytes());
+}
+
+/**
+ * AES-GCM stream on a node-forge cipher that always computes the full 128-bit tag
+ * node-forge only truncates tags correctly for some lengths, so the tag is cut and compared here
+ */
+function createGcmStream(params: AESGCMParams, key: CryptoKey | ArrayBuffer, decrypt: boolean): AesCipherStream {
+  const tagLength = getGcmTagLength(params);
+  const create = decrypt ? forge.cipher.createDecipher : forge.cipher.createCipher;
+  const cipher = create("AES-GCM", bytesToBinaryString(getKeyBytes(key)));
+  cipher.start({
+    iv: bytesToBinaryString(getGcmIv(params)),
+    additionalData: params.additionalData ? bytesToBinaryString(toBytes(params.additionalData)) : undefined,
+    tagLength: 128,
+    // The decipher insists on a tag up front; it is checked in finish() instead
+    tag: forge.util.createBuffer("\0".repeat(16)),
   });
-  decipher.update(forge.util.createBuffer(ciphertext.buffer as ArrayBuffer));
-  const success = decipher.finish();
-  
-  if (!success) {
-    throw new Error("AES-GCM decryption failed: authentication tag mismatch");
-  }
-  
-  const decrypted = decipher.output;
-  const decryptedHex = decrypted.toHex();
-  const decryptedBytes = new Uint8Array(decryptedHex.length / 2);
-  for (let i = 0; i < decryptedBytes.length; i++) {
-    decryptedBytes[i] = parseInt(decryptedHex.substr(i * 2, 2), 16);
-  }
-  
-  return decryptedBytes.buffer;
+
+  // When decrypting, the last tagLength bytes seen so far may be the tag and are held back
+  let held: Uint8Array = new Uint8Array(0);
+  return {
+    update(chunk) {
+      if (!decrypt) {
+        return updateCipher(cipher, toBytes(chunk));
+      }
+      const input = concatBytes([held, toBytes(chunk)]);
+      const split = Math.max(0, input.length - tagLength);
+      held = input.slice(split);
+      return updateCipher(cipher, input.subarray(0, split));
+    },
+    finish() {
+      if (decrypt && held.length < tagLength) {
+        throw operationError("The provided data is too small.");
+      }
+      cipher.finish();
+      const rest = binaryStringToBytes(cipher.output.getBytes());
+      const tag = binaryStringToBytes(cipher.mode.tag.getBytes()).subarray(0, tagLength);
+      if (!decrypt) {
+        return concatBytes([rest, tag]);
+      }
+      let difference = 0;
+      for (let i = 0; i < tagLength; i++) {
+        difference |= tag[i] ^ held[i];
+      }
+      if (difference !== 0) {
+        throw operationError("AES-GCM decryption failed: authentication tag mismatch");
+      }
+      return rest;
+    },
+  };
+}
+
+/**
+ * AES-GCM nonce; an empty one would leave the counter blocks depending on the key alone
+ */
+function getGcmIv(params: AESGCMParams): Uint8Array {
+  const ivBytes = toBytes(params.iv);
+  if (ivBytes.length === 0) {
+    throw operationError("algorithm.iv must not be empty");
+  }
+  return ivBytes;
+}
+
+/**
+ * Tag length in bytes, from the tagLength parameter in bits
+ */
+function getGcmTagLength(params: AESGCMParams): number {
+  const tagLength = params.tagLength ?? 128;
+  if (!GCM_TAG_LENGTHS.includes(tagLength)) {
+    throw operationError(`${tagLength} is not a valid AES-GCM tag length`);
+  }
+  return tagLength / 8;
+}
+
+function getCbcIv(params: AESCBCParams): Uint8Array {
+  const ivBytes = toBytes(params.iv);
+  if (ivBytes.length !== AES_BLOCK_SIZE) {
+    throw operationError("algorithm.iv must contain exactly 16 bytes");
+  }
+  return ivBytes;
+}
+
+/**
+ * AES-CBC encryption stream; node-forge appends the PKCS#7 padding on finish
+ */
+function createCbcEncryptStream(params: AESCBCParams, key: CryptoKey | ArrayBuffer): AesCipherStream {
+  const cipher = forge.cipher.createCipher("AES-CBC", bytesToBinaryString(getKeyBytes(key)));
+  cipher.start({ iv: bytesToBinaryString(getCbcIv(params)) });
+  return {
+    update: (chunk) => updateCipher(cipher, toBytes(chunk)),
+    finish() {
+      cipher.finish();
+      return binaryStringToBytes(cipher.output.getBytes());
+    },
+  };
+}
+
+/**
+ * AES-CBC decryption stream that holds back the last block until the padding is checked
+ */
+function createCbcDecryptStream(params: AESCBCParams, key: CryptoKey | ArrayBuffer): AesCipherStream {
+  const decipher = forge.cipher.createDecipher("AES-CBC", bytesToBinaryString(getKeyBytes(key)));
+  decipher.start({ iv: bytesToBinaryString(getCbcIv(params)) });
+  let inputLength = 0;
+  let held: Uint8Array = new Uint8Array(0);
+  return {
+    update(chunk) {
+      const bytes = toBytes(chunk);
+      inputLength += bytes.length;
+      const output = concatBytes([held, updateCipher(decipher, bytes)]);
+      const split = Math.max(0, output.length - AES_BLOCK_SIZE);
+      held = output.slice(split);
+      return output.subarray(0, split);
+    },
+    finish() {
+      if (inputLength === 0 || inputLength % AES_BLOCK_SIZE !== 0) {
+        throw operationError("AES-CBC ciphertext must be a non-empty multiple of 16 bytes");
+      }
+      // node-forge only checks that the pad length is below 64, so unpad here instead
+      (decipher as any).finish(() => true);
+      const padded = concatBytes([held, binaryStringToBytes(decipher.output.getBytes())]);
+
+      // Check every padding byte without branching on the data
+      const padLength = padded[padded.length - 1];
+      let invalid = padLength === 0 || padLength > AES_BLOCK_SIZE ? 1 : 0;
+      for (let i = 1; i <= AES_BLOCK_SIZE; i++) {
+        const inPadding = i <= padLength ? 0xff : 0;
+        invalid |= (padded[padded.length - i] ^ padLength) & inPadding;
+      }
+      if (invalid !== 0) {
+        throw operationError("AES-CBC decryption failed: invalid padding");
+      }
+      return padded.subarray(0, padded.length - padLength);
+    },
+  };
+}
+
+/**
+ * AES-CTR stream: XOR with the AES-ECB encryption of successive counter blocks
+ */
+function createCtrStream(params: AESCTRParams, key: CryptoKey | ArrayBuffer): AesCipherStream {
+  const counter = toBytes(params.counter).slice();
+  if (counter.length !== AES_BLOCK_SIZE) {
+    throw operationError("AES-CTR algorithm.counter must be 16 bytes");
+  }
+  if (!Number.isInteger(params.length) || params.length < 1 || params.length > 128) {
+    throw operationError("AES-CTR algorithm.length must be between 1 and 128");
+  }
+  const ecb = createAesEcb(getKeyBytes(key), false);
+  // Refuse to reuse a counter value within one message
+  const maxBlocks = params.length < 64 ? 2 ** params.length : Infinity;
+  let blocksUsed = 0;
+  let keystream: Uint8Array = new Uint8Array(0);
+  let keystreamOffset = 0;
+
+  return {
+    update(chunk) {
+      const bytes = toBytes(chunk);
+      const result = new Uint8Array(bytes.length);
+      let position = 0;
+      while (position < bytes.length) {
+        if (keystreamOffset === keystream.length) {
+          const blockCount = Math.ceil((bytes.length - position) / AES_BLOCK_SIZE);
+          if (blocksUsed + blockCount > maxBlocks) {
+            throw operationError("AES-CTR counter would wrap around for this message length");
+          }
+          const counterBlocks = new Uint8Array(blockCount * AES_BLOCK_SIZE);
+          for (let i = 0; i < blockCount; i++) {
+            counterBlocks.set(counter, i * AES_BLOCK_SIZE);
+            incrementCounter(counter, params.length);
+          }
+          blocksUsed += blockCount;
+          keystream = ecb(counterBlocks);
+          keystreamOffset = 0;
+        }
+        const count = Math.min(bytes.length - position, keystream.length - keystreamOffset);
+        for (let i = 0; i < count; i++) {
+          result[position + i] = bytes[position + i] ^ keystream[keystreamOffset + i];
+        }
+        position += count;
+        keystreamOffset += count;
+      }
+      return result;
+    },
+    finish: () => new Uint8Array(0),
+  };
+}
+
+/**
+ * Increment the rightmost `bits` bits of a big-endian counter block, wrapping without touching the rest
+ */
+function incrementCounter(block: Uint8Array, bits: number): void {
+  for (let i = block.length - 1, remaining = bits; i >= 0 && remaining > 0; i--, remaining -= 8) {
+    const mask = remaining >= 8 ? 0xff : (1 << remaining) - 1;
+    const value = ((block[i] & mask) + 1) & mask;
+    block[i] = (block[i] & ~mask) | value;
+    if (value !== 0) {
+      return;
+    }
+  }
+}
+
+/**
+ * Wrap key material with AES-KW (RFC 3394 section 2.2.1)
+ */
+export async function aesKwWrap(key: CryptoKey | ArrayBuffer, data: ArrayBuffer | ArrayBufferView): Promise<ArrayBuffer> {
+  const plaintext = toBytes(data);
+  if (plaintext.length % 8 !== 0) {
+    throw operationError(`AES-KW input length must be a multiple of 8 bytes, got ${plaintext.length}`);
+  }
+  if (plaintext.length < 16) {
+    throw operationError(`AES-KW input must be at least 16 bytes, got ${plaintext.length}`);
+  }
+
+  const n = plaintext.length / 8;
+  const encrypt = createAesEcb(getKeyBytes(key), false);
+  let a = AES_KW_IV.slice();
+  const r = plaintext.slice();
+  const block = new Uint8Array(16);
+  for (let j = 0; j <= 5; j++) {
+    for (let i = 1; i <= n; i++) {
+      block.set(a, 0);
+      block.set(r.subarray((i - 1) * 8, i * 8), 8);
+      const b = encrypt(block);
+      a = b.slice(0, 8);
+      xorCounter(a, n * j + i);
+      r.set(b.subarray(8), (i - 1) * 8);
+    }
+  }
+
+  const result = new Uint8Array(8 + r.length);
+  result.set(a, 0);
+  result.set(r, 8);
+  return toArrayBuffer(result);
+}
+
+/**
+ * Unwrap key material with AES-KW and check the integrity value (RFC 3394 section 2.2.2)
+ */
+export async function aesKwUnwrap(key: CryptoKey | ArrayBuffer, data: ArrayBuffer | ArrayBufferView): Promise<ArrayBuffer> {
+  const ciphertext = toBytes(data);
+  if (ciphertext.length < 24 || ciphertext.length % 8 !== 0) {
+    throw operationError("AES-KW wrapped data must be at least 24 bytes and a multiple of 8 bytes");
+  }
+
+  const n = ciphertext.length / 8 - 1;
+  const decrypt = createAesEcb(getKeyBytes(key), true);
+  const a = ciphertext.slice(0, 8);
+  const r = ciphertext.slice(8);
+  const block = new Uint8Array(16);
+  for (let j = 5; j >= 0; j--) {
+    for (let i = n; i >= 1; i--) {
+      xorCounter(a, n * j + i);
+      block.set(a, 0);
+      block.set(r.subarray((i - 1) * 8, i * 8), 8);
+      const b = decrypt(block);
+      a.set(b.subarray(0, 8));
+      r.set(b.subarray(8), (i - 1) * 8);
+    }
+  }
+
+  // Constant-time comparison of the integrity check value
+  let diff = 0;
+  for (let i = 0; i < 8; i++) {
+    diff |= a[i] ^ AES_KW_IV[i];
+  }
+  if (diff !== 0) {
+    throw operationError("AES-KW unwrap failed: integrity check value mismatch");
+  }
+  return toArrayBuffer(r);
+}
+
+/**
+ * Create an AES-ECB function without padding for whole blocks, expanding the key once
+ */
+function createAesEcb(keyBytes: Uint8Array, decrypt: boolean): (data: Uint8Array) => Uint8Array {
+  const key = bytesToBinaryString(keyBytes);
+  const cipher = decrypt ? forge.cipher.createDecipher("AES-ECB", key) : forge.cipher.createCipher("AES-ECB", key);
+  cipher.start({});
+  // Whole blocks are output as soon as they are complete, so the cipher is never finished
+  return (data) => updateCipher(cipher, data);
+}
+
+// XOR the 64-bit big-endian step counter t into A
+function xorCounter(a: Uint8Array, t: number): void {
+  for (let k = 7; k >= 0 && t > 0; k--) {
+    a[k] ^= t & 0xff;
+    t = Math.floor(t / 256);
+  }
+}
+
+function getKeyBytes(key: CryptoKey | ArrayBuffer): Uint8Array {
+  return new Uint8Array(key instanceof ArrayBuffer ? key : (getKeyMaterial(key).rawKey as ArrayBuffer));
 }
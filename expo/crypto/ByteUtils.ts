@@ -0,0 +1,82 @@
+/**
+ * Byte Utilities
+ * Conversions between BufferSource, Uint8Array, ArrayBuffer and the binary strings node-forge works on
+ *
+ * Inputs are viewed in place instead of copied, and binary strings are converted in fixed-size slices:
+ * forge.util.binary.raw.encode passes the whole array to String.fromCharCode, which overflows the stack
+ * for inputs of a few hundred kilobytes.
+ */
+
+// Bytes converted per String.fromCharCode call
+const STRING_CHUNK_SIZE = 8192;
+
+/**
+ * View a BufferSource as bytes without copying, honoring the view's offset and length
+ */
+export function toBytes(data: ArrayBuffer | ArrayBufferView): Uint8Array {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return new Uint8Array(data);
+}
+
+/**
+ * Copy a BufferSource into a new ArrayBuffer that no caller holds a reference to
+ */
+export function copyToArrayBuffer(data: ArrayBuffer | ArrayBufferView): ArrayBuffer {
+  return toBytes(data).slice().buffer;
+}
+
+/**
+ * Get an ArrayBuffer holding exactly the given bytes, copying only when the view does not span its buffer
+ */
+export function toArrayBuffer(bytes: Uint8Array): ArrayBuffer {
+  if (bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength && bytes.buffer instanceof ArrayBuffer) {
+    return bytes.buffer;
+  }
+  return bytes.slice().buffer;
+}
+
+/**
+ * Convert bytes to a node-forge binary string (one char code per byte)
+ */
+export function bytesToBinaryString(bytes: Uint8Array): string {
+  if (bytes.length <= STRING_CHUNK_SIZE) {
+    return String.fromCharCode.apply(null, bytes as unknown as number[]);
+  }
+  const parts: string[] = [];
+  for (let offset = 0; offset < bytes.length; offset += STRING_CHUNK_SIZE) {
+    parts.push(String.fromCharCode.apply(null, bytes.subarray(offset, offset + STRING_CHUNK_SIZE) as unknown as number[]));
+  }
+  return parts.join("");
+}
+
+/**
+ * Convert a node-forge binary string to bytes
+ */
+export function binaryStringToBytes(binary: string): Uint8Array {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Concatenate byte arrays
+ */
+export function concatBytes(parts: Uint8Array[]): Uint8Array {
+  if (parts.length === 1) {
+    return parts[0];
+  }
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
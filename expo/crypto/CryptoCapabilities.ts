@@ -0,0 +1,320 @@
+/**
+ * Crypto Capabilities
+ * Known-answer self-tests for the algorithms MindooDB uses, and a structured report of their results
+ *
+ * Each self-test imports fixed keys and checks its operations against published test vectors (FIPS 180, the
+ * GCM spec, RFC 4231, RFC 7914, RFC 5869 and RFC 8032), so a provider that returns wrong results fails as well
+ * as one that throws. Like the provider probes, the first failing check ends the self-test of its algorithm.
+ */
+
+import { notSupportedError } from "./CryptoErrors";
+import { CryptoProvider, CryptoProviderRegistry } from "./CryptoProviderRegistry";
+import type { SubtleOperation } from "./CryptoProviderProbes";
+
+export type CapabilityOperation = SubtleOperation | "getRandomValues";
+
+/**
+ * Outcome of one self-tested operation
+ */
+export interface CapabilityCheck {
+  // Provider the operation ran on (for a registry, the provider it routes the operation to)
+  provider: string;
+  algorithm: string;
+  operation: CapabilityOperation;
+  passed: boolean;
+  latencyMs: number;
+  error?: string;
+}
+
+export interface CryptoCapabilityReport {
+  checks: CapabilityCheck[];
+  // Algorithms with a failed check
+  failedAlgorithms: string[];
+  // Required algorithms with a failed check; startup should not continue unless this is empty
+  failedRequired: string[];
+  passed: boolean;
+  durationMs: number;
+}
+
+export interface CryptoCapabilityOptions {
+  // Algorithms the app cannot run without (default REQUIRED_ALGORITHMS)
+  required?: string[];
+  // Algorithms to self-test (default every algorithm with a self-test); the required algorithms always run, so a
+  // report cannot pass without testing them
+  algorithms?: string[];
+}
+
+type CheckStep = <T>(operation: CapabilityOperation, run: () => Promise<T>) => Promise<T>;
+
+type SelfTest = (subtle: SubtleCrypto, check: CheckStep, getRandomValues?: CryptoProvider["getRandomValues"]) => Promise<void>;
+
+/**
+ * Algorithms MindooDB cannot work without: document encryption, user keys, signatures and password-derived keys
+ * RNG stands for getRandomValues
+ */
+export const REQUIRED_ALGORITHMS = ["SHA-256", "AES-GCM", "RSA-OAEP", "Ed25519", "PBKDF2", "RNG"];
+
+const encoder = new TextEncoder();
+
+function fromHex(hex: string): Uint8Array<ArrayBuffer> {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Throw unless a result holds the expected bytes
+ */
+function expectBytes(actual: ArrayBuffer, expected: Uint8Array): void {
+  const bytes = new Uint8Array(actual);
+  if (bytes.length !== expected.length || bytes.some((byte, i) => byte !== expected[i])) {
+    throw new Error("Result does not match the known answer");
+  }
+}
+
+function expectTrue(value: boolean, description: string): void {
+  if (!value) {
+    throw new Error(`Self-test failed: ${description}`);
+  }
+}
+
+// RSA-OAEP (SHA-256) 1024-bit test key and the encryption of "abc" under it
+const RSA_OAEP_JWK: JsonWebKey = {
+  kty: "RSA",
+  n: "o4gcJH6jm8txR6PmZ_7ALAAvaCSx02e-N90-xTO9XJE4fdSB9XToalez6-J8CcBh80LiwnzBTiScH-SoXSbp-C_1zxJZfBUhuZw3RVxbRIKgx_5XNYeDSeP6PGjrL2I2IJPF3CiGo7SIVzxiVXsRpp3om2ecSiMAEQI6qvn8zFc",
+  e: "AQAB",
+  d: "VTkXwYUl6olJjdZCuyuuJsAp9JI7AjtsjFyG2-qs4tLjp9_Zonu8q77tCx9LGSHjag0Pc9_kNb8qhgx6GaGwCExW3k_nEyqUHAiokzT2gZ1629Vkc3Ts1iwzIrStVK7ez57nvtqSZX-ZMcAG7ENNm2fi2pIsQP3Lh4TvQquFM7E",
+  p: "0QWXZ_AoDIYL63Fh9qjTuliFZn4Mdn9zxZqUPCyvSWBIf2-P-aMzgvQFLQO_a95tSqUvO3-Jow7GlrND6TmrYw",
+  q: "yEkrL_wziTDRjtvlXVG60pesFRhmmAk5k142BTKjzctoHUbE0A-8ZH-T90n8iR9LsWOxz_ylzPJvZi-xlFp_fQ",
+  dp: "Qer9gK3gM3Lit3Geb2d2vkHEcDo4O_ad0CebsA53iTBwLKBGS3gIerfyGewgpigTV4MYji7-fQnf3w7Rz-97-Q",
+  dq: "RL2AGhcIJRThR5PHM_EiGrc9s3vNcm7wGNkj10LbH32pfSrVz8cm1KNIyH3XM8TO-NILrCO9UAsBGuRRoWYyDQ",
+  qi: "oR_FyXwgcHhHEZdEO4S36N-HX0xaOHZZ-ntNL89Y65WMuS6xxzeC32ZZuE7YfXadOYkGli1ujXOahuPtX3cEHg",
+};
+const RSA_OAEP_CIPHERTEXT =
+  "0e1d8cd802ef0817568bc192aaf5ce0332e266adb103d38561fc1e2c4992e0fc622a8ad70f4c7915e3ceca2e8d18a6dcb2cf132f90d59a951e99679053d80463" +
+  "fbd4daae43ecba782ccffe4cfa71f0208067170c36b1e273f1b51512b0b59894db8c699f78287c7bfd7df9ff2b125a609ca6204a76e3e5342411b82a6dd01901";
+
+function digestSelfTest(name: string, expectedHex: string): SelfTest {
+  return async (subtle, check) => {
+    await check("digest", async () => expectBytes(await subtle.digest(name, encoder.encode("abc")), fromHex(expectedHex)));
+  };
+}
+
+// GCM spec test case 14: 256-bit zero key, zero IV, one zero block
+const aesGcmSelfTest: SelfTest = async (subtle, check) => {
+  const params = { name: "AES-GCM", iv: new Uint8Array(12) };
+  const plaintext = new Uint8Array(16);
+  const key = await check("importKey", () => subtle.importKey("raw", new Uint8Array(32), "AES-GCM", false, ["encrypt", "decrypt"]));
+  const ciphertext = await check("encrypt", async () => {
+    const result = await subtle.encrypt(params, key, plaintext);
+    expectBytes(result, fromHex("cea7403d4d606b6e074ec5d3baf39d18d0d1c8a799996bf0265b98b5d48ab919"));
+    return result;
+  });
+  await check("decrypt", async () => expectBytes(await subtle.decrypt(params, key, ciphertext), plaintext));
+};
+
+// RFC 4231 test case 2
+const hmacSelfTest: SelfTest = async (subtle, check) => {
+  const params = { name: "HMAC", hash: "SHA-256" };
+  const data = encoder.encode("what do ya want for nothing?");
+  const key = await check("importKey", () => subtle.importKey("raw", encoder.encode("Jefe"), params, false, ["sign", "verify"]));
+  const signature = await check("sign", async () => {
+    const result = await subtle.sign(params, key, data);
+    expectBytes(result, fromHex("5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843"));
+    return result;
+  });
+  await check("verify", async () => expectTrue(await subtle.verify(params, key, signature, data), "HMAC verify"));
+};
+
+// RFC 7914 section 11, PBKDF2-HMAC-SHA256 with one iteration
+const pbkdf2SelfTest: SelfTest = async (subtle, check) => {
+  const params = { name: "PBKDF2", salt: encoder.encode("salt"), iterations: 1, hash: "SHA-256" };
+  const key = await check("importKey", () => subtle.importKey("raw", encoder.encode("passwd"), "PBKDF2", false, ["deriveBits"]));
+  await check("deriveBits", async () =>
+    expectBytes(
+      await subtle.deriveBits(params, key, 512),
+      fromHex(
+        "55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc" +
+          "49ca9cccf179b645991664b39d77ef317c71b845b1e30bd509112041d3a19783"
+      )
+    )
+  );
+};
+
+// RFC 5869 test case 1
+const hkdfSelfTest: SelfTest = async (subtle, check) => {
+  const params = { name: "HKDF", salt: fromHex("000102030405060708090a0b0c"), info: fromHex("f0f1f2f3f4f5f6f7f8f9"), hash: "SHA-256" };
+  const key = await check("importKey", () => subtle.importKey("raw", new Uint8Array(22).fill(0x0b), "HKDF", false, ["deriveBits"]));
+  await check("deriveBits", async () =>
+    expectBytes(
+      await subtle.deriveBits(params, key, 42 * 8),
+      fromHex("3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865")
+    )
+  );
+};
+
+// OAEP encryption is randomized: decrypt a fixed ciphertext, then round-trip a fresh one
+const rsaOaepSelfTest: SelfTest = async (subtle, check) => {
+  const params = { name: "RSA-OAEP", hash: "SHA-256" };
+  const message = encoder.encode("abc");
+  const { kty, n, e } = RSA_OAEP_JWK;
+  const [privateKey, publicKey] = await check("importKey", () =>
+    Promise.all([
+      subtle.importKey("jwk", RSA_OAEP_JWK, params, false, ["decrypt"]),
+      subtle.importKey("jwk", { kty, n, e }, params, false, ["encrypt"]),
+    ])
+  );
+  await check("decrypt", async () => expectBytes(await subtle.decrypt({ name: "RSA-OAEP" }, privateKey, fromHex(RSA_OAEP_CIPHERTEXT)), message));
+  await check("encrypt", async () => {
+    const ciphertext = await subtle.encrypt({ name: "RSA-OAEP" }, publicKey, message);
+    expectBytes(await subtle.decrypt({ name: "RSA-OAEP" }, privateKey, ciphertext), message);
+  });
+};
+
+// RFC 8032 section 7.1, test 1 (empty message)
+const ed25519SelfTest: SelfTest = async (subtle, check) => {
+  const jwk = { kty: "OKP", crv: "Ed25519", d: "nWGxne_9WmC6hEr0kuwsxERJxWl7MmkZcDusAxyuf2A", x: "11qYAYKxCrfVS_7TyWQHOg7hcvPapiMlrwIaaPcHURo" };
+  const message = new Uint8Array(0);
+  const [privateKey, publicKey] = await check("importKey", () =>
+    Promise.all([
+      subtle.importKey("jwk", jwk, "Ed25519", false, ["sign"]),
+      subtle.importKey("raw", fromHex("d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a"), "Ed25519", false, ["verify"]),
+    ])
+  );
+  const signature = await check("sign", async () => {
+    const result = await subtle.sign("Ed25519", privateKey, message);
+    expectBytes(
+      result,
+      fromHex(
+        "e5564300c360ac729086e2cc806e828a84877f1eb8e5d974d873e065224901555fb8821590a33bacc61e39701cf9b46b" +
+          "d25bf5f0595bbe24655141438e7a100b"
+      )
+    );
+    return result;
+  });
+  await check("verify", async () => expectTrue(await subtle.verify("Ed25519", publicKey, signature, message), "Ed25519 verify"));
+};
+
+// Random values have no known answer; catch a provider that leaves the array untouched or repeats itself
+const rngSelfTest: SelfTest = async (_subtle, check, getRandomValues) => {
+  await check("getRandomValues", async () => {
+    if (!getRandomValues) {
+      throw notSupportedError("getRandomValues is not available");
+    }
+    const first = getRandomValues(new Uint8Array(32));
+    const second = getRandomValues(new Uint8Array(32));
+    expectTrue(first.some((byte) => byte !== 0), "random values are all zero");
+    expectTrue(first.some((byte, i) => byte !== second[i]), "random values repeat");
+  });
+};
+
+/**
+ * Self-tests by algorithm name
+ */
+const SELF_TESTS: Record<string, SelfTest> = {
+  "SHA-256": digestSelfTest("SHA-256", "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"),
+  "SHA-512": digestSelfTest(
+    "SHA-512",
+    "ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f"
+  ),
+  "AES-GCM": aesGcmSelfTest,
+  HMAC: hmacSelfTest,
+  PBKDF2: pbkdf2SelfTest,
+  HKDF: hkdfSelfTest,
+  "RSA-OAEP": rsaOaepSelfTest,
+  Ed25519: ed25519SelfTest,
+  RNG: rngSelfTest,
+};
+
+/**
+ * Run the self-tests against a provider, or against a registry's routed SubtleCrypto, and report every check
+ */
+export async function getCryptoCapabilities(
+  target: CryptoProvider | CryptoProviderRegistry,
+  options: CryptoCapabilityOptions = {}
+): Promise<CryptoCapabilityReport> {
+  const started = Date.now();
+  let subtle: SubtleCrypto;
+  let getRandomValues: CryptoProvider["getRandomValues"];
+  let providerFor: (algorithm: string, operation: CapabilityOperation) => string;
+  if (target instanceof CryptoProviderRegistry) {
+    await target.ready;
+    subtle = target.getSubtle();
+    getRandomValues = (array) => target.getRandomValues(array);
+    const randomProvider = target.getProviders().find((provider) => provider.getRandomValues)?.name ?? "none";
+    providerFor = (algorithm, operation) =>
+      operation === "getRandomValues" ? randomProvider : target.getProvider(algorithm, operation).name;
+  } else {
+    subtle = target.subtle;
+    getRandomValues = target.getRandomValues;
+    providerFor = () => target.name;
+  }
+
+  const required = options.required ?? REQUIRED_ALGORITHMS;
+  const algorithms = options.algorithms ? [...new Set([...options.algorithms, ...required])] : Object.keys(SELF_TESTS);
+  const checks: CapabilityCheck[] = [];
+  for (const algorithm of algorithms) {
+    const selfTest = SELF_TESTS[algorithm];
+    if (!selfTest) {
+      throw notSupportedError(`No crypto self-test for ${algorithm}`);
+    }
+    const check = async <T>(operation: CapabilityOperation, run: () => Promise<T>): Promise<T> => {
+      const provider = providerFor(algorithm, operation);
+      const checkStarted = Date.now();
+      try {
+        const result = await run();
+        checks.push({ provider, algorithm, operation, passed: true, latencyMs: Date.now() - checkStarted });
+        return result;
+      } catch (error) {
+        checks.push({ provider, algorithm, operation, passed: false, latencyMs: Date.now() - checkStarted, error: String(error) });
+        throw error;
+      }
+    };
+    // A failed check is recorded above and ends the self-test
+    await selfTest(subtle, check, getRandomValues).catch(() => undefined);
+  }
+
+  const failedAlgorithms = [...new Set(checks.filter((entry) => !entry.passed).map((entry) => entry.algorithm))];
+  const failedRequired = required.filter((algorithm) => failedAlgorithms.includes(algorithm));
+  return { checks, failedAlgorithms, failedRequired, passed: failedRequired.length === 0, durationMs: Date.now() - started };
+}
+
+/**
+ * Throw NotSupportedError when a required algorithm failed its self-test, to stop startup
+ */
+export function assertCryptoCapabilities(report: CryptoCapabilityReport): void {
+  if (report.passed) {
+    return;
+  }
+  const failures = report.failedRequired.map((algorithm) => {
+    const failed = report.checks.find((entry) => entry.algorithm === algorithm && !entry.passed)!;
+    return `${algorithm} ${failed.operation} on ${failed.provider} (${failed.error})`;
+  });
+  throw notSupportedError(`Required crypto algorithms failed their self-tests: ${failures.join("; ")}`);
+}
+
+// Report of the self-test started at app startup
+let startupSelfTest: Promise<CryptoCapabilityReport> | null = null;
+
+/**
+ * Start the self-tests of the crypto the app will use, once at startup, so the app can wait for the report with
+ * getStartupSelfTest; when createTarget throws (e.g. a missing native module) the report rejects with that error
+ */
+export function runStartupSelfTest(
+  createTarget: () => CryptoProvider | CryptoProviderRegistry,
+  options: CryptoCapabilityOptions = {}
+): Promise<CryptoCapabilityReport> {
+  startupSelfTest = Promise.resolve().then(() => getCryptoCapabilities(createTarget(), options));
+  // Rejections are for whoever waits for the report
+  startupSelfTest.catch(() => undefined);
+  return startupSelfTest;
+}
+
+/**
+ * The report of the startup self-test, or null when none was started
+ */
+export function getStartupSelfTest(): Promise<CryptoCapabilityReport> | null {
+  return startupSelfTest;
+}
@@ -0,0 +1,98 @@
+/**
+ * Crypto Errors
+ * DOMException-compatible errors thrown by the polyfill and its adapters
+ *
+ * The name is the Web Crypto DOMException name, so code can branch on error.name as it would in a
+ * browser. The message uses react-native-quick-crypto's "[Name]: message" format, and its wording
+ * where it reports the same misuse, so code that inspects messages behaves the same on both backends.
+ */
+
+export type CryptoErrorName =
+  | "NotSupportedError"
+  | "DataError"
+  | "OperationError"
+  | "InvalidAccessError"
+  | "SyntaxError"
+  | "AbortError";
+
+// Legacy DOMException codes; names introduced by Web Crypto have code 0
+const LEGACY_CODES: Record<CryptoErrorName, number> = {
+  NotSupportedError: 9,
+  DataError: 0,
+  OperationError: 0,
+  InvalidAccessError: 15,
+  SyntaxError: 12,
+  AbortError: 20,
+};
+
+/**
+ * Error with the name, message and code members of a DOMException
+ */
+export class CryptoDOMException extends Error {
+  readonly code: number;
+
+  constructor(message: string, name: CryptoErrorName) {
+    super(`[${name}]: ${message}`);
+    this.name = name;
+    this.code = LEGACY_CODES[name];
+  }
+}
+
+/**
+ * The algorithm, format or parameter is not implemented
+ */
+export function notSupportedError(message: string): CryptoDOMException {
+  return new CryptoDOMException(message, "NotSupportedError");
+}
+
+/**
+ * Key data or a JWK member is malformed or does not match the requested algorithm
+ */
+export function dataError(message: string): CryptoDOMException {
+  return new CryptoDOMException(message, "DataError");
+}
+
+/**
+ * The operation failed for a reason specific to the algorithm (bad parameters, failed decryption)
+ */
+export function operationError(message: string): CryptoDOMException {
+  return new CryptoDOMException(message, "OperationError");
+}
+
+/**
+ * The key cannot be used for the requested operation
+ */
+export function invalidAccessError(message: string): CryptoDOMException {
+  return new CryptoDOMException(message, "InvalidAccessError");
+}
+
+/**
+ * The requested key usages are invalid for the key type
+ */
+export function syntaxError(message: string): CryptoDOMException {
+  return new CryptoDOMException(message, "SyntaxError");
+}
+
+/**
+ * A required algorithm member is missing, as WebIDL reports it when converting the algorithm dictionary
+ */
+export function typeError(message: string): TypeError {
+  return new TypeError(`[TypeError]: ${message}`);
+}
+
+/**
+ * The operation was cancelled through its AbortSignal
+ */
+export function abortError(message: string): CryptoDOMException {
+  return new CryptoDOMException(message, "AbortError");
+}
+
+/**
+ * Wrap an unexpected error from a third-party library, keeping already-classified errors as they are
+ */
+export function toCryptoError(error: unknown, fallback: (message: string) => CryptoDOMException, context: string): Error {
+  if (error instanceof CryptoDOMException) {
+    return error;
+  }
+  return fallback(`${context}: ${error instanceof Error ? error.message : String(error)}`);
+}
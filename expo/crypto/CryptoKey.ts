@@ -0,0 +1,79 @@
+/**
+ * CryptoKey
+ * Internal CryptoKey implementation used by the polyfill adapters
+ *
+ * Key material is kept in a private slot (a module-level WeakMap) instead of on the key object,
+ * so application code sees the same read-only type/extractable/algorithm/usages surface as a
+ * native CryptoKey and cannot reach the material. Only the adapters read it via getKeyMaterial.
+ */
+
+import type forge from "node-forge";
+
+/**
+ * Key material held in a key's private slot; which members are set depends on the algorithm
+ */
+export interface KeyMaterial {
+  rawKey?: ArrayBuffer; // AES, HMAC, PBKDF2 and HKDF secret keys
+  rawPublicKey?: Uint8Array; // Ed25519, X25519 and EC public keys (EC: uncompressed point)
+  rawPrivateKey?: Uint8Array; // Ed25519 (TweetNaCl 64-byte secret key), X25519 and EC private keys
+  privateScalar?: bigint; // EC private scalar
+  forgePublicKey?: forge.pki.rsa.PublicKey;
+  forgePrivateKey?: forge.pki.rsa.PrivateKey;
+}
+
+const keyMaterialSlots = new WeakMap<PolyfillCryptoKey, KeyMaterial>();
+
+/**
+ * CryptoKey returned by every polyfill operation
+ */
+export class PolyfillCryptoKey implements CryptoKey {
+  readonly type: KeyType;
+  readonly extractable: boolean;
+  readonly algorithm: KeyAlgorithm;
+  readonly usages: KeyUsage[];
+
+  constructor(type: KeyType, extractable: boolean, algorithm: KeyAlgorithm, usages: KeyUsage[], material: KeyMaterial) {
+    this.type = type;
+    this.extractable = extractable;
+    this.algorithm = Object.freeze({ ...algorithm });
+    this.usages = Object.freeze([...usages]) as KeyUsage[];
+    keyMaterialSlots.set(this, material);
+    Object.freeze(this);
+  }
+
+  get [Symbol.toStringTag](): string {
+    return "CryptoKey";
+  }
+}
+
+/**
+ * Create a polyfill CryptoKey
+ */
+export function createCryptoKey(
+  type: KeyType,
+  extractable: boolean,
+  algorithm: KeyAlgorithm,
+  usages: KeyUsage[],
+  material: KeyMaterial
+): CryptoKey {
+  return new PolyfillCryptoKey(type, extractable, algorithm, usages, material);
+}
+
+/**
+ * Check whether a value is a key created by the polyfill
+ */
+export function isPolyfillCryptoKey(key: unknown): key is PolyfillCryptoKey {
+  return key instanceof PolyfillCryptoKey && keyMaterialSlots.has(key);
+}
+
+/**
+ * Read the key material from a polyfill key's private slot
+ * Throws a TypeError for keys that did not come from the polyfill, as browsers do for non-CryptoKeys
+ */
+export function getKeyMaterial(key: CryptoKey): KeyMaterial {
+  const material = key instanceof PolyfillCryptoKey ? keyMaterialSlots.get(key) : undefined;
+  if (!material) {
+    throw new TypeError("Key is not a CryptoKey created by this implementation");
+  }
+  return material;
+}
@@ -0,0 +1,192 @@
+/**
+ * Crypto Provider Probes
+ * Short functional checks run against a provider's SubtleCrypto, one per algorithm
+ *
+ * A probe walks through the operations of its algorithm (create a key, use it, export and re-import it) and
+ * reports each one through step(); an operation counts as supported once its step resolved. The first failing
+ * step ends the probe, so the operations that depend on it are not counted as supported either.
+ */
+
+export type SubtleOperation =
+  | "encrypt"
+  | "decrypt"
+  | "sign"
+  | "verify"
+  | "digest"
+  | "generateKey"
+  | "importKey"
+  | "exportKey"
+  | "deriveBits"
+  | "deriveKey"
+  | "wrapKey"
+  | "unwrapKey";
+
+export type ProbeStep = <T>(operation: SubtleOperation, run: () => Promise<T>) => Promise<T>;
+
+export type AlgorithmProbe = (subtle: SubtleCrypto, step: ProbeStep) => Promise<void>;
+
+const MESSAGE = new Uint8Array([0x70, 0x72, 0x6f, 0x62, 0x65]); // "probe"
+const SALT = new Uint8Array(16).fill(0x5a);
+
+// RSA probes use the smallest modulus every provider accepts, to keep generation short
+const RSA_PROBE_PARAMS = { modulusLength: 1024, publicExponent: new Uint8Array([1, 0, 1]), hash: "SHA-256" };
+const AES_GCM_KEY = { name: "AES-GCM", length: 256 };
+
+/**
+ * Throw unless a result holds the expected bytes
+ */
+function expectBytes(actual: ArrayBuffer, expected: Uint8Array): void {
+  const bytes = new Uint8Array(actual);
+  if (bytes.length !== expected.length || bytes.some((byte, i) => byte !== expected[i])) {
+    throw new Error("Probe result does not match the expected bytes");
+  }
+}
+
+function expectTrue(value: boolean, description: string): void {
+  if (!value) {
+    throw new Error(`Probe failed: ${description}`);
+  }
+}
+
+function digestProbe(name: string, size: number): AlgorithmProbe {
+  return async (subtle, step) => {
+    await step("digest", async () => expectTrue((await subtle.digest(name, MESSAGE)).byteLength === size, `${name} size`));
+  };
+}
+
+function aesProbe(params: AesGcmParams | AesCbcParams | AesCtrParams): AlgorithmProbe {
+  return async (subtle, step) => {
+    const key = await step("generateKey", () => subtle.generateKey({ name: params.name, length: 256 }, true, ["encrypt", "decrypt"]));
+    const ciphertext = await step("encrypt", () => subtle.encrypt(params, key, MESSAGE));
+    await step("decrypt", async () => expectBytes(await subtle.decrypt(params, key, ciphertext), MESSAGE));
+    const raw = await step("exportKey", () => subtle.exportKey("raw", key));
+    await step("importKey", async () => {
+      const imported = await subtle.importKey("raw", raw, params.name, false, ["decrypt"]);
+      expectBytes(await subtle.decrypt(params, imported, ciphertext), MESSAGE);
+    });
+  };
+}
+
+function signatureProbe(
+  generateParams: RsaHashedKeyGenParams | EcKeyGenParams | Algorithm,
+  signParams: RsaPssParams | EcdsaParams | Algorithm,
+  importParams: RsaHashedImportParams | EcKeyImportParams | Algorithm
+): AlgorithmProbe {
+  return async (subtle, step) => {
+    const keyPair = (await step("generateKey", () => subtle.generateKey(generateParams, true, ["sign", "verify"]))) as CryptoKeyPair;
+    const signature = await step("sign", () => subtle.sign(signParams, keyPair.privateKey, MESSAGE));
+    await step("verify", async () => expectTrue(await subtle.verify(signParams, keyPair.publicKey, signature, MESSAGE), "verify"));
+    const spki = await step("exportKey", () => subtle.exportKey("spki", keyPair.publicKey));
+    await step("importKey", async () => {
+      const imported = await subtle.importKey("spki", spki, importParams, false, ["verify"]);
+      expectTrue(await subtle.verify(signParams, imported, signature, MESSAGE), "verify with imported key");
+    });
+  };
+}
+
+function keyAgreementProbe(
+  generateParams: EcKeyGenParams | Algorithm,
+  importParams: EcKeyImportParams | Algorithm
+): AlgorithmProbe {
+  return async (subtle, step) => {
+    const generate = () => subtle.generateKey(generateParams, true, ["deriveBits", "deriveKey"]) as Promise<CryptoKeyPair>;
+    const [alice, bob] = await step("generateKey", () => Promise.all([generate(), generate()]));
+    const bits = await step("deriveBits", async () => {
+      const shared = await subtle.deriveBits({ name: generateParams.name, public: bob.publicKey }, alice.privateKey, 256);
+      expectBytes(await subtle.deriveBits({ name: generateParams.name, public: alice.publicKey }, bob.privateKey, 256), new Uint8Array(shared));
+      return shared;
+    });
+    await step("deriveKey", async () => {
+      const key = await subtle.deriveKey({ name: generateParams.name, public: bob.publicKey }, alice.privateKey, AES_GCM_KEY, true, ["encrypt"]);
+      expectBytes(await subtle.exportKey("raw", key), new Uint8Array(bits));
+    });
+    const raw = await step("exportKey", () => subtle.exportKey("raw", bob.publicKey));
+    await step("importKey", async () => {
+      const imported = await subtle.importKey("raw", raw, importParams, false, []);
+      expectBytes(await subtle.deriveBits({ name: generateParams.name, public: imported }, alice.privateKey, 256), new Uint8Array(bits));
+    });
+  };
+}
+
+function keyDerivationProbe(params: Pbkdf2Params | HkdfParams): AlgorithmProbe {
+  return async (subtle, step) => {
+    const baseKey = await step("importKey", () => subtle.importKey("raw", MESSAGE, params.name, false, ["deriveBits", "deriveKey"]));
+    const bits = await step("deriveBits", () => subtle.deriveBits(params, baseKey, 256));
+    await step("deriveKey", async () => {
+      const key = await subtle.deriveKey(params, baseKey, AES_GCM_KEY, true, ["encrypt"]);
+      expectBytes(await subtle.exportKey("raw", key), new Uint8Array(bits));
+    });
+  };
+}
+
+const rsaOaepProbe: AlgorithmProbe = async (subtle, step) => {
+  const params = { name: "RSA-OAEP", ...RSA_PROBE_PARAMS };
+  const usages: KeyUsage[] = ["encrypt", "decrypt", "wrapKey", "unwrapKey"];
+  const keyPair = (await step("generateKey", () => subtle.generateKey(params, true, usages))) as CryptoKeyPair;
+  const ciphertext = await step("encrypt", () => subtle.encrypt({ name: "RSA-OAEP" }, keyPair.publicKey, MESSAGE));
+  await step("decrypt", async () => expectBytes(await subtle.decrypt({ name: "RSA-OAEP" }, keyPair.privateKey, ciphertext), MESSAGE));
+  const pkcs8 = await step("exportKey", () => subtle.exportKey("pkcs8", keyPair.privateKey));
+  await step("importKey", async () => {
+    const imported = await subtle.importKey("pkcs8", pkcs8, params, false, ["decrypt"]);
+    expectBytes(await subtle.decrypt({ name: "RSA-OAEP" }, imported, ciphertext), MESSAGE);
+  });
+  const aesKey = await subtle.importKey("raw", SALT, "AES-GCM", true, ["encrypt"]);
+  const wrapped = await step("wrapKey", () => subtle.wrapKey("raw", aesKey, keyPair.publicKey, { name: "RSA-OAEP" }));
+  await step("unwrapKey", async () => {
+    const unwrapped = await subtle.unwrapKey("raw", wrapped, keyPair.privateKey, { name: "RSA-OAEP" }, "AES-GCM", true, ["encrypt"]);
+    expectBytes(await subtle.exportKey("raw", unwrapped), SALT);
+  });
+};
+
+const aesKwProbe: AlgorithmProbe = async (subtle, step) => {
+  const key = await step("generateKey", () => subtle.generateKey({ name: "AES-KW", length: 256 }, true, ["wrapKey", "unwrapKey"]));
+  const aesKey = await subtle.importKey("raw", SALT, "AES-GCM", true, ["encrypt"]);
+  const wrapped = await step("wrapKey", () => subtle.wrapKey("raw", aesKey, key, "AES-KW"));
+  await step("unwrapKey", async () => {
+    const unwrapped = await subtle.unwrapKey("raw", wrapped, key, "AES-KW", "AES-GCM", true, ["encrypt"]);
+    expectBytes(await subtle.exportKey("raw", unwrapped), SALT);
+  });
+  const raw = await step("exportKey", () => subtle.exportKey("raw", key));
+  await step("importKey", () => subtle.importKey("raw", raw, "AES-KW", false, ["wrapKey"]));
+};
+
+// HMAC keys are imported first, so that providers without HMAC generateKey still count for sign and verify
+const hmacProbe: AlgorithmProbe = async (subtle, step) => {
+  const params = { name: "HMAC", hash: "SHA-256" };
+  const key = await step("importKey", () => subtle.importKey("raw", SALT, params, true, ["sign", "verify"]));
+  const signature = await step("sign", () => subtle.sign(params, key, MESSAGE));
+  await step("verify", async () => expectTrue(await subtle.verify(params, key, signature, MESSAGE), "verify"));
+  await step("exportKey", async () => expectBytes(await subtle.exportKey("raw", key), SALT));
+  await step("generateKey", () => subtle.generateKey(params, false, ["sign"]));
+};
+
+/**
+ * Probes by Web Crypto algorithm name
+ */
+export const ALGORITHM_PROBES: Record<string, AlgorithmProbe> = {
+  "SHA-1": digestProbe("SHA-1", 20),
+  "SHA-256": digestProbe("SHA-256", 32),
+  "SHA-384": digestProbe("SHA-384", 48),
+  "SHA-512": digestProbe("SHA-512", 64),
+  "AES-GCM": aesProbe({ name: "AES-GCM", iv: SALT.subarray(0, 12) }),
+  "AES-CBC": aesProbe({ name: "AES-CBC", iv: SALT }),
+  "AES-CTR": aesProbe({ name: "AES-CTR", counter: SALT, length: 64 }),
+  "AES-KW": aesKwProbe,
+  HMAC: hmacProbe,
+  PBKDF2: keyDerivationProbe({ name: "PBKDF2", salt: SALT, iterations: 2, hash: "SHA-256" }),
+  HKDF: keyDerivationProbe({ name: "HKDF", salt: SALT, info: MESSAGE, hash: "SHA-256" }),
+  "RSA-OAEP": rsaOaepProbe,
+  "RSA-PSS": signatureProbe(
+    { name: "RSA-PSS", ...RSA_PROBE_PARAMS },
+    { name: "RSA-PSS", saltLength: 32 },
+    { name: "RSA-PSS", hash: "SHA-256" }
+  ),
+  ECDSA: signatureProbe(
+    { name: "ECDSA", namedCurve: "P-256" },
+    { name: "ECDSA", hash: "SHA-256" },
+    { name: "ECDSA", namedCurve: "P-256" }
+  ),
+  Ed25519: signatureProbe({ name: "Ed25519" }, { name: "Ed25519" }, { name: "Ed25519" }),
+  ECDH: keyAgreementProbe({ name: "ECDH", namedCurve: "P-256" }, { name: "ECDH", namedCurve: "P-256" }),
+  X25519: keyAgreementProbe({ name: "X25519" }, { name: "X25519" }),
+};
@@ -0,0 +1,343 @@
+/**
+ * Crypto Provider Registry
+ * Routes each SubtleCrypto call to the best provider that supports its algorithm and operation
+ *
+ * Providers are ranked in registration order, or by the order override. At startup every provider is probed per
+ * algorithm and operation (see CryptoProviderProbes), and a call goes to the highest-ranked provider that passed
+ * the probe, unless an algorithm override names a provider. This lets a quick-crypto build without Ed25519 use
+ * native AES alongside the JavaScript Ed25519.
+ *
+ * Keys remember the provider that created them and stay with it where it supports the operation. A key used
+ * with another provider (e.g. an ECDH public key from one provider and a private key from the other) is moved
+ * there through a JWK export, which needs the key to be extractable.
+ */
+
+import { invalidAccessError } from "./CryptoErrors";
+import { ALGORITHM_PROBES } from "./CryptoProviderProbes";
+import type { SubtleOperation } from "./CryptoProviderProbes";
+
+export interface CryptoProvider {
+  // Name used in overrides and probe results, e.g. "quick-crypto" or "js"
+  name: string;
+  subtle: SubtleCrypto;
+  getRandomValues?: <T extends ArrayBufferView | null>(array: T) => T;
+  // Treat every algorithm and operation as supported instead of probing, for the JavaScript polyfill, whose
+  // RSA key generation probe would block the JS thread at startup
+  skipProbes?: boolean;
+}
+
+/**
+ * Explicit routing, from app.json extra.cryptoProviders or constructor options
+ */
+export interface CryptoProviderOverrides {
+  // Provider names in priority order; unlisted providers follow in registration order
+  order?: string[];
+  // Provider name per algorithm, used whatever the probes found, e.g. { Ed25519: "js" }
+  algorithms?: Record<string, string>;
+  // Providers to leave out, e.g. ["quick-crypto"] to force the JavaScript fallback
+  disabled?: string[];
+}
+
+/**
+ * Outcome of one probed operation
+ */
+export interface ProbeResult {
+  provider: string;
+  algorithm: string;
+  operation: SubtleOperation;
+  passed: boolean;
+  error?: string;
+}
+
+/**
+ * Registry of crypto providers with per-algorithm routing
+ */
+export class CryptoProviderRegistry {
+  private readonly providers: CryptoProvider[];
+  private readonly algorithmOverrides: Record<string, string>;
+  // Passed operations by provider name, then algorithm
+  private readonly supported = new Map<string, Map<string, Set<SubtleOperation>>>();
+  private readonly results: ProbeResult[] = [];
+  private readonly keyProviders = new WeakMap<CryptoKey, CryptoProvider>();
+  // Copies of keys moved to other providers, by provider name
+  private readonly movedKeys = new WeakMap<CryptoKey, Map<string, Promise<CryptoKey>>>();
+  private readonly subtle: SubtleCrypto;
+
+  /**
+   * Resolves once every provider has been probed; calls made earlier wait for it
+   */
+  readonly ready: Promise<void>;
+
+  constructor(providers: CryptoProvider[], overrides: CryptoProviderOverrides = {}) {
+    const disabled = overrides.disabled ?? [];
+    const order = overrides.order ?? [];
+    const rank = (provider: CryptoProvider) => {
+      const index = order.indexOf(provider.name);
+      return index === -1 ? order.length : index;
+    };
+    // Array.prototype.sort is stable, so unlisted providers keep their registration order
+    this.providers = providers.filter((provider) => !disabled.includes(provider.name)).sort((a, b) => rank(a) - rank(b));
+    if (this.providers.length === 0) {
+      throw new Error("No crypto provider available");
+    }
+
+    this.algorithmOverrides = {};
+    for (const [algorithm, name] of Object.entries(overrides.algorithms ?? {})) {
+      if (!this.providers.some((provider) => provider.name === name)) {
+        throw new Error(`Crypto provider override for ${algorithm} names an unavailable provider: ${name}`);
+      }
+      this.algorithmOverrides[normalizeAlgorithmName(algorithm)] = name;
+    }
+
+    this.subtle = this.createSubtle();
+    this.ready = this.probeProviders();
+  }
+
+  /**
+   * Providers in priority order
+   */
+  getProviders(): CryptoProvider[] {
+    return [...this.providers];
+  }
+
+  /**
+   * Result of every probed operation, once ready has resolved
+   */
+  getProbeResults(): ProbeResult[] {
+    return [...this.results];
+  }
+
+  /**
+   * Check whether a provider passed the probe for an algorithm and operation
+   */
+  supports(providerName: string, algorithm: string, operation: SubtleOperation): boolean {
+    const provider = this.providers.find((candidate) => candidate.name === providerName);
+    if (provider?.skipProbes) {
+      return true;
+    }
+    return this.supported.get(providerName)?.get(normalizeAlgorithmName(algorithm))?.has(operation) ?? false;
+  }
+
+  /**
+   * Get the provider a call for an algorithm and operation is routed to (without keys from a provider)
+   */
+  getProvider(algorithm: string, operation: SubtleOperation): CryptoProvider {
+    return this.selectProvider(normalizeAlgorithmName(algorithm), operation, []);
+  }
+
+  /**
+   * Get the SubtleCrypto that routes every call through the registry
+   */
+  getSubtle(): SubtleCrypto {
+    return this.subtle;
+  }
+
+  /**
+   * Fill an array with random values from the highest-ranked provider that has getRandomValues
+   */
+  getRandomValues<T extends ArrayBufferView | null>(array: T): T {
+    const provider = this.providers.find((candidate) => candidate.getRandomValues);
+    if (!provider?.getRandomValues) {
+      throw new Error("No crypto provider offers getRandomValues");
+    }
+    return provider.getRandomValues(array);
+  }
+
+  private async probeProviders(): Promise<void> {
+    for (const provider of this.providers) {
+      if (provider.skipProbes) {
+        continue;
+      }
+      const algorithms = new Map<string, Set<SubtleOperation>>();
+      this.supported.set(provider.name, algorithms);
+      for (const [algorithm, probe] of Object.entries(ALGORITHM_PROBES)) {
+        const passed = new Set<SubtleOperation>();
+        algorithms.set(algorithm, passed);
+        const step = async <T>(operation: SubtleOperation, run: () => Promise<T>): Promise<T> => {
+          try {
+            const result = await run();
+            passed.add(operation);
+            this.results.push({ provider: provider.name, algorithm, operation, passed: true });
+            return result;
+          } catch (error) {
+            this.results.push({ provider: provider.name, algorithm, operation, passed: false, error: String(error) });
+            throw error;
+          }
+        };
+        // A failed step is recorded above and ends the probe
+        await probe(provider.subtle, step).catch(() => undefined);
+      }
+    }
+  }
+
+  /**
+   * Pick the provider for a call: the algorithm override, else the provider of the call's first key if it
+   * supports the operation, else the highest-ranked provider that does
+   * Without any supporting provider the call goes to the highest-ranked one, which reports the error.
+   */
+  private selectProvider(algorithm: string, operation: SubtleOperation, keys: CryptoKey[]): CryptoProvider {
+    const override = this.algorithmOverrides[algorithm];
+    if (override) {
+      return this.providers.find((provider) => provider.name === override)!;
+    }
+    const keyProvider = keys.length > 0 ? this.keyProviders.get(keys[0]) : undefined;
+    // A key is always exported by its own provider; moving it would need an export first
+    if (keyProvider && (operation === "exportKey" || this.supports(keyProvider.name, algorithm, operation))) {
+      return keyProvider;
+    }
+    return (
+      this.providers.find((provider) => this.supports(provider.name, algorithm, operation)) ??
+      keyProvider ??
+      this.providers[0]
+    );
+  }
+
+  /**
+   * Route a call: wait for the probes, select the provider, move the keys there and remember the provider of
+   * the keys the call creates
+   */
+  private async route<T>(
+    algorithm: AlgorithmIdentifier,
+    operation: SubtleOperation,
+    keys: CryptoKey[],
+    call: (subtle: SubtleCrypto, keys: CryptoKey[]) => Promise<T>
+  ): Promise<T> {
+    await this.ready;
+    const provider = this.selectProvider(normalizeAlgorithmName(getAlgorithmName(algorithm)), operation, keys);
+    const movedKeys = await Promise.all(keys.map((key) => this.moveKey(key, provider)));
+    const result = await call(provider.subtle, movedKeys);
+    this.rememberKeys(result, provider);
+    return result;
+  }
+
+  private rememberKeys(result: unknown, provider: CryptoProvider): void {
+    if (isCryptoKey(result)) {
+      this.keyProviders.set(result, provider);
+    } else if (result && typeof result === "object" && "privateKey" in result && "publicKey" in result) {
+      const keyPair = result as CryptoKeyPair;
+      this.keyProviders.set(keyPair.privateKey, provider);
+      this.keyProviders.set(keyPair.publicKey, provider);
+    }
+  }
+
+  /**
+   * Get a key usable with the provider, importing a JWK export of it when another provider created it
+   */
+  private moveKey(key: CryptoKey, provider: CryptoProvider): Promise<CryptoKey> {
+    const origin = this.keyProviders.get(key);
+    if (!origin || origin === provider) {
+      return Promise.resolve(key);
+    }
+    let copies = this.movedKeys.get(key);
+    if (!copies) {
+      copies = new Map();
+      this.movedKeys.set(key, copies);
+    }
+    let copy = copies.get(provider.name);
+    if (!copy) {
+      if (!key.extractable) {
+        return Promise.reject(
+          invalidAccessError(`A non-extractable key from ${origin.name} cannot be used with ${provider.name}`)
+        );
+      }
+      const pending = origin.subtle.exportKey("jwk", key).then(async (jwk) => {
+        const moved = await provider.subtle.importKey("jwk", jwk, key.algorithm, key.extractable, key.usages);
+        this.keyProviders.set(moved, provider);
+        return moved;
+      });
+      // A failed copy is not cached, so the next use of the key tries again
+      pending.catch(() => copies!.delete(provider.name));
+      copies.set(provider.name, pending);
+      copy = pending;
+    }
+    return copy;
+  }
+
+  private createSubtle(): SubtleCrypto {
+    const subtle = {
+      encrypt: (algorithm: AlgorithmIdentifier, key: CryptoKey, data: BufferSource) =>
+        this.route(algorithm, "encrypt", [key], (s, [k]) => s.encrypt(algorithm, k, data)),
+      decrypt: (algorithm: AlgorithmIdentifier, key: CryptoKey, data: BufferSource) =>
+        this.route(algorithm, "decrypt", [key], (s, [k]) => s.decrypt(algorithm, k, data)),
+      sign: (algorithm: AlgorithmIdentifier, key: CryptoKey, data: BufferSource) =>
+        this.route(algorithm, "sign", [key], (s, [k]) => s.sign(algorithm, k, data)),
+      verify: (algorithm: AlgorithmIdentifier, key: CryptoKey, signature: BufferSource, data: BufferSource) =>
+        this.route(algorithm, "verify", [key], (s, [k]) => s.verify(algorithm, k, signature, data)),
+      digest: (algorithm: AlgorithmIdentifier, data: BufferSource) =>
+        this.route(algorithm, "digest", [], (s) => s.digest(algorithm, data)),
+      generateKey: (algorithm: AlgorithmIdentifier, extractable: boolean, keyUsages: KeyUsage[]) =>
+        this.route(algorithm, "generateKey", [], (s) => s.generateKey(algorithm, extractable, keyUsages)),
+      importKey: (
+        format: KeyFormat,
+        keyData: BufferSource | JsonWebKey,
+        algorithm: AlgorithmIdentifier,
+        extractable: boolean,
+        keyUsages: KeyUsage[]
+      ) =>
+        this.route(algorithm, "importKey", [], (s) =>
+          s.importKey(format as any, keyData as any, algorithm, extractable, keyUsages)
+        ),
+      exportKey: (format: KeyFormat, key: CryptoKey) =>
+        this.route(key.algorithm, "exportKey", [key], (s, [k]) => s.exportKey(format as any, k)),
+      deriveBits: (algorithm: AlgorithmIdentifier, baseKey: CryptoKey, length?: number | null) => {
+        const [publicKey, withPublicKey] = splitPublicKey(algorithm);
+        return this.route(algorithm, "deriveBits", [baseKey, ...publicKey], (s, [k, p]) =>
+          s.deriveBits(withPublicKey(p), k, length)
+        );
+      },
+      deriveKey: (
+        algorithm: AlgorithmIdentifier,
+        baseKey: CryptoKey,
+        derivedKeyType: AlgorithmIdentifier,
+        extractable: boolean,
+        keyUsages: KeyUsage[]
+      ) => {
+        const [publicKey, withPublicKey] = splitPublicKey(algorithm);
+        return this.route(algorithm, "deriveKey", [baseKey, ...publicKey], (s, [k, p]) =>
+          s.deriveKey(withPublicKey(p), k, derivedKeyType, extractable, keyUsages)
+        );
+      },
+      wrapKey: (format: KeyFormat, key: CryptoKey, wrappingKey: CryptoKey, wrapAlgorithm: AlgorithmIdentifier) =>
+        this.route(wrapAlgorithm, "wrapKey", [wrappingKey, key], (s, [w, k]) => s.wrapKey(format, k, w, wrapAlgorithm)),
+      unwrapKey: (
+        format: KeyFormat,
+        wrappedKey: BufferSource,
+        unwrappingKey: CryptoKey,
+        unwrapAlgorithm: AlgorithmIdentifier,
+        unwrappedKeyAlgorithm: AlgorithmIdentifier,
+        extractable: boolean,
+        keyUsages: KeyUsage[]
+      ) =>
+        this.route(unwrapAlgorithm, "unwrapKey", [unwrappingKey], (s, [u]) =>
+          s.unwrapKey(format, wrappedKey, u, unwrapAlgorithm, unwrappedKeyAlgorithm, extractable, keyUsages)
+        ),
+    };
+    return subtle as unknown as SubtleCrypto;
+  }
+}
+
+/**
+ * Canonical spelling of an algorithm name (Web Crypto names are case-insensitive)
+ */
+function normalizeAlgorithmName(name: string): string {
+  return Object.keys(ALGORITHM_PROBES).find((known) => known.toUpperCase() === name.toUpperCase()) ?? name;
+}
+
+function getAlgorithmName(algorithm: AlgorithmIdentifier | KeyAlgorithm): string {
+  return typeof algorithm === "string" ? algorithm : String(algorithm?.name);
+}
+
+function isCryptoKey(value: unknown): value is CryptoKey {
+  return !!value && typeof value === "object" && "algorithm" in value && "usages" in value && "type" in value;
+}
+
+/**
+ * Take the peer public key out of ECDH and X25519 parameters, so it can be moved like the other keys
+ * Returns the key (if any) and a function that puts the moved key back into the parameters
+ */
+function splitPublicKey(algorithm: AlgorithmIdentifier): [CryptoKey[], (key?: CryptoKey) => AlgorithmIdentifier] {
+  if (typeof algorithm === "object" && "public" in algorithm && isCryptoKey(algorithm.public)) {
+    return [[algorithm.public], (key) => ({ ...algorithm, public: key })];
+  }
+  return [[], () => algorithm];
+}
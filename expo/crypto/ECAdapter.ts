@@ -0,0 +1,394 @@
+/**
+ * EC Adapter
+ * Implements ECDH key agreement and ECDSA signatures on the NIST P-256 curve using the BigInt
+ * arithmetic in P256Curve
+ */
+
+import nacl from "tweetnacl";
+import {
+  P256_FIELD_SIZE,
+  P256_GENERATOR,
+  P256_ORDER,
+  AffinePoint,
+  pointMultiply,
+  pointAdd,
+  mod,
+  modInverse,
+  encodePoint,
+  decodePoint,
+  bytesToBigInt,
+  bigIntToBytes,
+} from "./P256Curve";
+import { createCryptoKey, getKeyMaterial } from "./CryptoKey";
+import { dataError, invalidAccessError, notSupportedError, operationError, syntaxError } from "./CryptoErrors";
+import { createMessageDigest, updateDigest } from "./SHA256Adapter";
+import { binaryStringToBytes, toBytes } from "./ByteUtils";
+import {
+  uint8ArrayToBase64Url,
+  base64UrlToUint8Array,
+  validateJwkImport,
+  encodeECPublicKeyToSPKI,
+  extractECPublicKeyFromSPKI,
+  encodeECPrivateKeyToPKCS8,
+  extractECPrivateKeyFromPKCS8,
+} from "./KeyFormatConverter";
+
+export interface ECKeyGenParams {
+  name: "ECDH" | "ECDSA";
+  namedCurve: "P-256";
+}
+
+export interface ECDHDeriveParams {
+  name: "ECDH";
+  public: CryptoKey;
+}
+
+export interface ECDSAParams {
+  name: "ECDSA";
+  hash: HashAlgorithmIdentifier;
+}
+
+// Usages each key type may carry, per algorithm; ECDH public keys have none
+const EC_KEY_USAGES: Record<ECKeyGenParams["name"], { public: KeyUsage[]; private: KeyUsage[] }> = {
+  ECDH: { public: [], private: ["deriveKey", "deriveBits"] },
+  ECDSA: { public: ["verify"], private: ["sign"] },
+};
+
+/**
+ * Generate an EC key pair
+ */
+export async function ecGenerateKey(
+  algorithm: ECKeyGenParams,
+  extractable: boolean,
+  keyUsages: KeyUsage[]
+): Promise<CryptoKeyPair> {
+  checkNamedCurve(algorithm.namedCurve);
+
+  const d = randomScalar();
+  const point = pointMultiply(d, P256_GENERATOR);
+
+  return {
+    // Public keys are always extractable
+    publicKey: createECPublicKey(point, algorithm, true, keyUsages),
+    privateKey: createECPrivateKey(d, point, algorithm, extractable, keyUsages),
+  };
+}
+
+/**
+ * Import EC key from raw (public point), SPKI (public), PKCS8 (private) or JWK format
+ */
+export async function ecImportKey(
+  format: "raw" | "spki" | "pkcs8" | "jwk",
+  keyData: ArrayBuffer | JsonWebKey,
+  algorithm: ECKeyGenParams,
+  extractable: boolean,
+  keyUsages: KeyUsage[]
+): Promise<CryptoKey> {
+  checkNamedCurve(algorithm.namedCurve);
+
+  if (format === "jwk") {
+    return ecImportJwk(keyData as JsonWebKey, algorithm, extractable, keyUsages);
+  }
+
+  const keyBytes = new Uint8Array(keyData as ArrayBuffer);
+  if (format !== "pkcs8") {
+    checkPublicKeyUsages(algorithm, keyUsages);
+  }
+  if (format === "raw") {
+    return createECPublicKey(decodePoint(keyBytes), algorithm, extractable, keyUsages);
+  } else if (format === "spki") {
+    const point = decodePoint(extractECPublicKeyFromSPKI(keyBytes));
+    return createECPublicKey(point, algorithm, extractable, keyUsages);
+  } else {
+    const { privateKey, point } = extractECPrivateKeyFromPKCS8(keyBytes);
+    const d = checkPrivateScalar(privateKey);
+    const derivedPoint = pointMultiply(d, P256_GENERATOR);
+    // The embedded public key is optional, but must match if present
+    if (point && !bytesEqual(encodePoint(derivedPoint), encodePoint(decodePoint(point)))) {
+      throw dataError("Invalid EC key: public key does not match the private key");
+    }
+    return createECPrivateKey(d, derivedPoint, algorithm, extractable, keyUsages);
+  }
+}
+
+/**
+ * Export EC key to raw (public point), SPKI (public), PKCS8 (private) or JWK format
+ */
+export async function ecExportKey(
+  format: "raw" | "spki" | "pkcs8" | "jwk",
+  key: CryptoKey
+): Promise<ArrayBuffer | JsonWebKey> {
+  const { rawPublicKey, rawPrivateKey } = getKeyMaterial(key);
+  const point = rawPublicKey as Uint8Array;
+  if (format === "jwk") {
+    const jwk: JsonWebKey = {
+      key_ops: [...key.usages],
+      ext: key.extractable,
+      kty: "EC",
+      crv: "P-256",
+      x: uint8ArrayToBase64Url(point.slice(1, 1 + P256_FIELD_SIZE)),
+      y: uint8ArrayToBase64Url(point.slice(1 + P256_FIELD_SIZE)),
+    };
+    if (key.type === "private") {
+      jwk.d = uint8ArrayToBase64Url(rawPrivateKey as Uint8Array);
+    }
+    return jwk;
+  } else if (format === "raw" || format === "spki") {
+    if (key.type !== "public") {
+      throw invalidAccessError(`Unable to export a ${format} ${key.algorithm.name} private key`);
+    }
+    return format === "raw" ? new Uint8Array(point).buffer : encodeECPublicKeyToSPKI(point);
+  } else {
+    if (key.type !== "private" || !rawPrivateKey) {
+      throw invalidAccessError(`Unable to export a pkcs8 ${key.algorithm.name} ${key.type} key`);
+    }
+    return encodeECPrivateKeyToPKCS8(rawPrivateKey, point);
+  }
+}
+
+/**
+ * Derive the ECDH shared secret (the x coordinate of d * Q)
+ * @param length Number of bits to return, or null for the full 256-bit secret
+ */
+export async function ecdhDeriveBits(
+  algorithm: ECDHDeriveParams,
+  baseKey: CryptoKey,
+  length: number | null
+): Promise<ArrayBuffer> {
+  const publicKey = algorithm.public;
+  if (!publicKey || publicKey.type !== "public" || publicKey.algorithm.name !== "ECDH") {
+    throw invalidAccessError("ECDH requires a public ECDH key in the 'public' parameter");
+  }
+  if ((publicKey.algorithm as EcKeyAlgorithm).namedCurve !== (baseKey.algorithm as EcKeyAlgorithm).namedCurve) {
+    throw invalidAccessError("ECDH public key curve does not match the private key");
+  }
+  const d = getKeyMaterial(baseKey).privateScalar;
+  if (baseKey.type !== "private" || d === undefined) {
+    throw invalidAccessError("The requested operation is not valid for the provided key");
+  }
+
+  const shared = pointMultiply(d, decodePoint(getKeyMaterial(publicKey).rawPublicKey as Uint8Array));
+  if (!shared) {
+    throw operationError("ECDH produced the point at infinity");
+  }
+  return truncateBits(bigIntToBytes(shared.x, P256_FIELD_SIZE), length);
+}
+
+/**
+ * Sign data with ECDSA; the signature is the raw r || s concatenation used by Web Crypto
+ */
+export async function ecdsaSign(
+  algorithm: ECDSAParams,
+  key: CryptoKey,
+  data: ArrayBuffer | Uint8Array
+): Promise<ArrayBuffer> {
+  const d = getKeyMaterial(key).privateScalar;
+  if (key.type !== "private" || d === undefined) {
+    throw invalidAccessError("Key must be a private key");
+  }
+  const e = hashToScalar(algorithm.hash, data);
+
+  for (;;) {
+    const k = randomScalar();
+    const r = mod(pointMultiply(k, P256_GENERATOR)!.x, P256_ORDER);
+    if (r === 0n) {
+      continue;
+    }
+    const s = mod(modInverse(k, P256_ORDER) * (e + r * d), P256_ORDER);
+    if (s === 0n) {
+      continue;
+    }
+    const signature = new Uint8Array(2 * P256_FIELD_SIZE);
+    signature.set(bigIntToBytes(r, P256_FIELD_SIZE), 0);
+    signature.set(bigIntToBytes(s, P256_FIELD_SIZE), P256_FIELD_SIZE);
+    return signature.buffer;
+  }
+}
+
+/**
+ * Verify a raw r || s ECDSA signature
+ */
+export async function ecdsaVerify(
+  algorithm: ECDSAParams,
+  key: CryptoKey,
+  signature: ArrayBuffer | Uint8Array,
+  data: ArrayBuffer | Uint8Array
+): Promise<boolean> {
+  const rawPublicKey = getKeyMaterial(key).rawPublicKey;
+  if (key.type !== "public" || !rawPublicKey) {
+    throw invalidAccessError("Key must be a public key");
+  }
+  const signatureBytes = new Uint8Array(signature);
+  if (signatureBytes.length !== 2 * P256_FIELD_SIZE) {
+    return false;
+  }
+  const r = bytesToBigInt(signatureBytes.slice(0, P256_FIELD_SIZE));
+  const s = bytesToBigInt(signatureBytes.slice(P256_FIELD_SIZE));
+  if (r === 0n || r >= P256_ORDER || s === 0n || s >= P256_ORDER) {
+    return false;
+  }
+
+  const e = hashToScalar(algorithm.hash, data);
+  const w = modInverse(s, P256_ORDER);
+  const point = pointAdd(
+    pointMultiply(mod(e * w, P256_ORDER), P256_GENERATOR),
+    pointMultiply(mod(r * w, P256_ORDER), decodePoint(rawPublicKey))
+  );
+  return point !== null && mod(point.x, P256_ORDER) === r;
+}
+
+/**
+ * Return the first length bits of a shared secret, as Web Crypto does
+ */
+export function truncateBits(secret: Uint8Array, length: number | null): ArrayBuffer {
+  if (length === null || length === undefined) {
+    return new Uint8Array(secret).buffer;
+  }
+  if (length > secret.length * 8) {
+    throw operationError(`Requested ${length} bits but the shared secret only has ${secret.length * 8}`);
+  }
+  const result = secret.slice(0, Math.ceil(length / 8));
+  // Zero the unused trailing bits of the last byte
+  if (length % 8 !== 0) {
+    result[result.length - 1] &= 0xff << (8 - (length % 8));
+  }
+  return result.buffer;
+}
+
+/**
+ * Import EC key from JWK (RFC 7518 section 6.2)
+ */
+function ecImportJwk(
+  jwk: JsonWebKey,
+  algorithm: ECKeyGenParams,
+  extractable: boolean,
+  keyUsages: KeyUsage[]
+): CryptoKey {
+  validateJwkImport(jwk, {
+    kty: "EC",
+    use: algorithm.name === "ECDSA" ? "sig" : "enc",
+    alg: algorithm.name === "ECDSA" ? ["ES256"] : ["ECDH-ES", "ECDH-ES+A128KW", "ECDH-ES+A192KW", "ECDH-ES+A256KW"],
+    extractable,
+    keyUsages,
+  });
+  if (jwk.crv !== algorithm.namedCurve) {
+    throw dataError('JWK "crv" does not match the requested algorithm');
+  }
+  if (!jwk.x || !jwk.y) {
+    throw dataError('Invalid JWK: missing "x" or "y" parameter');
+  }
+  const x = base64UrlToUint8Array(jwk.x);
+  const y = base64UrlToUint8Array(jwk.y);
+  if (x.length !== P256_FIELD_SIZE || y.length !== P256_FIELD_SIZE) {
+    throw dataError("Invalid JWK: P-256 coordinates must be 32 bytes");
+  }
+  const encoded = new Uint8Array(1 + 2 * P256_FIELD_SIZE);
+  encoded[0] = 0x04;
+  encoded.set(x, 1);
+  encoded.set(y, 1 + P256_FIELD_SIZE);
+  const point = decodePoint(encoded);
+
+  if (jwk.d === undefined) {
+    checkPublicKeyUsages(algorithm, keyUsages);
+    return createECPublicKey(point, algorithm, extractable, keyUsages);
+  }
+
+  const d = checkPrivateScalar(base64UrlToUint8Array(jwk.d));
+  if (!bytesEqual(encodePoint(pointMultiply(d, P256_GENERATOR)), encoded)) {
+    throw dataError('Invalid JWK: "x" and "y" do not match the private key');
+  }
+  return createECPrivateKey(d, point, algorithm, extractable, keyUsages);
+}
+
+/**
+ * Wrap a public point into a CryptoKey
+ */
+function createECPublicKey(
+  point: AffinePoint,
+  algorithm: ECKeyGenParams,
+  extractable: boolean,
+  keyUsages: KeyUsage[]
+): CryptoKey {
+  return createCryptoKey(
+    "public",
+    extractable,
+    { name: algorithm.name, namedCurve: algorithm.namedCurve } as EcKeyAlgorithm,
+    keyUsages.filter((u) => EC_KEY_USAGES[algorithm.name].public.includes(u)),
+    { rawPublicKey: encodePoint(point) }
+  );
+}
+
+/**
+ * Wrap a private scalar into a CryptoKey
+ */
+function createECPrivateKey(
+  d: bigint,
+  point: AffinePoint,
+  algorithm: ECKeyGenParams,
+  extractable: boolean,
+  keyUsages: KeyUsage[]
+): CryptoKey {
+  return createCryptoKey(
+    "private",
+    extractable,
+    { name: algorithm.name, namedCurve: algorithm.namedCurve } as EcKeyAlgorithm,
+    keyUsages.filter((u) => EC_KEY_USAGES[algorithm.name].private.includes(u)),
+    { privateScalar: d, rawPrivateKey: bigIntToBytes(d, P256_FIELD_SIZE), rawPublicKey: encodePoint(point) }
+  );
+}
+
+function checkPublicKeyUsages(algorithm: ECKeyGenParams, keyUsages: KeyUsage[]): void {
+  const allowed = EC_KEY_USAGES[algorithm.name].public;
+  const invalid = keyUsages.find((u) => !allowed.includes(u));
+  if (invalid) {
+    throw syntaxError(`Unsupported key usage for a ${algorithm.name} key`);
+  }
+}
+
+// Rejection sampling for a scalar in [1, n - 1]
+function randomScalar(): bigint {
+  let d = 0n;
+  while (d === 0n || d >= P256_ORDER) {
+    d = bytesToBigInt(nacl.randomBytes(P256_FIELD_SIZE));
+  }
+  return d;
+}
+
+/**
+ * Hash the message and convert the digest to an integer (SEC 1 section 4.1.3, step 5)
+ */
+function hashToScalar(hash: HashAlgorithmIdentifier, data: ArrayBuffer | Uint8Array): bigint {
+  const md = createMessageDigest(hash);
+  updateDigest(md, toBytes(data));
+  const digest = binaryStringToBytes(md.digest().getBytes());
+  // Keep the leftmost bits when the digest is longer than the curve order
+  const excessBits = digest.length * 8 - P256_FIELD_SIZE * 8;
+  const e = bytesToBigInt(digest);
+  return excessBits > 0 ? e >> BigInt(excessBits) : e;
+}
+
+function checkNamedCurve(namedCurve: string): void {
+  if (namedCurve !== "P-256") {
+    throw notSupportedError("Unrecognized namedCurve");
+  }
+}
+
+function checkPrivateScalar(bytes: Uint8Array): bigint {
+  const d = bytesToBigInt(bytes);
+  if (bytes.length !== P256_FIELD_SIZE || d === 0n || d >= P256_ORDER) {
+    throw dataError("Invalid EC private key");
+  }
+  return d;
+}
+
+function bytesEqual(a: Uint8Array, b: Uint8Array): boolean {
+  if (a.length !== b.length) {
+    return false;
+  }
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return false;
+    }
+  }
+  return true;
+}
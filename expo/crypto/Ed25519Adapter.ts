@@ -7,6 +7,17 @@
  */
 
 import nacl from "tweetnacl";
+import { createCryptoKey, getKeyMaterial } from "./CryptoKey";
+import { dataError, invalidAccessError, syntaxError } from "./CryptoErrors";
+import {
+  uint8ArrayToBase64Url,
+  base64UrlToUint8Array,
+  validateJwkImport,
+  encodeEd25519PublicKeyToSPKI,
+  extractEd25519PublicKeyFromSPKI,
+  encodeEd25519PrivateKeyToPKCS8,
+  extractEd25519PrivateKeyFromPKCS8,
+} from "./KeyFormatConverter";
 
 // Ed25519 key sizes
 const ED25519_SEED_SIZE = 32;        // The 32-byte seed (what PKCS8 stores)
@@ -14,41 +25,60 @@ const ED25519_PUBLIC_KEY_SIZE = 32;  // The 32-byte public key
 const ED25519_SECRET_KEY_SIZE = 64;  // TweetNaCl's format: seed + public key
 const ED25519_SIGNATURE_SIZE = 64;
 
+// Group order L = 2^252 + 27742317777372353535851937790883648493, little-endian
+const ED25519_ORDER = new Uint8Array([
+  0xed, 0xd3, 0xf5, 0x5c, 0x1a, 0x63, 0x12, 0x58, 0xd6, 0x9c, 0xf7, 0xa2, 0xde, 0xf9, 0xde, 0x14,
+  0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x10,
+]);
+
+// Usages an Ed25519 public or private key can have
+const ED25519_KEY_USAGES: Record<"public" | "private", KeyUsage[]> = {
+  public: ["verify"],
+  private: ["sign"],
+};
+
 /**
  * Generate Ed25519 key pair
  */
-export async function ed25519GenerateKey(): Promise<CryptoKeyPair> {
+export async function ed25519GenerateKey(extractable: boolean, keyUsages: KeyUsage[]): Promise<CryptoKeyPair> {
   const keyPair = nacl.sign.keyPair();
   
   return {
-    publicKey: {
-      type: "public",
-      extractable: true,
-      algorithm: { name: "Ed25519" },
-      usages: ["verify"],
-      _rawPublicKey: keyPair.publicKey,
-    } as any,
-    privateKey: {
-      type: "private",
-      extractable: true,
-      algorithm: { name: "Ed25519" },
-      usages: ["sign"],
-      // Store the full 64-byte secret key (TweetNaCl format)
-      _rawPrivateKey: keyPair.secretKey,
-    } as any,
+    // Public keys are always extractable
+    publicKey: createCryptoKey("public", true, { name: "Ed25519" }, keyUsages.filter((u) => ED25519_KEY_USAGES.public.includes(u)), {
+      rawPublicKey: keyPair.publicKey,
+    }),
+    // Store the full 64-byte secret key (TweetNaCl format)
+    privateKey: createCryptoKey("private", extractable, { name: "Ed25519" }, keyUsages.filter((u) => ED25519_KEY_USAGES.private.includes(u)), {
+      rawPrivateKey: keyPair.secretKey,
+    }),
   };
 }
 
 /**
- * Import Ed25519 key from SPKI (public) or PKCS8 (private) format
+ * Reject usages a public or private Ed25519 key cannot have, like Node's WebCrypto does
+ */
+function checkKeyUsages(type: "public" | "private", keyUsages: KeyUsage[]): void {
+  const invalid = keyUsages.filter((u) => !ED25519_KEY_USAGES[type].includes(u));
+  if (invalid.length > 0) {
+    throw syntaxError(`Unsupported key usage for an Ed25519 ${type} key: ${invalid.join(", ")}`);
+  }
+}
+
+/**
+ * Import Ed25519 key from raw (public), SPKI (public), PKCS8 (private) or JWK format
  */
 export async function ed25519ImportKey(
-  format: "spki" | "pkcs8",
-  keyData: ArrayBuffer | ArrayBufferLike,
+  format: "raw" | "spki" | "pkcs8" | "jwk",
+  keyData: ArrayBuffer | ArrayBufferLike | JsonWebKey,
   algorithm: { name: "Ed25519" },
   extractable: boolean,
   keyUsages: KeyUsage[]
 ): Promise<CryptoKey> {
+  if (format === "jwk") {
+    return ed25519ImportJwk(keyData as JsonWebKey, algorithm, extractable, keyUsages);
+  }
+
   // Ensure we have an ArrayBuffer (not SharedArrayBuffer)
   let buffer: ArrayBuffer;
   if (keyData instanceof ArrayBuffer) {
@@ -62,17 +92,18 @@ export async function ed25519ImportKey(
   }
   const keyBytes = new Uint8Array(buffer);
   
-  if (format === "spki") {
+  checkKeyUsages(format === "pkcs8" ? "private" : "public", keyUsages);
+
+  if (format === "raw") {
+    if (keyBytes.length !== ED25519_PUBLIC_KEY_SIZE) {
+      throw dataError(`Invalid Ed25519 public key size: expected ${ED25519_PUBLIC_KEY_SIZE}, got ${keyBytes.length}`);
+    }
+    return createCryptoKey("public", extractable, algorithm, keyUsages, { rawPublicKey: keyBytes.slice() });
+  } else if (format === "spki") {
     // SPKI format for public keys
     const publicKey = extractEd25519PublicKeyFromSPKI(keyBytes);
     
-    return {
-      type: "public",
-      extractable,
-      algorithm,
-      usages: keyUsages,
-      _rawPublicKey: publicKey,
-    } as any;
+    return createCryptoKey("public", extractable, algorithm, keyUsages, { rawPublicKey: publicKey });
   } else {
     // PKCS8 format for private keys
     // Extract the 32-byte seed from PKCS8
@@ -81,34 +112,30 @@ export async function ed25519ImportKey(
     // Derive the full 64-byte secret key from the seed using TweetNaCl
     const keyPair = nacl.sign.keyPair.fromSeed(seed);
     
-    return {
-      type: "private",
-      extractable,
-      algorithm,
-      usages: keyUsages,
-      // Store the full 64-byte secret key
-      _rawPrivateKey: keyPair.secretKey,
-    } as any;
+    // Store the full 64-byte secret key
+    return createCryptoKey("private", extractable, algorithm, keyUsages, { rawPrivateKey: keyPair.secretKey });
   }
 }
 
 /**
- * Export Ed25519 key to SPKI (public) or PKCS8 (private) format
+ * Export Ed25519 key to raw (public), SPKI (public), PKCS8 (private) or JWK format
  */
 export async function ed25519ExportKey(
-  format: "spki" | "pkcs8",
+  format: "raw" | "spki" | "pkcs8" | "jwk",
   key: CryptoKey
-): Promise<ArrayBuffer> {
-  if (format === "spki") {
-    const publicKey = (key as any)._rawPublicKey;
-    if (!publicKey) {
-      throw new Error("Key does not contain public key material");
+): Promise<ArrayBuffer | JsonWebKey> {
+  if (format === "jwk") {
+    return ed25519ExportJwk(key);
+  } else if (format === "raw" || format === "spki") {
+    const publicKey = getKeyMaterial(key).rawPublicKey;
+    if (key.type !== "public" || !publicKey) {
+      throw invalidAccessError(`Unable to export a ${format} Ed25519 ${key.type} key`);
     }
-    return encodeEd25519PublicKeyToSPKI(publicKey);
+    return format === "raw" ? new Uint8Array(publicKey).buffer : encodeEd25519PublicKeyToSPKI(publicKey);
   } else {
-    const secretKey = (key as any)._rawPrivateKey;
-    if (!secretKey) {
-      throw new Error("Key does not contain private key material");
+    const secretKey = getKeyMaterial(key).rawPrivateKey;
+    if (key.type !== "private" || !secretKey) {
+      throw invalidAccessError(`Unable to export a pkcs8 Ed25519 ${key.type} key`);
     }
     // PKCS8 stores only the 32-byte seed (first half of TweetNaCl's 64-byte secret key)
     const seed = secretKey.slice(0, ED25519_SEED_SIZE);
@@ -117,333 +144,153 @@ export async function ed25519ExportKey(
 }
 
 /**
- * Sign data with Ed25519 private key
+ * Import Ed25519 key from JWK (RFC 8037 OKP key with crv "Ed25519")
+ * "x" holds the public key, "d" the 32-byte seed of a private key
  */
-export async function ed25519Sign(
+function ed25519ImportJwk(
+  jwk: JsonWebKey,
   algorithm: { name: "Ed25519" },
-  key: CryptoKey,
-  data: ArrayBuffer | Uint8Array
-): Promise<ArrayBuffer> {
-  const secretKey = (key as any)._rawPrivateKey;
-  if (!secretKey) {
-    throw new Error("Key does not contain private key material");
+  extractable: boolean,
+  keyUsages: KeyUsage[]
+): CryptoKey {
+  validateJwkImport(jwk, {
+    kty: "OKP",
+    use: "sig",
+    alg: ["Ed25519", "EdDSA"],
+    extractable,
+    keyUsages,
+  });
+  if (jwk.crv !== "Ed25519") {
+    throw dataError('JWK "crv" does not match the requested algorithm');
   }
-  
-  const dataBytes = data instanceof Uint8Array ? data : new Uint8Array(data);
-  
-  // Use detached signature (just the signature, not message + signature)
-  const signature = nacl.sign.detached(dataBytes, secretKey);
-  
-  // Ensure we return an ArrayBuffer (not SharedArrayBuffer)
-  const copy = new Uint8Array(signature);
-  return copy.buffer;
-}
-
-/**
- * Verify Ed25519 signature
- */
-export async function ed25519Verify(
-  algorithm: { name: "Ed25519" },
-  key: CryptoKey,
-  signature: ArrayBuffer | Uint8Array,
-  data: ArrayBuffer | Uint8Array
-): Promise<boolean> {
-  const publicKey = (key as any)._rawPublicKey;
-  if (!publicKey) {
-    throw new Error("Key does not contain public key material");
+  if (!jwk.x) {
+    throw dataError('Invalid JWK: missing "x" parameter');
   }
-  
-  const sigBytes = signature instanceof Uint8Array ? signature : new Uint8Array(signature);
-  const dataBytes = data instanceof Uint8Array ? data : new Uint8Array(data);
-  
-  return nacl.sign.detached.verify(dataBytes, sigBytes, publicKey);
-}
-
-/**
- * Extract Ed25519 public key from SPKI format
- * SPKI format: SEQUENCE { AlgorithmIdentifier { OID 1.3.101.112 }, BIT STRING }
- */
-function extractEd25519PublicKeyFromSPKI(spki: Uint8Array): Uint8Array {
-  let pos = 0;
-  
-  // Skip outer SEQUENCE tag (0x30)
-  if (spki[pos] !== 0x30) {
-    throw new Error("Invalid SPKI format: expected SEQUENCE");
+  checkKeyUsages(jwk.d === undefined ? "public" : "private", keyUsages);
+  const publicKey = base64UrlToUint8Array(jwk.x);
+  if (publicKey.length !== ED25519_PUBLIC_KEY_SIZE) {
+    throw dataError(`Invalid Ed25519 public key size: expected ${ED25519_PUBLIC_KEY_SIZE}, got ${publicKey.length}`);
   }
-  pos++;
-  
-  // Skip length (can be 1-4 bytes)
-  const seqLength = readASN1Length(spki, pos);
-  pos += seqLength.bytesRead;
-  
-  // Skip AlgorithmIdentifier SEQUENCE
-  if (spki[pos] !== 0x30) {
-    throw new Error("Invalid SPKI format: expected AlgorithmIdentifier SEQUENCE");
+
+  if (jwk.d === undefined) {
+    return createCryptoKey("public", extractable, algorithm, keyUsages, { rawPublicKey: publicKey });
   }
-  pos++;
-  const algIdLength = readASN1Length(spki, pos);
-  pos += algIdLength.bytesRead + algIdLength.value;
-  
-  // Now we should be at the BIT STRING (0x03)
-  if (spki[pos] !== 0x03) {
-    throw new Error("Invalid SPKI format: expected BIT STRING");
+
+  const seed = base64UrlToUint8Array(jwk.d);
+  if (seed.length !== ED25519_SEED_SIZE) {
+    throw dataError(`Invalid Ed25519 private key size: expected ${ED25519_SEED_SIZE}, got ${seed.length}`);
   }
-  pos++;
-  
-  // Read BIT STRING length
-  const bitStringLength = readASN1Length(spki, pos);
-  pos += bitStringLength.bytesRead;
-  
-  // Skip the unused bits byte (usually 0x00)
-  pos++;
-  
-  // Extract the 32-byte public key
-  if (bitStringLength.value - 1 !== ED25519_PUBLIC_KEY_SIZE) {
-    throw new Error(`Invalid Ed25519 public key size: expected ${ED25519_PUBLIC_KEY_SIZE}, got ${bitStringLength.value - 1}`);
+  const keyPair = nacl.sign.keyPair.fromSeed(seed);
+  // The "x" member must belong to the private key
+  if (!constantTimeEqual(keyPair.publicKey, publicKey)) {
+    throw dataError('Invalid JWK: "x" does not match the private key');
   }
-  
-  return spki.slice(pos, pos + ED25519_PUBLIC_KEY_SIZE);
+
+  return createCryptoKey("private", extractable, algorithm, keyUsages, { rawPrivateKey: keyPair.secretKey });
 }
 
 /**
- * Extract Ed25519 private key (seed) from PKCS8 format
- * PKCS8 format: SEQUENCE { version, AlgorithmIdentifier { OID 1.3.101.112 }, OCTET STRING { OCTET STRING { seed } } }
- * 
- * Note: RFC 8410 specifies that Ed25519 private keys in PKCS8 are wrapped in an additional OCTET STRING
+ * Export Ed25519 key to JWK
+ * TweetNaCl's 64-byte secret key is seed + public key, so both halves map directly to "d" and "x"
  */
-function extractEd25519PrivateKeyFromPKCS8(pkcs8: Uint8Array): Uint8Array {
-  let pos = 0;
-  
-  // Skip outer SEQUENCE tag (0x30)
-  if (pkcs8[pos] !== 0x30) {
-    throw new Error("Invalid PKCS8 format: expected SEQUENCE");
-  }
-  pos++;
-  
-  // Skip length
-  const seqLength = readASN1Length(pkcs8, pos);
-  pos += seqLength.bytesRead;
-  
-  // Skip version INTEGER (0x02)
-  if (pkcs8[pos] !== 0x02) {
-    throw new Error("Invalid PKCS8 format: expected version INTEGER");
-  }
-  pos++;
-  const versionLength = readASN1Length(pkcs8, pos);
-  pos += versionLength.bytesRead + versionLength.value;
-  
-  // Skip AlgorithmIdentifier SEQUENCE
-  if (pkcs8[pos] !== 0x30) {
-    throw new Error("Invalid PKCS8 format: expected AlgorithmIdentifier SEQUENCE");
-  }
-  pos++;
-  const algIdLength = readASN1Length(pkcs8, pos);
-  pos += algIdLength.bytesRead + algIdLength.value;
-  
-  // Now we should be at the outer OCTET STRING (0x04)
-  if (pkcs8[pos] !== 0x04) {
-    throw new Error("Invalid PKCS8 format: expected OCTET STRING");
-  }
-  pos++;
-  
-  // Read outer OCTET STRING length
-  const outerOctetLength = readASN1Length(pkcs8, pos);
-  pos += outerOctetLength.bytesRead;
-  
-  // Check if there's an inner OCTET STRING (RFC 8410 format)
-  if (pkcs8[pos] === 0x04) {
-    // Inner OCTET STRING contains the actual seed
-    pos++;
-    const innerOctetLength = readASN1Length(pkcs8, pos);
-    pos += innerOctetLength.bytesRead;
-    
-    if (innerOctetLength.value !== ED25519_SEED_SIZE) {
-      throw new Error(`Invalid Ed25519 private key size: expected ${ED25519_SEED_SIZE}, got ${innerOctetLength.value}`);
+function ed25519ExportJwk(key: CryptoKey): JsonWebKey {
+  const jwk: JsonWebKey = {
+    key_ops: [...key.usages],
+    ext: key.extractable,
+    kty: "OKP",
+    crv: "Ed25519",
+    alg: "Ed25519",
+  };
+  if (key.type === "public") {
+    const publicKey = getKeyMaterial(key).rawPublicKey;
+    if (!publicKey) {
+      throw dataError("Key does not contain public key material");
     }
-    
-    return pkcs8.slice(pos, pos + ED25519_SEED_SIZE);
+    jwk.x = uint8ArrayToBase64Url(publicKey);
   } else {
-    // Direct seed (older format)
-    if (outerOctetLength.value !== ED25519_SEED_SIZE) {
-      throw new Error(`Invalid Ed25519 private key size: expected ${ED25519_SEED_SIZE}, got ${outerOctetLength.value}`);
+    const secretKey = getKeyMaterial(key).rawPrivateKey;
+    if (!secretKey) {
+      throw dataError("Key does not contain private key material");
     }
-    
-    return pkcs8.slice(pos, pos + ED25519_SEED_SIZE);
+    jwk.x = uint8ArrayToBase64Url(secretKey.slice(ED25519_SEED_SIZE));
+    jwk.d = uint8ArrayToBase64Url(secretKey.slice(0, ED25519_SEED_SIZE));
   }
+  return jwk;
 }
 
 /**
- * Read ASN.1 length field
- * Returns { value: number, bytesRead: number }
+ * Compare two byte arrays without early exit
  */
-function readASN1Length(data: Uint8Array, pos: number): { value: number; bytesRead: number } {
-  if (pos >= data.length) {
-    throw new Error("Invalid ASN.1: unexpected end of data");
+function constantTimeEqual(a: Uint8Array, b: Uint8Array): boolean {
+  if (a.length !== b.length) {
+    return false;
   }
-  
-  const firstByte = data[pos];
-  
-  // Short form (length < 128)
-  if ((firstByte & 0x80) === 0) {
-    return { value: firstByte, bytesRead: 1 };
+  let result = 0;
+  for (let i = 0; i < a.length; i++) {
+    result |= a[i] ^ b[i];
   }
-  
-  // Long form (length >= 128)
-  const lengthBytes = firstByte & 0x7f;
-  if (lengthBytes === 0 || lengthBytes > 4) {
-    throw new Error("Invalid ASN.1: invalid length encoding");
-  }
-  
-  if (pos + 1 + lengthBytes > data.length) {
-    throw new Error("Invalid ASN.1: unexpected end of data");
-  }
-  
-  let length = 0;
-  for (let i = 0; i < lengthBytes; i++) {
-    length = (length << 8) | data[pos + 1 + i];
-  }
-  
-  return { value: length, bytesRead: 1 + lengthBytes };
+  return result === 0;
 }
 
 /**
- * Encode Ed25519 public key to SPKI format
+ * Sign data with Ed25519 private key
  */
-function encodeEd25519PublicKeyToSPKI(publicKey: Uint8Array): ArrayBuffer {
-  if (publicKey.length !== ED25519_PUBLIC_KEY_SIZE) {
-    throw new Error(`Invalid Ed25519 public key size: expected ${ED25519_PUBLIC_KEY_SIZE}, got ${publicKey.length}`);
+export async function ed25519Sign(
+  algorithm: { name: "Ed25519" },
+  key: CryptoKey,
+  data: ArrayBuffer | Uint8Array
+): Promise<ArrayBuffer> {
+  const secretKey = getKeyMaterial(key).rawPrivateKey;
+  if (key.type !== "private" || !secretKey) {
+    throw invalidAccessError("Key must be a private key");
   }
   
-  // Ed25519 SPKI structure:
-  // SEQUENCE {
-  //   SEQUENCE {
-  //     OID 1.3.101.112 (Ed25519) = [0x06, 0x03, 0x2b, 0x65, 0x70]
-  //   }
-  //   BIT STRING { 0x00 (unused bits), publicKey (32 bytes) }
-  // }
+  const dataBytes = data instanceof Uint8Array ? data : new Uint8Array(data);
   
-  const oid = new Uint8Array([0x06, 0x03, 0x2b, 0x65, 0x70]); // OID 1.3.101.112
-  const algorithmId = encodeASN1Sequence([oid]);
-  const bitString = encodeASN1BitString(publicKey);
-  const outerSequence = encodeASN1Sequence([algorithmId, bitString]);
+  // Use detached signature (just the signature, not message + signature)
+  const signature = nacl.sign.detached(dataBytes, secretKey);
   
   // Ensure we return an ArrayBuffer (not SharedArrayBuffer)
-  const copy = new Uint8Array(outerSequence);
+  const copy = new Uint8Array(signature);
   return copy.buffer;
 }
 
 /**
- * Encode Ed25519 private key (seed) to PKCS8 format
- * Uses RFC 8410 format with wrapped OCTET STRING
+ * Verify Ed25519 signature
  */
-function encodeEd25519PrivateKeyToPKCS8(seed: Uint8Array): ArrayBuffer {
-  if (seed.length !== ED25519_SEED_SIZE) {
-    throw new Error(`Invalid Ed25519 seed size: expected ${ED25519_SEED_SIZE}, got ${seed.length}`);
+export async function ed25519Verify(
+  algorithm: { name: "Ed25519" },
+  key: CryptoKey,
+  signature: ArrayBuffer | Uint8Array,
+  data: ArrayBuffer | Uint8Array
+): Promise<boolean> {
+  const publicKey = getKeyMaterial(key).rawPublicKey;
+  if (key.type !== "public" || !publicKey) {
+    throw invalidAccessError("Key must be a public key");
   }
   
-  // Ed25519 PKCS8 structure (RFC 8410):
-  // SEQUENCE {
-  //   INTEGER 0 (version)
-  //   SEQUENCE {
-  //     OID 1.3.101.112 (Ed25519) = [0x06, 0x03, 0x2b, 0x65, 0x70]
-  //   }
-  //   OCTET STRING { OCTET STRING { seed (32 bytes) } }
-  // }
-  
-  const version = encodeASN1Integer(new Uint8Array([0x00])); // INTEGER 0
-  const oid = new Uint8Array([0x06, 0x03, 0x2b, 0x65, 0x70]); // OID 1.3.101.112
-  const algorithmId = encodeASN1Sequence([oid]);
-  
-  // Inner OCTET STRING contains the seed
-  const innerOctetString = encodeASN1OctetString(seed);
-  // Outer OCTET STRING wraps the inner one
-  const outerOctetString = encodeASN1OctetString(innerOctetString);
-  
-  const outerSequence = encodeASN1Sequence([version, algorithmId, outerOctetString]);
-  
-  // Ensure we return an ArrayBuffer (not SharedArrayBuffer)
-  const copy = new Uint8Array(outerSequence);
-  return copy.buffer;
-}
-
-/**
- * Encode ASN.1 SEQUENCE
- */
-function encodeASN1Sequence(items: Uint8Array[]): Uint8Array {
-  let totalLength = 0;
-  for (const item of items) {
-    totalLength += item.length;
+  const sigBytes = signature instanceof Uint8Array ? signature : new Uint8Array(signature);
+  const dataBytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  // TweetNaCl throws for signatures of the wrong size; Web Crypto reports them as invalid
+  if (sigBytes.length !== ED25519_SIGNATURE_SIZE) {
+    return false;
   }
-  
-  const lengthBytes = encodeASN1Length(totalLength);
-  const result = new Uint8Array(1 + lengthBytes.length + totalLength);
-  result[0] = 0x30; // SEQUENCE tag
-  result.set(lengthBytes, 1);
-  
-  let pos = 1 + lengthBytes.length;
-  for (const item of items) {
-    result.set(item, pos);
-    pos += item.length;
+  // TweetNaCl also accepts S + L for a valid S; RFC 8032 section 5.1.7 requires rejecting S >= L
+  if (!isCanonicalScalar(sigBytes.subarray(32))) {
+    return false;
   }
   
-  return result;
-}
-
-/**
- * Encode ASN.1 BIT STRING
- */
-function encodeASN1BitString(data: Uint8Array): Uint8Array {
-  // BIT STRING: tag (0x03) + length + unused bits (0x00) + data
-  const length = 1 + data.length; // 1 byte for unused bits + data
-  const lengthBytes = encodeASN1Length(length);
-  const result = new Uint8Array(1 + lengthBytes.length + length);
-  result[0] = 0x03; // BIT STRING tag
-  result.set(lengthBytes, 1);
-  result[1 + lengthBytes.length] = 0x00; // unused bits
-  result.set(data, 1 + lengthBytes.length + 1);
-  return result;
-}
-
-/**
- * Encode ASN.1 OCTET STRING
- */
-function encodeASN1OctetString(data: Uint8Array): Uint8Array {
-  const lengthBytes = encodeASN1Length(data.length);
-  const result = new Uint8Array(1 + lengthBytes.length + data.length);
-  result[0] = 0x04; // OCTET STRING tag
-  result.set(lengthBytes, 1);
-  result.set(data, 1 + lengthBytes.length);
-  return result;
-}
-
-/**
- * Encode ASN.1 INTEGER
- */
-function encodeASN1Integer(data: Uint8Array): Uint8Array {
-  const lengthBytes = encodeASN1Length(data.length);
-  const result = new Uint8Array(1 + lengthBytes.length + data.length);
-  result[0] = 0x02; // INTEGER tag
-  result.set(lengthBytes, 1);
-  result.set(data, 1 + lengthBytes.length);
-  return result;
+  return nacl.sign.detached.verify(dataBytes, sigBytes, publicKey);
 }
 
 /**
- * Encode ASN.1 length field
+ * Check that a little-endian scalar is below the group order
  */
-function encodeASN1Length(length: number): Uint8Array {
-  if (length < 128) {
-    // Short form
-    return new Uint8Array([length]);
-  }
-  
-  // Long form
-  const bytes: number[] = [];
-  let value = length;
-  while (value > 0) {
-    bytes.unshift(value & 0xff);
-    value >>>= 8;
+function isCanonicalScalar(scalar: Uint8Array): boolean {
+  for (let i = scalar.length - 1; i >= 0; i--) {
+    if (scalar[i] !== ED25519_ORDER[i]) {
+      return scalar[i] < ED25519_ORDER[i];
+    }
   }
-  
-  return new Uint8Array([0x80 | bytes.length, ...bytes]);
+  return false;
 }
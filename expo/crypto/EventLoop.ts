@@ -0,0 +1,23 @@
+/**
+ * Event Loop Helpers
+ * Lets long-running JavaScript crypto (PBKDF2 iterations, RSA prime search) give the JS thread back between
+ * time slices, so rendering and input handling continue in Expo Go
+ */
+
+import { abortError } from "./CryptoErrors";
+
+/**
+ * Let pending timers, rendering and input handlers run before continuing
+ */
+export function yieldToEventLoop(): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+/**
+ * Throw the signal's reason, or an AbortError where AbortSignal has no reason, once it is aborted
+ */
+export function throwIfAborted(signal: AbortSignal | undefined): void {
+  if (signal?.aborted) {
+    throw signal.reason ?? abortError("The operation was aborted");
+  }
+}
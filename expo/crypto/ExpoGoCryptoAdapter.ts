@@ -5,8 +5,18 @@
  */
 
 import { SubtleCryptoPolyfill } from "./SubtleCryptoPolyfill";
+import { RSAKeyPool, RSAKeyPoolOptions } from "./RSAKeyPool";
 import crypto from "expo-standard-web-crypto";
 
+export interface ExpoGoCryptoAdapterOptions {
+  // Use the platform's SubtleCrypto when there is one (default true); false always uses the polyfill, e.g. to
+  // test the polyfill under Node
+  useNativeSubtle?: boolean;
+  // Pre-generate RSA-OAEP key pairs in the background; generateKey calls with the pool's parameters
+  // take a ready pair instead of generating one
+  rsaKeyPool?: RSAKeyPoolOptions;
+}
+
 /**
  * Check if native SubtleCrypto is available and supports RSA key generation
  */
@@ -59,9 +69,10 @@ function getNativeSubtleCrypto(): SubtleCrypto | null {
 export class ExpoGoCryptoAdapter {
   private subtle: SubtleCrypto;
   private isNative: boolean;
+  private keyPool: RSAKeyPool | null = null;
 
-  constructor() {
-    const nativeSubtle = getNativeSubtleCrypto();
+  constructor(options: ExpoGoCryptoAdapterOptions = {}) {
+    const nativeSubtle = options.useNativeSubtle === false ? null : getNativeSubtleCrypto();
     if (nativeSubtle) {
       this.subtle = nativeSubtle;
       this.isNative = true;
@@ -71,6 +82,10 @@ export class ExpoGoCryptoAdapter {
       this.isNative = false;
       console.log('[ExpoGoCryptoAdapter] Using JavaScript-only SubtleCrypto polyfill (slower)');
     }
+    if (options.rsaKeyPool) {
+      this.keyPool = new RSAKeyPool(this.subtle, options.rsaKeyPool);
+      this.subtle = withKeyPool(this.subtle, this.keyPool);
+    }
   }
 
   /**
@@ -93,4 +108,36 @@ export class ExpoGoCryptoAdapter {
   isUsingNativeSubtle(): boolean {
     return this.isNative;
   }
+
+  /**
+   * Get the RSA key pool, or null when the adapter was created without one
+   */
+  getKeyPool(): RSAKeyPool | null {
+    return this.keyPool;
+  }
+}
+
+/**
+ * Wrap a SubtleCrypto so that generateKey takes matching RSA-OAEP key pairs from the pool
+ * Every other member is forwarded bound to the original, which native implementations require
+ */
+function withKeyPool(subtle: SubtleCrypto, pool: RSAKeyPool): SubtleCrypto {
+  const generateKey = async (algorithm: AlgorithmIdentifier, extractable: boolean, keyUsages: KeyUsage[]) => {
+    if (typeof algorithm === "object" && "modulusLength" in algorithm) {
+      const pooled = await pool.take(algorithm as RsaHashedKeyGenParams, extractable, keyUsages);
+      if (pooled) {
+        return pooled;
+      }
+    }
+    return subtle.generateKey(algorithm, extractable, keyUsages);
+  };
+  return new Proxy(subtle, {
+    get(target, property) {
+      if (property === "generateKey") {
+        return generateKey;
+      }
+      const value = Reflect.get(target, property, target);
+      return typeof value === "function" ? value.bind(target) : value;
+    },
+  });
 }
@@ -0,0 +1,95 @@
+/**
+ * HKDF Key Derivation Adapter
+ * Implements HKDF (RFC 5869) extract-and-expand key derivation using node-forge HMAC
+ */
+
+import forge from "node-forge";
+import { createCryptoKey } from "./CryptoKey";
+import { operationError } from "./CryptoErrors";
+import { createMessageDigest, getDigestSize, getBlockSize, getHashName } from "./SHA256Adapter";
+import { binaryStringToBytes, bytesToBinaryString, toArrayBuffer, toBytes } from "./ByteUtils";
+
+export interface HKDFParams {
+  name: "HKDF";
+  hash: HashAlgorithmIdentifier;
+  salt: BufferSource;
+  info: BufferSource;
+}
+
+export interface DeriveKeyParams {
+  name: "AES-GCM" | "AES-CBC" | "AES-CTR" | "AES-KW" | "HMAC";
+  length?: number;
+  hash?: HashAlgorithmIdentifier;
+}
+
+/**
+ * Derive raw bits using HKDF
+ * @param length Number of bits to derive, must be a multiple of 8 and at most 255 * hash length
+ */
+export async function hkdfDeriveBits(
+  params: HKDFParams,
+  baseKey: ArrayBuffer,
+  length: number
+): Promise<ArrayBuffer> {
+  const digestSize = getDigestSize(params.hash);
+  if (!length || length % 8 !== 0) {
+    throw operationError("HKDF length must be a non-zero multiple of 8");
+  }
+  const keyLength = length / 8; // Convert bits to bytes
+  if (keyLength > 255 * digestSize) {
+    throw operationError(`HKDF length must not exceed ${255 * digestSize * 8} bits`);
+  }
+
+  const ikm = bytesToBinaryString(toBytes(baseKey));
+  const info = bytesToBinaryString(toBytes(params.info));
+  // An empty salt is equivalent to HashLen zero bytes, since HMAC zero-pads the key
+  const salt = bytesToBinaryString(toBytes(params.salt));
+
+  // Extract: PRK = HMAC-Hash(salt, IKM)
+  const extract = forge.hmac.create();
+  extract.start(createMessageDigest(params.hash), salt);
+  extract.update(ikm);
+  const prk = extract.digest().getBytes();
+
+  // Expand: T(i) = HMAC-Hash(PRK, T(i-1) | info | i)
+  let okm = "";
+  let previous = "";
+  for (let i = 1; okm.length < keyLength; i++) {
+    const expand = forge.hmac.create();
+    expand.start(createMessageDigest(params.hash), prk);
+    expand.update(previous + info + String.fromCharCode(i));
+    previous = expand.digest().getBytes();
+    okm += previous;
+  }
+
+  return toArrayBuffer(binaryStringToBytes(okm.substring(0, keyLength)));
+}
+
+/**
+ * Derive an AES or HMAC key using HKDF
+ */
+export async function hkdfDeriveKey(
+  params: HKDFParams,
+  baseKey: ArrayBuffer,
+  derivedKeyParams: DeriveKeyParams,
+  extractable: boolean,
+  keyUsages: KeyUsage[]
+): Promise<CryptoKey> {
+  let length: number;
+  if (derivedKeyParams.name !== "HMAC") {
+    length = derivedKeyParams.length as number;
+    if (length !== 128 && length !== 192 && length !== 256) {
+      throw operationError(`Invalid AES key length: ${length}. Must be 128, 192, or 256.`);
+    }
+  } else {
+    // HMAC keys default to the block size of their hash
+    length = derivedKeyParams.length || getBlockSize(derivedKeyParams.hash) * 8;
+  }
+
+  const keyMaterial = await hkdfDeriveBits(params, baseKey, length);
+
+  const algorithm = derivedKeyParams.name !== "HMAC"
+    ? { name: derivedKeyParams.name, length }
+    : { name: "HMAC", hash: { name: getHashName(derivedKeyParams.hash) }, length };
+  return createCryptoKey("secret", extractable, algorithm as KeyAlgorithm, keyUsages, { rawKey: keyMaterial });
+}
@@ -0,0 +1,243 @@
+/**
+ * P-256 Curve
+ * NIST P-256 (secp256r1) point arithmetic on BigInt, used by the ECDH adapter
+ *
+ * Points are multiplied in Jacobian coordinates so only one modular inversion is needed per
+ * scalar multiplication. This is a straightforward double-and-add implementation and is NOT
+ * constant-time; it is meant for the Expo Go fallback, native builds use react-native-quick-crypto.
+ */
+
+import { dataError } from "./CryptoErrors";
+
+export const P256_FIELD_SIZE = 32; // Size of a coordinate or scalar in bytes
+
+const P = 0xffffffff00000001000000000000000000000000ffffffffffffffffffffffffn;
+const A = P - 3n;
+const B = 0x5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604bn;
+export const P256_ORDER = 0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551n;
+const GX = 0x6b17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a13945d898c296n;
+const GY = 0x4fe342e2fe1a7f9b8ee7eb4a7c0f9e162bce33576b315ececbb6406837bf51f5n;
+
+/**
+ * Affine point; null is the point at infinity
+ */
+export type AffinePoint = { x: bigint; y: bigint } | null;
+
+// Jacobian point (X / Z^2, Y / Z^3); Z = 0 is the point at infinity
+interface JacobianPoint {
+  x: bigint;
+  y: bigint;
+  z: bigint;
+}
+
+export const P256_GENERATOR: AffinePoint = { x: GX, y: GY };
+
+/**
+ * Reduce a value into [0, m)
+ */
+export function mod(value: bigint, m: bigint): bigint {
+  const result = value % m;
+  return result >= 0n ? result : result + m;
+}
+
+/**
+ * Modular inverse using the extended Euclidean algorithm
+ */
+export function modInverse(value: bigint, m: bigint): bigint {
+  let a = mod(value, m);
+  if (a === 0n) {
+    throw new Error("Cannot invert zero");
+  }
+  let b = m;
+  let x0 = 1n;
+  let x1 = 0n;
+  while (b !== 0n) {
+    const q = a / b;
+    [a, b] = [b, a - q * b];
+    [x0, x1] = [x1, x0 - q * x1];
+  }
+  return mod(x0, m);
+}
+
+/**
+ * Modular exponentiation
+ */
+function modPow(base: bigint, exponent: bigint, m: bigint): bigint {
+  let result = 1n;
+  let b = mod(base, m);
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) {
+      result = (result * b) % m;
+    }
+    b = (b * b) % m;
+    e >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * Check whether an affine point lies on the curve
+ */
+export function isOnCurve(point: AffinePoint): boolean {
+  if (!point) {
+    return false;
+  }
+  if (point.x < 0n || point.x >= P || point.y < 0n || point.y >= P) {
+    return false;
+  }
+  const left = (point.y * point.y) % P;
+  const right = mod(point.x * point.x * point.x + A * point.x + B, P);
+  return left === right;
+}
+
+function toJacobian(point: AffinePoint): JacobianPoint {
+  return point ? { x: point.x, y: point.y, z: 1n } : { x: 0n, y: 1n, z: 0n };
+}
+
+function toAffine(point: JacobianPoint): AffinePoint {
+  if (point.z === 0n) {
+    return null;
+  }
+  const zInv = modInverse(point.z, P);
+  const zInv2 = (zInv * zInv) % P;
+  return {
+    x: (point.x * zInv2) % P,
+    y: (point.y * zInv2 * zInv) % P,
+  };
+}
+
+// Point doubling for a = -3 ("dbl-2001-b")
+function jacobianDouble(point: JacobianPoint): JacobianPoint {
+  if (point.z === 0n || point.y === 0n) {
+    return { x: 0n, y: 1n, z: 0n };
+  }
+  const delta = (point.z * point.z) % P;
+  const gamma = (point.y * point.y) % P;
+  const beta = (point.x * gamma) % P;
+  const alpha = mod(3n * (point.x - delta) * (point.x + delta), P);
+  const x = mod(alpha * alpha - 8n * beta, P);
+  const z = mod((point.y + point.z) * (point.y + point.z) - gamma - delta, P);
+  const y = mod(alpha * (4n * beta - x) - 8n * gamma * gamma, P);
+  return { x, y, z };
+}
+
+// General point addition ("add-2007-bl")
+function jacobianAdd(p1: JacobianPoint, p2: JacobianPoint): JacobianPoint {
+  if (p1.z === 0n) {
+    return p2;
+  }
+  if (p2.z === 0n) {
+    return p1;
+  }
+  const z1z1 = (p1.z * p1.z) % P;
+  const z2z2 = (p2.z * p2.z) % P;
+  const u1 = (p1.x * z2z2) % P;
+  const u2 = (p2.x * z1z1) % P;
+  const s1 = (p1.y * p2.z * z2z2) % P;
+  const s2 = (p2.y * p1.z * z1z1) % P;
+  const h = mod(u2 - u1, P);
+  const r = mod(2n * (s2 - s1), P);
+  if (h === 0n) {
+    return r === 0n ? jacobianDouble(p1) : { x: 0n, y: 1n, z: 0n };
+  }
+  const i = (4n * h * h) % P;
+  const j = (h * i) % P;
+  const v = (u1 * i) % P;
+  const x = mod(r * r - j - 2n * v, P);
+  const y = mod(r * (v - x) - 2n * s1 * j, P);
+  const z = mod(((p1.z + p2.z) * (p1.z + p2.z) - z1z1 - z2z2) * h, P);
+  return { x, y, z };
+}
+
+/**
+ * Multiply a point by a scalar
+ */
+export function pointMultiply(scalar: bigint, point: AffinePoint): AffinePoint {
+  const k = mod(scalar, P256_ORDER);
+  const base = toJacobian(point);
+  let result: JacobianPoint = { x: 0n, y: 1n, z: 0n };
+  for (let bit = BigInt(k.toString(2).length - 1); bit >= 0n; bit--) {
+    result = jacobianDouble(result);
+    if ((k >> bit) & 1n) {
+      result = jacobianAdd(result, base);
+    }
+  }
+  return toAffine(result);
+}
+
+/**
+ * Add two affine points
+ */
+export function pointAdd(p1: AffinePoint, p2: AffinePoint): AffinePoint {
+  return toAffine(jacobianAdd(toJacobian(p1), toJacobian(p2)));
+}
+
+/**
+ * Convert big-endian bytes to a BigInt
+ */
+export function bytesToBigInt(bytes: Uint8Array): bigint {
+  let result = 0n;
+  for (let i = 0; i < bytes.length; i++) {
+    result = (result << 8n) | BigInt(bytes[i]);
+  }
+  return result;
+}
+
+/**
+ * Convert a BigInt to fixed-length big-endian bytes
+ */
+export function bigIntToBytes(value: bigint, length: number): Uint8Array {
+  const bytes = new Uint8Array(length);
+  let v = value;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = Number(v & 0xffn);
+    v >>= 8n;
+  }
+  if (v !== 0n) {
+    throw new Error("Value does not fit into the requested length");
+  }
+  return bytes;
+}
+
+/**
+ * Encode a point in uncompressed SEC 1 form: 0x04 || X || Y
+ */
+export function encodePoint(point: AffinePoint): Uint8Array {
+  if (!point) {
+    throw new Error("Cannot encode the point at infinity");
+  }
+  const result = new Uint8Array(1 + 2 * P256_FIELD_SIZE);
+  result[0] = 0x04;
+  result.set(bigIntToBytes(point.x, P256_FIELD_SIZE), 1);
+  result.set(bigIntToBytes(point.y, P256_FIELD_SIZE), 1 + P256_FIELD_SIZE);
+  return result;
+}
+
+/**
+ * Decode an uncompressed (0x04) or compressed (0x02/0x03) SEC 1 point and validate it
+ */
+export function decodePoint(bytes: Uint8Array): AffinePoint {
+  let point: AffinePoint;
+  if (bytes.length === 1 + 2 * P256_FIELD_SIZE && bytes[0] === 0x04) {
+    point = {
+      x: bytesToBigInt(bytes.slice(1, 1 + P256_FIELD_SIZE)),
+      y: bytesToBigInt(bytes.slice(1 + P256_FIELD_SIZE)),
+    };
+  } else if (bytes.length === 1 + P256_FIELD_SIZE && (bytes[0] === 0x02 || bytes[0] === 0x03)) {
+    const x = bytesToBigInt(bytes.slice(1));
+    // P = 3 mod 4, so the square root is c^((P + 1) / 4)
+    const c = mod(x * x * x + A * x + B, P);
+    let y = modPow(c, (P + 1n) / 4n, P);
+    if ((y & 1n) !== BigInt(bytes[0] & 1)) {
+      y = P - y;
+    }
+    point = { x, y };
+  } else {
+    throw dataError("Invalid P-256 point encoding");
+  }
+  if (!isOnCurve(point)) {
+    throw dataError("Invalid P-256 point: not on curve");
+  }
+  return point;
+}
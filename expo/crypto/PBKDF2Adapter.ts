@@ -1,86 +1,138 @@
 /**
  * PBKDF2 Key Derivation Adapter
- * Implements PBKDF2 key derivation using node-forge
+ * Implements PBKDF2 key derivation with SHA-1, SHA-256, SHA-384 or SHA-512 using node-forge
  */
 
 import forge from "node-forge";
+import { createCryptoKey } from "./CryptoKey";
+import { operationError } from "./CryptoErrors";
+import { createMessageDigest, getBlockSize, getDigestSize, getHashName } from "./SHA256Adapter";
+import { bytesToBinaryString, toArrayBuffer, toBytes } from "./ByteUtils";
+import { throwIfAborted, yieldToEventLoop } from "./EventLoop";
 
 export interface PBKDF2Params {
   name: "PBKDF2";
   salt: BufferSource;
   iterations: number;
-  hash: "SHA-256";
+  hash: HashAlgorithmIdentifier;
+}
+
+/**
+ * Progress reporting and cancellation for a derivation
+ * onProgress is called between slices with the iterations completed so far, counted over all output blocks.
+ */
+export interface PBKDF2Options {
+  onProgress?: (completed: number, total: number) => void;
+  signal?: AbortSignal;
 }
 
 export interface DeriveKeyParams {
-  name: "AES-GCM";
-  length: number;
+  name: "AES-GCM" | "AES-CBC" | "AES-CTR" | "AES-KW" | "HMAC";
+  length?: number;
+  hash?: HashAlgorithmIdentifier;
 }
 
+// Time spent iterating before yielding to the event loop, about one frame
+const SLICE_DURATION_MS = 16;
+
+// Iterations between clock checks
+const ITERATIONS_PER_CHECK = 64;
+
 /**
- * Derive a key using PBKDF2
+ * Derive raw bits using PBKDF2 (RFC 8018 section 5.2)
+ * The iterations run in time slices with a yield to the event loop in between, so a high iteration count
+ * does not freeze the JS thread. The output is identical to forge.pkcs5.pbkdf2.
+ * @param length Number of bits to derive, must be a multiple of 8
+ */
+export async function pbkdf2DeriveBits(
+  params: PBKDF2Params,
+  baseKey: ArrayBuffer,
+  length: number,
+  options: PBKDF2Options = {}
+): Promise<ArrayBuffer> {
+  if (!length || length % 8 !== 0) {
+    throw operationError("PBKDF2 length must be a non-zero multiple of 8");
+  }
+  if (!params.iterations || params.iterations < 1) {
+    throw operationError("PBKDF2 iterations must be greater than 0");
+  }
+  throwIfAborted(options.signal);
+
+  const keyLength = length / 8; // Convert bits to bytes
+  const digestSize = getDigestSize(params.hash);
+  const blockCount = Math.ceil(keyLength / digestSize);
+  const total = blockCount * params.iterations;
+  const salt = bytesToBinaryString(toBytes(params.salt));
+
+  // The HMAC key schedule is computed once; start(md, null) reuses it for every iteration
+  const md = createMessageDigest(params.hash);
+  const prf = forge.hmac.create();
+  prf.start(md, bytesToBinaryString(toBytes(baseKey)));
+
+  const derived = new Uint8Array(blockCount * digestSize);
+  let sliceStart = Date.now();
+  for (let block = 1; block <= blockCount; block++) {
+    // T_i = U_1 ^ U_2 ^ ... ^ U_c with U_1 = PRF(P, S || INT(i)) and U_j = PRF(P, U_{j-1})
+    const t = derived.subarray((block - 1) * digestSize, block * digestSize);
+    prf.start(md, null);
+    prf.update(salt + forge.util.int32ToBytes(block));
+    let u = prf.digest().getBytes();
+    xorInto(t, u);
+
+    for (let iteration = 2; iteration <= params.iterations; iteration++) {
+      prf.start(md, null);
+      prf.update(u);
+      u = prf.digest().getBytes();
+      xorInto(t, u);
+
+      if (iteration % ITERATIONS_PER_CHECK === 0 && Date.now() - sliceStart >= SLICE_DURATION_MS) {
+        options.onProgress?.((block - 1) * params.iterations + iteration, total);
+        await yieldToEventLoop();
+        throwIfAborted(options.signal);
+        sliceStart = Date.now();
+      }
+    }
+  }
+  options.onProgress?.(total, total);
+
+  return toArrayBuffer(derived.subarray(0, keyLength));
+}
+
+/**
+ * XOR a node-forge binary string into bytes of the same length
+ */
+function xorInto(target: Uint8Array, binary: string): void {
+  for (let i = 0; i < target.length; i++) {
+    target[i] ^= binary.charCodeAt(i);
+  }
+}
+
+/**
+ * Derive an AES or HMAC key using PBKDF2
  */
 export async function pbkdf2DeriveKey(
   params: PBKDF2Params,
   baseKey: ArrayBuffer,
-  derivedKeyParams: DeriveKeyParams
+  derivedKeyParams: DeriveKeyParams,
+  extractable: boolean,
+  keyUsages: KeyUsage[],
+  options: PBKDF2Options = {}
 ): Promise<CryptoKey> {
-  // Ensure salt is a proper ArrayBuffer
-  let saltBytes: Uint8Array;
-  if (params.salt instanceof Uint8Array) {
-    saltBytes = params.salt;
-  } else if (params.salt instanceof ArrayBuffer) {
-    saltBytes = new Uint8Array(params.salt);
-  } else {
-    // ArrayBufferView - copy to ensure we have ArrayBuffer
-    const view = params.salt as ArrayBufferView;
-    const copy = new Uint8Array(view.byteLength);
-    copy.set(new Uint8Array(view.buffer, view.byteOffset, view.byteLength));
-    saltBytes = copy;
-  }
-  
-  // Ensure baseKey is a proper ArrayBuffer
-  let baseKeyBuffer: ArrayBuffer;
-  if (baseKey instanceof ArrayBuffer) {
-    baseKeyBuffer = baseKey;
+  let length: number;
+  if (derivedKeyParams.name !== "HMAC") {
+    length = derivedKeyParams.length as number;
+    if (length !== 128 && length !== 192 && length !== 256) {
+      throw operationError(`Invalid AES key length: ${length}. Must be 128, 192, or 256.`);
+    }
   } else {
-    const view = new Uint8Array(baseKey);
-    const copy = new Uint8Array(view.length);
-    copy.set(view);
-    baseKeyBuffer = copy.buffer;
+    // HMAC keys default to the block size of their hash
+    length = derivedKeyParams.length || getBlockSize(derivedKeyParams.hash) * 8;
   }
-  
-  // Derive key using PBKDF2
-  // node-forge pbkdf2 expects password as string and salt as string
-  // Convert buffers to binary strings using getBytes()
-  const baseKeyBuf = forge.util.createBuffer(baseKeyBuffer);
-  const baseKeyStr = baseKeyBuf.getBytes();
-  const saltBuf = forge.util.createBuffer(saltBytes.buffer as ArrayBuffer);
-  const saltStr = saltBuf.getBytes();
-  
-  const keyLength = derivedKeyParams.length / 8; // Convert bits to bytes
-  const derivedKey = forge.pkcs5.pbkdf2(
-    baseKeyStr,
-    saltStr,
-    params.iterations,
-    keyLength,
-    forge.md.sha256.create()
-  );
-  
-  // Convert string to Uint8Array
-  // derivedKey is a binary string, convert to bytes
-  const keyMaterial = new Uint8Array(keyLength);
-  for (let i = 0; i < keyLength && i < derivedKey.length; i++) {
-    keyMaterial[i] = derivedKey.charCodeAt(i) & 0xff;
-  }
-  
-  // Return a CryptoKey-like object that can be used for encryption/decryption
-  return {
-    type: "secret",
-    extractable: false,
-    algorithm: derivedKeyParams,
-    usages: ["encrypt", "decrypt"],
-    // Store raw key material for use in encryption/decryption
-    _rawKey: keyMaterial.buffer,
-  } as any;
+
+  const keyMaterial = await pbkdf2DeriveBits(params, baseKey, length, options);
+
+  const algorithm = derivedKeyParams.name !== "HMAC"
+    ? { name: derivedKeyParams.name, length }
+    : { name: "HMAC", hash: { name: getHashName(derivedKeyParams.hash) }, length };
+  return createCryptoKey("secret", extractable, algorithm as KeyAlgorithm, keyUsages, { rawKey: keyMaterial });
 }
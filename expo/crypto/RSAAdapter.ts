@@ -1,156 +1,548 @@
 /**
- * RSA-OAEP Adapter
- * Implements RSA-OAEP encryption/decryption using node-forge
+ * RSA Adapter
+ * Implements RSA-OAEP encryption/decryption and RSA-PSS signatures using node-forge
+ * The hash for OAEP, PSS and MGF1 comes from the key algorithm
  */
 
 import forge from "node-forge";
-import { pemToArrayBuffer, arrayBufferToPEM } from "./KeyFormatConverter";
+import { createCryptoKey, getKeyMaterial } from "./CryptoKey";
+import { dataError, invalidAccessError, notSupportedError, operationError, syntaxError, toCryptoError } from "./CryptoErrors";
+import { createMessageDigest, getDigestSize, getHashName, updateDigest } from "./SHA256Adapter";
+import { binaryStringToBytes, bytesToBinaryString, toArrayBuffer, toBytes } from "./ByteUtils";
+import { yieldToEventLoop } from "./EventLoop";
+import {
+  uint8ArrayToBase64Url,
+  base64UrlToUint8Array,
+  validateJwkImport,
+  RSAKeyComponents,
+  encodeRSAPublicKeyToSPKI,
+  extractRSAPublicKeyFromSPKI,
+  encodeRSAPrivateKeyToPKCS8,
+  extractRSAPrivateKeyFromPKCS8,
+} from "./KeyFormatConverter";
+
+export type RSAAlgorithmName = "RSA-OAEP" | "RSA-PSS";
 
 export interface RSAOAEPParams {
   name: "RSA-OAEP";
   label?: BufferSource;
 }
 
+export interface RSAPSSParams {
+  name: "RSA-PSS";
+  saltLength: number;
+}
+
 export interface RSAKeyGenParams {
-  name: "RSA-OAEP";
+  name: RSAAlgorithmName;
   modulusLength: number;
   publicExponent: Uint8Array;
-  hash: "SHA-256";
+  hash: HashAlgorithmIdentifier;
+}
+
+export interface RSAImportParams {
+  name: RSAAlgorithmName;
+  hash: HashAlgorithmIdentifier;
 }
 
+// Modulus sizes accepted for generation and import, the range browsers support
+const RSA_MIN_MODULUS_LENGTH = 256;
+const RSA_MAX_MODULUS_LENGTH = 16384;
+
+// Time spent on the prime search before yielding to the event loop, about one frame
+const KEYGEN_SLICE_DURATION_MS = 16;
+
+// node-forge's incremental key generation, which its type definitions leave out
+interface KeyPairGenerationState {
+  e: forge.jsbn.BigInteger;
+  keys: forge.pki.rsa.KeyPair | null;
+}
+const incrementalRsa = forge.pki.rsa as unknown as {
+  createKeyPairGenerationState(bits: number, e: number): KeyPairGenerationState;
+  // Runs the prime search for about n milliseconds and returns true once the key pair is done
+  stepKeyPairGenerationState(state: KeyPairGenerationState, n: number): boolean;
+};
+
+// Usages each key type may carry, per algorithm
+const RSA_KEY_USAGES: Record<RSAAlgorithmName, { public: KeyUsage[]; private: KeyUsage[] }> = {
+  "RSA-OAEP": { public: ["encrypt", "wrapKey"], private: ["decrypt", "unwrapKey"] },
+  "RSA-PSS": { public: ["verify"], private: ["sign"] },
+};
+
 /**
- * Generate RSA-OAEP key pair
+ * Generate RSA-OAEP or RSA-PSS key pair
+ * The prime search runs in time slices with a yield to the event loop in between, so the JS thread stays
+ * responsive while a 2048 or 3072-bit key is generated
  */
 export async function rsaGenerateKey(
   algorithm: RSAKeyGenParams,
   extractable: boolean,
   keyUsages: KeyUsage[]
 ): Promise<CryptoKeyPair> {
-  // Convert public exponent from Uint8Array to bigint
-  // Usually [1, 0, 1] = 65537
-  let exponent = 0n;
-  for (let i = 0; i < algorithm.publicExponent.length; i++) {
-    exponent = (exponent << 8n) | BigInt(algorithm.publicExponent[i]);
+  const { modulusLength } = algorithm;
+  const inRange = modulusLength >= RSA_MIN_MODULUS_LENGTH && modulusLength <= RSA_MAX_MODULUS_LENGTH;
+  if (!Number.isInteger(modulusLength) || modulusLength % 8 !== 0 || !inRange) {
+    throw operationError(
+      `RSA modulusLength must be a multiple of 8 between ${RSA_MIN_MODULUS_LENGTH} and ${RSA_MAX_MODULUS_LENGTH}, got ${modulusLength}`
+    );
   }
-  
-  // Generate RSA key pair using node-forge
-  const keyPair = forge.pki.rsa.generateKeyPair({
-    bits: algorithm.modulusLength,
-    e: Number(exponent), // Usually 65537
-  });
-  
-  // Convert to PEM format for storage
-  const publicKeyPem = forge.pki.publicKeyToPem(keyPair.publicKey);
-  const privateKeyPem = forge.pki.privateKeyToPem(keyPair.privateKey);
-  
+  getHashName(algorithm.hash);
+
+  const state = incrementalRsa.createKeyPairGenerationState(modulusLength, 65537);
+  // Set the exponent as a BigInteger: createKeyPairGenerationState loads it with BigInteger.fromInt,
+  // which only handles values below 2^28
+  state.e = getGenerationExponent(algorithm.publicExponent);
+  while (!incrementalRsa.stepKeyPairGenerationState(state, KEYGEN_SLICE_DURATION_MS)) {
+    await yieldToEventLoop();
+  }
+  const keyPair = state.keys as forge.pki.rsa.KeyPair;
+  const usages = RSA_KEY_USAGES[algorithm.name];
+
   return {
-    publicKey: {
-      type: "public",
-      extractable,
-      algorithm: {
-        name: "RSA-OAEP",
-        modulusLength: algorithm.modulusLength,
-        publicExponent: algorithm.publicExponent,
-        hash: algorithm.hash,
-      },
-      usages: keyUsages.filter((u) => u === "encrypt"),
-      _forgePublicKey: keyPair.publicKey,
-      _pemPublicKey: publicKeyPem,
-    } as any,
-    privateKey: {
-      type: "private",
-      extractable,
-      algorithm: {
-        name: "RSA-OAEP",
-        modulusLength: algorithm.modulusLength,
-        publicExponent: algorithm.publicExponent,
-        hash: algorithm.hash,
-      },
-      usages: keyUsages.filter((u) => u === "decrypt"),
-      _forgePrivateKey: keyPair.privateKey,
-      _pemPrivateKey: privateKeyPem,
-    } as any,
+    // Public keys are always extractable; each key of the pair gets the requested usages that apply to it
+    publicKey: createRsaPublicKey(keyPair.publicKey, algorithm, true, keyUsages.filter((u) => usages.public.includes(u))),
+    privateKey: createRsaPrivateKey(keyPair.privateKey, algorithm, extractable, keyUsages.filter((u) => usages.private.includes(u))),
   };
 }
 
 /**
- * Import RSA key from SPKI (public) or PKCS8 (private) format
+ * Read the big-endian publicExponent of a generate call
+ */
+function getGenerationExponent(publicExponent: Uint8Array): forge.jsbn.BigInteger {
+  const exponent = bytesToBigInteger(toBytes(publicExponent));
+  if (!exponent.testBit(0) || exponent.compareTo(forge.jsbn.BigInteger.ONE) <= 0) {
+    throw operationError("RSA publicExponent must be an odd number greater than 1");
+  }
+  return exponent;
+}
+
+/**
+ * Check imported key material: the modulus size, the exponent, and that p and q are the factors of n
+ */
+function checkImportedKey(n: forge.jsbn.BigInteger, e: forge.jsbn.BigInteger, p?: forge.jsbn.BigInteger, q?: forge.jsbn.BigInteger): void {
+  const modulusLength = n.bitLength();
+  if (modulusLength < RSA_MIN_MODULUS_LENGTH || modulusLength > RSA_MAX_MODULUS_LENGTH) {
+    throw dataError(`RSA modulus must be between ${RSA_MIN_MODULUS_LENGTH} and ${RSA_MAX_MODULUS_LENGTH} bits, got ${modulusLength}`);
+  }
+  if (!e.testBit(0) || e.compareTo(forge.jsbn.BigInteger.ONE) <= 0 || e.compareTo(n) >= 0) {
+    throw dataError("RSA public exponent must be odd and between 1 and the modulus");
+  }
+  if (p && q && !p.multiply(q).equals(n)) {
+    throw dataError("RSA private key factors do not match the modulus");
+  }
+}
+
+/**
+ * Import RSA key from SPKI (public), PKCS8 (private) or JWK format
  */
 export async function rsaImportKey(
-  format: "spki" | "pkcs8",
-  keyData: ArrayBuffer,
-  algorithm: { name: "RSA-OAEP"; hash: "SHA-256" },
+  format: "spki" | "pkcs8" | "jwk",
+  keyData: ArrayBuffer | JsonWebKey,
+  algorithm: RSAImportParams,
   extractable: boolean,
   keyUsages: KeyUsage[]
 ): Promise<CryptoKey> {
-  const keyBytes = new Uint8Array(keyData);
-  
-  // Convert to PEM format for node-forge
-  const pem = arrayBufferToPEM(keyBytes.buffer, format === "spki" ? "PUBLIC KEY" : "PRIVATE KEY");
+  getHashName(algorithm.hash);
+  if (format === "jwk") {
+    return rsaImportJwk(keyData as JsonWebKey, algorithm, extractable, keyUsages);
+  }
+
+  const keyBytes = new Uint8Array(keyData as ArrayBuffer);
   
   try {
     if (format === "spki") {
-      const publicKey = forge.pki.publicKeyFromPem(pem);
-      const publicKeyPem = forge.pki.publicKeyToPem(publicKey);
-      
-      // Extract modulus length from key
-      const modulusLength = publicKey.n.bitLength();
-      
-      return {
-        type: "public",
-        extractable,
-        algorithm: {
-          name: "RSA-OAEP",
-          modulusLength,
-          publicExponent: new Uint8Array([1, 0, 1]), // Usually 65537
-          hash: algorithm.hash,
-        },
-        usages: keyUsages.filter((u) => u === "encrypt"),
-        _forgePublicKey: publicKey,
-        _pemPublicKey: publicKeyPem,
-      } as any;
+      const { n, e } = extractRSAPublicKeyFromSPKI(keyBytes);
+      const publicKey = forge.pki.setRsaPublicKey(bytesToBigInteger(n), bytesToBigInteger(e));
+      checkImportedKey(publicKey.n, publicKey.e);
+      return createRsaPublicKey(publicKey, algorithm, extractable, keyUsages);
     } else {
-      const privateKey = forge.pki.privateKeyFromPem(pem);
-      const privateKeyPem = forge.pki.privateKeyToPem(privateKey);
-      
-      // Extract modulus length from key
-      const modulusLength = privateKey.n.bitLength();
-      
-      return {
-        type: "private",
-        extractable,
-        algorithm: {
-          name: "RSA-OAEP",
-          modulusLength,
-          publicExponent: new Uint8Array([1, 0, 1]), // Usually 65537
-          hash: algorithm.hash,
-        },
-        usages: keyUsages.filter((u) => u === "decrypt"),
-        _forgePrivateKey: privateKey,
-        _pemPrivateKey: privateKeyPem,
-      } as any;
+      const components = extractRSAPrivateKeyFromPKCS8(keyBytes);
+      const privateKey = forge.pki.setRsaPrivateKey(
+        bytesToBigInteger(components.n),
+        bytesToBigInteger(components.e),
+        bytesToBigInteger(components.d),
+        bytesToBigInteger(components.p),
+        bytesToBigInteger(components.q),
+        bytesToBigInteger(components.dp),
+        bytesToBigInteger(components.dq),
+        bytesToBigInteger(components.qi)
+      );
+      checkImportedKey(privateKey.n, privateKey.e, privateKey.p, privateKey.q);
+      return createRsaPrivateKey(privateKey, algorithm, extractable, keyUsages);
     }
   } catch (error) {
-    throw new Error(`Failed to import RSA key: ${error}`);
+    throw toCryptoError(error, dataError, "Failed to import RSA key");
   }
 }
 
 /**
- * Export RSA key to SPKI (public) or PKCS8 (private) format
+ * Import RSA key from JWK (RFC 7518 section 6.3)
+ * A JWK containing "d" is a private key and must carry all CRT parameters
  */
-export async function rsaExportKey(format: "spki" | "pkcs8", key: CryptoKey): Promise<ArrayBuffer> {
-  if (format === "spki") {
-    const pem = (key as any)._pemPublicKey;
-    if (!pem) {
-      throw new Error("Key does not contain public key material");
+function rsaImportJwk(
+  jwk: JsonWebKey,
+  algorithm: RSAImportParams,
+  extractable: boolean,
+  keyUsages: KeyUsage[]
+): CryptoKey {
+  validateJwkImport(jwk, {
+    kty: "RSA",
+    use: algorithm.name === "RSA-PSS" ? "sig" : "enc",
+    alg: [rsaJwkAlg(algorithm.name, algorithm.hash)],
+    extractable,
+    keyUsages,
+  });
+  if (!jwk.n || !jwk.e) {
+    throw dataError('Invalid JWK: missing "n" or "e" parameter');
+  }
+  const n = base64UrlToBigInteger(jwk.n);
+  const e = base64UrlToBigInteger(jwk.e);
+
+  if (jwk.d === undefined) {
+    checkImportedKey(n, e);
+    const publicKey = forge.pki.setRsaPublicKey(n, e);
+    return createRsaPublicKey(publicKey, algorithm, extractable, keyUsages);
+  }
+
+  if (!jwk.p || !jwk.q || !jwk.dp || !jwk.dq || !jwk.qi) {
+    throw dataError('Invalid JWK: RSA private keys require "p", "q", "dp", "dq" and "qi"');
+  }
+  const p = base64UrlToBigInteger(jwk.p);
+  const q = base64UrlToBigInteger(jwk.q);
+  checkImportedKey(n, e, p, q);
+  const privateKey = forge.pki.setRsaPrivateKey(
+    n,
+    e,
+    base64UrlToBigInteger(jwk.d),
+    p,
+    q,
+    base64UrlToBigInteger(jwk.dp),
+    base64UrlToBigInteger(jwk.dq),
+    base64UrlToBigInteger(jwk.qi)
+  );
+  return createRsaPrivateKey(privateKey, algorithm, extractable, keyUsages);
+}
+
+/**
+ * Describe a key with its own modulus length and exponent, and the hash in { name } form
+ */
+function createKeyAlgorithm(key: { n: forge.jsbn.BigInteger; e: forge.jsbn.BigInteger }, algorithm: RSAImportParams): RsaHashedKeyAlgorithm {
+  return {
+    name: algorithm.name,
+    modulusLength: key.n.bitLength(),
+    publicExponent: bigIntegerToBytes(key.e),
+    hash: { name: getHashName(algorithm.hash) },
+  } as RsaHashedKeyAlgorithm;
+}
+
+/**
+ * Reject usages a public or private key of the algorithm cannot have, like Node's WebCrypto does
+ */
+function checkKeyUsages(algorithm: RSAImportParams, type: "public" | "private", keyUsages: KeyUsage[]): void {
+  const invalid = keyUsages.filter((u) => !RSA_KEY_USAGES[algorithm.name][type].includes(u));
+  if (invalid.length > 0) {
+    throw syntaxError(`Unsupported key usage for a ${algorithm.name} ${type} key: ${invalid.join(", ")}`);
+  }
+}
+
+/**
+ * Wrap a node-forge public key into a CryptoKey
+ */
+function createRsaPublicKey(
+  publicKey: forge.pki.rsa.PublicKey,
+  algorithm: RSAImportParams,
+  extractable: boolean,
+  keyUsages: KeyUsage[]
+): CryptoKey {
+  checkKeyUsages(algorithm, "public", keyUsages);
+  return createCryptoKey(
+    "public",
+    extractable,
+    createKeyAlgorithm(publicKey, algorithm),
+    keyUsages,
+    { forgePublicKey: publicKey }
+  );
+}
+
+/**
+ * Wrap a node-forge private key into a CryptoKey
+ */
+function createRsaPrivateKey(
+  privateKey: forge.pki.rsa.PrivateKey,
+  algorithm: RSAImportParams,
+  extractable: boolean,
+  keyUsages: KeyUsage[]
+): CryptoKey {
+  checkKeyUsages(algorithm, "private", keyUsages);
+  return createCryptoKey(
+    "private",
+    extractable,
+    createKeyAlgorithm(privateKey, algorithm),
+    keyUsages,
+    { forgePrivateKey: privateKey }
+  );
+}
+
+/**
+ * Export RSA key to SPKI (public), PKCS8 (private) or JWK format
+ */
+export async function rsaExportKey(format: "spki" | "pkcs8" | "jwk", key: CryptoKey): Promise<ArrayBuffer | JsonWebKey> {
+  if (format === "jwk") {
+    return rsaExportJwk(key);
+  } else if (format === "spki") {
+    const publicKey = getKeyMaterial(key).forgePublicKey;
+    if (key.type !== "public" || !publicKey) {
+      throw invalidAccessError(`Unable to export a spki ${key.algorithm.name} ${key.type} key`);
     }
-    return pemToArrayBuffer(pem);
+    return encodeRSAPublicKeyToSPKI({ n: bigIntegerToBytes(publicKey.n), e: bigIntegerToBytes(publicKey.e) });
   } else {
-    const pem = (key as any)._pemPrivateKey;
-    if (!pem) {
-      throw new Error("Key does not contain private key material");
+    const privateKey = getKeyMaterial(key).forgePrivateKey;
+    if (key.type !== "private" || !privateKey) {
+      throw invalidAccessError(`Unable to export a pkcs8 ${key.algorithm.name} ${key.type} key`);
     }
-    return pemToArrayBuffer(pem);
+    return encodeRSAPrivateKeyToPKCS8(privateKeyComponents(privateKey));
+  }
+}
+
+/**
+ * Export RSA key to JWK
+ */
+function rsaExportJwk(key: CryptoKey): JsonWebKey {
+  const jwk: JsonWebKey = {
+    key_ops: [...key.usages],
+    ext: key.extractable,
+    kty: "RSA",
+  };
+  let components: RSAKeyComponents;
+  if (key.type === "public") {
+    const publicKey = getKeyMaterial(key).forgePublicKey;
+    if (!publicKey) {
+      throw dataError("Key does not contain public key material");
+    }
+    components = { n: bigIntegerToBytes(publicKey.n), e: bigIntegerToBytes(publicKey.e) };
+  } else {
+    const privateKey = getKeyMaterial(key).forgePrivateKey;
+    if (!privateKey) {
+      throw dataError("Key does not contain private key material");
+    }
+    components = privateKeyComponents(privateKey);
+  }
+  for (const [member, value] of Object.entries(components)) {
+    (jwk as any)[member] = uint8ArrayToBase64Url(value);
+  }
+  const algorithm = key.algorithm as RsaHashedKeyAlgorithm;
+  jwk.alg = rsaJwkAlg(algorithm.name as RSAAlgorithmName, algorithm.hash as any);
+  return jwk;
+}
+
+/**
+ * Collect the components of a node-forge private key
+ */
+function privateKeyComponents(privateKey: forge.pki.rsa.PrivateKey): RSAKeyComponents {
+  return {
+    n: bigIntegerToBytes(privateKey.n),
+    e: bigIntegerToBytes(privateKey.e),
+    d: bigIntegerToBytes(privateKey.d),
+    p: bigIntegerToBytes(privateKey.p),
+    q: bigIntegerToBytes(privateKey.q),
+    dp: bigIntegerToBytes(privateKey.dP),
+    dq: bigIntegerToBytes(privateKey.dQ),
+    qi: bigIntegerToBytes(privateKey.qInv),
+  };
+}
+
+/**
+ * Map an RSA algorithm and hash to the JWK "alg" value (RFC 7518 sections 3.5 and 4.3)
+ */
+function rsaJwkAlg(name: RSAAlgorithmName, hash: HashAlgorithmIdentifier): string {
+  const hashName = getHashName(hash);
+  const bits = { "SHA-1": "1", "SHA-256": "256", "SHA-384": "384", "SHA-512": "512" }[hashName];
+  if (!bits || (name === "RSA-PSS" && bits === "1")) {
+    throw notSupportedError(`Unsupported ${name} hash: ${hashName}`);
+  }
+  if (name === "RSA-PSS") {
+    return `PS${bits}`;
+  }
+  return bits === "1" ? "RSA-OAEP" : `RSA-OAEP-${bits}`;
+}
+
+/**
+ * Convert a node-forge BigInteger to unsigned big-endian bytes
+ */
+function bigIntegerToBytes(value: forge.jsbn.BigInteger): Uint8Array {
+  let hex = value.toString(16);
+  if (hex.length % 2 !== 0) {
+    hex = "0" + hex;
+  }
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Convert unsigned big-endian bytes to a node-forge BigInteger
+ */
+function bytesToBigInteger(bytes: Uint8Array): forge.jsbn.BigInteger {
+  let hex = "";
+  for (let i = 0; i < bytes.length; i++) {
+    hex += bytes[i].toString(16).padStart(2, "0");
+  }
+  return new forge.jsbn.BigInteger(hex || "0", 16);
+}
+
+/**
+ * Convert an unsigned big-endian base64url string to a node-forge BigInteger
+ */
+function base64UrlToBigInteger(value: string): forge.jsbn.BigInteger {
+  return bytesToBigInteger(base64UrlToUint8Array(value));
+}
+
+/**
+ * Get the hash stored in an RSA key's algorithm
+ */
+function getKeyHash(key: CryptoKey): HashAlgorithmIdentifier {
+  return (key.algorithm as RsaHashedKeyAlgorithm).hash;
+}
+
+function checkSaltLength(saltLength: number): void {
+  if (!Number.isInteger(saltLength) || saltLength < 0) {
+    throw operationError("RSA-PSS saltLength must be a non-negative integer");
+  }
+}
+
+/**
+ * Create the EMSA-PSS encoding scheme with MGF1, both using the given hash
+ */
+function createPss(hash: HashAlgorithmIdentifier, saltLength: number): forge.pss.PSS {
+  checkSaltLength(saltLength);
+  return forge.pss.create({
+    md: createMessageDigest(hash),
+    mgf: forge.mgf.mgf1.create(createMessageDigest(hash)),
+    saltLength,
+  });
+}
+
+/**
+ * EMSA-PSS-VERIFY (RFC 8017 section 9.1.2) as a node-forge signature scheme
+ * node-forge's own verifier takes the salt with substr(-sLen), which is the whole DB when sLen is 0,
+ * so signatures with an empty salt never verified.
+ */
+function createPssVerifier(hash: HashAlgorithmIdentifier, saltLength: number): forge.pss.PSS {
+  checkSaltLength(saltLength);
+  return {
+    verify(mHash: string, em: string, modBits: number): boolean {
+      const hLen = mHash.length;
+      const emBits = modBits - 1;
+      const emLen = Math.ceil(emBits / 8);
+      em = em.substr(-emLen);
+      if (emLen < hLen + saltLength + 2 || em.charCodeAt(emLen - 1) !== 0xbc) {
+        return false;
+      }
+
+      const maskLen = emLen - hLen - 1;
+      const maskedDB = em.substr(0, maskLen);
+      const h = em.substr(maskLen, hLen);
+      const mask = (0xff00 >> (8 * emLen - emBits)) & 0xff;
+      if ((maskedDB.charCodeAt(0) & mask) !== 0) {
+        return false;
+      }
+
+      const dbMask: string = forge.mgf.mgf1.create(createMessageDigest(hash)).generate(h, maskLen);
+      const db: number[] = [];
+      for (let i = 0; i < maskLen; i++) {
+        db.push(maskedDB.charCodeAt(i) ^ dbMask.charCodeAt(i));
+      }
+      db[0] &= ~mask;
+
+      // DB = PS (zeros) || 0x01 || salt
+      const separator = maskLen - saltLength - 1;
+      if (db.slice(0, separator).some((byte) => byte !== 0) || db[separator] !== 0x01) {
+        return false;
+      }
+      const salt = String.fromCharCode(...db.slice(separator + 1));
+
+      const md = createMessageDigest(hash);
+      md.update("\0\0\0\0\0\0\0\0" + mHash + salt);
+      return md.digest().getBytes() === h;
+    },
+  };
+}
+
+/**
+ * Create the RSA-OAEP options with MGF1, both using the given hash, and the optional label
+ */
+function createOaepOptions(
+  hash: HashAlgorithmIdentifier,
+  label: BufferSource | undefined
+): { md: forge.md.MessageDigest; mgf1: { md: forge.md.MessageDigest }; label?: string } {
+  if (label !== undefined && !(label instanceof ArrayBuffer) && !ArrayBuffer.isView(label)) {
+    throw operationError("RSA-OAEP label must be an ArrayBuffer or ArrayBufferView");
+  }
+  return {
+    md: createMessageDigest(hash),
+    mgf1: {
+      md: createMessageDigest(hash),
+    },
+    label: label === undefined ? undefined : bytesToBinaryString(toBytes(label)),
+  };
+}
+
+/**
+ * Sign data with RSA-PSS
+ */
+export async function rsaPssSign(
+  algorithm: RSAPSSParams,
+  key: CryptoKey,
+  data: ArrayBuffer | Uint8Array
+): Promise<ArrayBuffer> {
+  const privateKey = getKeyMaterial(key).forgePrivateKey;
+  if (key.type !== "private" || !privateKey) {
+    throw invalidAccessError("Key must be a private key");
+  }
+
+  const hash = getKeyHash(key);
+  const pss = createPss(hash, algorithm.saltLength);
+  // EMSA-PSS needs room for the hash, the salt and two more bytes (RFC 8017 section 9.1.1)
+  const maxSaltLength = Math.ceil((privateKey.n.bitLength() - 1) / 8) - getDigestSize(hash) - 2;
+  if (algorithm.saltLength > maxSaltLength) {
+    throw operationError(`RSA-PSS saltLength ${algorithm.saltLength} exceeds the maximum of ${maxSaltLength} for this key`);
+  }
+  const md = createMessageDigest(hash);
+  updateDigest(md, toBytes(data));
+  const signature: string = privateKey.sign(md, pss);
+  return toArrayBuffer(binaryStringToBytes(signature));
+}
+
+/**
+ * Verify an RSA-PSS signature
+ */
+export async function rsaPssVerify(
+  algorithm: RSAPSSParams,
+  key: CryptoKey,
+  signature: ArrayBuffer | Uint8Array,
+  data: ArrayBuffer | Uint8Array
+): Promise<boolean> {
+  const publicKey = getKeyMaterial(key).forgePublicKey;
+  if (key.type !== "public" || !publicKey) {
+    throw invalidAccessError("Key must be a public key");
+  }
+
+  const hash = getKeyHash(key);
+  const pss = createPssVerifier(hash, algorithm.saltLength);
+  const md = createMessageDigest(hash);
+  updateDigest(md, toBytes(data));
+  const signatureBytes = toBytes(signature);
+  // Signatures must be exactly as long as the modulus
+  if (signatureBytes.length !== Math.ceil(publicKey.n.bitLength() / 8)) {
+    return false;
+  }
+  try {
+    return publicKey.verify(md.digest().getBytes(), bytesToBinaryString(signatureBytes), pss);
+  } catch {
+    // node-forge throws on malformed encodings instead of returning false
+    return false;
   }
 }
 
@@ -162,30 +554,20 @@ export async function rsaEncrypt(
   key: CryptoKey,
   data: ArrayBuffer | Uint8Array
 ): Promise<ArrayBuffer> {
-  const publicKey = (key as any)._forgePublicKey;
-  if (!publicKey) {
-    throw new Error("Key does not contain public key material");
+  const publicKey = getKeyMaterial(key).forgePublicKey;
+  if (key.type !== "public" || !publicKey) {
+    throw invalidAccessError("The requested operation is not valid for the provided key");
   }
   
-  const dataBytes = data instanceof Uint8Array ? data : new Uint8Array(data);
-  
-  // RSA-OAEP encryption with SHA-256
-  // node-forge encrypt returns a binary string, convert to ArrayBuffer
-  const dataBuf = forge.util.createBuffer(dataBytes.buffer as ArrayBuffer);
-  const encrypted = publicKey.encrypt(dataBuf.getBytes(), "RSA-OAEP", {
-    md: forge.md.sha256.create(),
-    mgf1: {
-      md: forge.md.sha256.create(),
-    },
-  });
-  
-  // Convert binary string to ArrayBuffer
-  const encryptedBytes = new Uint8Array(encrypted.length);
-  for (let i = 0; i < encrypted.length; i++) {
-    encryptedBytes[i] = encrypted.charCodeAt(i) & 0xff;
+  // RSA-OAEP encryption with the key's hash
+  let encrypted: string;
+  try {
+    encrypted = publicKey.encrypt(bytesToBinaryString(toBytes(data)), "RSA-OAEP", createOaepOptions(getKeyHash(key), algorithm.label));
+  } catch (error) {
+    // node-forge throws when the message is too long for the modulus
+    throw toCryptoError(error, operationError, "RSA-OAEP encryption failed");
   }
-  
-  return encryptedBytes.buffer;
+  return toArrayBuffer(binaryStringToBytes(encrypted));
 }
 
 /**
@@ -196,28 +578,18 @@ export async function rsaDecrypt(
   key: CryptoKey,
   data: ArrayBuffer | Uint8Array
 ): Promise<ArrayBuffer> {
-  const privateKey = (key as any)._forgePrivateKey;
-  if (!privateKey) {
-    throw new Error("Key does not contain private key material");
+  const privateKey = getKeyMaterial(key).forgePrivateKey;
+  if (key.type !== "private" || !privateKey) {
+    throw invalidAccessError("The requested operation is not valid for the provided key");
   }
   
-  const dataBytes = data instanceof Uint8Array ? data : new Uint8Array(data);
-  
-  // RSA-OAEP decryption with SHA-256
-  // node-forge decrypt expects a binary string
-  const encryptedStr = forge.util.createBuffer(dataBytes.buffer as ArrayBuffer).getBytes();
-  const decrypted = privateKey.decrypt(encryptedStr, "RSA-OAEP", {
-    md: forge.md.sha256.create(),
-    mgf1: {
-      md: forge.md.sha256.create(),
-    },
-  });
-  
-  // Convert binary string to ArrayBuffer
-  const decryptedBytes = new Uint8Array(decrypted.length);
-  for (let i = 0; i < decrypted.length; i++) {
-    decryptedBytes[i] = decrypted.charCodeAt(i) & 0xff;
+  // RSA-OAEP decryption with the key's hash
+  let decrypted: string;
+  try {
+    decrypted = privateKey.decrypt(bytesToBinaryString(toBytes(data)), "RSA-OAEP", createOaepOptions(getKeyHash(key), algorithm.label));
+  } catch (error) {
+    // node-forge throws on a bad length or OAEP padding, including a label that does not match
+    throw toCryptoError(error, operationError, "RSA-OAEP decryption failed");
   }
-  
-  return decryptedBytes.buffer;
+  return toArrayBuffer(binaryStringToBytes(decrypted));
 }
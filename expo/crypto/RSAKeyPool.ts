@@ -0,0 +1,155 @@
+/**
+ * RSA Key Pool
+ * Pre-generates RSA-OAEP key pairs while the app is idle, so that a generateKey call with matching
+ * parameters (e.g. when MindooDB creates a user) returns without waiting for the prime search
+ *
+ * Pooled pairs are generated extractable with every RSA-OAEP usage, and handed out as fresh keys imported
+ * with the extractability and usages of the generateKey call that takes them.
+ */
+
+import { getHashName } from "./SHA256Adapter";
+
+export interface RSAKeyPoolOptions {
+  // Number of key pairs to keep ready (default 1)
+  size?: number;
+  // Parameters of the pooled key pairs (default 3072 bits, exponent 65537, SHA-256)
+  modulusLength?: number;
+  publicExponent?: Uint8Array;
+  hash?: string;
+  // Wait after startup and after each take before generating, so the pool does not compete with the
+  // work that follows (default 2000 ms)
+  idleDelayMs?: number;
+}
+
+const PUBLIC_USAGES: KeyUsage[] = ["encrypt", "wrapKey"];
+const PRIVATE_USAGES: KeyUsage[] = ["decrypt", "unwrapKey"];
+
+/**
+ * Pool of pre-generated RSA-OAEP key pairs
+ */
+export class RSAKeyPool {
+  private readonly subtle: SubtleCrypto;
+  private readonly size: number;
+  private readonly algorithm: RsaHashedKeyGenParams;
+  private readonly idleDelayMs: number;
+  private readonly pairs: CryptoKeyPair[] = [];
+  private timer: ReturnType<typeof setTimeout> | null = null;
+  private filling: Promise<void> | null = null;
+  private stopped = false;
+
+  constructor(subtle: SubtleCrypto, options: RSAKeyPoolOptions = {}) {
+    this.subtle = subtle;
+    this.size = options.size ?? 1;
+    this.algorithm = {
+      name: "RSA-OAEP",
+      modulusLength: options.modulusLength ?? 3072,
+      publicExponent: new Uint8Array(options.publicExponent ?? [1, 0, 1]),
+      hash: getHashName(options.hash ?? "SHA-256"),
+    };
+    this.idleDelayMs = options.idleDelayMs ?? 2000;
+    this.scheduleFill();
+  }
+
+  /**
+   * Number of key pairs ready to be taken
+   */
+  get available(): number {
+    return this.pairs.length;
+  }
+
+  /**
+   * Take a pooled key pair for a generateKey call, or return null when the parameters do not match the
+   * pool or the pool is empty; the caller then generates the key pair itself
+   */
+  async take(algorithm: RsaHashedKeyGenParams, extractable: boolean, keyUsages: KeyUsage[]): Promise<CryptoKeyPair | null> {
+    const publicUsages = keyUsages.filter((usage) => PUBLIC_USAGES.includes(usage));
+    const privateUsages = keyUsages.filter((usage) => PRIVATE_USAGES.includes(usage));
+    if (!this.matches(algorithm) || privateUsages.length === 0 || publicUsages.length + privateUsages.length !== keyUsages.length) {
+      return null;
+    }
+    const pair = this.pairs.shift();
+    if (!pair) {
+      return null;
+    }
+    this.scheduleFill();
+
+    const importParams = { name: "RSA-OAEP", hash: this.algorithm.hash };
+    const [spki, pkcs8] = await Promise.all([
+      this.subtle.exportKey("spki", pair.publicKey),
+      this.subtle.exportKey("pkcs8", pair.privateKey),
+    ]);
+    return {
+      // Public keys are always extractable
+      publicKey: await this.subtle.importKey("spki", spki, importParams, true, publicUsages),
+      privateKey: await this.subtle.importKey("pkcs8", pkcs8, importParams, extractable, privateUsages),
+    };
+  }
+
+  /**
+   * Generate key pairs until the pool is full; resolves once it is
+   */
+  fill(): Promise<void> {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (!this.filling) {
+      this.filling = this.generatePairs().finally(() => {
+        this.filling = null;
+      });
+    }
+    return this.filling;
+  }
+
+  /**
+   * Stop generating; pairs already in the pool can still be taken
+   */
+  stop(): void {
+    this.stopped = true;
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  private matches(algorithm: RsaHashedKeyGenParams): boolean {
+    const exponent = new Uint8Array(algorithm.publicExponent);
+    const expected = this.algorithm.publicExponent;
+    let hash: string;
+    try {
+      hash = getHashName(algorithm.hash);
+    } catch {
+      return false;
+    }
+    return (
+      algorithm.name.toUpperCase() === "RSA-OAEP" &&
+      algorithm.modulusLength === this.algorithm.modulusLength &&
+      hash === this.algorithm.hash &&
+      exponent.length === expected.length &&
+      exponent.every((byte, i) => byte === expected[i])
+    );
+  }
+
+  private scheduleFill(): void {
+    if (this.stopped || this.timer !== null || this.filling) {
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.fill().catch((error) => {
+        console.log("[RSAKeyPool] Failed to pre-generate an RSA key pair:", error);
+      });
+    }, this.idleDelayMs);
+  }
+
+  private async generatePairs(): Promise<void> {
+    while (!this.stopped && this.pairs.length < this.size) {
+      const pair = (await this.subtle.generateKey(
+        this.algorithm,
+        true,
+        [...PUBLIC_USAGES, ...PRIVATE_USAGES]
+      )) as CryptoKeyPair;
+      this.pairs.push(pair);
+    }
+  }
+}
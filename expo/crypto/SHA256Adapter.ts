@@ -1,26 +1,84 @@
 /**
- * SHA-256 Digest Adapter
- * Implements SHA-256 hashing using node-forge
+ * SHA Digest Adapter
+ * Implements SHA-1, SHA-256, SHA-384 and SHA-512 hashing using node-forge,
+ * and the hash lookup shared by the HMAC, PBKDF2, HKDF, RSA and ECDSA adapters
  */
 
 import forge from "node-forge";
+import { notSupportedError } from "./CryptoErrors";
+import { binaryStringToBytes, bytesToBinaryString, toArrayBuffer, toBytes } from "./ByteUtils";
+
+export type HashName = "SHA-1" | "SHA-256" | "SHA-384" | "SHA-512";
+
+// Output size and block size per hash, in bytes
+const HASH_ALGORITHMS: Record<HashName, { digestSize: number; blockSize: number; create: () => forge.md.MessageDigest }> = {
+  "SHA-1": { digestSize: 20, blockSize: 64, create: () => forge.md.sha1.create() },
+  "SHA-256": { digestSize: 32, blockSize: 64, create: () => forge.md.sha256.create() },
+  "SHA-384": { digestSize: 48, blockSize: 128, create: () => forge.md.sha384.create() },
+  "SHA-512": { digestSize: 64, blockSize: 128, create: () => forge.md.sha512.create() },
+};
+
+// Bytes converted to a binary string at a time when hashing
+const DIGEST_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Get the hash name from a string or { name } identifier
+ * Throws for hashes the fallback does not implement
+ */
+export function getHashName(hash: HashAlgorithmIdentifier | undefined): HashName {
+  const name = typeof hash === "string" ? hash : hash?.name;
+  // Hash names are case-insensitive in Web Crypto
+  const normalized = (Object.keys(HASH_ALGORITHMS) as HashName[]).find(
+    (candidate) => candidate.toUpperCase() === String(name).toUpperCase()
+  );
+  if (!normalized) {
+    throw notSupportedError(`Hash algorithm ${name} is not supported`);
+  }
+  return normalized;
+}
+
+/**
+ * Create a node-forge message digest for a hash
+ */
+export function createMessageDigest(hash: HashAlgorithmIdentifier): forge.md.MessageDigest {
+  return HASH_ALGORITHMS[getHashName(hash)].create();
+}
+
+/**
+ * Get the digest output size in bytes
+ */
+export function getDigestSize(hash: HashAlgorithmIdentifier): number {
+  return HASH_ALGORITHMS[getHashName(hash)].digestSize;
+}
+
+/**
+ * Get the hash block size in bytes (the default HMAC key length)
+ */
+export function getBlockSize(hash: HashAlgorithmIdentifier): number {
+  return HASH_ALGORITHMS[getHashName(hash)].blockSize;
+}
+
+/**
+ * Feed bytes to a node-forge digest or HMAC in chunks, so no binary string of the whole input is built
+ */
+export function updateDigest(digest: { update(bytes: string): unknown }, bytes: Uint8Array): void {
+  for (let offset = 0; offset < bytes.length; offset += DIGEST_CHUNK_SIZE) {
+    digest.update(bytesToBinaryString(bytes.subarray(offset, offset + DIGEST_CHUNK_SIZE)));
+  }
+}
+
+/**
+ * Compute the digest of data with the given hash
+ */
+export async function shaDigest(hash: HashAlgorithmIdentifier, data: ArrayBuffer | Uint8Array): Promise<ArrayBuffer> {
+  const md = createMessageDigest(hash);
+  updateDigest(md, toBytes(data));
+  return toArrayBuffer(binaryStringToBytes(md.digest().getBytes()));
+}
 
 /**
  * Compute SHA-256 digest of data
  */
 export async function sha256Digest(data: ArrayBuffer | Uint8Array): Promise<ArrayBuffer> {
-  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
-  const md = forge.md.sha256.create();
-  const dataBuf = forge.util.createBuffer(bytes.buffer as ArrayBuffer);
-  md.update(dataBuf.getBytes());
-  const hash = md.digest();
-  
-  // Convert hash to Uint8Array
-  const hashHex = hash.toHex();
-  const hashBytes = new Uint8Array(hashHex.length / 2);
-  for (let i = 0; i < hashBytes.length; i++) {
-    hashBytes[i] = parseInt(hashHex.substr(i * 2, 2), 16);
-  }
-  
-  return hashBytes.buffer;
+  return shaDigest("SHA-256", data);
 }
@@ -8,16 +8,187 @@ import * as ed25519 from "./Ed25519Adapter";
 import * as rsa from "./RSAAdapter";
 import * as aes from "./AESAdapter";
 import * as pbkdf2 from "./PBKDF2Adapter";
+import * as hkdf from "./HKDFAdapter";
+import * as x25519 from "./X25519Adapter";
+import * as ec from "./ECAdapter";
 import * as hmac from "./HMACAdapter";
-import * as sha256 from "./SHA256Adapter";
+import * as sha from "./SHA256Adapter";
+import { copyToArrayBuffer, toBytes } from "./ByteUtils";
+import { uint8ArrayToBase64Url, base64UrlToUint8Array, validateJwkImport } from "./KeyFormatConverter";
+import { createCryptoKey, getKeyMaterial } from "./CryptoKey";
+import {
+  dataError,
+  invalidAccessError,
+  notSupportedError,
+  operationError,
+  syntaxError,
+  typeError,
+} from "./CryptoErrors";
+
+// Usages a key of each algorithm may carry (public and private usages combined)
+const KEY_USAGES: Record<string, KeyUsage[]> = {
+  "RSA-OAEP": ["encrypt", "decrypt", "wrapKey", "unwrapKey"],
+  "RSA-PSS": ["sign", "verify"],
+  ECDSA: ["sign", "verify"],
+  Ed25519: ["sign", "verify"],
+  ECDH: ["deriveKey", "deriveBits"],
+  X25519: ["deriveKey", "deriveBits"],
+  "AES-GCM": ["encrypt", "decrypt", "wrapKey", "unwrapKey"],
+  "AES-CBC": ["encrypt", "decrypt", "wrapKey", "unwrapKey"],
+  "AES-CTR": ["encrypt", "decrypt", "wrapKey", "unwrapKey"],
+  "AES-KW": ["wrapKey", "unwrapKey"],
+  HMAC: ["sign", "verify"],
+  PBKDF2: ["deriveKey", "deriveBits"],
+  HKDF: ["deriveKey", "deriveBits"],
+};
+
+/**
+ * Reject usages the algorithm does not support before creating a key
+ */
+function checkKeyUsages(algorithmName: string, keyUsages: KeyUsage[]): void {
+  const allowed = KEY_USAGES[algorithmName];
+  if (allowed && keyUsages.some((usage) => !allowed.includes(usage))) {
+    throw syntaxError(`Unsupported key usage for a ${algorithmName} key`);
+  }
+}
+
+/**
+ * Secret and private keys without any usage cannot be used at all, so Web Crypto refuses to create them
+ */
+function checkCreatedKey<T extends CryptoKey | CryptoKeyPair>(result: T): T {
+  const key = "privateKey" in result ? result.privateKey : (result as CryptoKey);
+  if (key.type !== "public" && key.usages.length === 0) {
+    throw syntaxError("Usages cannot be empty when creating a key.");
+  }
+  return result;
+}
+
+const INVALID_KEY_MESSAGE = "The requested operation is not valid for the provided key";
+
+// react-native-quick-crypto's message for a key lacking each usage
+const MISSING_USAGE_MESSAGES: Partial<Record<KeyUsage, string>> = {
+  sign: "Unable to use this key to sign",
+  verify: "Unable to use this key to verify",
+  wrapKey: "wrappingKey does not have wrapKey usage",
+  unwrapKey: "unwrappingKey does not have unwrapKey usage",
+  deriveKey: "baseKey does not have deriveKey or deriveBits usage",
+  deriveBits: "baseKey does not have deriveKey or deriveBits usage",
+};
+
+/**
+ * Check that a key was created by the polyfill, belongs to the requested algorithm and
+ * has the usage the operation needs
+ */
+function checkKeyUsage(key: CryptoKey, algorithmName: string, usage: KeyUsage): void {
+  // Throws a TypeError for keys that did not come from the polyfill
+  getKeyMaterial(key);
+  const usageMessage = MISSING_USAGE_MESSAGES[usage] ?? INVALID_KEY_MESSAGE;
+  if (key.algorithm.name !== algorithmName) {
+    // sign and verify report a wrong algorithm and a missing usage alike
+    throw invalidAccessError(usage === "sign" || usage === "verify" ? usageMessage : INVALID_KEY_MESSAGE);
+  }
+  if (!key.usages.includes(usage)) {
+    throw invalidAccessError(usageMessage);
+  }
+}
+
+/**
+ * Read the raw key material of a secret key
+ */
+function getRawKey(key: CryptoKey): ArrayBuffer {
+  const rawKey = getKeyMaterial(key).rawKey;
+  if (!rawKey) {
+    throw invalidAccessError(INVALID_KEY_MESSAGE);
+  }
+  return rawKey;
+}
+
+/**
+ * Map an HMAC hash to the JWK "alg" value (RFC 7518 section 3.2)
+ */
+function hmacJwkAlg(hash: HashAlgorithmIdentifier): string {
+  const hashName = sha.getHashName(hash);
+  switch (hashName) {
+    case "SHA-1":
+      return "HS1";
+    case "SHA-256":
+      return "HS256";
+    case "SHA-384":
+      return "HS384";
+    case "SHA-512":
+      return "HS512";
+    default:
+      throw notSupportedError(`HMAC hash ${hashName} is not supported`);
+  }
+}
+
+const AES_ALGORITHMS = ["AES-GCM", "AES-CBC", "AES-CTR", "AES-KW"];
+const WRAP_ALGORITHMS = ["RSA-OAEP", "AES-GCM", "AES-CBC", "AES-CTR", "AES-KW"];
+// Unsupported algorithms are reported before the key is checked, as Web Crypto normalizes the algorithm first
+const SIGN_ALGORITHMS = ["Ed25519", "ECDSA", "RSA-PSS", "HMAC"];
+const ENCRYPT_ALGORITHMS = ["RSA-OAEP", "AES-GCM", "AES-CBC", "AES-CTR"];
+const DERIVE_ALGORITHMS = ["PBKDF2", "HKDF", "X25519", "ECDH"];
+
+/**
+ * Check whether an algorithm name is one of the supported AES modes
+ */
+function isAesAlgorithm(name: string): name is aes.AESAlgorithmName {
+  return AES_ALGORITHMS.includes(name);
+}
 
 /**
- * NotSupportedError for unimplemented methods
+ * Map an AES mode and key length to the JWK "alg" value (RFC 7518 sections 4.4, 5.2 and 5.3)
+ * AES-CTR has no registered value; "A128CTR" etc. are what Web Crypto uses
  */
-class NotSupportedError extends Error {
-  constructor(message: string) {
-    super(message);
-    this.name = "NotSupportedError";
+function aesJwkAlg(name: aes.AESAlgorithmName, length: number): string {
+  return `A${length}${name.slice("AES-".length)}`;
+}
+
+/**
+ * Check that an AES key length is 128, 192 or 256 bits
+ * Generation reports an OperationError, imported key data a DataError
+ */
+function checkAesKeyLength(length: number, toError = operationError): void {
+  if (length !== 128 && length !== 192 && length !== 256) {
+    throw toError(`Invalid AES key length: ${length}. Must be 128, 192, or 256.`);
+  }
+}
+
+/**
+ * Get the hash of HMAC import params as { name }
+ * The hash is required; unsupported hashes are rejected at import rather than at first use
+ */
+function getHmacImportHash(params: HmacImportParams): { name: string } {
+  if (params.hash === undefined) {
+    throw typeError("HmacImportParams requires a hash");
+  }
+  return { name: sha.getHashName(params.hash) };
+}
+
+/**
+ * Check that HMAC key data is not empty and matches the length of the import params, when they give one
+ */
+function checkHmacKeyLength(params: HmacImportParams, keyBits: number): void {
+  if (keyBits === 0) {
+    throw dataError("Zero-length key is not supported");
+  }
+  if (params.length !== undefined && params.length !== keyBits) {
+    throw dataError(`Invalid key length: ${params.length}, the key data has ${keyBits} bits`);
+  }
+}
+
+/**
+ * Get the key length in bits for a derived AES or HMAC key
+ * HMAC keys default to the block size of their hash
+ */
+function getDerivedKeyLength(derivedKeyType: AesDerivedKeyParams | HmacImportParams): number {
+  if (isAesAlgorithm(derivedKeyType.name)) {
+    return (derivedKeyType as AesDerivedKeyParams).length;
+  } else if (derivedKeyType.name === "HMAC") {
+    const params = derivedKeyType as HmacImportParams;
+    return params.length || sha.getBlockSize(params.hash) * 8;
+  } else {
+    throw notSupportedError(`Derived key algorithm ${derivedKeyType.name} is not supported`);
   }
 }
 
@@ -30,27 +201,52 @@ export class SubtleCryptoPolyfill {
    * Generate a cryptographic key
    */
   async generateKey(
-    algorithm: RsaHashedKeyGenParams | EcKeyGenParams | AesKeyGenParams | { name: "Ed25519" } | "Ed25519",
+    algorithm: RsaHashedKeyGenParams | EcKeyGenParams | AesKeyGenParams | { name: "Ed25519" | "X25519" } | "Ed25519" | "X25519",
     extractable: boolean,
     keyUsages: KeyUsage[]
   ): Promise<CryptoKeyPair | CryptoKey> {
     const alg = typeof algorithm === "string" ? { name: algorithm } : algorithm;
+    checkKeyUsages(alg.name, keyUsages);
+    return checkCreatedKey(await this.generateKeyForAlgorithm(alg, extractable, keyUsages));
+  }
+
+  /**
+   * Generate a key once the usages have been checked
+   */
+  private async generateKeyForAlgorithm(
+    alg: RsaHashedKeyGenParams | EcKeyGenParams | AesKeyGenParams | { name: "Ed25519" | "X25519" },
+    extractable: boolean,
+    keyUsages: KeyUsage[]
+  ): Promise<CryptoKeyPair | CryptoKey> {
     if (alg.name === "Ed25519") {
-      return ed25519.ed25519GenerateKey();
-    } else if (alg.name === "RSA-OAEP") {
+      return ed25519.ed25519GenerateKey(extractable, keyUsages);
+    } else if (alg.name === "X25519") {
+      return x25519.x25519GenerateKey(extractable, keyUsages);
+    } else if (alg.name === "ECDH" || alg.name === "ECDSA") {
+      const params = alg as EcKeyGenParams;
+      return ec.ecGenerateKey(
+        {
+          name: alg.name,
+          namedCurve: params.namedCurve as "P-256",
+        },
+        extractable,
+        keyUsages
+      );
+    } else if (alg.name === "RSA-OAEP" || alg.name === "RSA-PSS") {
       const params = alg as RsaHashedKeyGenParams;
       return rsa.rsaGenerateKey(
         {
-          name: "RSA-OAEP",
+          name: alg.name,
           modulusLength: params.modulusLength,
           publicExponent: new Uint8Array(params.publicExponent),
-          hash: params.hash as "SHA-256",
+          hash: params.hash,
         },
         extractable,
         keyUsages
       );
-    } else if (alg.name === "AES-GCM") {
+    } else if (isAesAlgorithm(alg.name)) {
       const params = alg as AesKeyGenParams;
+      checkAesKeyLength(params.length);
       // Generate random key material
       const keyLength = params.length / 8; // Convert bits to bytes
       const keyMaterial = new Uint8Array(keyLength);
@@ -58,21 +254,18 @@ export class SubtleCryptoPolyfill {
       if (typeof crypto !== "undefined" && crypto.getRandomValues) {
         crypto.getRandomValues(keyMaterial);
       } else {
-        throw new Error("getRandomValues not available");
+        throw operationError("getRandomValues not available");
       }
       
-      return {
-        type: "secret",
+      return createCryptoKey(
+        "secret",
         extractable,
-        algorithm: {
-          name: "AES-GCM",
-          length: params.length,
-        },
-        usages: keyUsages,
-        _rawKey: keyMaterial.buffer,
-      } as any;
+        { name: alg.name, length: params.length } as AesKeyAlgorithm,
+        keyUsages,
+        { rawKey: keyMaterial.buffer }
+      );
     } else {
-      throw new NotSupportedError(`Algorithm ${alg.name} is not supported`);
+      throw notSupportedError(`Algorithm ${alg.name} is not supported`);
     }
   }
 
@@ -91,103 +284,109 @@ export class SubtleCryptoPolyfill {
     extractable: boolean,
     keyUsages: KeyUsage[]
   ): Promise<CryptoKey> {
+    const alg = typeof algorithm === "string" ? { name: algorithm } : algorithm;
+    checkKeyUsages(alg.name, keyUsages);
     if (format === "jwk") {
-      throw new NotSupportedError("JWK format is not supported");
-    }
-    let keyBuffer: ArrayBuffer;
-    if (keyData instanceof ArrayBuffer) {
-      keyBuffer = keyData;
-    } else {
-      console.log('checking for SharedArrayBuffer', Object.prototype.toString.call(keyData));
-      // Check if it's a SharedArrayBuffer using toString (avoids ReferenceError from instanceof)
-      // Object.prototype.toString doesn't require the constructor to be accessible
-      const isSharedArrayBuffer = Object.prototype.toString.call(keyData) === '[object SharedArrayBuffer]';
-      console.log('isSharedArrayBuffer', isSharedArrayBuffer);
-
-      if (isSharedArrayBuffer) {
-        // Convert SharedArrayBuffer to ArrayBuffer by copying
-        // Note: SharedArrayBuffer may not exist in React Native/Expo Go environments
-        const view = new Uint8Array(keyData as any);
-        const copy = new Uint8Array(view.length);
-        copy.set(view);
-        keyBuffer = copy.buffer;
-      } else {
-        // ArrayBufferView - copy to ensure we have an ArrayBuffer
-        const view = keyData as ArrayBufferView;
-        const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
-        const copy = new Uint8Array(bytes.length);
-        copy.set(bytes);
-        keyBuffer = copy.buffer;
-      }
+      return checkCreatedKey(await this.importJwk(keyData as JsonWebKey, alg, extractable, keyUsages));
     }
+    return checkCreatedKey(await this.importKeyData(format, keyData as BufferSource, alg, extractable, keyUsages));
+  }
+
+  /**
+   * Import a key from raw, spki or pkcs8 bytes once the usages have been checked
+   */
+  private async importKeyData(
+    format: KeyFormat,
+    keyData: BufferSource,
+    alg: RsaHashedImportParams | EcKeyImportParams | AesKeyAlgorithm | HmacImportParams | { name: "Ed25519" },
+    extractable: boolean,
+    keyUsages: KeyUsage[]
+  ): Promise<CryptoKey> {
+    // Views and SharedArrayBuffers are copied into an ArrayBuffer of their own
+    // (SharedArrayBuffer may not exist in React Native/Expo Go, so it is not referenced by name)
+    const keyBuffer = keyData instanceof ArrayBuffer ? keyData : copyToArrayBuffer(keyData);
     
-    const alg = typeof algorithm === "string" ? { name: algorithm } : algorithm;
     if (alg.name === "Ed25519") {
       return ed25519.ed25519ImportKey(
-        format as "spki" | "pkcs8",
+        format as "raw" | "spki" | "pkcs8",
         keyBuffer,
         alg as { name: "Ed25519" },
         extractable,
         keyUsages
       );
-    } else if (alg.name === "RSA-OAEP") {
+    } else if (alg.name === "X25519") {
+      return x25519.x25519ImportKey(
+        format as "raw" | "spki" | "pkcs8",
+        keyBuffer,
+        extractable,
+        keyUsages
+      );
+    } else if (alg.name === "ECDH" || alg.name === "ECDSA") {
+      const params = alg as EcKeyImportParams;
+      return ec.ecImportKey(
+        format as "raw" | "spki" | "pkcs8",
+        keyBuffer,
+        {
+          name: alg.name,
+          namedCurve: params.namedCurve as "P-256",
+        },
+        extractable,
+        keyUsages
+      );
+    } else if (alg.name === "RSA-OAEP" || alg.name === "RSA-PSS") {
       const params = alg as RsaHashedImportParams;
       return rsa.rsaImportKey(
         format as "spki" | "pkcs8",
         keyBuffer,
         {
-          name: "RSA-OAEP",
-          hash: params.hash as "SHA-256",
+          name: alg.name,
+          hash: params.hash,
         },
         extractable,
         keyUsages
       );
-    } else if (alg.name === "AES-GCM") {
+    } else if (isAesAlgorithm(alg.name)) {
       if (format !== "raw") {
-        throw new Error("AES-GCM keys can only be imported in 'raw' format");
+        throw notSupportedError(`Unsupported format for ${alg.name} import: ${format}`);
       }
-      const params = alg as AesKeyAlgorithm;
       const keyBytes = new Uint8Array(keyBuffer);
+      checkAesKeyLength(keyBytes.length * 8, dataError);
       
-      return {
-        type: "secret",
+      return createCryptoKey(
+        "secret",
         extractable,
-        algorithm: {
-          name: "AES-GCM",
-          length: params.length || keyBytes.length * 8,
-        },
-        usages: keyUsages,
-        _rawKey: keyBuffer,
-      } as any;
+        { name: alg.name, length: keyBytes.length * 8 } as AesKeyAlgorithm,
+        keyUsages,
+        { rawKey: keyBuffer }
+      );
     } else if (alg.name === "HMAC") {
       if (format !== "raw") {
-        throw new Error("HMAC keys can only be imported in 'raw' format");
+        throw notSupportedError(`Unsupported format for HMAC import: ${format}`);
       }
       const params = alg as HmacImportParams;
-      
-      return {
-        type: "secret",
-        extractable,
-        algorithm: {
-          name: "HMAC",
-          hash: params.hash,
-          length: new Uint8Array(keyBuffer).length * 8,
-        },
-        usages: keyUsages,
-        _rawKey: keyBuffer,
-      } as any;
-    } else if (alg.name === "PBKDF2") {
-      // PBKDF2 key import - treat the keyData as raw password material
-      // This is used for PBKDF2 key derivation
-      return {
-        type: "secret",
+      const hash = getHmacImportHash(params);
+      checkHmacKeyLength(params, keyBuffer.byteLength * 8);
+
+      return createCryptoKey(
+        "secret",
         extractable,
-        algorithm: alg as any,
-        usages: keyUsages,
-        _rawKey: keyBuffer,
-      } as any;
+        { name: "HMAC", hash, length: keyBuffer.byteLength * 8 } as KeyAlgorithm,
+        keyUsages,
+        { rawKey: keyBuffer }
+      );
+    } else if (alg.name === "PBKDF2" || alg.name === "HKDF") {
+      // PBKDF2/HKDF key import - treat the keyData as raw password or input keying material
+      // This is used for PBKDF2 and HKDF key derivation
+      if (format !== "raw") {
+        throw notSupportedError(`Unsupported format for ${alg.name} import: ${format}`);
+      }
+      // Passwords and input keying material can never be exported again
+      if (extractable) {
+        throw syntaxError(`${alg.name} keys are not extractable`);
+      }
+      return createCryptoKey("secret", extractable, { name: alg.name }, keyUsages, { rawKey: keyBuffer });
     } else {
-      throw new NotSupportedError(`Algorithm ${alg.name} is not supported`);
+      throw notSupportedError(`Algorithm ${alg.name} is not supported`);
     }
   }
 
@@ -195,26 +394,135 @@ export class SubtleCryptoPolyfill {
    * Export a key
    */
   async exportKey(format: KeyFormat, key: CryptoKey): Promise<ArrayBuffer | JsonWebKey> {
+    getKeyMaterial(key);
+    if (!key.extractable) {
+      throw invalidAccessError("key is not extractable");
+    }
     if (format === "jwk") {
-      throw new NotSupportedError("JWK format is not supported");
+      return this.exportJwk(key);
     }
-    if (format === "raw") {
-      // For raw keys (AES, HMAC), export the raw key material
-      const rawKey = (key as any)._rawKey;
-      if (!rawKey) {
-        throw new Error("Key does not contain raw key material");
-      }
-      return rawKey instanceof ArrayBuffer ? rawKey : rawKey.buffer;
+    if (key.algorithm.name === "Ed25519") {
+      return ed25519.ed25519ExportKey(format as "raw" | "spki" | "pkcs8", key);
+    } else if (key.algorithm.name === "X25519") {
+      return x25519.x25519ExportKey(format as "raw" | "spki" | "pkcs8", key);
+    } else if (key.algorithm.name === "ECDH" || key.algorithm.name === "ECDSA") {
+      return ec.ecExportKey(format as "raw" | "spki" | "pkcs8", key);
+    }
+    if (format === "raw" && (isAesAlgorithm(key.algorithm.name) || key.algorithm.name === "HMAC")) {
+      // For raw keys (AES, HMAC), export a copy of the raw key material
+      return getRawKey(key).slice(0);
     } else if (format === "spki" || format === "pkcs8") {
-      if (key.algorithm.name === "Ed25519") {
-        return ed25519.ed25519ExportKey(format, key);
-      } else if (key.algorithm.name === "RSA-OAEP") {
+      if (key.algorithm.name === "RSA-OAEP" || key.algorithm.name === "RSA-PSS") {
         return rsa.rsaExportKey(format, key);
       } else {
-        throw new Error(`Cannot export ${key.algorithm.name} key in ${format} format`);
+        throw invalidAccessError(`Unable to export a ${format} ${key.algorithm.name} ${key.type} key`);
       }
+    } else if (format === "raw") {
+      throw invalidAccessError(`Unable to export a raw ${key.algorithm.name} ${key.type} key`);
     } else {
-      throw new NotSupportedError(`Export format ${format} is not supported`);
+      throw notSupportedError(`Export format ${format} is not supported`);
+    }
+  }
+
+  /**
+   * Import a key from JWK
+   * Asymmetric keys are handled by their adapters, secret keys are decoded from the "k" member
+   */
+  private async importJwk(
+    jwk: JsonWebKey,
+    algorithm: any,
+    extractable: boolean,
+    keyUsages: KeyUsage[]
+  ): Promise<CryptoKey> {
+    const alg = typeof algorithm === "string" ? { name: algorithm } : algorithm;
+    if (alg.name === "Ed25519") {
+      return ed25519.ed25519ImportKey("jwk", jwk, alg, extractable, keyUsages);
+    } else if (alg.name === "X25519") {
+      return x25519.x25519ImportKey("jwk", jwk, extractable, keyUsages);
+    } else if (alg.name === "ECDH" || alg.name === "ECDSA") {
+      return ec.ecImportKey("jwk", jwk, { name: alg.name, namedCurve: alg.namedCurve }, extractable, keyUsages);
+    } else if (alg.name === "RSA-OAEP" || alg.name === "RSA-PSS") {
+      return rsa.rsaImportKey(
+        "jwk",
+        jwk,
+        {
+          name: alg.name,
+          hash: alg.hash,
+        },
+        extractable,
+        keyUsages
+      );
+    } else if (isAesAlgorithm(alg.name)) {
+      validateJwkImport(jwk, {
+        kty: "oct",
+        use: "enc",
+        alg: [128, 192, 256].map((length) => aesJwkAlg(alg.name, length)),
+        extractable,
+        keyUsages,
+      });
+      const keyBytes = base64UrlToUint8Array(jwk.k as string);
+      const length = keyBytes.length * 8;
+      checkAesKeyLength(length, dataError);
+      if (jwk.alg !== undefined && jwk.alg !== aesJwkAlg(alg.name, length)) {
+        throw dataError('JWK "alg" does not match the requested algorithm');
+      }
+      return createCryptoKey(
+        "secret",
+        extractable,
+        { name: alg.name, length } as AesKeyAlgorithm,
+        keyUsages,
+        { rawKey: keyBytes.buffer as ArrayBuffer }
+      );
+    } else if (alg.name === "HMAC") {
+      const params = alg as HmacImportParams;
+      const hash = getHmacImportHash(params);
+      validateJwkImport(jwk, {
+        kty: "oct",
+        use: "sig",
+        alg: [hmacJwkAlg(hash)],
+        extractable,
+        keyUsages,
+      });
+      const keyBytes = base64UrlToUint8Array(jwk.k as string);
+      checkHmacKeyLength(params, keyBytes.length * 8);
+      return createCryptoKey(
+        "secret",
+        extractable,
+        { name: "HMAC", hash, length: keyBytes.length * 8 } as KeyAlgorithm,
+        keyUsages,
+        { rawKey: keyBytes.buffer as ArrayBuffer }
+      );
+    } else {
+      throw notSupportedError(`Unsupported format for ${alg.name} import: jwk`);
+    }
+  }
+
+  /**
+   * Export a key as JWK
+   */
+  private async exportJwk(key: CryptoKey): Promise<JsonWebKey> {
+    if (key.algorithm.name === "Ed25519") {
+      return ed25519.ed25519ExportKey("jwk", key) as Promise<JsonWebKey>;
+    } else if (key.algorithm.name === "X25519") {
+      return x25519.x25519ExportKey("jwk", key) as Promise<JsonWebKey>;
+    } else if (key.algorithm.name === "ECDH" || key.algorithm.name === "ECDSA") {
+      return ec.ecExportKey("jwk", key) as Promise<JsonWebKey>;
+    } else if (key.algorithm.name === "RSA-OAEP" || key.algorithm.name === "RSA-PSS") {
+      return rsa.rsaExportKey("jwk", key) as Promise<JsonWebKey>;
+    } else if (isAesAlgorithm(key.algorithm.name) || key.algorithm.name === "HMAC") {
+      const keyBytes = new Uint8Array(getRawKey(key));
+      const hash = (key.algorithm as any).hash;
+      return {
+        key_ops: [...key.usages],
+        ext: key.extractable,
+        kty: "oct",
+        k: uint8ArrayToBase64Url(keyBytes),
+        alg: isAesAlgorithm(key.algorithm.name)
+          ? aesJwkAlg(key.algorithm.name, keyBytes.length * 8)
+          : hmacJwkAlg(hash),
+      };
+    } else {
+      throw notSupportedError(`JWK export not yet supported: ${key.algorithm.name}`);
     }
   }
 
@@ -226,19 +534,23 @@ export class SubtleCryptoPolyfill {
     key: CryptoKey,
     data: BufferSource
 ): Promise<ArrayBuffer> {
-    const dataBuffer = data instanceof ArrayBuffer ? data : data.buffer;
+    const dataBytes = toBytes(data);
     
     const alg = typeof algorithm === "string" ? { name: algorithm } : algorithm;
+    if (!SIGN_ALGORITHMS.includes(alg.name)) {
+      throw notSupportedError(`Unrecognized algorithm name '${alg.name}' for 'sign'`);
+    }
+    checkKeyUsage(key, alg.name, "sign");
     if (alg.name === "Ed25519") {
-      return ed25519.ed25519Sign(alg as { name: "Ed25519" }, key, dataBuffer);
-    } else if (algorithm === "HMAC" || alg.name === "HMAC") {
-      const rawKey = (key as any)._rawKey;
-      if (!rawKey) {
-        throw new Error("Key does not contain raw key material");
-      }
-      return hmac.hmacSign(rawKey, dataBuffer);
+      return ed25519.ed25519Sign(alg as { name: "Ed25519" }, key, dataBytes);
+    } else if (alg.name === "ECDSA") {
+      return ec.ecdsaSign(alg as ec.ECDSAParams, key, dataBytes);
+    } else if (alg.name === "RSA-PSS") {
+      return rsa.rsaPssSign(alg as rsa.RSAPSSParams, key, dataBytes);
+    } else if (alg.name === "HMAC") {
+      return hmac.hmacSign(getRawKey(key), dataBytes, (key.algorithm as HmacKeyAlgorithm).hash);
     } else {
-      throw new NotSupportedError(`Signing algorithm ${alg.name || algorithm} is not supported`);
+      throw notSupportedError(`Unrecognized algorithm name '${alg.name}' for 'sign'`);
     }
   }
 
@@ -251,20 +563,24 @@ export class SubtleCryptoPolyfill {
     signature: BufferSource,
     data: BufferSource
   ): Promise<boolean> {
-    const sigBuffer = signature instanceof ArrayBuffer ? signature : signature.buffer;
-    const dataBuffer = data instanceof ArrayBuffer ? data : data.buffer;
+    const signatureBytes = toBytes(signature);
+    const dataBytes = toBytes(data);
     
     const alg = typeof algorithm === "string" ? { name: algorithm } : algorithm;
+    if (!SIGN_ALGORITHMS.includes(alg.name)) {
+      throw notSupportedError(`Unrecognized algorithm name '${alg.name}' for 'verify'`);
+    }
+    checkKeyUsage(key, alg.name, "verify");
     if (alg.name === "Ed25519") {
-      return ed25519.ed25519Verify(alg as { name: "Ed25519" }, key, sigBuffer, dataBuffer);
-    } else if (algorithm === "HMAC" || alg.name === "HMAC") {
-      const rawKey = (key as any)._rawKey;
-      if (!rawKey) {
-        throw new Error("Key does not contain raw key material");
-      }
-      return hmac.hmacVerify(rawKey, sigBuffer, dataBuffer);
+      return ed25519.ed25519Verify(alg as { name: "Ed25519" }, key, signatureBytes, dataBytes);
+    } else if (alg.name === "ECDSA") {
+      return ec.ecdsaVerify(alg as ec.ECDSAParams, key, signatureBytes, dataBytes);
+    } else if (alg.name === "RSA-PSS") {
+      return rsa.rsaPssVerify(alg as rsa.RSAPSSParams, key, signatureBytes, dataBytes);
+    } else if (alg.name === "HMAC") {
+      return hmac.hmacVerify(getRawKey(key), signatureBytes, dataBytes, (key.algorithm as HmacKeyAlgorithm).hash);
     } else {
-      throw new NotSupportedError(`Verification algorithm ${alg.name || algorithm} is not supported`);
+      throw notSupportedError(`Unrecognized algorithm name '${alg.name}' for 'verify'`);
     }
   }
 
@@ -272,27 +588,49 @@ export class SubtleCryptoPolyfill {
    * Encrypt data
    */
   async encrypt(
-    algorithm: RsaOaepParams | AesGcmParams,
+    algorithm: RsaOaepParams | AesGcmParams | AesCbcParams | AesCtrParams,
     key: CryptoKey,
     data: BufferSource
   ): Promise<ArrayBuffer> {
-    const dataBuffer = data instanceof ArrayBuffer ? data : data.buffer;
+    if (!ENCRYPT_ALGORITHMS.includes(algorithm.name)) {
+      throw notSupportedError(`Encryption algorithm ${algorithm.name} is not supported`);
+    }
+    checkKeyUsage(key, algorithm.name, "encrypt");
+    return this.encryptWithKey(algorithm, key, data);
+  }
+
+  /**
+   * Encrypt data without the usage check, shared by encrypt and wrapKey
+   */
+  private async encryptWithKey(
+    algorithm: RsaOaepParams | AesGcmParams | AesCbcParams | AesCtrParams,
+    key: CryptoKey,
+    data: BufferSource
+  ): Promise<ArrayBuffer> {
+    const dataBytes = toBytes(data);
     
     if (algorithm.name === "RSA-OAEP") {
-      return rsa.rsaEncrypt(algorithm as rsa.RSAOAEPParams, key, dataBuffer);
+      return rsa.rsaEncrypt(algorithm as rsa.RSAOAEPParams, key, dataBytes);
     } else if (algorithm.name === "AES-GCM") {
       const params = algorithm as AesGcmParams;
       return aes.aesGcmEncrypt(
         {
           name: "AES-GCM",
           iv: params.iv,
+          additionalData: params.additionalData,
           tagLength: params.tagLength,
         },
         key,
-        dataBuffer
+        dataBytes
       );
+    } else if (algorithm.name === "AES-CBC") {
+      const params = algorithm as AesCbcParams;
+      return aes.aesCbcEncrypt({ name: "AES-CBC", iv: params.iv }, key, dataBytes);
+    } else if (algorithm.name === "AES-CTR") {
+      const params = algorithm as AesCtrParams;
+      return aes.aesCtrEncrypt({ name: "AES-CTR", counter: params.counter, length: params.length }, key, dataBytes);
     } else {
-      throw new NotSupportedError(`Encryption algorithm ${algorithm.name} is not supported`);
+      throw notSupportedError(`Encryption algorithm ${algorithm.name} is not supported`);
     }
   }
 
@@ -300,105 +638,265 @@ export class SubtleCryptoPolyfill {
    * Decrypt data
    */
   async decrypt(
-    algorithm: RsaOaepParams | AesGcmParams,
+    algorithm: RsaOaepParams | AesGcmParams | AesCbcParams | AesCtrParams,
+    key: CryptoKey,
+    data: BufferSource
+  ): Promise<ArrayBuffer> {
+    if (!ENCRYPT_ALGORITHMS.includes(algorithm.name)) {
+      throw notSupportedError(`Decryption algorithm ${algorithm.name} is not supported`);
+    }
+    checkKeyUsage(key, algorithm.name, "decrypt");
+    return this.decryptWithKey(algorithm, key, data);
+  }
+
+  /**
+   * Decrypt data without the usage check, shared by decrypt and unwrapKey
+   */
+  private async decryptWithKey(
+    algorithm: RsaOaepParams | AesGcmParams | AesCbcParams | AesCtrParams,
     key: CryptoKey,
     data: BufferSource
   ): Promise<ArrayBuffer> {
-    const dataBuffer = data instanceof ArrayBuffer ? data : data.buffer;
+    const dataBytes = toBytes(data);
     
     if (algorithm.name === "RSA-OAEP") {
-      return rsa.rsaDecrypt(algorithm as rsa.RSAOAEPParams, key, dataBuffer);
+      return rsa.rsaDecrypt(algorithm as rsa.RSAOAEPParams, key, dataBytes);
     } else if (algorithm.name === "AES-GCM") {
       const params = algorithm as AesGcmParams;
       return aes.aesGcmDecrypt(
         {
           name: "AES-GCM",
           iv: params.iv,
+          additionalData: params.additionalData,
           tagLength: params.tagLength,
         },
         key,
-        dataBuffer
+        dataBytes
       );
+    } else if (algorithm.name === "AES-CBC") {
+      const params = algorithm as AesCbcParams;
+      return aes.aesCbcDecrypt({ name: "AES-CBC", iv: params.iv }, key, dataBytes);
+    } else if (algorithm.name === "AES-CTR") {
+      const params = algorithm as AesCtrParams;
+      return aes.aesCtrDecrypt({ name: "AES-CTR", counter: params.counter, length: params.length }, key, dataBytes);
     } else {
-      throw new NotSupportedError(`Decryption algorithm ${algorithm.name} is not supported`);
+      throw notSupportedError(`Decryption algorithm ${algorithm.name} is not supported`);
     }
   }
 
   /**
-   * Derive a key using PBKDF2
+   * Derive a key using PBKDF2, HKDF or an X25519/ECDH key agreement
+   * PBKDF2 parameters may also carry onProgress and signal (see PBKDF2Options)
    */
   async deriveKey(
-    algorithm: Pbkdf2Params,
+    algorithm: Pbkdf2Params | HkdfParams | EcdhKeyDeriveParams,
     baseKey: CryptoKey,
-    derivedKeyType: AesDerivedKeyParams,
+    derivedKeyType: AesDerivedKeyParams | HmacImportParams,
     extractable: boolean,
     keyUsages: KeyUsage[]
   ): Promise<CryptoKey> {
-    if (algorithm.name !== "PBKDF2") {
-      throw new NotSupportedError(`Key derivation algorithm ${algorithm.name} is not supported`);
+    if (!DERIVE_ALGORITHMS.includes(algorithm.name)) {
+      throw notSupportedError(`Key derivation algorithm ${algorithm.name} is not supported`);
     }
-    
-    const rawKey = (baseKey as any)._rawKey;
-    if (!rawKey) {
-      throw new Error("Base key does not contain raw key material");
+    checkKeyUsage(baseKey, algorithm.name, "deriveKey");
+    if (algorithm.name === "X25519" || algorithm.name === "ECDH") {
+      // Use the leading bits of the shared secret as raw key material
+      const bits = await this.deriveBitsWithKey(algorithm, baseKey, getDerivedKeyLength(derivedKeyType));
+      return this.importKey("raw", bits, derivedKeyType, extractable, keyUsages);
     }
-    
-    return pbkdf2.pbkdf2DeriveKey(
+    if (!isAesAlgorithm(derivedKeyType.name) && derivedKeyType.name !== "HMAC") {
+      throw notSupportedError(`Derived key algorithm ${derivedKeyType.name} is not supported`);
+    }
+    checkKeyUsages(derivedKeyType.name, keyUsages);
+    const rawKey = getRawKey(baseKey);
+
+    if (algorithm.name === "HKDF") {
+      const params = algorithm as HkdfParams;
+      return checkCreatedKey(await hkdf.hkdfDeriveKey(
+        {
+          name: "HKDF",
+          hash: params.hash,
+          salt: params.salt,
+          info: params.info,
+        },
+        rawKey,
+        derivedKeyType as hkdf.DeriveKeyParams,
+        extractable,
+        keyUsages
+      ));
+    }
+
+    const params = algorithm as Pbkdf2Params & pbkdf2.PBKDF2Options;
+    return checkCreatedKey(await pbkdf2.pbkdf2DeriveKey(
       {
         name: "PBKDF2",
-        salt: algorithm.salt,
-        iterations: algorithm.iterations,
-        hash: algorithm.hash as "SHA-256",
+        salt: params.salt,
+        iterations: params.iterations,
+        hash: params.hash,
       },
       rawKey,
-      {
-        name: "AES-GCM",
-        length: derivedKeyType.length,
-      }
-    );
+      derivedKeyType as pbkdf2.DeriveKeyParams,
+      extractable,
+      keyUsages,
+      { onProgress: params.onProgress, signal: params.signal }
+    ));
   }
 
   /**
    * Compute digest
    */
   async digest(algorithm: AlgorithmIdentifier, data: BufferSource): Promise<ArrayBuffer> {
-    const dataBuffer = data instanceof ArrayBuffer ? data : data.buffer;
+    const dataBytes = toBytes(data);
     
-    const alg = typeof algorithm === "string" ? algorithm : algorithm.name;
-    if (alg === "SHA-256") {
-      return sha256.sha256Digest(dataBuffer);
-    } else {
-      throw new NotSupportedError(`Digest algorithm ${alg} is not supported`);
+    let hashName: sha.HashName;
+    try {
+      hashName = sha.getHashName(algorithm);
+    } catch {
+      const alg = typeof algorithm === "string" ? algorithm : algorithm.name;
+      throw notSupportedError(`Digest algorithm ${alg} is not supported`);
     }
+    return sha.shaDigest(hashName, dataBytes);
   }
 
-  // Unimplemented methods - throw NotSupportedError
+  /**
+   * Derive raw bits using PBKDF2, HKDF or an X25519/ECDH key agreement
+   * PBKDF2 parameters may also carry onProgress and signal (see PBKDF2Options)
+   */
   async deriveBits(
-    algorithm: AlgorithmIdentifier,
+    algorithm: AlgorithmIdentifier | Pbkdf2Params | HkdfParams | EcdhKeyDeriveParams,
     baseKey: CryptoKey,
-    length: number
+    length: number | null
   ): Promise<ArrayBuffer> {
-    throw new NotSupportedError("deriveBits is not implemented");
+    const alg = typeof algorithm === "string" ? { name: algorithm } : algorithm;
+    if (!DERIVE_ALGORITHMS.includes(alg.name)) {
+      throw notSupportedError(`Bit derivation algorithm ${alg.name} is not supported`);
+    }
+    checkKeyUsage(baseKey, alg.name, "deriveBits");
+    return this.deriveBitsWithKey(alg, baseKey, length);
   }
 
+  /**
+   * Derive raw bits without the usage check, shared by deriveBits and deriveKey
+   */
+  private async deriveBitsWithKey(
+    alg: Algorithm | Pbkdf2Params | HkdfParams | EcdhKeyDeriveParams,
+    baseKey: CryptoKey,
+    length: number | null
+  ): Promise<ArrayBuffer> {
+    if (alg.name === "X25519" || alg.name === "ECDH") {
+      const publicKey = (alg as EcdhKeyDeriveParams).public;
+      getKeyMaterial(publicKey);
+      if (publicKey.type !== "public" || publicKey.algorithm.name !== alg.name) {
+        throw invalidAccessError(`${alg.name} requires a public ${alg.name} key in the 'public' parameter`);
+      }
+    }
+    if (alg.name === "X25519") {
+      return x25519.x25519DeriveBits(alg as x25519.X25519DeriveParams, baseKey, length);
+    } else if (alg.name === "ECDH") {
+      return ec.ecdhDeriveBits(alg as ec.ECDHDeriveParams, baseKey, length);
+    }
+
+    const rawKey = getRawKey(baseKey);
+
+    if (alg.name === "HKDF") {
+      const params = alg as HkdfParams;
+      return hkdf.hkdfDeriveBits(
+        {
+          name: "HKDF",
+          hash: params.hash,
+          salt: params.salt,
+          info: params.info,
+        },
+        rawKey,
+        length as number
+      );
+    }
+
+    const params = alg as Pbkdf2Params & pbkdf2.PBKDF2Options;
+    return pbkdf2.pbkdf2DeriveBits(
+      {
+        name: "PBKDF2",
+        salt: params.salt,
+        iterations: params.iterations,
+        hash: params.hash,
+      },
+      rawKey,
+      length as number,
+      { onProgress: params.onProgress, signal: params.signal }
+    );
+  }
+
+  /**
+   * Wrap a key: export it in the given format and encrypt the result
+   * Supports RSA-OAEP, AES-GCM, AES-CBC, AES-CTR and AES-KW as wrapping algorithms
+   */
   async wrapKey(
     format: KeyFormat,
     key: CryptoKey,
     wrappingKey: CryptoKey,
-    wrapAlgorithm: AlgorithmIdentifier
+    wrapAlgorithm: AlgorithmIdentifier | RsaOaepParams | AesGcmParams | AesCbcParams | AesCtrParams
   ): Promise<ArrayBuffer> {
-    throw new NotSupportedError("wrapKey is not implemented");
+    const alg = typeof wrapAlgorithm === "string" ? { name: wrapAlgorithm } : wrapAlgorithm;
+    if (!WRAP_ALGORITHMS.includes(alg.name)) {
+      throw notSupportedError(`Wrapping algorithm ${alg.name} is not supported`);
+    }
+    checkKeyUsage(wrappingKey, alg.name, "wrapKey");
+
+    const exported = await this.exportKey(format, key);
+    let keyBytes: BufferSource;
+    if (format === "jwk") {
+      // JWK is wrapped as its UTF-8 encoded JSON serialization
+      let json = JSON.stringify(exported);
+      // AES-KW needs a multiple of 8 bytes; pad with trailing spaces as Node and Chromium do
+      if (alg.name === "AES-KW" && json.length % 8 !== 0) {
+        json += " ".repeat(8 - (json.length % 8));
+      }
+      keyBytes = new TextEncoder().encode(json);
+    } else {
+      keyBytes = new Uint8Array(exported as ArrayBuffer);
+    }
+
+    if (alg.name === "AES-KW") {
+      return aes.aesKwWrap(wrappingKey, keyBytes);
+    }
+    return this.encryptWithKey(alg as RsaOaepParams | AesGcmParams | AesCbcParams | AesCtrParams, wrappingKey, keyBytes);
   }
 
+  /**
+   * Unwrap a key: decrypt the wrapped bytes and import the result in the given format
+   * Supports RSA-OAEP, AES-GCM, AES-CBC, AES-CTR and AES-KW as unwrapping algorithms
+   */
   async unwrapKey(
     format: KeyFormat,
     wrappedKey: BufferSource,
     unwrappingKey: CryptoKey,
-    unwrapAlgorithm: AlgorithmIdentifier,
-    unwrappedKeyAlgorithm: AlgorithmIdentifier,
+    unwrapAlgorithm: AlgorithmIdentifier | RsaOaepParams | AesGcmParams | AesCbcParams | AesCtrParams,
+    unwrappedKeyAlgorithm: AlgorithmIdentifier | RsaHashedImportParams | AesKeyAlgorithm | HmacImportParams,
     extractable: boolean,
     keyUsages: KeyUsage[]
   ): Promise<CryptoKey> {
-    throw new NotSupportedError("unwrapKey is not implemented");
+    const alg = typeof unwrapAlgorithm === "string" ? { name: unwrapAlgorithm } : unwrapAlgorithm;
+    if (!WRAP_ALGORITHMS.includes(alg.name)) {
+      throw notSupportedError(`Unwrapping algorithm ${alg.name} is not supported`);
+    }
+    checkKeyUsage(unwrappingKey, alg.name, "unwrapKey");
+
+    const keyBytes = alg.name === "AES-KW"
+      ? await aes.aesKwUnwrap(unwrappingKey, wrappedKey as ArrayBuffer | ArrayBufferView)
+      : await this.decryptWithKey(alg as RsaOaepParams | AesGcmParams | AesCbcParams | AesCtrParams, unwrappingKey, wrappedKey);
+
+    let keyData: BufferSource | JsonWebKey = keyBytes;
+    if (format === "jwk") {
+      try {
+        keyData = JSON.parse(new TextDecoder().decode(keyBytes));
+      } catch (error) {
+        throw dataError(`Unwrapped data is not a valid JWK: ${error}`);
+      }
+    }
+
+    const importAlg = typeof unwrappedKeyAlgorithm === "string"
+      ? { name: unwrappedKeyAlgorithm }
+      : unwrappedKeyAlgorithm;
+    return this.importKey(format, keyData, importAlg as any, extractable, keyUsages);
   }
 }
@@ -0,0 +1,349 @@
+/**
+ * X25519 Adapter
+ * Implements X25519 key agreement (RFC 7748) using TweetNaCl's scalarMult
+ *
+ * Key encodings follow RFC 8410 and mirror the Ed25519 adapter, only the OID differs.
+ */
+
+import nacl from "tweetnacl";
+import { createCryptoKey, getKeyMaterial } from "./CryptoKey";
+import { dataError, invalidAccessError, operationError, syntaxError } from "./CryptoErrors";
+import { truncateBits } from "./ECAdapter";
+import {
+  uint8ArrayToBase64Url,
+  base64UrlToUint8Array,
+  validateJwkImport,
+  readASN1Length,
+  encodeASN1Sequence,
+  encodeASN1BitString,
+  encodeASN1OctetString,
+  encodeASN1Integer,
+} from "./KeyFormatConverter";
+
+// X25519 key sizes
+const X25519_KEY_SIZE = 32; // Both the private scalar and the public u-coordinate
+
+// OID 1.3.101.110 (X25519)
+const X25519_OID = new Uint8Array([0x06, 0x03, 0x2b, 0x65, 0x6e]);
+
+const X25519_PRIVATE_USAGES: KeyUsage[] = ["deriveKey", "deriveBits"];
+
+export interface X25519DeriveParams {
+  name: "X25519";
+  public: CryptoKey;
+}
+
+/**
+ * Generate X25519 key pair
+ */
+export async function x25519GenerateKey(
+  extractable: boolean,
+  keyUsages: KeyUsage[]
+): Promise<CryptoKeyPair> {
+  const privateKey = nacl.randomBytes(X25519_KEY_SIZE);
+  const publicKey = nacl.scalarMult.base(privateKey);
+
+  return {
+    // Public keys are always extractable and have no usages
+    publicKey: createX25519PublicKey(publicKey, true, []),
+    privateKey: createX25519PrivateKey(privateKey, extractable, keyUsages),
+  };
+}
+
+/**
+ * Import X25519 key from raw (public), SPKI (public), PKCS8 (private) or JWK format
+ */
+export async function x25519ImportKey(
+  format: "raw" | "spki" | "pkcs8" | "jwk",
+  keyData: ArrayBuffer | JsonWebKey,
+  extractable: boolean,
+  keyUsages: KeyUsage[]
+): Promise<CryptoKey> {
+  if (format === "jwk") {
+    return x25519ImportJwk(keyData as JsonWebKey, extractable, keyUsages);
+  }
+
+  const keyBytes = new Uint8Array(keyData as ArrayBuffer);
+  if (format === "raw") {
+    checkPublicKeyUsages(keyUsages);
+    if (keyBytes.length !== X25519_KEY_SIZE) {
+      throw dataError(`Invalid X25519 public key size: expected ${X25519_KEY_SIZE}, got ${keyBytes.length}`);
+    }
+    return createX25519PublicKey(keyBytes.slice(), extractable, keyUsages);
+  } else if (format === "spki") {
+    checkPublicKeyUsages(keyUsages);
+    return createX25519PublicKey(extractX25519PublicKeyFromSPKI(keyBytes), extractable, keyUsages);
+  } else {
+    return createX25519PrivateKey(extractX25519PrivateKeyFromPKCS8(keyBytes), extractable, keyUsages);
+  }
+}
+
+/**
+ * Export X25519 key to raw (public), SPKI (public), PKCS8 (private) or JWK format
+ */
+export async function x25519ExportKey(
+  format: "raw" | "spki" | "pkcs8" | "jwk",
+  key: CryptoKey
+): Promise<ArrayBuffer | JsonWebKey> {
+  const { rawPublicKey: publicKey, rawPrivateKey } = getKeyMaterial(key);
+  if (!publicKey) {
+    throw dataError("Key does not contain public key material");
+  }
+  if (format === "jwk") {
+    const jwk: JsonWebKey = {
+      key_ops: [...key.usages],
+      ext: key.extractable,
+      kty: "OKP",
+      crv: "X25519",
+      x: uint8ArrayToBase64Url(publicKey),
+    };
+    if (key.type === "private") {
+      jwk.d = uint8ArrayToBase64Url(rawPrivateKey as Uint8Array);
+    }
+    return jwk;
+  } else if (format === "raw" || format === "spki") {
+    if (key.type !== "public") {
+      throw invalidAccessError(`Unable to export a ${format} X25519 private key`);
+    }
+    return format === "raw" ? new Uint8Array(publicKey).buffer : encodeX25519PublicKeyToSPKI(publicKey);
+  } else {
+    if (key.type !== "private" || !rawPrivateKey) {
+      throw invalidAccessError(`Unable to export a pkcs8 X25519 ${key.type} key`);
+    }
+    return encodeX25519PrivateKeyToPKCS8(rawPrivateKey);
+  }
+}
+
+/**
+ * Derive the X25519 shared secret
+ * @param length Number of bits to return, or null for the full 256-bit secret
+ */
+export async function x25519DeriveBits(
+  algorithm: X25519DeriveParams,
+  baseKey: CryptoKey,
+  length: number | null
+): Promise<ArrayBuffer> {
+  const publicKey = algorithm.public;
+  if (!publicKey || publicKey.type !== "public" || publicKey.algorithm.name !== "X25519") {
+    throw invalidAccessError("X25519 requires a public X25519 key in the 'public' parameter");
+  }
+  const privateKey = getKeyMaterial(baseKey).rawPrivateKey;
+  if (baseKey.type !== "private" || !privateKey) {
+    throw invalidAccessError("The requested operation is not valid for the provided key");
+  }
+
+  const shared = nacl.scalarMult(privateKey, getKeyMaterial(publicKey).rawPublicKey as Uint8Array);
+  // RFC 7748 section 6.1: an all-zero output means the peer sent a small-order point
+  if (shared.every((b) => b === 0)) {
+    throw operationError("X25519 produced an all-zero shared secret");
+  }
+  return truncateBits(shared, length);
+}
+
+/**
+ * Import X25519 key from JWK (RFC 8037 OKP key with crv "X25519")
+ */
+function x25519ImportJwk(jwk: JsonWebKey, extractable: boolean, keyUsages: KeyUsage[]): CryptoKey {
+  validateJwkImport(jwk, {
+    kty: "OKP",
+    use: "enc",
+    alg: ["ECDH-ES", "ECDH-ES+A128KW", "ECDH-ES+A192KW", "ECDH-ES+A256KW"],
+    extractable,
+    keyUsages,
+  });
+  if (jwk.crv !== "X25519") {
+    throw dataError('JWK "crv" does not match the requested algorithm');
+  }
+  if (!jwk.x) {
+    throw dataError('Invalid JWK: missing "x" parameter');
+  }
+  const publicKey = base64UrlToUint8Array(jwk.x);
+  if (publicKey.length !== X25519_KEY_SIZE) {
+    throw dataError(`Invalid X25519 public key size: expected ${X25519_KEY_SIZE}, got ${publicKey.length}`);
+  }
+
+  if (jwk.d === undefined) {
+    checkPublicKeyUsages(keyUsages);
+    return createX25519PublicKey(publicKey, extractable, keyUsages);
+  }
+
+  const privateKey = base64UrlToUint8Array(jwk.d);
+  if (privateKey.length !== X25519_KEY_SIZE) {
+    throw dataError(`Invalid X25519 private key size: expected ${X25519_KEY_SIZE}, got ${privateKey.length}`);
+  }
+  const derived = nacl.scalarMult.base(privateKey);
+  for (let i = 0; i < X25519_KEY_SIZE; i++) {
+    if (derived[i] !== publicKey[i]) {
+      throw dataError('Invalid JWK: "x" does not match the private key');
+    }
+  }
+  return createX25519PrivateKey(privateKey, extractable, keyUsages);
+}
+
+/**
+ * Wrap a public key into a CryptoKey
+ */
+function createX25519PublicKey(publicKey: Uint8Array, extractable: boolean, keyUsages: KeyUsage[]): CryptoKey {
+  return createCryptoKey("public", extractable, { name: "X25519" }, keyUsages, { rawPublicKey: publicKey });
+}
+
+/**
+ * Wrap a private key into a CryptoKey, deriving its public key
+ */
+function createX25519PrivateKey(privateKey: Uint8Array, extractable: boolean, keyUsages: KeyUsage[]): CryptoKey {
+  return createCryptoKey(
+    "private",
+    extractable,
+    { name: "X25519" },
+    keyUsages.filter((u) => X25519_PRIVATE_USAGES.includes(u)),
+    { rawPrivateKey: privateKey, rawPublicKey: nacl.scalarMult.base(privateKey) }
+  );
+}
+
+// X25519 public keys have no usages of their own
+function checkPublicKeyUsages(keyUsages: KeyUsage[]): void {
+  if (keyUsages.length > 0) {
+    throw syntaxError("Unsupported key usage for a X25519 key");
+  }
+}
+
+/**
+ * Extract X25519 public key from SPKI format
+ * SPKI format: SEQUENCE { AlgorithmIdentifier { OID 1.3.101.110 }, BIT STRING }
+ */
+function extractX25519PublicKeyFromSPKI(spki: Uint8Array): Uint8Array {
+  let pos = 0;
+
+  // Skip outer SEQUENCE tag (0x30)
+  if (spki[pos] !== 0x30) {
+    throw dataError("Invalid SPKI format: expected SEQUENCE");
+  }
+  pos++;
+  const seqLength = readASN1Length(spki, pos);
+  pos += seqLength.bytesRead;
+
+  // Check the AlgorithmIdentifier SEQUENCE holds the X25519 OID
+  if (spki[pos] !== 0x30) {
+    throw dataError("Invalid SPKI format: expected AlgorithmIdentifier SEQUENCE");
+  }
+  pos++;
+  const algIdLength = readASN1Length(spki, pos);
+  pos += algIdLength.bytesRead;
+  checkX25519Oid(spki, pos);
+  pos += algIdLength.value;
+
+  // Now we should be at the BIT STRING (0x03)
+  if (spki[pos] !== 0x03) {
+    throw dataError("Invalid SPKI format: expected BIT STRING");
+  }
+  pos++;
+  const bitStringLength = readASN1Length(spki, pos);
+  pos += bitStringLength.bytesRead;
+
+  // Skip the unused bits byte (usually 0x00)
+  pos++;
+
+  if (bitStringLength.value - 1 !== X25519_KEY_SIZE) {
+    throw dataError(`Invalid X25519 public key size: expected ${X25519_KEY_SIZE}, got ${bitStringLength.value - 1}`);
+  }
+
+  return spki.slice(pos, pos + X25519_KEY_SIZE);
+}
+
+/**
+ * Extract X25519 private key from PKCS8 format
+ * PKCS8 format: SEQUENCE { version, AlgorithmIdentifier { OID 1.3.101.110 }, OCTET STRING { OCTET STRING { key } } }
+ */
+function extractX25519PrivateKeyFromPKCS8(pkcs8: Uint8Array): Uint8Array {
+  let pos = 0;
+
+  // Skip outer SEQUENCE tag (0x30)
+  if (pkcs8[pos] !== 0x30) {
+    throw dataError("Invalid PKCS8 format: expected SEQUENCE");
+  }
+  pos++;
+  const seqLength = readASN1Length(pkcs8, pos);
+  pos += seqLength.bytesRead;
+
+  // Skip version INTEGER (0x02)
+  if (pkcs8[pos] !== 0x02) {
+    throw dataError("Invalid PKCS8 format: expected version INTEGER");
+  }
+  pos++;
+  const versionLength = readASN1Length(pkcs8, pos);
+  pos += versionLength.bytesRead + versionLength.value;
+
+  // Check the AlgorithmIdentifier SEQUENCE holds the X25519 OID
+  if (pkcs8[pos] !== 0x30) {
+    throw dataError("Invalid PKCS8 format: expected AlgorithmIdentifier SEQUENCE");
+  }
+  pos++;
+  const algIdLength = readASN1Length(pkcs8, pos);
+  pos += algIdLength.bytesRead;
+  checkX25519Oid(pkcs8, pos);
+  pos += algIdLength.value;
+
+  // Outer OCTET STRING wraps an inner OCTET STRING holding the key (RFC 8410)
+  if (pkcs8[pos] !== 0x04) {
+    throw dataError("Invalid PKCS8 format: expected OCTET STRING");
+  }
+  pos++;
+  const outerOctetLength = readASN1Length(pkcs8, pos);
+  pos += outerOctetLength.bytesRead;
+
+  if (pkcs8[pos] !== 0x04) {
+    throw dataError("Invalid PKCS8 format: expected inner OCTET STRING");
+  }
+  pos++;
+  const innerOctetLength = readASN1Length(pkcs8, pos);
+  pos += innerOctetLength.bytesRead;
+
+  if (innerOctetLength.value !== X25519_KEY_SIZE) {
+    throw dataError(`Invalid X25519 private key size: expected ${X25519_KEY_SIZE}, got ${innerOctetLength.value}`);
+  }
+
+  return pkcs8.slice(pos, pos + X25519_KEY_SIZE);
+}
+
+/**
+ * Check that the X25519 OID starts at pos
+ */
+function checkX25519Oid(data: Uint8Array, pos: number): void {
+  for (let i = 0; i < X25519_OID.length; i++) {
+    if (data[pos + i] !== X25519_OID[i]) {
+      throw dataError("Invalid key format: expected X25519 algorithm OID");
+    }
+  }
+}
+
+/**
+ * Encode X25519 public key to SPKI format
+ */
+function encodeX25519PublicKeyToSPKI(publicKey: Uint8Array): ArrayBuffer {
+  const algorithmId = encodeASN1Sequence([X25519_OID]);
+  const bitString = encodeASN1BitString(publicKey);
+  const outerSequence = encodeASN1Sequence([algorithmId, bitString]);
+
+  // Ensure we return an ArrayBuffer (not SharedArrayBuffer)
+  const copy = new Uint8Array(outerSequence);
+  return copy.buffer;
+}
+
+/**
+ * Encode X25519 private key to PKCS8 format
+ * Uses RFC 8410 format with wrapped OCTET STRING
+ */
+function encodeX25519PrivateKeyToPKCS8(privateKey: Uint8Array): ArrayBuffer {
+  const version = encodeASN1Integer(new Uint8Array([0x00])); // INTEGER 0
+  const algorithmId = encodeASN1Sequence([X25519_OID]);
+
+  // Inner OCTET STRING contains the key, the outer one wraps it
+  const innerOctetString = encodeASN1OctetString(privateKey);
+  const outerOctetString = encodeASN1OctetString(innerOctetString);
+
+  const outerSequence = encodeASN1Sequence([version, algorithmId, outerOctetString]);
+
+  // Ensure we return an ArrayBuffer (not SharedArrayBuffer)
+  const copy = new Uint8Array(outerSequence);
+  return copy.buffer;
+}
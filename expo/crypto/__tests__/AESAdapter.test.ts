@@ -0,0 +1,266 @@
+/**
+ * Tests for AES-CBC, AES-CTR and AES-KW in SubtleCryptoPolyfill
+ * Checks the NIST SP 800-38A and RFC 3394 (SP 800-38F) vectors and compares against Node's WebCrypto
+ */
+
+import { webcrypto } from "crypto";
+import { SubtleCryptoPolyfill } from "../SubtleCryptoPolyfill";
+import { createAesDecryptStream, createAesEncryptStream, AesCipherStream, AesStreamParams } from "../AESAdapter";
+
+const nodeSubtle = webcrypto.subtle as unknown as SubtleCrypto;
+
+function hex(value: string) {
+  const clean = value.replace(/\s/g, "");
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Feed a payload to a stream in chunks of the given sizes, cycling through them
+ */
+function runChunked(stream: AesCipherStream, data: Uint8Array, chunkSizes: number[]) {
+  const parts: Uint8Array[] = [];
+  for (let offset = 0, i = 0; offset < data.length; i++) {
+    const size = chunkSizes[i % chunkSizes.length];
+    parts.push(stream.update(data.subarray(offset, offset + size)));
+    offset += size;
+  }
+  parts.push(stream.finish());
+  return Buffer.concat(parts);
+}
+
+// NIST SP 800-38A appendix F
+const KEY_128 = hex("2b7e151628aed2a6abf7158809cf4f3c");
+const KEY_256 = hex("603deb1015ca71be2b73aef0857d77811f352c073b6108d72d9810a30914dff4");
+const PLAINTEXT = hex(`
+  6bc1bee22e409f96e93d7e117393172a ae2d8a571e03ac9c9eb76fac45af8e51
+  30c81c46a35ce411e5fbc1191a0a52ef f69f2445df4f9b17ad2b417be66c3710`);
+const CBC_IV = hex("000102030405060708090a0b0c0d0e0f");
+const CTR_COUNTER = hex("f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff");
+
+const SP800_38A_VECTORS = [
+  {
+    name: "F.2.1 CBC-AES128",
+    algorithm: { name: "AES-CBC", iv: CBC_IV },
+    key: KEY_128,
+    ciphertext: hex(`
+      7649abac8119b246cee98e9b12e9197d 5086cb9b507219ee95db113a917678b2
+      73bed6b8e3c1743b7116e69e22229516 3ff1caa1681fac09120eca307586e1a7`),
+  },
+  {
+    name: "F.2.5 CBC-AES256",
+    algorithm: { name: "AES-CBC", iv: CBC_IV },
+    key: KEY_256,
+    ciphertext: hex(`
+      f58c4c04d6e5f1ba779eabfb5f7bfbd6 9cfc4e967edb808d679f777bc6702c7d
+      39f23369a9d9bacfa530e26304231461 b2eb05e2c39be9fcda6c19078c6a9d1b`),
+  },
+  {
+    name: "F.5.1 CTR-AES128",
+    algorithm: { name: "AES-CTR", counter: CTR_COUNTER, length: 64 },
+    key: KEY_128,
+    ciphertext: hex(`
+      874d6191b620e3261bef6864990db6ce 9806f66b7970fdff8617187bb9fffdff
+      5ae4df3edbd5d35e5b4f09020db03eab 1e031dda2fbe03d1792170a0f3009cee`),
+  },
+  {
+    name: "F.5.5 CTR-AES256",
+    algorithm: { name: "AES-CTR", counter: CTR_COUNTER, length: 64 },
+    key: KEY_256,
+    ciphertext: hex(`
+      601ec313775789a5b7a7f504bbf3d228 f443e3ca4d62b59aca84e990cacaf5c5
+      2b0930daa23de94ce87017ba2d84988d dfc9c58db67aada613c2dd08457941a6`),
+  },
+];
+
+// RFC 3394 sections 4.1 and 4.6
+const KW_VECTORS = [
+  {
+    name: "128-bit key data with a 128-bit KEK",
+    kek: hex("000102030405060708090a0b0c0d0e0f"),
+    keyData: hex("00112233445566778899aabbccddeeff"),
+    wrapped: hex("1fa68b0a8112b447 aef34bd8fb5a7b82 9d3e862371d2cfe5"),
+  },
+  {
+    name: "256-bit key data with a 256-bit KEK",
+    kek: hex("000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f"),
+    keyData: hex("00112233445566778899aabbccddeeff000102030405060708090a0b0c0d0e0f"),
+    wrapped: hex("28c9f404c4b810f4 cbccb35cfb87f826 3f5786e2d80ed326 cbc7f0e71a99f43b fb988b9b7a02dd21"),
+  },
+];
+
+describe("AES modes", () => {
+  let subtle: SubtleCrypto;
+
+  beforeAll(() => {
+    subtle = new SubtleCryptoPolyfill() as unknown as SubtleCrypto;
+  });
+
+  describe("NIST SP 800-38A vectors", () => {
+    for (const vector of SP800_38A_VECTORS) {
+      it(`should match ${vector.name}`, async () => {
+        const name = vector.algorithm.name;
+        const key = await subtle.importKey("raw", vector.key, name, false, ["encrypt", "decrypt"]);
+        const encrypted = new Uint8Array(await subtle.encrypt(vector.algorithm, key, PLAINTEXT));
+
+        // Web Crypto AES-CBC always appends a PKCS#7 padding block
+        expect(encrypted.slice(0, vector.ciphertext.length)).toEqual(vector.ciphertext);
+        expect(encrypted.length).toBe(name === "AES-CBC" ? PLAINTEXT.length + 16 : PLAINTEXT.length);
+
+        const nodeKey = await nodeSubtle.importKey("raw", vector.key, name, false, ["encrypt"]);
+        expect(encrypted).toEqual(new Uint8Array(await nodeSubtle.encrypt(vector.algorithm, nodeKey, PLAINTEXT)));
+        expect(new Uint8Array(await subtle.decrypt(vector.algorithm, key, encrypted))).toEqual(PLAINTEXT);
+      });
+    }
+  });
+
+  describe("AES-CBC", () => {
+    it("should pad and unpad messages of any length like WebCrypto", async () => {
+      const key = await subtle.importKey("raw", KEY_128, "AES-CBC", false, ["encrypt", "decrypt"]);
+      const nodeKey = await nodeSubtle.importKey("raw", KEY_128, "AES-CBC", false, ["decrypt"]);
+      for (const length of [0, 1, 15, 16, 17, 33]) {
+        const message = PLAINTEXT.slice(0, length);
+        const encrypted = await subtle.encrypt({ name: "AES-CBC", iv: CBC_IV }, key, message);
+        expect(new Uint8Array(await nodeSubtle.decrypt({ name: "AES-CBC", iv: CBC_IV }, nodeKey, encrypted))).toEqual(message);
+        expect(new Uint8Array(await subtle.decrypt({ name: "AES-CBC", iv: CBC_IV }, key, encrypted))).toEqual(message);
+      }
+    });
+
+    it("should reject invalid padding and iv lengths", async () => {
+      const key = await subtle.importKey("raw", KEY_128, "AES-CBC", false, ["encrypt", "decrypt"]);
+      // The SP 800-38A ciphertext has no padding block, so its last block does not unpad
+      await expect(subtle.decrypt({ name: "AES-CBC", iv: CBC_IV }, key, SP800_38A_VECTORS[0].ciphertext)).rejects.toThrow(/padding/);
+      await expect(subtle.encrypt({ name: "AES-CBC", iv: new Uint8Array(12) }, key, PLAINTEXT)).rejects.toThrow(/iv/);
+    });
+  });
+
+  describe("AES-CTR", () => {
+    it("should wrap only the counter bits like WebCrypto", async () => {
+      const counter = hex("000102030405060708090a0b0c0d0efe");
+      const key = await subtle.importKey("raw", KEY_128, "AES-CTR", false, ["encrypt"]);
+      const nodeKey = await nodeSubtle.importKey("raw", KEY_128, "AES-CTR", false, ["encrypt"]);
+      const message = new Uint8Array(70).fill(0x5a);
+
+      for (const length of [8, 16, 128]) {
+        const params = { name: "AES-CTR", counter, length };
+        expect(new Uint8Array(await subtle.encrypt(params, key, message))).toEqual(
+          new Uint8Array(await nodeSubtle.encrypt(params, nodeKey, message))
+        );
+      }
+    });
+
+    it("should refuse to reuse counter values", async () => {
+      const key = await subtle.importKey("raw", KEY_128, "AES-CTR", false, ["encrypt"]);
+      const params = { name: "AES-CTR", counter: CTR_COUNTER, length: 2 };
+      await expect(subtle.encrypt(params, key, new Uint8Array(64))).resolves.toBeDefined();
+      await expect(subtle.encrypt(params, key, new Uint8Array(65))).rejects.toThrow(/wrap/);
+    });
+  });
+
+  describe("AES-KW", () => {
+    for (const vector of KW_VECTORS) {
+      it(`should match RFC 3394 ${vector.name}`, async () => {
+        const kek = await subtle.importKey("raw", vector.kek, "AES-KW", false, ["wrapKey", "unwrapKey"]);
+        const key = await subtle.importKey("raw", vector.keyData, "AES-GCM", true, ["encrypt"]);
+
+        const wrapped = await subtle.wrapKey("raw", key, kek, "AES-KW");
+        expect(new Uint8Array(wrapped)).toEqual(vector.wrapped);
+
+        const unwrapped = await subtle.unwrapKey("raw", wrapped, kek, "AES-KW", "AES-GCM", true, ["encrypt"]);
+        expect(new Uint8Array(await subtle.exportKey("raw", unwrapped))).toEqual(vector.keyData);
+      });
+    }
+
+    it("should reject wrapped data that fails the integrity check", async () => {
+      const { kek, wrapped } = KW_VECTORS[0];
+      const kekKey = await subtle.importKey("raw", kek, "AES-KW", false, ["unwrapKey"]);
+      const tampered = wrapped.slice();
+      tampered[5] ^= 0x01;
+      await expect(subtle.unwrapKey("raw", tampered, kekKey, "AES-KW", "AES-GCM", true, ["encrypt"])).rejects.toThrow(
+        /integrity/
+      );
+    });
+
+    it("should wrap JWKs that WebCrypto can unwrap", async () => {
+      const kekBytes = KW_VECTORS[1].kek;
+      const kek = await subtle.importKey("raw", kekBytes, "AES-KW", false, ["wrapKey"]);
+      const nodeKek = await nodeSubtle.importKey("raw", kekBytes, "AES-KW", false, ["unwrapKey"]);
+      const hmacKey = await subtle.importKey("raw", new Uint8Array(20).fill(7), { name: "HMAC", hash: "SHA-1" }, true, ["sign"]);
+
+      const wrapped = await subtle.wrapKey("jwk", hmacKey, kek, "AES-KW");
+      const unwrapped = await nodeSubtle.unwrapKey("jwk", wrapped, nodeKek, "AES-KW", { name: "HMAC", hash: "SHA-1" }, true, ["sign"]);
+      expect(new Uint8Array(await nodeSubtle.exportKey("raw", unwrapped))).toEqual(new Uint8Array(20).fill(7));
+    });
+  });
+
+  describe("streaming", () => {
+    const message = new Uint8Array(20011).map((_, i) => (i * 31) & 0xff);
+    const streamParams: AesStreamParams[] = [
+      { name: "AES-GCM", iv: CBC_IV.subarray(0, 12), additionalData: hex("feedface"), tagLength: 96 },
+      { name: "AES-CBC", iv: CBC_IV },
+      { name: "AES-CTR", counter: CTR_COUNTER, length: 64 },
+    ];
+
+    for (const params of streamParams) {
+      it(`should match the one-shot ${params.name} result for any chunking`, async () => {
+        const key = await subtle.importKey("raw", KEY_128, params.name, false, ["encrypt", "decrypt"]);
+        const encrypted = new Uint8Array(await subtle.encrypt(params, key, message));
+
+        for (const chunkSizes of [[1, 15, 17], [16], [4096, 9999]]) {
+          expect(new Uint8Array(runChunked(createAesEncryptStream(params, key), message, chunkSizes))).toEqual(encrypted);
+          expect(new Uint8Array(runChunked(createAesDecryptStream(params, key), encrypted, chunkSizes))).toEqual(message);
+        }
+      });
+    }
+
+    it("should fail AES-GCM decryption when the tag does not match", async () => {
+      const params = streamParams[0];
+      const key = await subtle.importKey("raw", KEY_128, "AES-GCM", false, ["encrypt"]);
+      const encrypted = new Uint8Array(await subtle.encrypt(params, key, message));
+      encrypted[encrypted.length - 1] ^= 1;
+      expect(() => runChunked(createAesDecryptStream(params, key), encrypted, [1000])).toThrow(/tag/);
+    });
+
+    it("should encrypt a 5 MB payload like WebCrypto", async () => {
+      const payload = new Uint8Array(5 * 1024 * 1024).map((_, i) => i & 0xff);
+      const params = { name: "AES-GCM", iv: CBC_IV.subarray(0, 12) };
+      const key = await subtle.importKey("raw", KEY_128, "AES-GCM", false, ["encrypt", "decrypt"]);
+      const nodeKey = await nodeSubtle.importKey("raw", KEY_128, "AES-GCM", false, ["decrypt"]);
+
+      // Compared as Buffers: toEqual walks typed arrays element by element
+      const encrypted = await subtle.encrypt(params, key, payload);
+      expect(Buffer.from(await nodeSubtle.decrypt(params, nodeKey, encrypted)).equals(payload)).toBe(true);
+      expect(Buffer.from(await subtle.decrypt(params, key, encrypted)).equals(payload)).toBe(true);
+    }, 60000);
+
+    it("should only read the bytes a view covers", async () => {
+      const key = await subtle.importKey("raw", KEY_128, "AES-CBC", false, ["encrypt", "decrypt"]);
+      const padded = new Uint8Array(PLAINTEXT.length + 9).fill(0xee);
+      padded.set(PLAINTEXT, 5);
+      const view = padded.subarray(5, 5 + PLAINTEXT.length);
+
+      const encrypted = await subtle.encrypt({ name: "AES-CBC", iv: CBC_IV }, key, view);
+      expect(encrypted).toEqual(await subtle.encrypt({ name: "AES-CBC", iv: CBC_IV }, key, PLAINTEXT.slice()));
+      expect(new Uint8Array(await subtle.decrypt({ name: "AES-CBC", iv: CBC_IV }, key, encrypted))).toEqual(PLAINTEXT);
+    });
+  });
+
+  it("should generate keys and round-trip JWKs with mode-specific alg values", async () => {
+    for (const [name, suffix] of [["AES-CBC", "CBC"], ["AES-CTR", "CTR"], ["AES-KW", "KW"]]) {
+      const usages: KeyUsage[] = name === "AES-KW" ? ["wrapKey", "unwrapKey"] : ["encrypt", "decrypt"];
+      const key = (await subtle.generateKey({ name, length: 192 }, true, usages)) as CryptoKey;
+      expect(key.algorithm).toEqual({ name, length: 192 });
+
+      const jwk = await subtle.exportKey("jwk", key);
+      expect(jwk.alg).toBe(`A192${suffix}`);
+      const nodeKey = await nodeSubtle.importKey("jwk", jwk, name, true, usages);
+      expect(await nodeSubtle.exportKey("jwk", nodeKey)).toMatchObject({ alg: jwk.alg, k: jwk.k });
+
+      await expect(subtle.importKey("jwk", { ...jwk, alg: "A192GCM" }, name, true, usages)).rejects.toThrow(/alg/);
+    }
+    await expect(subtle.generateKey({ name: "AES-CBC", length: 64 }, true, ["encrypt"])).rejects.toThrow(/length/);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Throughput benchmark for SubtleCryptoPolyfill
+ * Skipped unless CRYPTO_BENCHMARK is set (npm run bench:crypto). Each operation's throughput is printed next
+ * to the figures in benchmarks/baseline.json, and the run fails when one drops below half of the recorded
+ * "after" figure. CRYPTO_BENCHMARK=record rewrites the "after" figures, e.g. on new hardware.
+ */
+
+import { readFileSync, writeFileSync } from "fs";
+import { join } from "path";
+import { performance } from "perf_hooks";
+import { SubtleCryptoPolyfill } from "../SubtleCryptoPolyfill";
+
+const MODE = process.env.CRYPTO_BENCHMARK;
+const BASELINE_FILE = join(__dirname, "benchmarks", "baseline.json");
+// Minimum time spent on each operation
+const MIN_DURATION_MS = 500;
+// Tolerated slowdown against the recorded figures before the run fails
+const REGRESSION_FACTOR = 0.5;
+
+const KIB = 1024;
+const MIB = 1024 * KIB;
+
+interface Baseline {
+  description: string[];
+  machine: string;
+  // Throughput in MB/s; null when the operation failed
+  results: Record<string, { before: number | null; after: number | null }>;
+}
+
+type Bytes = Uint8Array<ArrayBuffer>;
+type Operation = (data: Bytes) => Promise<unknown>;
+
+function formatSize(bytes: number) {
+  return bytes >= MIB ? `${bytes / MIB} MiB` : `${bytes / KIB} KiB`;
+}
+
+/**
+ * Run an operation repeatedly and return its throughput in MB/s, or null if it throws
+ */
+async function measure(operation: Operation, data: Bytes): Promise<number | null> {
+  try {
+    await operation(data); // Warm-up
+  } catch {
+    return null;
+  }
+  let runs = 0;
+  const start = performance.now();
+  let elapsed = 0;
+  do {
+    await operation(data);
+    runs++;
+    elapsed = performance.now() - start;
+  } while (elapsed < MIN_DURATION_MS);
+  return Math.round(((data.length * runs) / (elapsed / 1000) / 1e6) * 100) / 100;
+}
+
+(MODE ? describe : describe.skip)("throughput benchmark", () => {
+  it("should not regress against the recorded throughput", async () => {
+    const subtle = new SubtleCryptoPolyfill() as unknown as SubtleCrypto;
+    const keyBytes = new Uint8Array(32).fill(7);
+    const iv = new Uint8Array(16).fill(1);
+    const aesKeys = new Map<string, CryptoKey>();
+    for (const name of ["AES-GCM", "AES-CBC", "AES-CTR"]) {
+      aesKeys.set(name, await subtle.importKey("raw", keyBytes, name, false, ["encrypt", "decrypt"]));
+    }
+    const hmacKey = await subtle.importKey("raw", keyBytes, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+
+    const gcm = { name: "AES-GCM", iv: iv.subarray(0, 12) };
+    const cbc = { name: "AES-CBC", iv };
+    const ctr = { name: "AES-CTR", counter: iv, length: 64 };
+    const operations: [string, Operation, (data: Bytes) => Promise<Bytes>][] = [
+      ["AES-GCM encrypt", (data) => subtle.encrypt(gcm, aesKeys.get("AES-GCM")!, data), async (data) => data],
+      [
+        "AES-GCM decrypt",
+        (data) => subtle.decrypt(gcm, aesKeys.get("AES-GCM")!, data),
+        async (data) => new Uint8Array(await subtle.encrypt(gcm, aesKeys.get("AES-GCM")!, data)),
+      ],
+      ["AES-CBC encrypt", (data) => subtle.encrypt(cbc, aesKeys.get("AES-CBC")!, data), async (data) => data],
+      [
+        "AES-CBC decrypt",
+        (data) => subtle.decrypt(cbc, aesKeys.get("AES-CBC")!, data),
+        async (data) => new Uint8Array(await subtle.encrypt(cbc, aesKeys.get("AES-CBC")!, data)),
+      ],
+      ["AES-CTR encrypt", (data) => subtle.encrypt(ctr, aesKeys.get("AES-CTR")!, data), async (data) => data],
+      ["HMAC SHA-256 sign", (data) => subtle.sign("HMAC", hmacKey, data), async (data) => data],
+      ["SHA-256 digest", (data) => subtle.digest("SHA-256", data), async (data) => data],
+    ];
+
+    const baseline = JSON.parse(readFileSync(BASELINE_FILE, "utf8")) as Baseline;
+    const rows: string[] = [];
+    const regressions: string[] = [];
+    for (const size of [64 * KIB, MIB]) {
+      const plaintext = new Uint8Array(size).map((_, i) => i & 0xff);
+      for (const [name, operation, prepare] of operations) {
+        const label = `${name} ${formatSize(size)}`;
+        let input: Bytes | null = null;
+        try {
+          input = await prepare(plaintext);
+        } catch {
+          // Counted as a failed operation below
+        }
+        const throughput = input ? await measure(operation, input) : null;
+        const recorded = baseline.results[label] ?? { before: null, after: null };
+        rows.push(`${label.padEnd(28)} before ${String(recorded.before).padStart(8)}  after ${String(recorded.after).padStart(8)}  now ${String(throughput).padStart(8)} MB/s`);
+
+        if (MODE === "record") {
+          baseline.results[label] = { ...recorded, after: throughput };
+        } else if (recorded.after !== null && (throughput === null || throughput < recorded.after * REGRESSION_FACTOR)) {
+          regressions.push(`${label}: ${throughput} MB/s, recorded ${recorded.after} MB/s`);
+        }
+      }
+    }
+
+    console.log(rows.join("\n"));
+    if (MODE === "record") {
+      writeFileSync(BASELINE_FILE, JSON.stringify(baseline, null, 2) + "\n");
+    }
+    expect(regressions).toEqual([]);
+  }, 600000);
+});
@@ -0,0 +1,152 @@
+/**
+ * Conformance tests for SubtleCryptoPolyfill against published test vectors
+ * Runs the Wycheproof-format and NIST CAVP-format files in ./vectors, so an implementation that is wrong
+ * the same way in both directions cannot pass as it would with round-trip tests
+ */
+
+import { SubtleCryptoPolyfill } from "../SubtleCryptoPolyfill";
+import {
+  AeadGroup,
+  EddsaGroup,
+  MacGroup,
+  PbkdfGroup,
+  RsaOaepGroup,
+  hex,
+  loadHashCavp,
+  loadWycheproof,
+  testName,
+} from "./vectors/loadVectors";
+
+// PKCS8 prefix for an RFC 8410 Ed25519 private key, followed by the 32-byte secret key
+const ED25519_PKCS8_PREFIX = "302e020100300506032b657004220420";
+
+function concat(a: Uint8Array, b: Uint8Array) {
+  const result = new Uint8Array(a.length + b.length);
+  result.set(a);
+  result.set(b, a.length);
+  return result;
+}
+
+describe("conformance vectors", () => {
+  let subtle: SubtleCrypto;
+
+  beforeAll(() => {
+    subtle = new SubtleCryptoPolyfill() as unknown as SubtleCrypto;
+  });
+
+  describe("AES-GCM", () => {
+    for (const group of loadWycheproof<AeadGroup>("aes_gcm_test.json").testGroups) {
+      describe(`${group.keySize}-bit key, ${group.ivSize || "variable"}-bit IV, ${group.tagSize}-bit tag`, () => {
+        for (const test of group.tests) {
+          it(testName(test), async () => {
+            const key = await subtle.importKey("raw", hex(test.key), "AES-GCM", false, ["encrypt", "decrypt"]);
+            const params = { name: "AES-GCM", iv: hex(test.iv), additionalData: hex(test.aad), tagLength: group.tagSize };
+            const sealed = concat(hex(test.ct), hex(test.tag));
+
+            if (test.result === "valid") {
+              expect(new Uint8Array(await subtle.encrypt(params, key, hex(test.msg)))).toEqual(sealed);
+              expect(new Uint8Array(await subtle.decrypt(params, key, sealed))).toEqual(hex(test.msg));
+            } else {
+              await expect(subtle.decrypt(params, key, sealed)).rejects.toMatchObject({ name: "OperationError" });
+            }
+          });
+        }
+      });
+    }
+  });
+
+  describe("RSA-OAEP", () => {
+    for (const group of loadWycheproof<RsaOaepGroup>("rsa_oaep_2048_test.json").testGroups) {
+      describe(`${group.keySize}-bit key, ${group.sha}`, () => {
+        let privateKey: CryptoKey;
+
+        beforeAll(async () => {
+          privateKey = await subtle.importKey("jwk", group.privateKeyJwk, { name: "RSA-OAEP", hash: group.sha }, false, ["decrypt"]);
+        });
+
+        for (const test of group.tests) {
+          it(testName(test), async () => {
+            const params = { name: "RSA-OAEP", label: hex(test.label) };
+            if (test.result === "valid") {
+              expect(new Uint8Array(await subtle.decrypt(params, privateKey, hex(test.ct)))).toEqual(hex(test.msg));
+            } else {
+              await expect(subtle.decrypt(params, privateKey, hex(test.ct))).rejects.toMatchObject({ name: "OperationError" });
+            }
+          });
+        }
+      });
+    }
+  });
+
+  describe("Ed25519", () => {
+    for (const group of loadWycheproof<EddsaGroup>("ed25519_test.json").testGroups) {
+      describe(`public key ${group.publicKey.pk.slice(0, 16)}...`, () => {
+        for (const test of group.tests) {
+          it(testName(test), async () => {
+            const publicKey = await subtle.importKey("raw", hex(group.publicKey.pk), "Ed25519", false, ["verify"]);
+            expect(await subtle.verify("Ed25519", publicKey, hex(test.sig), hex(test.msg))).toBe(test.result === "valid");
+
+            // Ed25519 signatures are deterministic, so valid vectors also check signing
+            if (test.result === "valid" && group.publicKey.sk) {
+              const pkcs8 = hex(ED25519_PKCS8_PREFIX + group.publicKey.sk);
+              const privateKey = await subtle.importKey("pkcs8", pkcs8, "Ed25519", false, ["sign"]);
+              expect(new Uint8Array(await subtle.sign("Ed25519", privateKey, hex(test.msg)))).toEqual(hex(test.sig));
+            }
+          });
+        }
+      });
+    }
+  });
+
+  describe("HMAC", () => {
+    for (const group of loadWycheproof<MacGroup>("hmac_test.json").testGroups) {
+      describe(group.sha, () => {
+        for (const test of group.tests) {
+          it(testName(test), async () => {
+            const key = await subtle.importKey("raw", hex(test.key), { name: "HMAC", hash: group.sha }, false, ["sign", "verify"]);
+            expect(await subtle.verify("HMAC", key, hex(test.tag), hex(test.msg))).toBe(test.result === "valid");
+            if (test.result === "valid") {
+              expect(new Uint8Array(await subtle.sign("HMAC", key, hex(test.msg)))).toEqual(hex(test.tag));
+            }
+          });
+        }
+      });
+    }
+  });
+
+  describe("PBKDF2", () => {
+    for (const group of loadWycheproof<PbkdfGroup>("pbkdf2_test.json").testGroups) {
+      describe(group.sha, () => {
+        for (const test of group.tests) {
+          it(testName(test), async () => {
+            const key = await subtle.importKey("raw", hex(test.password), "PBKDF2", false, ["deriveBits"]);
+            const params = { name: "PBKDF2", hash: group.sha, salt: hex(test.salt), iterations: test.iterationCount };
+            expect(new Uint8Array(await subtle.deriveBits(params, key, test.dkLen * 8))).toEqual(hex(test.dk));
+          });
+        }
+      });
+    }
+  });
+
+  describe("SHA-256", () => {
+    const vectors = loadHashCavp("sha256_cavp.json");
+
+    for (const test of vectors.tests) {
+      it(`Len = ${test.Len}`, async () => {
+        const message = hex(test.Msg).slice(0, test.Len / 8);
+        expect(new Uint8Array(await subtle.digest("SHA-256", message))).toEqual(hex(test.MD));
+      });
+    }
+
+    for (const test of vectors.repeatTests) {
+      it(`${test.Count} repetitions of ${test.Msg}`, async () => {
+        const unit = hex(test.Msg);
+        const message = new Uint8Array(unit.length * test.Count);
+        for (let i = 0; i < test.Count; i++) {
+          message.set(unit, i * unit.length);
+        }
+        expect(new Uint8Array(await subtle.digest("SHA-256", message))).toEqual(hex(test.MD));
+      });
+    }
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for the crypto capability self-tests and report
+ * Runs the known-answer self-tests against Node's WebCrypto, the polyfill, a registry over both and broken providers
+ */
+
+import { webcrypto } from "crypto";
+import { SubtleCryptoPolyfill } from "../SubtleCryptoPolyfill";
+import { CryptoProvider, CryptoProviderRegistry } from "../CryptoProviderRegistry";
+import {
+  assertCryptoCapabilities,
+  getCryptoCapabilities,
+  getStartupSelfTest,
+  REQUIRED_ALGORITHMS,
+  runStartupSelfTest,
+} from "../CryptoCapabilities";
+
+const nodeProvider: CryptoProvider = {
+  name: "node",
+  subtle: webcrypto.subtle as unknown as SubtleCrypto,
+  getRandomValues: (array) => webcrypto.getRandomValues(array as any) as any,
+};
+
+function createPolyfillProvider(): CryptoProvider {
+  return { name: "js", subtle: new SubtleCryptoPolyfill() as unknown as SubtleCrypto, getRandomValues: nodeProvider.getRandomValues, skipProbes: true };
+}
+
+/**
+ * Wrap a SubtleCrypto so that one method resolves with a corrupted result
+ */
+function corrupting(subtle: SubtleCrypto, method: "digest" | "sign"): SubtleCrypto {
+  return new Proxy(subtle, {
+    get(target, property) {
+      const value = Reflect.get(target, property, target);
+      if (property !== method) {
+        return typeof value === "function" ? value.bind(target) : value;
+      }
+      return async (...args: any[]) => {
+        const result = new Uint8Array(await value.apply(target, args));
+        result[0] ^= 1;
+        return result.buffer;
+      };
+    },
+  });
+}
+
+describe("getCryptoCapabilities", () => {
+  it("should pass every self-test with Node's WebCrypto", async () => {
+    const report = await getCryptoCapabilities(nodeProvider);
+    expect(report.checks.filter((check) => !check.passed)).toEqual([]);
+    expect(report).toMatchObject({ passed: true, failedAlgorithms: [], failedRequired: [] });
+    for (const algorithm of REQUIRED_ALGORITHMS) {
+      expect(report.checks.some((check) => check.algorithm === algorithm)).toBe(true);
+    }
+    for (const check of report.checks) {
+      expect(check.provider).toBe("node");
+      expect(check.latencyMs).toBeGreaterThanOrEqual(0);
+    }
+  });
+
+  it("should pass every self-test with the polyfill", async () => {
+    const report = await getCryptoCapabilities(createPolyfillProvider());
+    expect(report.checks.filter((check) => !check.passed)).toEqual([]);
+    expect(report.passed).toBe(true);
+  });
+
+  it("should report the provider a registry routes each operation to", async () => {
+    const native: CryptoProvider = { ...nodeProvider, name: "quick-crypto", subtle: corrupting(nodeProvider.subtle, "sign") };
+    const registry = new CryptoProviderRegistry([native, createPolyfillProvider()], { algorithms: { Ed25519: "js" } });
+    const report = await getCryptoCapabilities(registry, { algorithms: ["AES-GCM", "Ed25519", "RNG"] });
+
+    expect(report.passed).toBe(true);
+    expect(report.checks).toContainEqual(expect.objectContaining({ provider: "quick-crypto", algorithm: "AES-GCM", operation: "encrypt" }));
+    expect(report.checks).toContainEqual(expect.objectContaining({ provider: "js", algorithm: "Ed25519", operation: "sign", passed: true }));
+    expect(report.checks).toContainEqual(expect.objectContaining({ provider: "quick-crypto", algorithm: "RNG", operation: "getRandomValues" }));
+  });
+
+  it("should fail a provider whose results do not match the known answers", async () => {
+    const broken: CryptoProvider = { ...nodeProvider, subtle: corrupting(nodeProvider.subtle, "sign") };
+    const report = await getCryptoCapabilities(broken);
+
+    expect(report.passed).toBe(false);
+    expect(report.failedAlgorithms.sort()).toEqual(["Ed25519", "HMAC"]);
+    expect(report.failedRequired).toEqual(["Ed25519"]);
+    // The first failed check ends the self-test of its algorithm
+    const ed25519 = report.checks.filter((check) => check.algorithm === "Ed25519");
+    expect(ed25519.map((check) => [check.operation, check.passed])).toEqual([
+      ["importKey", true],
+      ["sign", false],
+    ]);
+    expect(ed25519[1].error).toMatch(/known answer/);
+
+    expect(() => assertCryptoCapabilities(report)).toThrow(
+      expect.objectContaining({ name: "NotSupportedError", message: expect.stringMatching(/Ed25519 sign on node/) })
+    );
+  });
+
+  it("should always self-test the required algorithms", async () => {
+    const broken: CryptoProvider = { name: "node", subtle: corrupting(nodeProvider.subtle, "digest"), getRandomValues: nodeProvider.getRandomValues };
+    const report = await getCryptoCapabilities(broken, { algorithms: ["AES-GCM"] });
+
+    expect([...new Set(report.checks.map((check) => check.algorithm))]).toEqual(["AES-GCM", ...REQUIRED_ALGORITHMS.filter((a) => a !== "AES-GCM")]);
+    expect(report.failedRequired).toContain("SHA-256");
+    expect(report.passed).toBe(false);
+  });
+
+  it("should only refuse startup for the required algorithms", async () => {
+    const broken: CryptoProvider = { name: "node", subtle: corrupting(nodeProvider.subtle, "digest") };
+    const report = await getCryptoCapabilities(broken, { required: ["AES-GCM"] });
+
+    expect(report.failedAlgorithms).toEqual(expect.arrayContaining(["SHA-256", "SHA-512", "RNG"]));
+    expect(report.checks).toContainEqual(
+      expect.objectContaining({ algorithm: "RNG", passed: false, error: expect.stringMatching(/getRandomValues is not available/) })
+    );
+    expect(report.passed).toBe(true);
+    expect(() => assertCryptoCapabilities(report)).not.toThrow();
+    await expect(getCryptoCapabilities(nodeProvider, { algorithms: ["MD5"] })).rejects.toMatchObject({ name: "NotSupportedError" });
+  });
+});
+
+describe("runStartupSelfTest", () => {
+  it("should keep the report of the crypto the app will use for the app to wait for", async () => {
+    const started = runStartupSelfTest(() => nodeProvider);
+    expect(getStartupSelfTest()).toBe(started);
+    expect(await started).toMatchObject({ passed: true, failedRequired: [] });
+  });
+
+  it("should reject the report when the crypto cannot be created", async () => {
+    runStartupSelfTest(() => {
+      throw new Error("react-native-quick-crypto is not installed");
+    });
+    await expect(getStartupSelfTest()).rejects.toThrow("react-native-quick-crypto is not installed");
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Tests for CryptoProviderRegistry: probing, per-algorithm routing, overrides and moving keys between providers
+ * Uses Node's WebCrypto as the native provider and SubtleCryptoPolyfill as the JavaScript one
+ */
+
+import { webcrypto } from "crypto";
+import { SubtleCryptoPolyfill } from "../SubtleCryptoPolyfill";
+import { CryptoProvider, CryptoProviderRegistry } from "../CryptoProviderRegistry";
+import { ALGORITHM_PROBES } from "../CryptoProviderProbes";
+
+const nodeSubtle = webcrypto.subtle as unknown as SubtleCrypto;
+
+/**
+ * Wrap a SubtleCrypto so that calls involving an algorithm reject with NotSupportedError, like a
+ * quick-crypto build that lacks it; operations limits this to some methods
+ */
+function withoutAlgorithm(subtle: SubtleCrypto, algorithm: string, operations?: string[]): SubtleCrypto {
+  return new Proxy(subtle, {
+    get(target, property) {
+      const value = Reflect.get(target, property, target);
+      if (typeof value !== "function") {
+        return value;
+      }
+      return (...args: any[]) => {
+        const names = args.map((arg) => (typeof arg === "string" ? arg : arg?.name ?? arg?.algorithm?.name));
+        if ((!operations || operations.includes(String(property))) && names.includes(algorithm)) {
+          return Promise.reject(new DOMException(`${algorithm} is not supported`, "NotSupportedError"));
+        }
+        return value.apply(target, args);
+      };
+    },
+  });
+}
+
+function createProviders(native: SubtleCrypto = nodeSubtle): [CryptoProvider, CryptoProvider] {
+  return [
+    { name: "quick-crypto", subtle: native, getRandomValues: (array) => webcrypto.getRandomValues(array as any) as any },
+    { name: "js", subtle: new SubtleCryptoPolyfill() as unknown as SubtleCrypto, skipProbes: true },
+  ];
+}
+
+describe("CryptoProviderRegistry", () => {
+  it("should probe every algorithm of Node's WebCrypto and of the polyfill", async () => {
+    const registry = new CryptoProviderRegistry([
+      { name: "node", subtle: nodeSubtle },
+      { name: "js", subtle: new SubtleCryptoPolyfill() as unknown as SubtleCrypto },
+    ]);
+    await registry.ready;
+
+    // The polyfill imports HMAC keys but does not generate them
+    const results = registry.getProbeResults();
+    expect(results.filter((result) => !result.passed)).toEqual([
+      expect.objectContaining({ provider: "js", algorithm: "HMAC", operation: "generateKey" }),
+    ]);
+    expect(registry.supports("js", "HMAC", "sign")).toBe(true);
+    for (const provider of ["node", "js"]) {
+      const algorithms = new Set(results.filter((result) => result.provider === provider).map((result) => result.algorithm));
+      expect([...algorithms].sort()).toEqual(Object.keys(ALGORITHM_PROBES).sort());
+    }
+  }, 60000);
+
+  it("should route an algorithm the first provider lacks to the next one", async () => {
+    const [native, js] = createProviders(withoutAlgorithm(nodeSubtle, "Ed25519"));
+    const registry = new CryptoProviderRegistry([native, js]);
+    await registry.ready;
+
+    expect(registry.getProvider("Ed25519", "sign").name).toBe("js");
+    expect(registry.getProvider("AES-GCM", "encrypt").name).toBe("quick-crypto");
+    expect(registry.getProbeResults()).toContainEqual(
+      expect.objectContaining({ provider: "quick-crypto", algorithm: "Ed25519", operation: "generateKey", passed: false })
+    );
+
+    const jsSign = jest.spyOn(js.subtle, "sign");
+    const subtle = registry.getSubtle();
+    const data = new TextEncoder().encode("routed");
+    const keyPair = (await subtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"])) as CryptoKeyPair;
+    const signature = await subtle.sign({ name: "Ed25519" }, keyPair.privateKey, data);
+    expect(await subtle.verify({ name: "Ed25519" }, keyPair.publicKey, signature, data)).toBe(true);
+    expect(jsSign).toHaveBeenCalledTimes(1);
+
+    // AES keys come from Node, so Node can decrypt what the registry encrypted
+    const aesKey = await subtle.generateKey({ name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+    const iv = new Uint8Array(12);
+    const ciphertext = await subtle.encrypt({ name: "AES-GCM", iv }, aesKey as CryptoKey, data);
+    expect(new Uint8Array(await nodeSubtle.decrypt({ name: "AES-GCM", iv }, aesKey as CryptoKey, ciphertext))).toEqual(data);
+  });
+
+  it("should move extractable keys to the provider that supports the operation", async () => {
+    const [native, js] = createProviders(withoutAlgorithm(nodeSubtle, "X25519", ["deriveKey"]));
+    const registry = new CryptoProviderRegistry([native, js]);
+    await registry.ready;
+    expect(registry.getProvider("X25519", "deriveBits").name).toBe("quick-crypto");
+    expect(registry.getProvider("X25519", "deriveKey").name).toBe("js");
+
+    const subtle = registry.getSubtle();
+    const usages: KeyUsage[] = ["deriveBits", "deriveKey"];
+    const alice = (await subtle.generateKey({ name: "X25519" }, true, usages)) as CryptoKeyPair;
+    const bob = (await subtle.generateKey({ name: "X25519" }, false, usages)) as CryptoKeyPair;
+
+    // Both keys of the deriveKey call are moved to the polyfill through JWK
+    const jsDeriveKey = jest.spyOn(js.subtle, "deriveKey");
+    const key = await subtle.deriveKey({ name: "X25519", public: bob.publicKey } as any, alice.privateKey, { name: "AES-GCM", length: 256 }, true, ["encrypt"]);
+    expect(jsDeriveKey).toHaveBeenCalledTimes(1);
+    const expected = await nodeSubtle.deriveBits({ name: "X25519", public: bob.publicKey } as any, alice.privateKey, 256);
+    expect(new Uint8Array(await subtle.exportKey("raw", key))).toEqual(new Uint8Array(expected));
+
+    // Bob's private key is not extractable, so it cannot leave Node
+    await expect(
+      subtle.deriveKey({ name: "X25519", public: alice.publicKey } as any, bob.privateKey, { name: "AES-GCM", length: 256 }, true, ["encrypt"])
+    ).rejects.toMatchObject({ name: "InvalidAccessError" });
+  });
+
+  it("should copy a key again after a failed move", async () => {
+    const [native, js] = createProviders(withoutAlgorithm(nodeSubtle, "X25519", ["deriveKey"]));
+    const registry = new CryptoProviderRegistry([native, js]);
+    await registry.ready;
+
+    const subtle = registry.getSubtle();
+    const usages: KeyUsage[] = ["deriveBits", "deriveKey"];
+    const alice = (await subtle.generateKey({ name: "X25519" }, true, usages)) as CryptoKeyPair;
+    const params = { name: "X25519", public: alice.publicKey } as any;
+    const derive = () => subtle.deriveKey(params, alice.privateKey, { name: "AES-GCM", length: 256 }, true, ["encrypt"]);
+
+    jest.spyOn(js.subtle, "importKey").mockRejectedValueOnce(new DOMException("import failed", "OperationError"));
+    await expect(derive()).rejects.toMatchObject({ name: "OperationError" });
+    const key = await derive();
+    const expected = await nodeSubtle.deriveBits(params, alice.privateKey, 256);
+    expect(new Uint8Array(await subtle.exportKey("raw", key))).toEqual(new Uint8Array(expected));
+  });
+
+  it("should apply the order, algorithm and disabled overrides", async () => {
+    const reordered = new CryptoProviderRegistry(createProviders(), { order: ["js"] });
+    await reordered.ready;
+    expect(reordered.getProviders().map((provider) => provider.name)).toEqual(["js", "quick-crypto"]);
+    expect(reordered.getProvider("AES-GCM", "encrypt").name).toBe("js");
+
+    const perAlgorithm = new CryptoProviderRegistry(createProviders(), { algorithms: { "aes-gcm": "js" } });
+    await perAlgorithm.ready;
+    expect(perAlgorithm.getProvider("AES-GCM", "encrypt").name).toBe("js");
+    expect(perAlgorithm.getProvider("HMAC", "sign").name).toBe("quick-crypto");
+
+    const fallbackOnly = new CryptoProviderRegistry(createProviders(), { disabled: ["quick-crypto"] });
+    await fallbackOnly.ready;
+    expect(fallbackOnly.getProvider("Ed25519", "sign").name).toBe("js");
+    expect(fallbackOnly.getProbeResults()).toEqual([]);
+
+    expect(() => new CryptoProviderRegistry(createProviders(), { algorithms: { Ed25519: "missing" } })).toThrow(/missing/);
+    expect(() => new CryptoProviderRegistry(createProviders(), { disabled: ["quick-crypto", "js"] })).toThrow(/No crypto provider/);
+  });
+
+  it("should take random values from the highest-ranked provider that has them", () => {
+    const [native, js] = createProviders();
+    const getRandomValues = jest.spyOn(native, "getRandomValues");
+    const registry = new CryptoProviderRegistry([js, native], { disabled: [] });
+    expect(registry.getRandomValues(new Uint8Array(16))).toHaveLength(16);
+    expect(getRandomValues).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,405 @@
+/**
+ * Differential tests for SubtleCryptoPolyfill against Node's WebCrypto
+ * Every supported operation runs on both backends with seeded random inputs. Output of one backend must
+ * be accepted by the other (ciphertexts decrypt, signatures verify, exported keys import and re-export
+ * to the same bytes) and deterministic operations must produce identical bytes.
+ *
+ * The inputs come from a fixed seed (1), so every run tests the same data and a failure replays as is. Set
+ * CRYPTO_TEST_SEED to an integer to try other inputs, and to the same value again to replay a failure found with it:
+ *
+ *   CRYPTO_TEST_SEED=42 npx jest expo/crypto/__tests__/Differential.test.ts
+ */
+
+import { webcrypto } from "crypto";
+import { SubtleCryptoPolyfill } from "../SubtleCryptoPolyfill";
+
+const SEED = process.env.CRYPTO_TEST_SEED ? Number(process.env.CRYPTO_TEST_SEED) : 1;
+const ROUNDS = 3;
+
+interface Backend {
+  name: string;
+  subtle: SubtleCrypto;
+}
+
+const polyfill: Backend = { name: "polyfill", subtle: new SubtleCryptoPolyfill() as unknown as SubtleCrypto };
+const node: Backend = { name: "node", subtle: webcrypto.subtle as unknown as SubtleCrypto };
+
+// Both directions, so a bug that only shows when one side produces the data cannot hide
+const DIRECTIONS: [Backend, Backend][] = [
+  [polyfill, node],
+  [node, polyfill],
+];
+
+// PKCS8 prefixes for RFC 8410 private keys, followed by the 32-byte private key
+const ED25519_PKCS8_PREFIX = [0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x04, 0x22, 0x04, 0x20];
+const X25519_PKCS8_PREFIX = [0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x6e, 0x04, 0x22, 0x04, 0x20];
+
+const HASHES = ["SHA-1", "SHA-256", "SHA-384", "SHA-512"];
+
+/**
+ * Deterministic random source (mulberry32)
+ */
+function createRandom(seed: number) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+  return {
+    int: (min: number, max: number) => min + Math.floor(next() * (max - min + 1)),
+    bytes: (length: number) => {
+      const bytes = new Uint8Array(length);
+      for (let i = 0; i < length; i++) {
+        bytes[i] = Math.floor(next() * 256);
+      }
+      return bytes;
+    },
+    pick: <T>(items: readonly T[]) => items[Math.floor(next() * items.length)],
+  };
+}
+
+function bytes(buffer: ArrayBuffer) {
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Export a key from one backend, import it into the other and check that re-exporting gives the same key
+ */
+async function transfer(
+  from: Backend,
+  to: Backend,
+  format: "raw" | "spki" | "pkcs8" | "jwk",
+  key: CryptoKey,
+  algorithm: AlgorithmIdentifier | RsaHashedImportParams | EcKeyImportParams | HmacImportParams,
+  usages: KeyUsage[]
+) {
+  const exported = await from.subtle.exportKey(format, key);
+  const imported = await to.subtle.importKey(format as any, exported as any, algorithm, true, usages);
+  const reexported = await to.subtle.exportKey(format, imported);
+  if (format === "jwk") {
+    // Compare the key members; key_ops follow the requested usages
+    const { key_ops: _a, ...expected } = exported as JsonWebKey;
+    const { key_ops: _b, ...actual } = reexported as JsonWebKey;
+    expect(actual).toEqual(expected);
+  } else {
+    expect(bytes(reexported as ArrayBuffer)).toEqual(bytes(exported as ArrayBuffer));
+  }
+  return imported;
+}
+
+describe("differential: SubtleCryptoPolyfill vs Node WebCrypto", () => {
+  const random = createRandom(SEED);
+
+  describe("digest", () => {
+    it("should produce identical digests", async () => {
+      for (let round = 0; round < ROUNDS; round++) {
+        const data = random.bytes(random.int(0, 300));
+        for (const hash of HASHES) {
+          expect(bytes(await polyfill.subtle.digest(hash, data))).toEqual(bytes(await node.subtle.digest(hash, data)));
+        }
+      }
+    });
+  });
+
+  describe("AES", () => {
+    for (const name of ["AES-GCM", "AES-CBC", "AES-CTR"]) {
+      it(`should produce identical ${name} ciphertexts that decrypt on the other backend`, async () => {
+        for (let round = 0; round < ROUNDS; round++) {
+          const keyBytes = random.bytes(random.pick([16, 24, 32]));
+          const data = random.bytes(random.int(0, 100));
+          const params =
+            name === "AES-GCM"
+              ? {
+                  name,
+                  iv: random.bytes(random.pick([12, 16])),
+                  additionalData: random.bytes(random.int(0, 20)),
+                  tagLength: random.pick([32, 64, 96, 104, 112, 120, 128]),
+                }
+              : name === "AES-CBC"
+                ? { name, iv: random.bytes(16) }
+                : { name, counter: random.bytes(16), length: random.int(64, 128) };
+
+          const keys = new Map<Backend, CryptoKey>();
+          for (const backend of [polyfill, node]) {
+            keys.set(backend, await backend.subtle.importKey("raw", keyBytes, name, true, ["encrypt", "decrypt"]));
+          }
+          for (const [from, to] of DIRECTIONS) {
+            const ciphertext = await from.subtle.encrypt(params, keys.get(from)!, data);
+            expect(bytes(await to.subtle.decrypt(params, keys.get(to)!, ciphertext))).toEqual(data);
+          }
+          expect(bytes(await polyfill.subtle.encrypt(params, keys.get(polyfill)!, data))).toEqual(
+            bytes(await node.subtle.encrypt(params, keys.get(node)!, data))
+          );
+        }
+      });
+    }
+
+    it("should reject an empty AES-GCM iv on both backends", async () => {
+      const params = { name: "AES-GCM", iv: new Uint8Array(0) };
+      for (const backend of [polyfill, node]) {
+        const key = await backend.subtle.importKey("raw", new Uint8Array(16), "AES-GCM", false, ["encrypt", "decrypt"]);
+        for (const operation of ["encrypt", "decrypt"] as const) {
+          const error = await backend.subtle[operation](params, key, new Uint8Array(32)).catch((e) => e);
+          expect({ backend: backend.name, operation, error: error?.name }).toEqual({ backend: backend.name, operation, error: "OperationError" });
+        }
+      }
+    });
+
+    it("should transfer generated AES keys as raw and jwk", async () => {
+      for (const [from, to] of DIRECTIONS) {
+        for (const name of ["AES-GCM", "AES-CBC", "AES-CTR", "AES-KW"]) {
+          const usages: KeyUsage[] = name === "AES-KW" ? ["wrapKey", "unwrapKey"] : ["encrypt", "decrypt"];
+          const key = (await from.subtle.generateKey({ name, length: random.pick([128, 192, 256]) }, true, usages)) as CryptoKey;
+          await transfer(from, to, "raw", key, name, usages);
+          await transfer(from, to, "jwk", key, name, usages);
+        }
+      }
+    });
+
+    it("should wrap keys with AES-KW that unwrap on the other backend", async () => {
+      for (const [from, to] of DIRECTIONS) {
+        const kekBytes = random.bytes(random.pick([16, 24, 32]));
+        const keyBytes = random.bytes(random.pick([16, 24, 32]));
+        const fromKek = await from.subtle.importKey("raw", kekBytes, "AES-KW", false, ["wrapKey"]);
+        const toKek = await to.subtle.importKey("raw", kekBytes, "AES-KW", false, ["unwrapKey"]);
+
+        const key = await from.subtle.importKey("raw", keyBytes, "AES-GCM", true, ["encrypt"]);
+        for (const format of ["raw", "jwk"] as const) {
+          const wrapped = await from.subtle.wrapKey(format, key, fromKek, "AES-KW");
+          const unwrapped = await to.subtle.unwrapKey(format, wrapped, toKek, "AES-KW", "AES-GCM", true, ["encrypt"]);
+          expect(bytes(await to.subtle.exportKey("raw", unwrapped))).toEqual(keyBytes);
+        }
+      }
+    });
+  });
+
+  describe("HMAC", () => {
+    it("should produce identical MACs that verify on the other backend", async () => {
+      for (let round = 0; round < ROUNDS; round++) {
+        const algorithm = { name: "HMAC", hash: random.pick(HASHES) };
+        const keyBytes = random.bytes(random.int(1, 160));
+        const data = random.bytes(random.int(0, 200));
+        for (const [from, to] of DIRECTIONS) {
+          const fromKey = await from.subtle.importKey("raw", keyBytes, algorithm, true, ["sign", "verify"]);
+          const toKey = await transfer(from, to, "jwk", fromKey, algorithm, ["sign", "verify"]);
+          const signature = await from.subtle.sign("HMAC", fromKey, data);
+          expect(await to.subtle.verify("HMAC", toKey, signature, data)).toBe(true);
+          expect(bytes(await to.subtle.sign("HMAC", toKey, data))).toEqual(bytes(signature));
+        }
+      }
+    });
+  });
+
+  describe("key derivation", () => {
+    it("should derive identical PBKDF2 and HKDF bits", async () => {
+      for (let round = 0; round < ROUNDS; round++) {
+        const secret = random.bytes(random.int(1, 64));
+        const hash = random.pick(HASHES);
+        const length = 8 * random.int(1, 64);
+        const pbkdf2 = { name: "PBKDF2", hash, salt: random.bytes(random.int(0, 32)), iterations: random.int(1, 300) };
+        const hkdf = { name: "HKDF", hash, salt: random.bytes(random.int(0, 32)), info: random.bytes(random.int(0, 32)) };
+
+        for (const params of [pbkdf2, hkdf]) {
+          const results: Uint8Array[] = [];
+          for (const backend of [polyfill, node]) {
+            const key = await backend.subtle.importKey("raw", secret, params.name, false, ["deriveBits"]);
+            results.push(bytes(await backend.subtle.deriveBits(params, key, length)));
+          }
+          expect(results[0]).toEqual(results[1]);
+        }
+      }
+    });
+  });
+
+  describe("Ed25519", () => {
+    it("should produce identical signatures from seeded keys", async () => {
+      for (let round = 0; round < ROUNDS; round++) {
+        const pkcs8 = new Uint8Array([...ED25519_PKCS8_PREFIX, ...random.bytes(32)]);
+        const data = random.bytes(random.int(0, 200));
+        const signatures: Uint8Array[] = [];
+        for (const backend of [polyfill, node]) {
+          const key = await backend.subtle.importKey("pkcs8", pkcs8, "Ed25519", true, ["sign"]);
+          expect(bytes((await backend.subtle.exportKey("pkcs8", key)) as ArrayBuffer)).toEqual(pkcs8);
+          signatures.push(bytes(await backend.subtle.sign("Ed25519", key, data)));
+        }
+        expect(signatures[0]).toEqual(signatures[1]);
+      }
+    });
+
+    it("should reject usages that do not apply to an imported public or private key on both backends", async () => {
+      const keyPair = (await node.subtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"])) as CryptoKeyPair;
+      const imports: Array<["raw" | "spki" | "pkcs8" | "jwk", CryptoKey, KeyUsage[]]> = [
+        ["raw", keyPair.publicKey, ["sign"]],
+        ["spki", keyPair.publicKey, ["verify", "sign"]],
+        ["jwk", keyPair.publicKey, ["sign"]],
+        ["pkcs8", keyPair.privateKey, ["verify"]],
+        ["jwk", keyPair.privateKey, ["sign", "verify"]],
+      ];
+      for (const [format, key, usages] of imports) {
+        const exported = await node.subtle.exportKey(format, key);
+        // Without key_ops, so the JWK's own usage list cannot reject the import first
+        if (format === "jwk") {
+          delete (exported as JsonWebKey).key_ops;
+        }
+        for (const backend of [polyfill, node]) {
+          const error = await backend.subtle.importKey(format as any, exported as any, "Ed25519", true, usages).catch((e) => e);
+          expect({ backend: backend.name, format, usages, error: error?.name }).toEqual({ backend: backend.name, format, usages, error: "SyntaxError" });
+        }
+      }
+    });
+
+    it("should transfer generated keys in every format and verify across backends", async () => {
+      for (const [from, to] of DIRECTIONS) {
+        const keyPair = (await from.subtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"])) as CryptoKeyPair;
+        const data = random.bytes(random.int(0, 200));
+        const signature = await from.subtle.sign("Ed25519", keyPair.privateKey, data);
+
+        for (const format of ["spki", "jwk"] as const) {
+          const publicKey = await transfer(from, to, format, keyPair.publicKey, "Ed25519", ["verify"]);
+          expect(await to.subtle.verify("Ed25519", publicKey, signature, data)).toBe(true);
+        }
+        for (const format of ["pkcs8", "jwk"] as const) {
+          const privateKey = await transfer(from, to, format, keyPair.privateKey, "Ed25519", ["sign"]);
+          expect(bytes(await to.subtle.sign("Ed25519", privateKey, data))).toEqual(bytes(signature));
+        }
+      }
+    });
+  });
+
+  describe("X25519 and ECDH", () => {
+    it("should derive identical X25519 secrets from seeded keys", async () => {
+      for (let round = 0; round < ROUNDS; round++) {
+        const alicePkcs8 = new Uint8Array([...X25519_PKCS8_PREFIX, ...random.bytes(32)]);
+        const bobPkcs8 = new Uint8Array([...X25519_PKCS8_PREFIX, ...random.bytes(32)]);
+        const secrets: Uint8Array[] = [];
+        for (const backend of [polyfill, node]) {
+          const alice = await backend.subtle.importKey("pkcs8", alicePkcs8, "X25519", true, ["deriveBits"]);
+          const bob = await backend.subtle.importKey("pkcs8", bobPkcs8, "X25519", true, ["deriveBits"]);
+          const bobJwk = await backend.subtle.exportKey("jwk", bob);
+          const bobPublic = await backend.subtle.importKey("jwk", { ...bobJwk, d: undefined, key_ops: [] }, "X25519", true, []);
+          secrets.push(bytes(await backend.subtle.deriveBits({ name: "X25519", public: bobPublic } as EcdhKeyDeriveParams, alice, 256)));
+        }
+        expect(secrets[0]).toEqual(secrets[1]);
+      }
+    });
+
+    for (const algorithm of [{ name: "X25519" }, { name: "ECDH", namedCurve: "P-256" }]) {
+      it(`should transfer ${algorithm.name} keys in every format and agree across backends`, async () => {
+        for (const [from, to] of DIRECTIONS) {
+          const local = (await from.subtle.generateKey(algorithm, true, ["deriveBits"])) as CryptoKeyPair;
+          const remote = (await to.subtle.generateKey(algorithm, true, ["deriveBits"])) as CryptoKeyPair;
+
+          let localPublic: CryptoKey | undefined;
+          for (const format of ["raw", "spki", "jwk"] as const) {
+            localPublic = await transfer(from, to, format, local.publicKey, algorithm, []);
+          }
+          let localPrivate: CryptoKey | undefined;
+          for (const format of ["pkcs8", "jwk"] as const) {
+            localPrivate = await transfer(from, to, format, local.privateKey, algorithm, ["deriveBits"]);
+          }
+          const remotePublic = await transfer(to, from, "spki", remote.publicKey, algorithm, []);
+
+          const length = algorithm.name === "X25519" ? 256 : 8 * random.int(1, 32);
+          const ours = await from.subtle.deriveBits({ ...algorithm, public: remotePublic } as EcdhKeyDeriveParams, local.privateKey, length);
+          const theirs = await to.subtle.deriveBits({ ...algorithm, public: localPublic } as EcdhKeyDeriveParams, remote.privateKey, length);
+          const transferred = await to.subtle.deriveBits({ ...algorithm, public: remote.publicKey } as EcdhKeyDeriveParams, localPrivate!, length);
+          expect(bytes(ours)).toEqual(bytes(theirs));
+          expect(bytes(transferred)).toEqual(bytes(theirs));
+        }
+      });
+    }
+  });
+
+  describe("ECDSA", () => {
+    it("should transfer keys in every format and verify signatures across backends", async () => {
+      const algorithm = { name: "ECDSA", namedCurve: "P-256" };
+      for (const [from, to] of DIRECTIONS) {
+        const keyPair = (await from.subtle.generateKey(algorithm, true, ["sign", "verify"])) as CryptoKeyPair;
+        const privateKey = await transfer(from, to, random.pick(["pkcs8", "jwk"] as const), keyPair.privateKey, algorithm, ["sign"]);
+        let publicKey: CryptoKey | undefined;
+        for (const format of ["raw", "spki", "jwk"] as const) {
+          publicKey = await transfer(from, to, format, keyPair.publicKey, algorithm, ["verify"]);
+        }
+
+        for (let round = 0; round < ROUNDS; round++) {
+          const params = { name: "ECDSA", hash: random.pick(HASHES) };
+          const data = random.bytes(random.int(0, 200));
+          const signature = await from.subtle.sign(params, keyPair.privateKey, data);
+          expect(await to.subtle.verify(params, publicKey!, signature, data)).toBe(true);
+          // Signatures made with the transferred private key verify against the original public key
+          const transferredSignature = await to.subtle.sign(params, privateKey, data);
+          expect(await from.subtle.verify(params, keyPair.publicKey, transferredSignature, data)).toBe(true);
+        }
+      }
+    });
+  });
+
+  describe("RSA", () => {
+    // node-forge key generation is slow, so the polyfill generates one small key per algorithm
+    it("should reject usages that do not apply to an imported public or private key on both backends", async () => {
+      const cases: Array<[string, KeyUsage[], KeyUsage[]]> = [
+        ["RSA-OAEP", ["encrypt", "decrypt"], ["sign"]],
+        ["RSA-PSS", ["verify", "sign"], ["encrypt"]],
+      ];
+      for (const [name, [publicUsage, privateUsage], [foreignUsage]] of cases) {
+        const algorithm = { name, hash: "SHA-256" };
+        const keyPair = (await node.subtle.generateKey(
+          { ...algorithm, modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]) },
+          true,
+          [publicUsage, privateUsage]
+        )) as CryptoKeyPair;
+        const imports: Array<["spki" | "pkcs8" | "jwk", CryptoKey, KeyUsage[]]> = [
+          ["spki", keyPair.publicKey, [privateUsage]],
+          ["jwk", keyPair.publicKey, [publicUsage, foreignUsage]],
+          ["pkcs8", keyPair.privateKey, [publicUsage]],
+          ["jwk", keyPair.privateKey, [privateUsage, foreignUsage]],
+        ];
+        for (const [format, key, usages] of imports) {
+          const exported = await node.subtle.exportKey(format, key);
+          for (const backend of [polyfill, node]) {
+            const error = await backend.subtle.importKey(format as any, exported as any, algorithm, true, usages).catch((e) => e);
+            expect({ backend: backend.name, format, usages, error: error?.name }).toEqual({ backend: backend.name, format, usages, error: "SyntaxError" });
+          }
+        }
+      }
+    });
+
+    for (const name of ["RSA-OAEP", "RSA-PSS"]) {
+      it(`should transfer ${name} keys in every format and interoperate across backends`, async () => {
+        // OAEP with SHA-512 leaves no room for a message in a 1024-bit modulus
+        const hash = random.pick(HASHES.filter((h) => h !== (name === "RSA-OAEP" ? "SHA-512" : "SHA-1")));
+        const usages: [KeyUsage, KeyUsage] = name === "RSA-OAEP" ? ["encrypt", "decrypt"] : ["verify", "sign"];
+        const algorithm = { name, hash };
+
+        for (const [from, to] of DIRECTIONS) {
+          const modulusLength = from === polyfill ? 1024 : 2048;
+          const keyPair = (await from.subtle.generateKey(
+            { name, hash, modulusLength, publicExponent: new Uint8Array([1, 0, 1]) },
+            true,
+            usages
+          )) as CryptoKeyPair;
+          const publicKey = await transfer(from, to, random.pick(["spki", "jwk"] as const), keyPair.publicKey, algorithm, [usages[0]]);
+          const privateKey = await transfer(from, to, random.pick(["pkcs8", "jwk"] as const), keyPair.privateKey, algorithm, [usages[1]]);
+
+          const data = random.bytes(random.int(0, 30));
+          if (name === "RSA-OAEP") {
+            const params = { name };
+            const ciphertext = await from.subtle.encrypt(params, keyPair.publicKey, data);
+            expect(bytes(await to.subtle.decrypt(params, privateKey, ciphertext))).toEqual(data);
+            const reply = await to.subtle.encrypt(params, publicKey, data);
+            expect(bytes(await from.subtle.decrypt(params, keyPair.privateKey, reply))).toEqual(data);
+          } else {
+            const params = { name, saltLength: random.int(0, 32) };
+            const signature = await from.subtle.sign(params, keyPair.privateKey, data);
+            expect(await to.subtle.verify(params, publicKey, signature, data)).toBe(true);
+            const reply = await to.subtle.sign(params, privateKey, data);
+            expect(await from.subtle.verify(params, keyPair.publicKey, reply, data)).toBe(true);
+          }
+        }
+      });
+    }
+  });
+});
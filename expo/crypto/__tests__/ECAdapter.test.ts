@@ -0,0 +1,150 @@
+/**
+ * Tests for ECDH and ECDSA P-256 in SubtleCryptoPolyfill
+ * Uses Node's WebCrypto as the reference implementation
+ */
+
+import { webcrypto } from "crypto";
+import { SubtleCryptoPolyfill } from "../SubtleCryptoPolyfill";
+import { decodePoint, encodePoint } from "../P256Curve";
+
+const nodeSubtle = webcrypto.subtle as unknown as SubtleCrypto;
+const P256 = { name: "ECDH", namedCurve: "P-256" };
+
+describe("ECDH P-256", () => {
+  let subtle: SubtleCrypto;
+
+  beforeAll(() => {
+    subtle = new SubtleCryptoPolyfill() as unknown as SubtleCrypto;
+  });
+
+  it("should agree on a shared secret with WebCrypto", async () => {
+    const local = (await subtle.generateKey(P256, true, ["deriveBits"])) as CryptoKeyPair;
+    const remote = (await nodeSubtle.generateKey(P256, true, ["deriveBits"])) as CryptoKeyPair;
+
+    const remotePublic = await subtle.importKey("raw", await nodeSubtle.exportKey("raw", remote.publicKey), P256, true, []);
+    const localPublic = await nodeSubtle.importKey("spki", await subtle.exportKey("spki", local.publicKey), P256, true, []);
+
+    const ours = await subtle.deriveBits({ name: "ECDH", public: remotePublic } as EcdhKeyDeriveParams, local.privateKey, 256);
+    const theirs = await nodeSubtle.deriveBits({ name: "ECDH", public: localPublic } as EcdhKeyDeriveParams, remote.privateKey, 256);
+    expect(new Uint8Array(ours)).toEqual(new Uint8Array(theirs));
+
+    // Shorter lengths return the leading bits
+    const short = await subtle.deriveBits({ name: "ECDH", public: remotePublic } as EcdhKeyDeriveParams, local.privateKey, 128);
+    expect(new Uint8Array(short)).toEqual(new Uint8Array(theirs).slice(0, 16));
+  });
+
+  it("should import and re-export WebCrypto pkcs8, spki and jwk keys byte for byte", async () => {
+    const nodeKeyPair = (await nodeSubtle.generateKey(P256, true, ["deriveBits"])) as CryptoKeyPair;
+
+    const spki = new Uint8Array(await nodeSubtle.exportKey("spki", nodeKeyPair.publicKey));
+    const publicKey = await subtle.importKey("spki", spki, P256, true, []);
+    expect(new Uint8Array(await subtle.exportKey("spki", publicKey))).toEqual(spki);
+
+    const pkcs8 = new Uint8Array(await nodeSubtle.exportKey("pkcs8", nodeKeyPair.privateKey));
+    const privateKey = await subtle.importKey("pkcs8", pkcs8, P256, true, ["deriveBits"]);
+    expect(new Uint8Array(await subtle.exportKey("pkcs8", privateKey))).toEqual(pkcs8);
+
+    const nodeJwk = await nodeSubtle.exportKey("jwk", nodeKeyPair.privateKey);
+    const fromJwk = await subtle.importKey("jwk", nodeJwk, P256, true, ["deriveBits"]);
+    expect(await subtle.exportKey("jwk", fromJwk)).toMatchObject({
+      kty: "EC",
+      crv: "P-256",
+      x: nodeJwk.x,
+      y: nodeJwk.y,
+      d: nodeJwk.d,
+    });
+  });
+
+  it("should decode compressed points", async () => {
+    const nodeKeyPair = (await nodeSubtle.generateKey(P256, true, ["deriveBits"])) as CryptoKeyPair;
+    const uncompressed = new Uint8Array(await nodeSubtle.exportKey("raw", nodeKeyPair.publicKey));
+
+    const compressed = new Uint8Array(33);
+    compressed[0] = 0x02 | (uncompressed[64] & 1);
+    compressed.set(uncompressed.slice(1, 33), 1);
+
+    expect(encodePoint(decodePoint(compressed))).toEqual(uncompressed);
+  });
+
+  it("should reject points that are not on the curve", async () => {
+    const point = new Uint8Array(65);
+    point[0] = 0x04;
+    point[64] = 1;
+    await expect(subtle.importKey("raw", point, P256, true, [])).rejects.toThrow(/not on curve/);
+  });
+
+  it("should derive HMAC keys usable by WebCrypto", async () => {
+    const alice = (await subtle.generateKey(P256, true, ["deriveKey"])) as CryptoKeyPair;
+    const bob = (await nodeSubtle.generateKey(P256, true, ["deriveKey"])) as CryptoKeyPair;
+    const bobPublic = await subtle.importKey("jwk", await nodeSubtle.exportKey("jwk", bob.publicKey), P256, true, []);
+    const alicePublic = await nodeSubtle.importKey("jwk", await subtle.exportKey("jwk", alice.publicKey), P256, true, []);
+
+    const hmacParams = { name: "HMAC", hash: "SHA-256", length: 256 };
+    const ours = await subtle.deriveKey({ name: "ECDH", public: bobPublic } as EcdhKeyDeriveParams, alice.privateKey, hmacParams, true, ["sign"]);
+    const theirs = await nodeSubtle.deriveKey({ name: "ECDH", public: alicePublic } as EcdhKeyDeriveParams, bob.privateKey, hmacParams, true, ["sign"]);
+
+    expect(new Uint8Array(await subtle.exportKey("raw", ours))).toEqual(
+      new Uint8Array(await nodeSubtle.exportKey("raw", theirs))
+    );
+  });
+});
+
+describe("ECDSA P-256", () => {
+  const ECDSA = { name: "ECDSA", namedCurve: "P-256" };
+  const SHA256 = { name: "ECDSA", hash: "SHA-256" };
+  const data = new TextEncoder().encode("ECDSA P-256 test message");
+  let subtle: SubtleCrypto;
+
+  beforeAll(() => {
+    subtle = new SubtleCryptoPolyfill() as unknown as SubtleCrypto;
+  });
+
+  it("should produce raw r || s signatures that WebCrypto verifies", async () => {
+    const keyPair = (await subtle.generateKey(ECDSA, true, ["sign", "verify"])) as CryptoKeyPair;
+    expect(keyPair.privateKey.usages).toEqual(["sign"]);
+    expect(keyPair.publicKey.usages).toEqual(["verify"]);
+
+    const signature = await subtle.sign(SHA256, keyPair.privateKey, data);
+    expect(signature.byteLength).toBe(64);
+
+    const nodePublic = await nodeSubtle.importKey("spki", await subtle.exportKey("spki", keyPair.publicKey), ECDSA, true, ["verify"]);
+    expect(await nodeSubtle.verify(SHA256, nodePublic, signature, data)).toBe(true);
+    expect(await subtle.verify(SHA256, keyPair.publicKey, signature, data)).toBe(true);
+  });
+
+  it("should verify WebCrypto signatures and reject tampered ones", async () => {
+    const nodeKeyPair = (await nodeSubtle.generateKey(ECDSA, true, ["sign", "verify"])) as CryptoKeyPair;
+    const publicKey = await subtle.importKey("raw", await nodeSubtle.exportKey("raw", nodeKeyPair.publicKey), ECDSA, true, ["verify"]);
+    const signature = new Uint8Array(await nodeSubtle.sign(SHA256, nodeKeyPair.privateKey, data));
+
+    expect(await subtle.verify(SHA256, publicKey, signature, data)).toBe(true);
+
+    const tampered = signature.slice();
+    tampered[10] ^= 0x01;
+    expect(await subtle.verify(SHA256, publicKey, tampered, data)).toBe(false);
+    expect(await subtle.verify(SHA256, publicKey, signature, new TextEncoder().encode("other message"))).toBe(false);
+    expect(await subtle.verify(SHA256, publicKey, signature.slice(0, 63), data)).toBe(false);
+  });
+
+  it("should sign with keys imported from WebCrypto pkcs8 and jwk", async () => {
+    const nodeKeyPair = (await nodeSubtle.generateKey(ECDSA, true, ["sign", "verify"])) as CryptoKeyPair;
+
+    const pkcs8 = new Uint8Array(await nodeSubtle.exportKey("pkcs8", nodeKeyPair.privateKey));
+    const fromPkcs8 = await subtle.importKey("pkcs8", pkcs8, ECDSA, true, ["sign"]);
+    expect(new Uint8Array(await subtle.exportKey("pkcs8", fromPkcs8))).toEqual(pkcs8);
+
+    const fromJwk = await subtle.importKey("jwk", await nodeSubtle.exportKey("jwk", nodeKeyPair.privateKey), ECDSA, true, ["sign"]);
+    for (const key of [fromPkcs8, fromJwk]) {
+      const signature = await subtle.sign(SHA256, key, data);
+      expect(await nodeSubtle.verify(SHA256, nodeKeyPair.publicKey, signature, data)).toBe(true);
+    }
+  });
+
+  it("should reject ES256 JWKs for ECDH and derive usages on ECDSA public keys", async () => {
+    const keyPair = (await subtle.generateKey(ECDSA, true, ["sign", "verify"])) as CryptoKeyPair;
+    const jwk = { ...(await subtle.exportKey("jwk", keyPair.publicKey)), alg: "ES256" };
+
+    await expect(subtle.importKey("jwk", jwk, P256, true, [])).rejects.toThrow(/alg/);
+    await expect(subtle.importKey("jwk", jwk, ECDSA, true, ["sign"])).rejects.toThrow(/usage/);
+  });
+});
@@ -15,6 +15,12 @@ describe("ExpoGoCryptoAdapter", () => {
     subtle = adapter.getSubtle();
   });
 
+  it("should use the polyfill when the native SubtleCrypto is turned off", () => {
+    const polyfillAdapter = new ExpoGoCryptoAdapter({ useNativeSubtle: false });
+    expect(polyfillAdapter.isUsingNativeSubtle()).toBe(false);
+    expect(polyfillAdapter.getSubtle()).toBeInstanceOf(SubtleCryptoPolyfill);
+  });
+
   describe("getRandomValues", () => {
     it("should generate random values", () => {
       const array = new Uint8Array(32);
@@ -416,49 +422,123 @@ describe("ExpoGoCryptoAdapter", () => {
     });
   });
 
-  describe("Unimplemented methods", () => {
-    it("should throw NotSupportedError for deriveBits", async () => {
-      const key = await subtle.generateKey(
-        { name: "AES-GCM", length: 256 },
+  describe("deriveBits, wrapKey and unwrapKey", () => {
+    it("should derive bits using PBKDF2", async () => {
+      const passwordKey = await subtle.importKey(
+        "raw",
+        new TextEncoder().encode("myPassword123"),
+        "PBKDF2",
         false,
-        ["encrypt"]
+        ["deriveBits"]
+      );
+
+      const bits = await subtle.deriveBits(
+        { name: "PBKDF2", salt: new Uint8Array(16).fill(0x42), iterations: 1000, hash: "SHA-256" } as Pbkdf2Params,
+        passwordKey,
+        256
       );
 
-      await expect(
-        subtle.deriveBits({ name: "PBKDF2" } as any, key, 256)
-      ).rejects.toThrow(/NotSupportedError|not implemented/i);
+      expect(bits).toBeInstanceOf(ArrayBuffer);
+      expect(bits.byteLength).toBe(32);
     });
 
-    it("should throw NotSupportedError for wrapKey", async () => {
+    it("should wrap and unwrap a key with AES-GCM", async () => {
+      const wrappingKey = await subtle.generateKey(
+        { name: "AES-GCM", length: 256 },
+        true,
+        ["encrypt", "decrypt", "wrapKey", "unwrapKey"]
+      );
       const key = await subtle.generateKey(
         { name: "AES-GCM", length: 256 },
         true,
-        ["encrypt"]
+        ["encrypt", "decrypt"]
       );
+      const iv = new Uint8Array(12);
+      adapter.getRandomValues(iv);
 
-      await expect(
-        subtle.wrapKey("raw", key, key, { name: "AES-GCM" } as any)
-      ).rejects.toThrow(/NotSupportedError|not implemented/i);
-    });
-
-    it("should throw NotSupportedError for unwrapKey", async () => {
-      const key = await subtle.generateKey(
+      const wrapped = await subtle.wrapKey("raw", key, wrappingKey, { name: "AES-GCM", iv } as AesGcmParams);
+      const unwrapped = await subtle.unwrapKey(
+        "raw",
+        wrapped,
+        wrappingKey,
+        { name: "AES-GCM", iv } as AesGcmParams,
         { name: "AES-GCM", length: 256 },
         true,
-        ["encrypt"]
+        ["encrypt", "decrypt"]
+      );
+
+      expect(new Uint8Array(await subtle.exportKey("raw", unwrapped))).toEqual(
+        new Uint8Array(await subtle.exportKey("raw", key))
       );
+    });
+  });
+
+  describe("RSA key pool", () => {
+    const POOL_OPTIONS = { size: 2, modulusLength: 1024, idleDelayMs: 1000 };
+    const POOL_ALGORITHM = {
+      name: "RSA-OAEP",
+      modulusLength: 1024,
+      publicExponent: new Uint8Array([1, 0, 1]),
+      hash: "SHA-256",
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    });
+
+    it("should pre-generate key pairs once idle and hand them out from generateKey", async () => {
+      const generateKey = jest.spyOn(globalThis.crypto.subtle, "generateKey");
+      const pooledAdapter = new ExpoGoCryptoAdapter({ rsaKeyPool: POOL_OPTIONS });
+      const pool = pooledAdapter.getKeyPool()!;
+      const pooledSubtle = pooledAdapter.getSubtle();
+
+      jest.advanceTimersByTime(999);
+      expect(generateKey).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+      await pool.fill();
+      expect(pool.available).toBe(2);
+      expect(generateKey).toHaveBeenCalledTimes(2);
+
+      const keyPair = (await pooledSubtle.generateKey(POOL_ALGORITHM, false, ["encrypt", "decrypt"])) as CryptoKeyPair;
+      expect(generateKey).toHaveBeenCalledTimes(2);
+      expect(pool.available).toBe(1);
+      expect(keyPair.privateKey.extractable).toBe(false);
+      expect(keyPair.privateKey.usages).toEqual(["decrypt"]);
+      expect(keyPair.publicKey.usages).toEqual(["encrypt"]);
+      const message = new TextEncoder().encode("pooled");
+      const encrypted = await pooledSubtle.encrypt({ name: "RSA-OAEP" }, keyPair.publicKey, message);
+      expect(new Uint8Array(await pooledSubtle.decrypt({ name: "RSA-OAEP" }, keyPair.privateKey, encrypted))).toEqual(message);
+
+      // Other parameters bypass the pool
+      await pooledSubtle.generateKey({ ...POOL_ALGORITHM, hash: "SHA-1" }, true, ["encrypt", "decrypt"]);
+      expect(generateKey).toHaveBeenCalledTimes(3);
+      expect(pool.available).toBe(1);
+
+      // Taking a pair schedules a refill once the app is idle again
+      jest.advanceTimersByTime(1000);
+      await pool.fill();
+      expect(pool.available).toBe(2);
+      pool.stop();
+    });
+
+    it("should fill the pool with the polyfill's time-sliced key generation", async () => {
+      jest.replaceProperty(globalThis, "crypto", undefined as unknown as Crypto);
+      const polyfillAdapter = new ExpoGoCryptoAdapter({ rsaKeyPool: { ...POOL_OPTIONS, size: 1 } });
+      expect(polyfillAdapter.isUsingNativeSubtle()).toBe(false);
+
+      const pool = polyfillAdapter.getKeyPool()!;
+      await jest.runAllTimersAsync();
+      expect(pool.available).toBe(1);
 
-      await expect(
-        subtle.unwrapKey(
-          "raw",
-          new Uint8Array(16),
-          key,
-          { name: "AES-GCM" } as any,
-          { name: "AES-GCM", length: 256 },
-          false,
-          ["encrypt"]
-        )
-      ).rejects.toThrow(/NotSupportedError|not implemented/i);
+      const keyPair = (await polyfillAdapter.getSubtle().generateKey(POOL_ALGORITHM, true, ["encrypt", "decrypt"])) as CryptoKeyPair;
+      expect(keyPair.privateKey.algorithm).toMatchObject({ name: "RSA-OAEP", modulusLength: 1024 });
+      expect(pool.available).toBe(0);
+      pool.stop();
     });
   });
 });
@@ -0,0 +1,136 @@
+/**
+ * Tests for HKDFAdapter
+ * Verifies the implementation against the RFC 5869 test vectors and Node's WebCrypto
+ */
+
+import { webcrypto } from "crypto";
+import { hkdfDeriveBits } from "../HKDFAdapter";
+import { SubtleCryptoPolyfill } from "../SubtleCryptoPolyfill";
+
+const nodeSubtle = webcrypto.subtle as unknown as SubtleCrypto;
+
+function hex(value: string) {
+  const bytes = new Uint8Array(value.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(value.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+function range(start: number, end: number) {
+  const bytes = new Uint8Array(end - start + 1);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = start + i;
+  }
+  return bytes;
+}
+
+// RFC 5869 Appendix A, test cases 1-3 (SHA-256)
+const RFC5869_VECTORS = [
+  {
+    name: "A.1 basic test case",
+    ikm: new Uint8Array(22).fill(0x0b),
+    salt: hex("000102030405060708090a0b0c"),
+    info: hex("f0f1f2f3f4f5f6f7f8f9"),
+    length: 42,
+    okm: "3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865",
+  },
+  {
+    name: "A.2 longer inputs and outputs",
+    ikm: range(0x00, 0x4f),
+    salt: range(0x60, 0xaf),
+    info: range(0xb0, 0xff),
+    length: 82,
+    okm:
+      "b11e398dc80327a1c8e7f78c596a49344f012eda2d4efad8a050cc4c19afa97c" +
+      "59045a99cac7827271cb41c65e590e09da3275600c2f09b8367793a9aca3db71" +
+      "cc30c58179ec3e87c14c01d5c1f3434f1d87",
+  },
+  {
+    name: "A.3 zero-length salt and info",
+    ikm: new Uint8Array(22).fill(0x0b),
+    salt: new Uint8Array(0),
+    info: new Uint8Array(0),
+    length: 42,
+    okm: "8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d9d201395faa4b61a96c8",
+  },
+];
+
+describe("HKDFAdapter", () => {
+  describe("RFC 5869 test vectors", () => {
+    for (const vector of RFC5869_VECTORS) {
+      it(`should derive the expected OKM for ${vector.name}`, async () => {
+        const okm = await hkdfDeriveBits(
+          { name: "HKDF", hash: "SHA-256", salt: vector.salt, info: vector.info },
+          vector.ikm.buffer as ArrayBuffer,
+          vector.length * 8
+        );
+        expect(new Uint8Array(okm)).toEqual(hex(vector.okm));
+      });
+    }
+  });
+
+  it("should reject output longer than 255 blocks", async () => {
+    await expect(
+      hkdfDeriveBits(
+        { name: "HKDF", hash: "SHA-256", salt: new Uint8Array(0), info: new Uint8Array(0) },
+        new Uint8Array(32).buffer,
+        (255 * 32 + 1) * 8
+      )
+    ).rejects.toThrow(/must not exceed/);
+  });
+
+  describe("SubtleCryptoPolyfill", () => {
+    let subtle: SubtleCrypto;
+    const masterSecret = new Uint8Array(32).fill(0x7f);
+    const params = {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: new TextEncoder().encode("tenant-1"),
+      info: new TextEncoder().encode("db:test-db"),
+    };
+
+    beforeAll(() => {
+      subtle = new SubtleCryptoPolyfill() as unknown as SubtleCrypto;
+    });
+
+    it("should derive the same bits as WebCrypto", async () => {
+      const key = await subtle.importKey("raw", masterSecret, "HKDF", false, ["deriveBits"]);
+      const nodeKey = await nodeSubtle.importKey("raw", masterSecret, "HKDF", false, ["deriveBits"]);
+
+      const bits = await subtle.deriveBits(params, key, 256);
+      const expected = await nodeSubtle.deriveBits(params, nodeKey, 256);
+      expect(new Uint8Array(bits)).toEqual(new Uint8Array(expected));
+    });
+
+    it("should derive AES-GCM keys that decrypt WebCrypto ciphertext", async () => {
+      const key = await subtle.importKey("raw", masterSecret, "HKDF", false, ["deriveKey"]);
+      const nodeKey = await nodeSubtle.importKey("raw", masterSecret, "HKDF", false, ["deriveKey"]);
+
+      const aesKey = await subtle.deriveKey(params, key, { name: "AES-GCM", length: 256 }, false, ["decrypt"]);
+      const nodeAesKey = await nodeSubtle.deriveKey(params, nodeKey, { name: "AES-GCM", length: 256 }, false, ["encrypt"]);
+      expect(aesKey.algorithm).toEqual({ name: "AES-GCM", length: 256 });
+      expect(aesKey.usages).toEqual(["decrypt"]);
+
+      const iv = new Uint8Array(12).fill(1);
+      const ciphertext = await nodeSubtle.encrypt({ name: "AES-GCM", iv }, nodeAesKey, new TextEncoder().encode("subkey"));
+      const plaintext = await subtle.decrypt({ name: "AES-GCM", iv } as AesGcmParams, aesKey, ciphertext);
+      expect(new TextDecoder().decode(plaintext)).toBe("subkey");
+    });
+
+    it("should derive HMAC keys with the hash block size by default", async () => {
+      const key = await subtle.importKey("raw", masterSecret, "HKDF", false, ["deriveKey"]);
+      const nodeKey = await nodeSubtle.importKey("raw", masterSecret, "HKDF", false, ["deriveKey"]);
+
+      const hmacKey = await subtle.deriveKey(params, key, { name: "HMAC", hash: "SHA-256" }, true, ["sign"]);
+      const nodeHmacKey = await nodeSubtle.deriveKey(params, nodeKey, { name: "HMAC", hash: "SHA-256" }, true, ["sign"]);
+      expect((hmacKey.algorithm as HmacKeyAlgorithm).length).toBe(512);
+      expect((hmacKey.algorithm as HmacKeyAlgorithm).hash).toEqual((nodeHmacKey.algorithm as HmacKeyAlgorithm).hash);
+
+      const message = new TextEncoder().encode("document-1");
+      expect(new Uint8Array(await subtle.sign("HMAC", hmacKey, message))).toEqual(
+        new Uint8Array(await nodeSubtle.sign("HMAC", nodeHmacKey, message))
+      );
+    });
+  });
+});
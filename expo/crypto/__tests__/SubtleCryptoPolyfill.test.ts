@@ -0,0 +1,573 @@
+/**
+ * Tests for SubtleCryptoPolyfill
+ * Runs the JavaScript-only implementation directly (the adapter would pick up Node's native SubtleCrypto)
+ * and uses Node's WebCrypto as the reference implementation
+ */
+
+import { webcrypto } from "crypto";
+import forge from "node-forge";
+import { SubtleCryptoPolyfill } from "../SubtleCryptoPolyfill";
+import { PBKDF2Options } from "../PBKDF2Adapter";
+
+const nodeSubtle = webcrypto.subtle as unknown as SubtleCrypto;
+
+describe("SubtleCryptoPolyfill", () => {
+  let subtle: SubtleCrypto;
+
+  beforeAll(() => {
+    subtle = new SubtleCryptoPolyfill() as unknown as SubtleCrypto;
+  });
+
+  describe("JWK", () => {
+    it("should round-trip Ed25519 keys and interoperate with WebCrypto", async () => {
+      const keyPair = (await subtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"])) as CryptoKeyPair;
+
+      const publicJwk = await subtle.exportKey("jwk", keyPair.publicKey);
+      const privateJwk = await subtle.exportKey("jwk", keyPair.privateKey);
+      expect(publicJwk).toMatchObject({ kty: "OKP", crv: "Ed25519", alg: "Ed25519" });
+      expect(publicJwk.d).toBeUndefined();
+      expect(privateJwk.d).toBeDefined();
+      expect(privateJwk.x).toBe(publicJwk.x);
+
+      // Sign with the polyfill, verify with WebCrypto
+      const message = new TextEncoder().encode("Hello, JWK!");
+      const signature = await subtle.sign({ name: "Ed25519" }, keyPair.privateKey, message);
+      const nodePublicKey = await nodeSubtle.importKey("jwk", publicJwk, { name: "Ed25519" }, true, ["verify"]);
+      expect(await nodeSubtle.verify({ name: "Ed25519" }, nodePublicKey, signature, message)).toBe(true);
+
+      // Re-import the private key and compare pkcs8 output
+      const imported = await subtle.importKey("jwk", privateJwk, { name: "Ed25519" }, true, ["sign"]);
+      expect(imported.type).toBe("private");
+      expect(new Uint8Array(await subtle.exportKey("pkcs8", imported))).toEqual(
+        new Uint8Array(await subtle.exportKey("pkcs8", keyPair.privateKey))
+      );
+    });
+
+    it("should import Ed25519 JWKs exported by WebCrypto", async () => {
+      const keyPair = (await nodeSubtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"])) as CryptoKeyPair;
+      const privateJwk = await nodeSubtle.exportKey("jwk", keyPair.privateKey);
+
+      const privateKey = await subtle.importKey("jwk", privateJwk, { name: "Ed25519" }, false, ["sign"]);
+      const message = new TextEncoder().encode("from node");
+      const signature = await subtle.sign({ name: "Ed25519" }, privateKey, message);
+      expect(await nodeSubtle.verify({ name: "Ed25519" }, keyPair.publicKey, signature, message)).toBe(true);
+    });
+
+    it("should reject an Ed25519 JWK whose x does not match d", async () => {
+      const a = (await subtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"])) as CryptoKeyPair;
+      const b = (await subtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"])) as CryptoKeyPair;
+      const jwk = await subtle.exportKey("jwk", a.privateKey);
+      jwk.x = (await subtle.exportKey("jwk", b.publicKey)).x;
+
+      await expect(subtle.importKey("jwk", jwk, { name: "Ed25519" }, true, ["sign"])).rejects.toThrow(/does not match/);
+    });
+
+    it("should round-trip RSA-OAEP keys with all CRT parameters", async () => {
+      const nodeKeyPair = (await nodeSubtle.generateKey(
+        {
+          name: "RSA-OAEP",
+          modulusLength: 2048,
+          publicExponent: new Uint8Array([1, 0, 1]),
+          hash: "SHA-256",
+        },
+        true,
+        ["encrypt", "decrypt"]
+      )) as CryptoKeyPair;
+      const privateJwk = await nodeSubtle.exportKey("jwk", nodeKeyPair.privateKey);
+      const publicJwk = await nodeSubtle.exportKey("jwk", nodeKeyPair.publicKey);
+
+      const privateKey = await subtle.importKey("jwk", privateJwk, { name: "RSA-OAEP", hash: "SHA-256" }, true, ["decrypt"]);
+      const publicKey = await subtle.importKey("jwk", publicJwk, { name: "RSA-OAEP", hash: "SHA-256" }, true, ["encrypt"]);
+
+      // The export must reproduce the same members (WebCrypto encodes without leading zeros)
+      const exported = await subtle.exportKey("jwk", privateKey);
+      for (const member of ["kty", "n", "e", "d", "p", "q", "dp", "dq", "qi", "alg"] as const) {
+        expect(exported[member]).toBe(privateJwk[member]);
+      }
+      expect((await subtle.exportKey("jwk", publicKey)).alg).toBe("RSA-OAEP-256");
+
+      // Encrypt with WebCrypto, decrypt with the polyfill
+      const message = new TextEncoder().encode("Hello, RSA JWK!");
+      const ciphertext = await nodeSubtle.encrypt({ name: "RSA-OAEP" }, nodeKeyPair.publicKey, message);
+      const decrypted = await subtle.decrypt({ name: "RSA-OAEP" }, privateKey, ciphertext);
+      expect(new TextDecoder().decode(decrypted)).toBe("Hello, RSA JWK!");
+    });
+
+    it("should round-trip AES-GCM and HMAC keys with alg values", async () => {
+      const aesKey = await subtle.generateKey({ name: "AES-GCM", length: 128 }, true, ["encrypt", "decrypt"]);
+      const aesJwk = await subtle.exportKey("jwk", aesKey as CryptoKey);
+      expect(aesJwk).toMatchObject({ kty: "oct", alg: "A128GCM", ext: true, key_ops: ["encrypt", "decrypt"] });
+
+      const nodeAesKey = await nodeSubtle.importKey("jwk", aesJwk, { name: "AES-GCM" }, true, ["encrypt", "decrypt"]);
+      expect(new Uint8Array(await nodeSubtle.exportKey("raw", nodeAesKey))).toEqual(
+        new Uint8Array(await subtle.exportKey("raw", aesKey as CryptoKey))
+      );
+
+      const secret = new Uint8Array(32).fill(7);
+      const hmacKey = await subtle.importKey("raw", secret, { name: "HMAC", hash: "SHA-256" }, true, ["sign", "verify"]);
+      const hmacJwk = await subtle.exportKey("jwk", hmacKey);
+      expect(hmacJwk).toMatchObject({ kty: "oct", alg: "HS256" });
+
+      const reimported = await subtle.importKey("jwk", hmacJwk, { name: "HMAC", hash: "SHA-256" }, true, ["sign"]);
+      expect(new Uint8Array(await subtle.exportKey("raw", reimported))).toEqual(secret);
+      expect(reimported.algorithm).toEqual({ name: "HMAC", hash: { name: "SHA-256" }, length: 256 });
+    });
+
+    it("should validate kty, alg, ext and key_ops like WebCrypto", async () => {
+      const k = "AAAAAAAAAAAAAAAAAAAAAA"; // 128-bit key
+
+      await expect(
+        subtle.importKey("jwk", { kty: "RSA", k }, { name: "AES-GCM" }, true, ["encrypt"])
+      ).rejects.toThrow(/kty/);
+      await expect(
+        subtle.importKey("jwk", { kty: "oct", k, alg: "A256GCM" }, { name: "AES-GCM" }, true, ["encrypt"])
+      ).rejects.toThrow(/alg/);
+      await expect(
+        subtle.importKey("jwk", { kty: "oct", k, ext: false }, { name: "AES-GCM" }, true, ["encrypt"])
+      ).rejects.toThrow(/ext/);
+      await expect(
+        subtle.importKey("jwk", { kty: "oct", k, key_ops: ["decrypt"] }, { name: "AES-GCM" }, true, ["encrypt"])
+      ).rejects.toThrow(/Key operations and usage mismatch/);
+      await expect(
+        subtle.importKey("jwk", { kty: "oct", k, use: "sig" }, { name: "AES-GCM" }, true, ["encrypt"])
+      ).rejects.toThrow(/use/);
+
+      // ext: false is fine for a non-extractable import
+      const key = await subtle.importKey(
+        "jwk",
+        { kty: "oct", k, ext: false, key_ops: ["encrypt", "decrypt"] },
+        { name: "AES-GCM" },
+        false,
+        ["encrypt"]
+      );
+      expect((key.algorithm as AesKeyAlgorithm).length).toBe(128);
+    });
+  });
+
+  describe("deriveBits", () => {
+    it("should match WebCrypto PBKDF2 output", async () => {
+      const password = new TextEncoder().encode("correct horse battery staple");
+      const salt = new Uint8Array(16).fill(0x5a);
+      const params = { name: "PBKDF2", salt, iterations: 2000, hash: "SHA-256" };
+
+      const key = await subtle.importKey("raw", password, "PBKDF2", false, ["deriveBits"]);
+      const nodeKey = await nodeSubtle.importKey("raw", password, "PBKDF2", false, ["deriveBits"]);
+
+      for (const length of [128, 256, 384]) {
+        const bits = await subtle.deriveBits(params, key, length);
+        const expected = await nodeSubtle.deriveBits(params, nodeKey, length);
+        expect(new Uint8Array(bits)).toEqual(new Uint8Array(expected));
+      }
+    });
+
+    it("should reject lengths that are not a multiple of 8", async () => {
+      const key = await subtle.importKey("raw", new Uint8Array([1, 2, 3]), "PBKDF2", false, ["deriveBits"]);
+      await expect(
+        subtle.deriveBits({ name: "PBKDF2", salt: new Uint8Array(8), iterations: 1, hash: "SHA-256" } as Pbkdf2Params, key, 12)
+      ).rejects.toThrow(/multiple of 8/);
+    });
+
+    it("should derive PBKDF2 bits identical to node-forge", async () => {
+      const salt = new Uint8Array(11).map((_, i) => i * 37);
+      for (const [hash, forgeHash] of [["SHA-1", "sha1"], ["SHA-256", "sha256"], ["SHA-384", "sha384"], ["SHA-512", "sha512"]]) {
+        for (const password of [new Uint8Array(0), new Uint8Array(200).fill(0x61)]) {
+          const key = await subtle.importKey("raw", password, "PBKDF2", false, ["deriveBits"]);
+          const expected = forge.pkcs5.pbkdf2(
+            Buffer.from(password).toString("binary"),
+            Buffer.from(salt).toString("binary"),
+            300,
+            137,
+            forge.md[forgeHash as "sha256"].create()
+          );
+          const bits = await subtle.deriveBits({ name: "PBKDF2", salt, iterations: 300, hash }, key, 137 * 8);
+          expect(Buffer.from(bits).toString("binary")).toBe(expected);
+        }
+      }
+    });
+
+    describe("PBKDF2 progress and cancellation", () => {
+      const salt = new Uint8Array(16);
+      const iterations = 20000;
+
+      it("should report progress and let timers run while deriving", async () => {
+        const key = await subtle.importKey("raw", new Uint8Array([1, 2, 3]), "PBKDF2", false, ["deriveBits"]);
+        const progress: [number, number][] = [];
+        let ticks = 0;
+        const timer = setInterval(() => ticks++, 0);
+
+        const params = { name: "PBKDF2", salt, iterations, hash: "SHA-256", onProgress: (completed: number, total: number) => progress.push([completed, total]) };
+        const bits = await subtle.deriveBits(params, key, 512);
+        clearInterval(timer);
+
+        const nodeKey = await nodeSubtle.importKey("raw", new Uint8Array([1, 2, 3]), "PBKDF2", false, ["deriveBits"]);
+        expect(new Uint8Array(bits)).toEqual(new Uint8Array(await nodeSubtle.deriveBits({ name: "PBKDF2", salt, iterations, hash: "SHA-256" }, nodeKey, 512)));
+        expect(ticks).toBeGreaterThan(0);
+        expect(progress.length).toBeGreaterThan(1);
+        expect(progress[progress.length - 1]).toEqual([2 * iterations, 2 * iterations]);
+        for (let i = 1; i < progress.length; i++) {
+          expect(progress[i][0]).toBeGreaterThan(progress[i - 1][0]);
+        }
+      });
+
+      it("should stop with an AbortError when the signal is aborted", async () => {
+        const key = await subtle.importKey("raw", new Uint8Array([1, 2, 3]), "PBKDF2", false, ["deriveBits", "deriveKey"]);
+        const controller = new AbortController();
+        let reports = 0;
+        const options: PBKDF2Options = {
+          signal: controller.signal,
+          onProgress: () => {
+            reports++;
+            controller.abort();
+          },
+        };
+
+        await expect(
+          subtle.deriveKey({ name: "PBKDF2", salt, iterations, hash: "SHA-256", ...options }, key, { name: "AES-GCM", length: 256 }, false, ["encrypt"])
+        ).rejects.toMatchObject({ name: "AbortError" });
+        expect(reports).toBe(1);
+
+        // An already aborted signal stops the derivation before it starts
+        await expect(
+          subtle.deriveBits({ name: "PBKDF2", salt, iterations, hash: "SHA-256", ...options }, key, 256)
+        ).rejects.toMatchObject({ name: "AbortError" });
+        expect(reports).toBe(1);
+      });
+    });
+  });
+
+  describe("wrapKey / unwrapKey", () => {
+    let rsaKeyPair: CryptoKeyPair;
+    let nodeRsaKeyPair: CryptoKeyPair;
+
+    beforeAll(async () => {
+      // Generate with WebCrypto (fast) and share the key material with the polyfill
+      nodeRsaKeyPair = (await nodeSubtle.generateKey(
+        {
+          name: "RSA-OAEP",
+          modulusLength: 2048,
+          publicExponent: new Uint8Array([1, 0, 1]),
+          hash: "SHA-256",
+        },
+        true,
+        ["encrypt", "decrypt", "wrapKey", "unwrapKey"]
+      )) as CryptoKeyPair;
+      rsaKeyPair = {
+        publicKey: await subtle.importKey(
+          "spki",
+          await nodeSubtle.exportKey("spki", nodeRsaKeyPair.publicKey),
+          { name: "RSA-OAEP", hash: "SHA-256" },
+          true,
+          ["encrypt", "wrapKey"]
+        ),
+        privateKey: await subtle.importKey(
+          "pkcs8",
+          await nodeSubtle.exportKey("pkcs8", nodeRsaKeyPair.privateKey),
+          { name: "RSA-OAEP", hash: "SHA-256" },
+          true,
+          ["decrypt", "unwrapKey"]
+        ),
+      };
+    });
+
+    it("should wrap an AES key with RSA-OAEP that WebCrypto can unwrap", async () => {
+      const key = (await subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"])) as CryptoKey;
+
+      const wrapped = await subtle.wrapKey("raw", key, rsaKeyPair.publicKey, { name: "RSA-OAEP" });
+      const unwrapped = await nodeSubtle.unwrapKey(
+        "raw",
+        wrapped,
+        nodeRsaKeyPair.privateKey,
+        { name: "RSA-OAEP" },
+        { name: "AES-GCM" },
+        true,
+        ["encrypt", "decrypt"]
+      );
+
+      expect(new Uint8Array(await nodeSubtle.exportKey("raw", unwrapped))).toEqual(
+        new Uint8Array(await subtle.exportKey("raw", key))
+      );
+    });
+
+    it("should unwrap keys wrapped by WebCrypto in raw, pkcs8, spki and jwk formats", async () => {
+      const wrappingKeyBytes = new Uint8Array(32).fill(0x11);
+      const nodeWrappingKey = await nodeSubtle.importKey("raw", wrappingKeyBytes, "AES-GCM", false, ["wrapKey"]);
+      const wrappingKey = await subtle.importKey("raw", wrappingKeyBytes, "AES-GCM", false, ["unwrapKey"]);
+      const iv = new Uint8Array(12).fill(0x22);
+
+      const edKeyPair = (await nodeSubtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"])) as CryptoKeyPair;
+      const cases: Array<[KeyFormat, CryptoKey, AlgorithmIdentifier | HmacImportParams, KeyUsage[]]> = [
+        ["raw", await nodeSubtle.importKey("raw", new Uint8Array(16).fill(3), "AES-GCM", true, ["encrypt"]), "AES-GCM", ["encrypt"]],
+        ["pkcs8", edKeyPair.privateKey, "Ed25519", ["sign"]],
+        ["spki", edKeyPair.publicKey, "Ed25519", ["verify"]],
+        ["jwk", await nodeSubtle.importKey("raw", new Uint8Array(32).fill(9), { name: "HMAC", hash: "SHA-256" }, true, ["sign"]), { name: "HMAC", hash: "SHA-256" }, ["sign"]],
+      ];
+
+      for (const [format, key, keyAlgorithm, usages] of cases) {
+        const wrapped = await nodeSubtle.wrapKey(format, key, nodeWrappingKey, { name: "AES-GCM", iv });
+        const unwrapped = await subtle.unwrapKey(format, wrapped, wrappingKey, { name: "AES-GCM", iv } as AesGcmParams, keyAlgorithm, true, usages);
+
+        const expected = await nodeSubtle.exportKey(format, key);
+        const actual = await subtle.exportKey(format, unwrapped);
+        if (format === "jwk") {
+          expect((actual as JsonWebKey).k).toBe((expected as JsonWebKey).k);
+        } else {
+          expect(new Uint8Array(actual as ArrayBuffer)).toEqual(new Uint8Array(expected as ArrayBuffer));
+        }
+      }
+    });
+
+    it("should produce the same AES-GCM wrapped bytes as WebCrypto", async () => {
+      const wrappingKeyBytes = new Uint8Array(16).fill(0x33);
+      const iv = new Uint8Array(12).fill(0x44);
+      const keyBytes = new Uint8Array(32).fill(0x55);
+
+      const wrapped = await subtle.wrapKey(
+        "raw",
+        await subtle.importKey("raw", keyBytes, "AES-GCM", true, ["encrypt"]),
+        await subtle.importKey("raw", wrappingKeyBytes, "AES-GCM", false, ["wrapKey"]),
+        { name: "AES-GCM", iv } as AesGcmParams
+      );
+      const expected = await nodeSubtle.wrapKey(
+        "raw",
+        await nodeSubtle.importKey("raw", keyBytes, "AES-GCM", true, ["encrypt"]),
+        await nodeSubtle.importKey("raw", wrappingKeyBytes, "AES-GCM", false, ["wrapKey"]),
+        { name: "AES-GCM", iv }
+      );
+
+      expect(new Uint8Array(wrapped)).toEqual(new Uint8Array(expected));
+    });
+  });
+
+  describe("hash algorithms", () => {
+    const HASHES = ["SHA-1", "SHA-256", "SHA-384", "SHA-512"];
+    const data = new TextEncoder().encode("hash agility test message");
+
+    it("should compute digests like WebCrypto", async () => {
+      for (const hash of HASHES) {
+        for (const input of [new Uint8Array(0), data, new Uint8Array(300).fill(0x61)]) {
+          expect(new Uint8Array(await subtle.digest(hash, input))).toEqual(
+            new Uint8Array(await nodeSubtle.digest(hash, input))
+          );
+        }
+      }
+      await expect(subtle.digest("MD5", data)).rejects.toThrow(/not supported/);
+    });
+
+    it("should sign HMAC with the hash stored on the key", async () => {
+      const keyBytes = new Uint8Array(40).fill(0x0b);
+      for (const hash of HASHES) {
+        const key = await subtle.importKey("raw", keyBytes, { name: "HMAC", hash }, true, ["sign", "verify"]);
+        const nodeKey = await nodeSubtle.importKey("raw", keyBytes, { name: "HMAC", hash }, true, ["sign"]);
+        expect(key.algorithm).toEqual(nodeKey.algorithm);
+        expect((key.algorithm as HmacKeyAlgorithm).hash).toEqual({ name: hash });
+        const signature = await subtle.sign("HMAC", key, data);
+        expect(new Uint8Array(signature)).toEqual(new Uint8Array(await nodeSubtle.sign("HMAC", nodeKey, data)));
+        expect(await subtle.verify("HMAC", key, signature, data)).toBe(true);
+      }
+    });
+
+    it("should default derived HMAC keys to the hash block size", async () => {
+      const baseKey = await subtle.importKey("raw", new Uint8Array(32), "HKDF", false, ["deriveKey"]);
+      const params = { name: "HKDF", hash: "SHA-256", salt: new Uint8Array(0), info: new Uint8Array(0) };
+      const key = await subtle.deriveKey(params, baseKey, { name: "HMAC", hash: "SHA-512" }, true, ["sign"]);
+      expect((key.algorithm as HmacKeyAlgorithm).length).toBe(1024);
+    });
+
+    it("should store the hash of derived HMAC keys as { name }", async () => {
+      const hkdfKey = await subtle.importKey("raw", new Uint8Array(32), "HKDF", false, ["deriveKey"]);
+      const hkdfParams = { name: "HKDF", hash: "SHA-256", salt: new Uint8Array(0), info: new Uint8Array(0) };
+      const pbkdf2Key = await subtle.importKey("raw", new Uint8Array(32), "PBKDF2", false, ["deriveKey"]);
+      const pbkdf2Params = { name: "PBKDF2", hash: "SHA-256", salt: new Uint8Array(16), iterations: 1 };
+      for (const [params, baseKey] of [[hkdfParams, hkdfKey], [pbkdf2Params, pbkdf2Key]] as const) {
+        const key = await subtle.deriveKey(params, baseKey, { name: "HMAC", hash: "sha-384" }, true, ["sign"]);
+        expect(key.algorithm).toEqual({ name: "HMAC", hash: { name: "SHA-384" }, length: 1024 });
+      }
+    });
+
+    it("should derive PBKDF2 and HKDF bits like WebCrypto", async () => {
+      const secret = new TextEncoder().encode("password");
+      const salt = new TextEncoder().encode("salt");
+      for (const hash of HASHES) {
+        const pbkdf2Params = { name: "PBKDF2", hash, salt, iterations: 100 };
+        const hkdfParams = { name: "HKDF", hash, salt, info: new Uint8Array([1, 2, 3]) };
+        for (const params of [pbkdf2Params, hkdfParams]) {
+          const key = await subtle.importKey("raw", secret, params.name, false, ["deriveBits"]);
+          const nodeKey = await nodeSubtle.importKey("raw", secret, params.name, false, ["deriveBits"]);
+          expect(new Uint8Array(await subtle.deriveBits(params, key, 320))).toEqual(
+            new Uint8Array(await nodeSubtle.deriveBits(params, nodeKey, 320))
+          );
+        }
+      }
+    });
+
+    it("should use the key hash for RSA-OAEP and MGF1", async () => {
+      for (const hash of ["SHA-1", "SHA-384", "SHA-512"]) {
+        const algorithm = { name: "RSA-OAEP", modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash };
+        const nodeKeyPair = (await nodeSubtle.generateKey(algorithm, true, ["encrypt", "decrypt"])) as CryptoKeyPair;
+        const publicKey = await subtle.importKey("spki", await nodeSubtle.exportKey("spki", nodeKeyPair.publicKey), algorithm, true, ["encrypt"]);
+        const privateKey = await subtle.importKey("pkcs8", await nodeSubtle.exportKey("pkcs8", nodeKeyPair.privateKey), algorithm, true, ["decrypt"]);
+
+        const ciphertext = await subtle.encrypt({ name: "RSA-OAEP" }, publicKey, data);
+        expect(new Uint8Array(await nodeSubtle.decrypt({ name: "RSA-OAEP" }, nodeKeyPair.privateKey, ciphertext))).toEqual(data);
+
+        const nodeCiphertext = await nodeSubtle.encrypt({ name: "RSA-OAEP" }, nodeKeyPair.publicKey, data);
+        expect(new Uint8Array(await subtle.decrypt({ name: "RSA-OAEP" }, privateKey, nodeCiphertext))).toEqual(data);
+      }
+    });
+
+    it("should sign RSA-PSS and ECDSA with SHA-384 and SHA-512", async () => {
+      const rsaAlgorithm = { name: "RSA-PSS", modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: "SHA-512" };
+      const rsaKeyPair = (await nodeSubtle.generateKey(rsaAlgorithm, true, ["sign", "verify"])) as CryptoKeyPair;
+      const rsaPrivate = await subtle.importKey("jwk", await nodeSubtle.exportKey("jwk", rsaKeyPair.privateKey), rsaAlgorithm, true, ["sign"]);
+      const pssParams = { name: "RSA-PSS", saltLength: 64 };
+      const pssSignature = await subtle.sign(pssParams, rsaPrivate, data);
+      expect(await nodeSubtle.verify(pssParams, rsaKeyPair.publicKey, pssSignature, data)).toBe(true);
+
+      const ecAlgorithm = { name: "ECDSA", namedCurve: "P-256" };
+      const ecKeyPair = (await nodeSubtle.generateKey(ecAlgorithm, true, ["sign", "verify"])) as CryptoKeyPair;
+      const ecPublic = await subtle.importKey("raw", await nodeSubtle.exportKey("raw", ecKeyPair.publicKey), ecAlgorithm, true, ["verify"]);
+      for (const hash of ["SHA-384", "SHA-512"]) {
+        const signature = await nodeSubtle.sign({ name: "ECDSA", hash }, ecKeyPair.privateKey, data);
+        expect(await subtle.verify({ name: "ECDSA", hash }, ecPublic, signature, data)).toBe(true);
+      }
+    });
+  });
+
+  describe("key checks", () => {
+    const data = new TextEncoder().encode("key checks");
+
+    it("should keep key material out of reach of application code", async () => {
+      const key = await subtle.importKey("raw", new Uint8Array(16), "AES-GCM", true, ["encrypt"]);
+      expect(Object.keys(key).sort()).toEqual(["algorithm", "extractable", "type", "usages"]);
+      expect(Object.prototype.toString.call(key)).toBe("[object CryptoKey]");
+      expect(Object.isFrozen(key) && Object.isFrozen(key.algorithm) && Object.isFrozen(key.usages)).toBe(true);
+    });
+
+    it("should refuse to export non-extractable keys", async () => {
+      const key = await subtle.importKey("raw", new Uint8Array(16), "AES-GCM", false, ["encrypt"]);
+      await expect(subtle.exportKey("raw", key)).rejects.toMatchObject({ name: "InvalidAccessError" });
+      await expect(subtle.exportKey("jwk", key)).rejects.toMatchObject({ name: "InvalidAccessError" });
+
+      const keyPair = (await subtle.generateKey({ name: "Ed25519" }, false, ["sign", "verify"])) as CryptoKeyPair;
+      expect(keyPair.publicKey.extractable).toBe(true);
+      await expect(subtle.exportKey("pkcs8", keyPair.privateKey)).rejects.toMatchObject({ name: "InvalidAccessError" });
+      await expect(subtle.exportKey("spki", keyPair.publicKey)).resolves.toBeDefined();
+    });
+
+    it("should require the usage each operation needs", async () => {
+      const hmacKey = await subtle.importKey("raw", new Uint8Array(32), { name: "HMAC", hash: "SHA-256" }, false, ["verify"]);
+      await expect(subtle.sign("HMAC", hmacKey, data)).rejects.toMatchObject({ name: "InvalidAccessError" });
+
+      const aesKey = await subtle.importKey("raw", new Uint8Array(16), "AES-GCM", false, ["decrypt"]);
+      const params = { name: "AES-GCM", iv: new Uint8Array(12) };
+      await expect(subtle.encrypt(params, aesKey, data)).rejects.toMatchObject({ name: "InvalidAccessError" });
+      await expect(subtle.wrapKey("raw", aesKey, aesKey, params)).rejects.toMatchObject({ name: "InvalidAccessError" });
+
+      const baseKey = await subtle.importKey("raw", data, "HKDF", false, ["deriveKey"]);
+      const hkdfParams = { name: "HKDF", hash: "SHA-256", salt: new Uint8Array(0), info: new Uint8Array(0) };
+      await expect(subtle.deriveBits(hkdfParams, baseKey, 256)).rejects.toMatchObject({ name: "InvalidAccessError" });
+    });
+
+    it("should refuse to import extractable PBKDF2 and HKDF keys", async () => {
+      for (const name of ["PBKDF2", "HKDF"]) {
+        for (const backend of [subtle, nodeSubtle]) {
+          await expect(backend.importKey("raw", data, name, true, ["deriveBits"])).rejects.toMatchObject({ name: "SyntaxError" });
+        }
+      }
+    });
+
+    it("should reject keys used with a different algorithm", async () => {
+      const cbcKey = await subtle.importKey("raw", new Uint8Array(16), "AES-CBC", false, ["encrypt"]);
+      await expect(subtle.encrypt({ name: "AES-GCM", iv: new Uint8Array(12) }, cbcKey, data)).rejects.toMatchObject({
+        name: "InvalidAccessError",
+      });
+
+      const ecdsa = (await subtle.generateKey({ name: "ECDSA", namedCurve: "P-256" }, false, ["sign"])) as CryptoKeyPair;
+      const ecdh = (await subtle.generateKey({ name: "ECDH", namedCurve: "P-256" }, false, ["deriveBits"])) as CryptoKeyPair;
+      await expect(
+        subtle.deriveBits({ name: "ECDH", public: ecdsa.publicKey } as EcdhKeyDeriveParams, ecdh.privateKey, 256)
+      ).rejects.toMatchObject({ name: "InvalidAccessError" });
+    });
+
+    it("should reject keys that were not created by the polyfill", async () => {
+      const nodeKey = await nodeSubtle.importKey("raw", new Uint8Array(16), "AES-GCM", true, ["encrypt"]);
+      await expect(subtle.encrypt({ name: "AES-GCM", iv: new Uint8Array(12) }, nodeKey, data)).rejects.toThrow(TypeError);
+      await expect(subtle.exportKey("raw", nodeKey)).rejects.toThrow(TypeError);
+    });
+
+    it("should give PBKDF2-derived keys the requested algorithm, extractability and usages", async () => {
+      const password = await subtle.importKey("raw", data, "PBKDF2", false, ["deriveKey"]);
+      const params = { name: "PBKDF2", salt: new Uint8Array(16), iterations: 1000, hash: "SHA-256" };
+      const key = await subtle.deriveKey(params, password, { name: "AES-CBC", length: 128 }, true, ["decrypt"]);
+      expect(key.algorithm).toEqual({ name: "AES-CBC", length: 128 });
+      expect(key.extractable).toBe(true);
+      expect(key.usages).toEqual(["decrypt"]);
+
+      const nodePassword = await nodeSubtle.importKey("raw", data, "PBKDF2", false, ["deriveBits"]);
+      const expected = await nodeSubtle.deriveBits(params, nodePassword, 128);
+      expect(new Uint8Array(await subtle.exportKey("raw", key))).toEqual(new Uint8Array(expected));
+      await expect(subtle.encrypt({ name: "AES-CBC", iv: new Uint8Array(16) }, key, data)).rejects.toMatchObject({
+        name: "InvalidAccessError",
+      });
+    });
+  });
+
+  describe("errors", () => {
+    const data = new TextEncoder().encode("errors");
+
+    // Name as thrown by browsers, message as thrown by react-native-quick-crypto
+    async function expectError(promise: Promise<unknown>, name: string, message: string) {
+      await expect(promise).rejects.toMatchObject({ name, message: `[${name}]: ${message}` });
+    }
+
+    it("should report unsupported algorithms and formats as NotSupportedError", async () => {
+      const key = await subtle.importKey("raw", new Uint8Array(32), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+      await expectError(subtle.sign("RSASSA-PKCS1-v1_5", key, data), "NotSupportedError", "Unrecognized algorithm name 'RSASSA-PKCS1-v1_5' for 'sign'");
+      await expectError(subtle.importKey("spki", new Uint8Array(16), "AES-GCM", false, ["encrypt"]), "NotSupportedError", "Unsupported format for AES-GCM import: spki");
+      await expect(subtle.digest("MD5", data)).rejects.toMatchObject({ name: "NotSupportedError", code: 9 });
+    });
+
+    it("should report malformed key data as DataError", async () => {
+      await expectError(subtle.importKey("raw", new Uint8Array(15), "AES-GCM", false, ["encrypt"]), "DataError", "Invalid AES key length: 120. Must be 128, 192, or 256.");
+      await expectError(subtle.importKey("jwk", { kty: "RSA" }, "AES-GCM", false, ["encrypt"]), "DataError", 'Invalid JWK "kty" Parameter');
+      await expect(subtle.importKey("spki", new Uint8Array(8), { name: "Ed25519" }, true, ["verify"])).rejects.toMatchObject({ name: "DataError" });
+      await expect(subtle.importKey("pkcs8", new Uint8Array(8), { name: "RSA-OAEP", hash: "SHA-256" }, true, ["decrypt"])).rejects.toMatchObject({ name: "DataError" });
+    });
+
+    it("should check HMAC import params against the key data", async () => {
+      const secret = new Uint8Array(32).fill(1);
+      const jwk = { kty: "oct", k: Buffer.from(secret).toString("base64url"), alg: "HS256" };
+      for (const [format, keyData] of [["raw", secret], ["jwk", jwk]] as const) {
+        const importKey = (algorithm: object) => subtle.importKey(format as any, keyData as any, algorithm as HmacImportParams, false, ["sign"]);
+        await expect(importKey({ name: "HMAC" })).rejects.toMatchObject({ constructor: TypeError, message: "[TypeError]: HmacImportParams requires a hash" });
+        await expectError(importKey({ name: "HMAC", hash: "SHA-256", length: 128 }), "DataError", "Invalid key length: 128, the key data has 256 bits");
+        await expect(importKey({ name: "HMAC", hash: "SHA-256", length: 256 })).resolves.toMatchObject({ algorithm: { length: 256 } });
+      }
+      await expectError(subtle.importKey("raw", new Uint8Array(0), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]), "DataError", "Zero-length key is not supported");
+    });
+
+    it("should report failed operations as OperationError", async () => {
+      const key = await subtle.importKey("raw", new Uint8Array(16), "AES-GCM", false, ["decrypt"]);
+      await expectError(subtle.decrypt({ name: "AES-GCM", iv: new Uint8Array(12) }, key, new Uint8Array(4)), "OperationError", "The provided data is too small.");
+      await expect(subtle.decrypt({ name: "AES-GCM", iv: new Uint8Array(12) }, key, new Uint8Array(32))).rejects.toMatchObject({ name: "OperationError" });
+
+      const cbcKey = await subtle.importKey("raw", new Uint8Array(16), "AES-CBC", false, ["encrypt"]);
+      await expectError(subtle.encrypt({ name: "AES-CBC", iv: new Uint8Array(8) }, cbcKey, data), "OperationError", "algorithm.iv must contain exactly 16 bytes");
+    });
+
+    it("should report misused keys as InvalidAccessError", async () => {
+      const key = await subtle.importKey("raw", new Uint8Array(32), { name: "HMAC", hash: "SHA-256" }, false, ["verify"]);
+      await expectError(subtle.sign("HMAC", key, data), "InvalidAccessError", "Unable to use this key to sign");
+      await expectError(subtle.exportKey("raw", key), "InvalidAccessError", "key is not extractable");
+
+      const keyPair = (await subtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"])) as CryptoKeyPair;
+      await expectError(subtle.exportKey("spki", keyPair.privateKey), "InvalidAccessError", "Unable to export a spki Ed25519 private key");
+    });
+
+    it("should report invalid usages as SyntaxError", async () => {
+      await expectError(subtle.importKey("raw", new Uint8Array(16), "AES-KW", false, ["encrypt"]), "SyntaxError", "Unsupported key usage for a AES-KW key");
+      await expectError(subtle.generateKey({ name: "AES-GCM", length: 128 }, true, []), "SyntaxError", "Usages cannot be empty when creating a key.");
+      await expectError(subtle.generateKey({ name: "Ed25519" }, true, ["verify"]), "SyntaxError", "Usages cannot be empty when creating a key.");
+    });
+  });
+});
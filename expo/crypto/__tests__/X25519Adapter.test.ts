@@ -0,0 +1,110 @@
+/**
+ * Tests for X25519 key agreement in SubtleCryptoPolyfill
+ * Verifies the RFC 7748 test vector and interoperability with Node's WebCrypto
+ */
+
+import { webcrypto } from "crypto";
+import { SubtleCryptoPolyfill } from "../SubtleCryptoPolyfill";
+
+const nodeSubtle = webcrypto.subtle as unknown as SubtleCrypto;
+
+function hex(value: string) {
+  const bytes = new Uint8Array(value.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(value.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+// PKCS8 prefix for X25519 private keys (RFC 8410), followed by the 32-byte key
+const X25519_PKCS8_PREFIX = "302e020100300506032b656e04220420";
+
+// RFC 7748 section 6.1
+const ALICE_PRIVATE = "77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a";
+const ALICE_PUBLIC = "8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a";
+const BOB_PUBLIC = "de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f";
+const SHARED_SECRET = "4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742";
+
+describe("X25519", () => {
+  let subtle: SubtleCrypto;
+
+  beforeAll(() => {
+    subtle = new SubtleCryptoPolyfill() as unknown as SubtleCrypto;
+  });
+
+  it("should compute the RFC 7748 shared secret", async () => {
+    const alice = await subtle.importKey("pkcs8", hex(X25519_PKCS8_PREFIX + ALICE_PRIVATE), "X25519", true, ["deriveBits"]);
+    const bob = await subtle.importKey("raw", hex(BOB_PUBLIC), "X25519", true, []);
+
+    const shared = await subtle.deriveBits({ name: "X25519", public: bob } as EcdhKeyDeriveParams, alice, 256);
+    expect(new Uint8Array(shared)).toEqual(hex(SHARED_SECRET));
+
+    // The public key is derived from the private key
+    const jwk = await subtle.exportKey("jwk", alice);
+    const alicePublic = await subtle.importKey("jwk", { ...jwk, d: undefined, key_ops: [] }, "X25519", true, []);
+    expect(new Uint8Array(await subtle.exportKey("raw", alicePublic))).toEqual(hex(ALICE_PUBLIC));
+  });
+
+  it("should generate key pairs that agree with WebCrypto", async () => {
+    const local = (await subtle.generateKey({ name: "X25519" }, true, ["deriveBits", "deriveKey"])) as CryptoKeyPair;
+    const remote = (await nodeSubtle.generateKey({ name: "X25519" }, true, ["deriveBits"])) as CryptoKeyPair;
+    expect(local.publicKey.usages).toEqual([]);
+    expect(local.privateKey.usages).toEqual(["deriveBits", "deriveKey"]);
+
+    const remotePublic = await subtle.importKey("spki", await nodeSubtle.exportKey("spki", remote.publicKey), "X25519", true, []);
+    const localPublic = await nodeSubtle.importKey("raw", await subtle.exportKey("raw", local.publicKey), "X25519", true, []);
+
+    const ours = await subtle.deriveBits({ name: "X25519", public: remotePublic } as EcdhKeyDeriveParams, local.privateKey, 256);
+    const theirs = await nodeSubtle.deriveBits({ name: "X25519", public: localPublic } as EcdhKeyDeriveParams, remote.privateKey, 256);
+    expect(new Uint8Array(ours)).toEqual(new Uint8Array(theirs));
+  });
+
+  it("should export spki, pkcs8 and jwk identically to WebCrypto", async () => {
+    const nodeKeyPair = (await nodeSubtle.generateKey({ name: "X25519" }, true, ["deriveBits"])) as CryptoKeyPair;
+
+    for (const format of ["spki", "pkcs8"] as const) {
+      const key = format === "spki" ? nodeKeyPair.publicKey : nodeKeyPair.privateKey;
+      const exported = new Uint8Array(await nodeSubtle.exportKey(format, key));
+      const imported = await subtle.importKey(format, exported, "X25519", true, format === "spki" ? [] : ["deriveBits"]);
+      expect(new Uint8Array(await subtle.exportKey(format, imported))).toEqual(exported);
+    }
+
+    const nodeJwk = await nodeSubtle.exportKey("jwk", nodeKeyPair.privateKey);
+    const imported = await subtle.importKey("jwk", nodeJwk, "X25519", true, ["deriveBits"]);
+    const jwk = await subtle.exportKey("jwk", imported);
+    expect(jwk).toMatchObject({ kty: "OKP", crv: "X25519", x: nodeJwk.x, d: nodeJwk.d });
+  });
+
+  it("should derive matching AES-GCM keys on both sides", async () => {
+    const alice = (await subtle.generateKey({ name: "X25519" }, true, ["deriveKey"])) as CryptoKeyPair;
+    const bob = (await subtle.generateKey({ name: "X25519" }, true, ["deriveKey"])) as CryptoKeyPair;
+
+    const aliceKey = await subtle.deriveKey(
+      { name: "X25519", public: bob.publicKey } as EcdhKeyDeriveParams,
+      alice.privateKey,
+      { name: "AES-GCM", length: 256 },
+      true,
+      ["encrypt"]
+    );
+    const bobKey = await subtle.deriveKey(
+      { name: "X25519", public: alice.publicKey } as EcdhKeyDeriveParams,
+      bob.privateKey,
+      { name: "AES-GCM", length: 256 },
+      true,
+      ["decrypt"]
+    );
+
+    expect(new Uint8Array(await subtle.exportKey("raw", aliceKey))).toEqual(
+      new Uint8Array(await subtle.exportKey("raw", bobKey))
+    );
+  });
+
+  it("should reject small-order public keys", async () => {
+    const local = (await subtle.generateKey({ name: "X25519" }, true, ["deriveBits"])) as CryptoKeyPair;
+    const zeroPoint = await subtle.importKey("raw", new Uint8Array(32), "X25519", true, []);
+
+    await expect(
+      subtle.deriveBits({ name: "X25519", public: zeroPoint } as EcdhKeyDeriveParams, local.privateKey, 256)
+    ).rejects.toThrow(/all-zero/);
+  });
+});
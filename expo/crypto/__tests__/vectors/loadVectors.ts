@@ -0,0 +1,139 @@
+/**
+ * Test vector loader
+ * Reads the checked-in Wycheproof-format and NIST CAVP-format JSON files in this directory
+ *
+ * Wycheproof files hold test groups with shared parameters (key size, hash, key) and tests with a tcId,
+ * a comment, hex-encoded inputs and an expected result. CAVP files hold flat lists of tests.
+ */
+
+import { readFileSync } from "fs";
+import { join } from "path";
+
+export type VectorResult = "valid" | "invalid" | "acceptable";
+
+export interface WycheproofTest {
+  tcId: number;
+  comment: string;
+  result: VectorResult;
+  flags: string[];
+}
+
+export interface WycheproofGroup<T extends WycheproofTest> {
+  type: string;
+  tests: T[];
+}
+
+export interface WycheproofFile<G extends WycheproofGroup<WycheproofTest>> {
+  algorithm: string;
+  numberOfTests: number;
+  header: string[];
+  testGroups: G[];
+}
+
+export interface AeadTest extends WycheproofTest {
+  key: string;
+  iv: string;
+  aad: string;
+  msg: string;
+  ct: string;
+  tag: string;
+}
+
+export interface AeadGroup extends WycheproofGroup<AeadTest> {
+  keySize: number;
+  ivSize: number;
+  tagSize: number;
+}
+
+export interface MacTest extends WycheproofTest {
+  key: string;
+  msg: string;
+  tag: string;
+}
+
+export interface MacGroup extends WycheproofGroup<MacTest> {
+  sha: string;
+  tagSize: number;
+}
+
+export interface PbkdfTest extends WycheproofTest {
+  password: string;
+  salt: string;
+  iterationCount: number;
+  dkLen: number;
+  dk: string;
+}
+
+export interface PbkdfGroup extends WycheproofGroup<PbkdfTest> {
+  sha: string;
+}
+
+export interface EddsaTest extends WycheproofTest {
+  msg: string;
+  sig: string;
+}
+
+export interface EddsaGroup extends WycheproofGroup<EddsaTest> {
+  publicKey: { curve: string; keySize: number; pk: string; sk?: string };
+}
+
+export interface RsaOaepTest extends WycheproofTest {
+  msg: string;
+  ct: string;
+  label: string;
+}
+
+export interface RsaOaepGroup extends WycheproofGroup<RsaOaepTest> {
+  keySize: number;
+  sha: string;
+  mgfSha: string;
+  privateKeyJwk: JsonWebKey;
+}
+
+export interface HashCavpFile {
+  algorithm: string;
+  header: string[];
+  tests: { Len: number; Msg: string; MD: string }[];
+  repeatTests: { Msg: string; Count: number; MD: string }[];
+}
+
+function readVectorFile<T>(file: string): T {
+  return JSON.parse(readFileSync(join(__dirname, file), "utf8")) as T;
+}
+
+/**
+ * Load a Wycheproof-format file, checking that no test went missing
+ */
+export function loadWycheproof<G extends WycheproofGroup<WycheproofTest>>(file: string): WycheproofFile<G> {
+  const vectors = readVectorFile<WycheproofFile<G>>(file);
+  const count = vectors.testGroups.reduce((total, group) => total + group.tests.length, 0);
+  if (count !== vectors.numberOfTests) {
+    throw new Error(`${file}: expected ${vectors.numberOfTests} tests, found ${count}`);
+  }
+  return vectors;
+}
+
+/**
+ * Load a CAVP-format hash file
+ */
+export function loadHashCavp(file: string): HashCavpFile {
+  return readVectorFile<HashCavpFile>(file);
+}
+
+/**
+ * Decode a hex string from a vector file
+ */
+export function hex(value: string) {
+  const bytes = new Uint8Array(value.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(value.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Test name showing the test case id, comment and expected result
+ */
+export function testName(test: WycheproofTest): string {
+  return `tcId ${test.tcId} (${test.result}): ${test.comment}`;
+}
@@ -4,3 +4,32 @@
 
 export { ExpoGoCryptoAdapter } from "./ExpoGoCryptoAdapter";
 export { SubtleCryptoPolyfill } from "./SubtleCryptoPolyfill";
+export { CryptoDOMException } from "./CryptoErrors";
+export type { CryptoErrorName } from "./CryptoErrors";
+export { createAesEncryptStream, createAesDecryptStream } from "./AESAdapter";
+export type { AesCipherStream, AesStreamParams } from "./AESAdapter";
+export type { PBKDF2Options } from "./PBKDF2Adapter";
+export { RSAKeyPool } from "./RSAKeyPool";
+export type { RSAKeyPoolOptions } from "./RSAKeyPool";
+export type { ExpoGoCryptoAdapterOptions } from "./ExpoGoCryptoAdapter";
+export {
+  keyFileToKeyData,
+  encryptPKCS8,
+  decryptPKCS8,
+  arrayBufferToPEM,
+  encodeEd25519PublicKeyToOpenSSH,
+  encodeEd25519PrivateKeyToOpenSSH,
+} from "./KeyFormatConverter";
+export type { KeyFileData, PKCS8EncryptionOptions, PEMLabel } from "./KeyFormatConverter";
+export { CryptoProviderRegistry } from "./CryptoProviderRegistry";
+export type { CryptoProvider, CryptoProviderOverrides, ProbeResult } from "./CryptoProviderRegistry";
+export { ALGORITHM_PROBES } from "./CryptoProviderProbes";
+export type { SubtleOperation } from "./CryptoProviderProbes";
+export {
+  getCryptoCapabilities,
+  assertCryptoCapabilities,
+  runStartupSelfTest,
+  getStartupSelfTest,
+  REQUIRED_ALGORITHMS,
+} from "./CryptoCapabilities";
+export type { CapabilityCheck, CapabilityOperation, CryptoCapabilityOptions, CryptoCapabilityReport } from "./CryptoCapabilities";
@@ -0,0 +1,315 @@
+/**
+ * Benchmark Scenario
+ * Throughput and p50/p95 latencies of the MindooDB operations on a generated workload, once per Automerge backend
+ *
+ * Each backend gets its own tenant and database, filled with the documents of a seeded WorkloadGenerator:
+ * createDocument and changeDoc for every document with a syncStoreChanges every `syncEvery` documents, getDocument
+ * of every document, one iterateChangesSince pass, and rounds of modifications followed by view.update(). The
+ * numbers are recorded as scenario metrics, so they show up in the app, the reports and the headless runner.
+ * With several backends (native Automerge and the WASM build) the scenario runs them one after the other and
+ * activates the first one again at the end. Backends that cannot run on this platform are listed with the reason,
+ * so the results say when there was nothing to compare with.
+ */
+
+import type { Scenario, ScenarioContext } from "./ScenarioRunner";
+import { ResolvedWorkloadOptions, WorkloadGenerator, WorkloadOptions } from "./WorkloadGenerator";
+
+/**
+ * An Automerge implementation MindooDB can run on, e.g. the native Rust backend or the WASM build
+ */
+export interface AutomergeBackend {
+  name: string;
+  // Make this backend the one Automerge uses
+  activate(): void | Promise<void>;
+}
+
+/**
+ * An Automerge backend that cannot run here, and why
+ */
+export interface UnavailableBackend {
+  name: string;
+  reason: string;
+}
+
+export interface BenchmarkEnvironment {
+  // The mindoodb module; without it the scenario is skipped
+  mindoodb: any;
+  workload: WorkloadOptions;
+  // Backends to compare (default the active one, named "default")
+  backends?: AutomergeBackend[];
+  // Backends that cannot run here; they are logged instead of benchmarked
+  unavailableBackends?: UnavailableBackend[];
+  // Crypto adapter of the tenants (default the one the crypto diagnostics scenario put into the state)
+  cryptoAdapter?: any;
+  // Store factory of each backend's tenant (default mindoodb's InMemoryContentAddressedStoreFactory)
+  createStoreFactory?: (backend: string) => any;
+  // Documents between two syncStoreChanges calls while creating (default 100)
+  syncEvery?: number;
+  // Rounds of modifications followed by view.update() (default 5)
+  updateRounds?: number;
+}
+
+export const BENCHMARK_SCENARIO_NAME = "Benchmark";
+
+export const BENCHMARK_OPERATIONS = [
+  "createDocument",
+  "changeDoc",
+  "getDocument",
+  "syncStoreChanges",
+  "iterateChangesSince",
+  "view.update()",
+] as const;
+
+export type BenchmarkOperation = (typeof BENCHMARK_OPERATIONS)[number];
+
+export interface LatencyStats {
+  count: number;
+  totalMs: number;
+  // Operations per second of the summed latencies
+  opsPerSecond: number;
+  p50Ms: number;
+  p95Ms: number;
+  maxMs: number;
+}
+
+export interface BenchmarkResult {
+  backend: string;
+  workload: ResolvedWorkloadOptions;
+  operations: Partial<Record<BenchmarkOperation, LatencyStats>>;
+}
+
+export interface BenchmarkState {
+  cryptoAdapter?: any;
+  benchmarks?: BenchmarkResult[];
+}
+
+const DB_NAME = "benchmark-db";
+const DEFAULT_BACKEND: AutomergeBackend = { name: "default", activate: () => undefined };
+
+const now = (): number => (typeof performance !== "undefined" ? performance.now() : Date.now());
+
+const round = (value: number, digits = 3): number => Number(value.toFixed(digits));
+
+/**
+ * Nearest-rank percentile of ascending samples
+ */
+export function percentile(sorted: number[], p: number): number {
+  if (sorted.length === 0) {
+    return 0;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+export function summarizeLatencies(samples: number[]): LatencyStats {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const totalMs = sorted.reduce((sum, sample) => sum + sample, 0);
+  return {
+    count: sorted.length,
+    totalMs: round(totalMs),
+    opsPerSecond: totalMs > 0 ? round((sorted.length * 1000) / totalMs, 1) : 0,
+    p50Ms: round(percentile(sorted, 50)),
+    p95Ms: round(percentile(sorted, 95)),
+    maxMs: round(sorted[sorted.length - 1] ?? 0),
+  };
+}
+
+/**
+ * Collects the latency of every call per operation
+ */
+export class LatencyRecorder {
+  private readonly samples = new Map<BenchmarkOperation, number[]>();
+
+  record(operation: BenchmarkOperation, durationMs: number): void {
+    const samples = this.samples.get(operation) ?? [];
+    samples.push(durationMs);
+    this.samples.set(operation, samples);
+  }
+
+  async time<T>(operation: BenchmarkOperation, fn: () => T | Promise<T>): Promise<T> {
+    const start = now();
+    try {
+      return await fn();
+    } finally {
+      this.record(operation, now() - start);
+    }
+  }
+
+  summarize(): Partial<Record<BenchmarkOperation, LatencyStats>> {
+    const operations: Partial<Record<BenchmarkOperation, LatencyStats>> = {};
+    for (const operation of BENCHMARK_OPERATIONS) {
+      const samples = this.samples.get(operation);
+      if (samples) {
+        operations[operation] = summarizeLatencies(samples);
+      }
+    }
+    return operations;
+  }
+}
+
+/**
+ * Side-by-side table of the backends, one row per operation
+ */
+export function formatBenchmarkComparison(results: BenchmarkResult[]): string {
+  const lines = [`Operation | ${results.map((result) => `${result.backend} ops/s, p50/p95 ms`).join(" | ")}`];
+  for (const operation of BENCHMARK_OPERATIONS) {
+    const cells = results.map((result) => {
+      const stats = result.operations[operation];
+      return stats ? `${stats.opsPerSecond}, ${stats.p50Ms}/${stats.p95Ms}` : "-";
+    });
+    lines.push(`${operation} | ${cells.join(" | ")}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * The backends that run and the ones that cannot, e.g. "native; wasm not available (no WebAssembly)", for the
+ * report's environment
+ */
+export function describeAutomergeBackends(backends: AutomergeBackend[], unavailable: UnavailableBackend[] = []): string {
+  return [
+    ...backends.map((backend) => backend.name),
+    ...unavailable.map((backend) => `${backend.name} not available (${backend.reason})`),
+  ].join("; ");
+}
+
+async function runBackend(
+  environment: BenchmarkEnvironment,
+  backend: AutomergeBackend,
+  generator: WorkloadGenerator,
+  { state, step, log, assertEqual }: ScenarioContext<BenchmarkState>
+): Promise<BenchmarkResult> {
+  const { mindoodb } = environment;
+  const { documents } = generator.options;
+  const syncEvery = environment.syncEvery ?? 100;
+  const updateRounds = environment.updateRounds ?? 5;
+  const recorder = new LatencyRecorder();
+  const label = (name: string) => `${backend.name}: ${name}`;
+
+  await step(label("activate Automerge backend"), () => backend.activate());
+  const db = await step(label("create tenant"), async () => {
+    const storeFactory = environment.createStoreFactory?.(backend.name) ?? new mindoodb.InMemoryContentAddressedStoreFactory();
+    const factory = new mindoodb.BaseMindooTenantFactory(storeFactory, environment.cryptoAdapter ?? state.cryptoAdapter);
+    const { tenant } = await factory.createTenant({
+      tenantId: `benchmark-${backend.name}`,
+      adminName: "CN=admin/O=benchmark",
+      adminPassword: "adminpass123",
+      userName: "CN=user/O=benchmark",
+      userPassword: "userpass123",
+    });
+    return tenant.openDB(DB_NAME);
+  });
+
+  const docIds = await step(label(`create ${documents} documents`), async () => {
+    const ids: string[] = [];
+    const progressEvery = Math.max(1, Math.floor(documents / 10));
+    for (let i = 0; i < documents; i++) {
+      const doc = await recorder.time("createDocument", () => db.createDocument());
+      const data = generator.document(i);
+      await recorder.time("changeDoc", () =>
+        db.changeDoc(doc, (d: any) => {
+          Object.assign(d.getData(), data);
+        })
+      );
+      ids.push(doc.getId());
+      if ((i + 1) % syncEvery === 0 || i + 1 === documents) {
+        await recorder.time("syncStoreChanges", () => db.syncStoreChanges());
+      }
+      if ((i + 1) % progressEvery === 0) {
+        log(`${backend.name}: ${i + 1}/${documents} documents`);
+      }
+    }
+    return ids;
+  });
+
+  await step(label("read documents"), async () => {
+    for (const docId of docIds) {
+      await recorder.time("getDocument", () => db.getDocument(docId));
+    }
+  });
+
+  await step(label("iterate changes"), async () => {
+    let count = 0;
+    let last = now();
+    for await (const _change of db.iterateChangesSince(null)) {
+      const current = now();
+      recorder.record("iterateChangesSince", current - last);
+      last = current;
+      count++;
+    }
+    assertEqual(label("changes iterated"), count, documents);
+  });
+
+  const view = await step(label("build virtual view"), () => {
+    const { VirtualViewFactory, ColumnSorting, TotalMode } = mindoodb;
+    return VirtualViewFactory.createView()
+      .addCategoryColumn("category", { title: "Category", sorting: ColumnSorting.ASCENDING })
+      .addSortedColumn("name", ColumnSorting.ASCENDING)
+      .addTotalColumn("amount", TotalMode.SUM)
+      .withDB(DB_NAME, db, () => true)
+      .buildAndUpdate();
+  });
+
+  // Each round modifies 1% of the documents, spread over the whole set
+  await step(label(`${updateRounds} rounds of modifications and view.update()`), async () => {
+    const changesPerRound = Math.max(1, Math.floor(documents / 100));
+    const stride = Math.floor(documents / changesPerRound);
+    for (let updateRound = 1; updateRound <= updateRounds; updateRound++) {
+      for (let k = 0; k < changesPerRound; k++) {
+        const index = (k * stride + updateRound) % documents;
+        const doc = await recorder.time("getDocument", () => db.getDocument(docIds[index]));
+        const changes = generator.change(index, updateRound);
+        await recorder.time("changeDoc", () =>
+          db.changeDoc(doc, (d: any) => {
+            Object.assign(d.getData(), changes);
+          })
+        );
+      }
+      await recorder.time("syncStoreChanges", () => db.syncStoreChanges());
+      await recorder.time("view.update()", () => view.update());
+    }
+    assertEqual(label("documents in the view"), view.getRoot().getDescendantDocumentCount(), documents);
+  });
+
+  return { backend: backend.name, workload: generator.options, operations: recorder.summarize() };
+}
+
+export function createBenchmarkScenario(environment: BenchmarkEnvironment): Scenario<BenchmarkState> {
+  const backends = environment.backends?.length ? environment.backends : [DEFAULT_BACKEND];
+  const { documents, fields, seed } = environment.workload;
+
+  return {
+    name: BENCHMARK_SCENARIO_NAME,
+    description: `${documents} generated documents with ${fields ?? 4} extra fields (seed ${seed ?? 1}) on ${describeAutomergeBackends(backends, environment.unavailableBackends)}`,
+    async run(context) {
+      const { state, log, metric, skip } = context;
+      if (!environment.mindoodb) {
+        skip("mindoodb is not available");
+      }
+      for (const { name, reason } of environment.unavailableBackends ?? []) {
+        log(`Automerge backend ${name} not available: ${reason}`);
+      }
+      if (backends.length < 2) {
+        log(`No backend comparison: only ${backends[0].name} runs here`);
+      }
+      const generator = new WorkloadGenerator(environment.workload);
+      const results: BenchmarkResult[] = [];
+      state.benchmarks = results;
+      try {
+        for (const backend of backends) {
+          const result = await runBackend(environment, backend, generator, context);
+          results.push(result);
+          for (const [operation, stats] of Object.entries(result.operations)) {
+            metric(`${backend.name} ${operation} throughput`, stats.opsPerSecond, "ops/s");
+            metric(`${backend.name} ${operation} p50`, stats.p50Ms, "ms");
+            metric(`${backend.name} ${operation} p95`, stats.p95Ms, "ms");
+          }
+        }
+      } finally {
+        if (backends.length > 1) {
+          await backends[0].activate();
+        }
+      }
+      log(formatBenchmarkComparison(results));
+    },
+  };
+}
@@ -0,0 +1,348 @@
+/**
+ * MindooDB Scenarios
+ * The app's end-to-end test as separate scenarios: crypto diagnostics, createTenant, document creation, change
+ * iteration, virtual view, modification and reopening the stores
+ *
+ * Each set of scenarios creates its own tenant and database, named after the time it was created, so a run on
+ * persistent stores never sees the data of an earlier run.
+ *
+ * The platform-specific parts (the store factory and the crypto adapter) come from the environment, so the same
+ * scenarios run in the app and under Node.
+ */
+
+import { getCryptoCapabilities } from "../crypto/CryptoCapabilities";
+import type { Scenario } from "./ScenarioRunner";
+
+export interface MindooDBScenarioEnvironment {
+  // The mindoodb module (BaseMindooTenantFactory, VirtualViewFactory, ColumnSorting, TotalMode, ...); without it
+  // only the crypto diagnostics run and the other scenarios are skipped
+  mindoodb: any;
+  // The ContentAddressedStoreFactory, and a description of it for the log
+  createStoreFactory(log: (line: string) => void): Promise<{ storeFactory: any; description: string }>;
+  // The crypto adapter passed to BaseMindooTenantFactory, and a provider name for the self-test report
+  createCryptoAdapter(log: (line: string) => void): Promise<{ cryptoAdapter: any; name: string }>;
+  // A second store factory on the stores createStoreFactory opened, as after an app restart; without it the stores
+  // do not persist and the reopen scenario is skipped
+  reopenStoreFactory?(log: (line: string) => void): Promise<{ storeFactory: any; description: string }>;
+  // Documents to create (default 10)
+  numDocs?: number;
+}
+
+/**
+ * What the scenarios hand on to the ones that depend on them
+ */
+export interface MindooDBScenarioState {
+  storeFactory?: any;
+  cryptoAdapter?: any;
+  // Name of the crypto adapter, for the report's environment
+  cryptoProvider?: string;
+  tenant?: any;
+  // The createTenant result, whose users and key bag open the tenant again
+  createdTenant?: any;
+  db?: any;
+  createdDocs?: Array<{ docId: string; lastModified: number }>;
+  view?: any;
+}
+
+export const SCENARIO_NAMES = {
+  crypto: "Crypto diagnostics",
+  tenant: "createTenant",
+  documents: "Document creation",
+  iteration: "Change iteration",
+  view: "Virtual view",
+  modification: "Modification",
+  reopen: "Reopen stores",
+};
+
+const TENANT_ID = "test-tenant-expo-app";
+const DB_NAME = "test-db";
+const USER_PASSWORD = "userpass123";
+const CATEGORIES = ["Sales", "Engineering", "Marketing"];
+const PRIORITIES = ["High", "Medium", "Low"];
+const NAMES = [
+  "Project Alpha",
+  "Project Beta",
+  "Project Gamma",
+  "Task Delta",
+  "Initiative Epsilon",
+  "Campaign Zeta",
+  "Feature Eta",
+  "Update Theta",
+  "Report Iota",
+  "Analysis Kappa",
+];
+const MODIFIED_NAME = "Project Alpha (Modified)";
+const MODIFIED_AMOUNT = 99999;
+
+/**
+ * Category, document count and amount total of every category in a view, logging the view tree
+ */
+async function readView(
+  mindoodb: any,
+  view: any,
+  log: (line: string) => void
+): Promise<{ categories: Record<string, { docs: number; total: number }>; documentNames: string[] }> {
+  const nav = mindoodb.VirtualViewFactory.createNavigator(view).build();
+  nav.expandAll();
+  const categories: Record<string, { docs: number; total: number }> = {};
+  const documentNames: string[] = [];
+  for await (const entry of nav.entriesForward()) {
+    const indent = "  ".repeat(entry.getLevel());
+    if (entry.isCategory()) {
+      const docs = entry.getChildDocumentCount();
+      const total = entry.getColumnValue("amount");
+      categories[entry.getCategoryValue()] = { docs, total };
+      log(`${indent}📁 ${entry.getCategoryValue()} (${docs} docs, Total: $${total})`);
+    } else {
+      const values = entry.getColumnValues();
+      documentNames.push(values.name);
+      log(`${indent}📄 ${values.name} [${values.priority}] - $${values.amount}`);
+    }
+  }
+  return { categories, documentNames };
+}
+
+export function createMindooDBScenarios(environment: MindooDBScenarioEnvironment): Scenario<MindooDBScenarioState>[] {
+  const { mindoodb } = environment;
+  const numDocs = environment.numDocs ?? 10;
+  const runId = Date.now().toString(36);
+  const tenantId = `${TENANT_ID}-${runId}`;
+  const dbName = `${DB_NAME}-${runId}`;
+
+  return [
+    {
+      name: SCENARIO_NAMES.crypto,
+      description: "Store factory, crypto adapter and known-answer self-tests of every algorithm MindooDB uses",
+      async run({ state, step, log, assertEqual }) {
+        const { storeFactory, description } = await step("Create store factory", () => environment.createStoreFactory(log));
+        state.storeFactory = storeFactory;
+        log(`Store factory: ${description}`);
+
+        const { cryptoAdapter, name } = await step("Create crypto adapter", () => environment.createCryptoAdapter(log));
+        state.cryptoAdapter = cryptoAdapter;
+        state.cryptoProvider = name;
+        log(`Crypto adapter: ${name}`);
+
+        const subtle = await step("getSubtle()", () => cryptoAdapter.getSubtle());
+        await step("Run crypto self-tests", async () => {
+          const report = await getCryptoCapabilities({
+            name,
+            subtle,
+            getRandomValues: (array) => cryptoAdapter.getRandomValues(array),
+          });
+          for (const check of report.checks) {
+            const error = check.error ? `: ${check.error}` : "";
+            log(`${check.passed ? "✓" : "✗"} ${check.algorithm} ${check.operation} (${check.latencyMs}ms)${error}`);
+          }
+          assertEqual("Failed required algorithms", report.failedRequired, []);
+        });
+      },
+    },
+    {
+      name: SCENARIO_NAMES.tenant,
+      description: "Tenant with an admin and an app user through the createTenant convenience API",
+      dependsOn: [SCENARIO_NAMES.crypto],
+      async run({ state, step, log, skip }) {
+        if (!mindoodb) {
+          skip("mindoodb is not available");
+        }
+        const factory = await step("Create BaseMindooTenantFactory", () => new mindoodb.BaseMindooTenantFactory(state.storeFactory, state.cryptoAdapter));
+        await step("Check crypto readiness", () => state.cryptoAdapter.getSubtle().digest("SHA-256", new Uint8Array([1, 2, 3])));
+        const result = await step("createTenant", () =>
+          factory.createTenant({
+            tenantId,
+            adminName: "CN=admin/O=testtenant",
+            adminPassword: "adminpass123",
+            userName: "CN=user/O=testtenant",
+            userPassword: USER_PASSWORD,
+          })
+        );
+        state.tenant = result.tenant;
+        state.createdTenant = result;
+        log(`Tenant ${tenantId} created with admin + app user`);
+      },
+    },
+    {
+      name: SCENARIO_NAMES.documents,
+      description: `${numDocs} documents with category, priority, name and amount`,
+      dependsOn: [SCENARIO_NAMES.tenant],
+      async setup({ state }) {
+        state.db = await state.tenant.openDB(dbName);
+      },
+      async run({ state, step, log, assertEqual }) {
+        const { db } = state;
+        const createdDocs: Array<{ docId: string; lastModified: number }> = [];
+        await step(`Create ${numDocs} documents`, async () => {
+          const baseTime = Date.now();
+          for (let i = 0; i < numDocs; i++) {
+            const doc = await db.createDocument();
+            await db.changeDoc(doc, (d: any) => {
+              const data = d.getData();
+              data.index = i;
+              data.timestamp = baseTime + i;
+              data.category = CATEGORIES[i % CATEGORIES.length];
+              data.priority = PRIORITIES[i % PRIORITIES.length];
+              data.name = NAMES[i % NAMES.length];
+              data.amount = (i + 1) * 1000;
+            });
+            const updatedDoc = await db.getDocument(doc.getId());
+            createdDocs.push({ docId: doc.getId(), lastModified: updatedDoc.getLastModified() });
+            // Small delay to ensure different timestamps
+            await new Promise((resolve) => setTimeout(resolve, 1));
+          }
+          log(`Created ${createdDocs.length} documents`);
+        });
+        state.createdDocs = createdDocs;
+
+        await step("Read back the first document", async () => {
+          const data = (await db.getDocument(createdDocs[0].docId)).getData();
+          assertEqual("category", data.category, "Sales");
+          assertEqual("priority", data.priority, "High");
+          assertEqual("name", data.name, "Project Alpha");
+          assertEqual("amount", data.amount, 1000);
+        });
+        await step("Sync store changes", () => db.syncStoreChanges());
+      },
+    },
+    {
+      name: SCENARIO_NAMES.iteration,
+      description: "iterateChangesSince returns every document once, in order, with matching cursors",
+      dependsOn: [SCENARIO_NAMES.documents],
+      async run({ state, step, assert, assertEqual }) {
+        const processed: Array<{ docId: string; lastModified: number; cursor: any }> = [];
+        await step("Iterate changes since null", async () => {
+          for await (const { doc, cursor } of state.db.iterateChangesSince(null)) {
+            processed.push({ docId: doc.getId(), lastModified: doc.getLastModified(), cursor });
+          }
+        });
+        await step("Verify iteration", () => {
+          assertEqual("Documents processed", processed.length, numDocs);
+          const outOfOrder = processed.findIndex(
+            (current, i) =>
+              i > 0 &&
+              (processed[i - 1].lastModified > current.lastModified ||
+                (processed[i - 1].lastModified === current.lastModified && processed[i - 1].docId.localeCompare(current.docId) > 0))
+          );
+          assert("Ordered by lastModified, then docId", outOfOrder === -1, outOfOrder === -1 ? undefined : `entry ${outOfOrder}`);
+          const wrongCursor = processed.findIndex(
+            (entry) => entry.cursor.docId !== entry.docId || entry.cursor.lastModified !== entry.lastModified
+          );
+          assert("Cursors match their documents", wrongCursor === -1, wrongCursor === -1 ? undefined : `entry ${wrongCursor}`);
+        });
+      },
+    },
+    {
+      name: SCENARIO_NAMES.view,
+      description: "Categorized virtual view with sorted columns and an amount total",
+      dependsOn: [SCENARIO_NAMES.documents],
+      async run({ state, step, log, assertEqual }) {
+        const { VirtualViewFactory, ColumnSorting, TotalMode } = mindoodb;
+        state.view = await step("Build virtual view", () =>
+          VirtualViewFactory.createView()
+            .addCategoryColumn("category", { title: "Category", sorting: ColumnSorting.ASCENDING })
+            .addSortedColumn("priority", ColumnSorting.DESCENDING)
+            .addSortedColumn("name", ColumnSorting.ASCENDING)
+            .addDisplayColumn("index")
+            .addTotalColumn("amount", TotalMode.SUM)
+            .withDB(dbName, state.db, () => true)
+            .buildAndUpdate()
+        );
+        await step("Navigate virtual view", () => readView(mindoodb, state.view, log));
+        await step("Verify view structure", () => {
+          const root = state.view.getRoot();
+          assertEqual("Categories", root.getChildCount(), Math.min(numDocs, CATEGORIES.length));
+          assertEqual("Documents", root.getDescendantDocumentCount(), numDocs);
+        });
+      },
+    },
+    {
+      name: SCENARIO_NAMES.modification,
+      description: "A document moved to another category shows up there after view.update()",
+      dependsOn: [SCENARIO_NAMES.documents, SCENARIO_NAMES.view],
+      async run({ state, step, log, assert, assertEqual }) {
+        const { db, view } = state;
+        const docId = state.createdDocs![0].docId;
+        await step("Modify the first document", async () => {
+          // Project Alpha moves from Sales/High/$1000 to Marketing/Low/$99999
+          await db.changeDoc(await db.getDocument(docId), (d: any) => {
+            const data = d.getData();
+            data.category = "Marketing";
+            data.priority = "Low";
+            data.amount = MODIFIED_AMOUNT;
+            data.name = MODIFIED_NAME;
+          });
+          const data = (await db.getDocument(docId)).getData();
+          assertEqual("category", data.category, "Marketing");
+          assertEqual("priority", data.priority, "Low");
+          assertEqual("amount", data.amount, MODIFIED_AMOUNT);
+          assertEqual("name", data.name, MODIFIED_NAME);
+        });
+        await step("Update virtual view", () => view.update());
+        const { categories, documentNames } = await step("Navigate updated view", () => readView(mindoodb, view, log));
+
+        await step("Verify updated view", () => {
+          const indexes = Array.from({ length: numDocs }, (_, i) => i);
+          const inCategory = (category: string) => indexes.filter((i) => CATEGORIES[i % CATEGORIES.length] === category);
+          const marketingTotal = inCategory("Marketing").reduce((sum, i) => sum + (i + 1) * 1000, 0) + MODIFIED_AMOUNT;
+          assert("Modified document is in the view", documentNames.includes(MODIFIED_NAME));
+          assertEqual("Sales documents", categories.Sales?.docs ?? 0, inCategory("Sales").length - 1);
+          assertEqual("Marketing documents", categories.Marketing?.docs, inCategory("Marketing").length + 1);
+          assertEqual("Marketing total", categories.Marketing?.total, marketingTotal);
+        });
+      },
+    },
+    {
+      name: SCENARIO_NAMES.reopen,
+      description: "A new store factory on the same stores, as after an app restart, opens the tenant with every document",
+      dependsOn: [SCENARIO_NAMES.modification],
+      async run({ state, step, log, assertEqual, skip }) {
+        if (!environment.reopenStoreFactory) {
+          skip("the store backend does not persist its data");
+        }
+        // The stores of the first factory are no longer written to, so the new factory may open their directories
+        const { storeFactory, description } = await step("Reopen store factory", () => environment.reopenStoreFactory!(log));
+        log(`Store factory: ${description}`);
+        const created = state.createdTenant;
+        const tenant = await step("Open tenant", () =>
+          new mindoodb.BaseMindooTenantFactory(storeFactory, state.cryptoAdapter).openTenant(
+            tenantId,
+            created.adminUser.userSigningKeyPair.publicKey,
+            created.adminUser.userEncryptionKeyPair.publicKey,
+            created.appUser,
+            USER_PASSWORD,
+            created.keyBag
+          )
+        );
+        const db = await step("Open database", async () => {
+          const reopened = await tenant.openDB(dbName);
+          await reopened.syncStoreChanges();
+          return reopened;
+        });
+
+        await step("Verify documents", async () => {
+          const documents = new Map<string, any>();
+          for await (const { doc } of db.iterateChangesSince(null)) {
+            documents.set(doc.getId(), doc.getData());
+          }
+          assertEqual("Documents", documents.size, numDocs);
+          // The first document carries the modification, the others their original values
+          const expected = state.createdDocs!.map((_, i) =>
+            i === 0
+              ? { category: "Marketing", priority: "Low", name: MODIFIED_NAME, amount: MODIFIED_AMOUNT }
+              : {
+                  category: CATEGORIES[i % CATEGORIES.length],
+                  priority: PRIORITIES[i % PRIORITIES.length],
+                  name: NAMES[i % NAMES.length],
+                  amount: (i + 1) * 1000,
+                }
+          );
+          const actual = state.createdDocs!.map(({ docId }) => {
+            const data = documents.get(docId);
+            return data && { category: data.category, priority: data.priority, name: data.name, amount: data.amount };
+          });
+          assertEqual("Document data", actual, expected);
+        });
+      },
+    },
+  ];
+}
\ No newline at end of file
@@ -0,0 +1,333 @@
+/**
+ * Scenario Reports
+ * Reports of scenario runs with the environment they ran in, exported as JSON, JUnit XML or Markdown, and the
+ * diff of two JSON reports
+ *
+ * A report holds one or more suites, each the RunResult of one configuration (e.g. one crypto adapter). In JUnit
+ * XML every scenario is a testcase: failed assertions are a <failure>, an exception is an <error> with its cause
+ * chain, and the steps and logs go to <system-out>. The JSON export is the report itself; parseReport reads it
+ * back, so a run can be compared with an earlier one to find the scenarios and steps that regressed or got slower.
+ */
+
+import { AssertionResult, formatAssertion, formatError, RunResult, ScenarioResult, ScenarioStatus } from "./ScenarioRunner";
+
+export interface ReportSuite {
+  name: string;
+  run: RunResult;
+}
+
+/**
+ * Where a report was made; every field is optional since not every platform can tell
+ */
+export interface ReportEnvironment {
+  platform?: string;
+  jsEngine?: string;
+  cryptoProvider?: string;
+  mindoodbVersion?: string;
+  automergeVersion?: string;
+  // Automerge backends the benchmark can run, and the ones it cannot with the reason
+  automergeBackends?: string;
+  [name: string]: string | undefined;
+}
+
+export interface ScenarioReport {
+  format: typeof REPORT_FORMAT;
+  version: 1;
+  generatedAt: string;
+  environment: ReportEnvironment;
+  summary: { status: ScenarioStatus; passed: number; failed: number; skipped: number; durationMs: number };
+  suites: Array<{ name: string } & RunResult>;
+}
+
+export type ReportChangeKind = "regressed" | "fixed" | "slower" | "faster" | "added" | "removed";
+
+export interface ReportChange {
+  kind: ReportChangeKind;
+  suite: string;
+  scenario: string;
+  // Set for changes of a step, unset for changes of a whole scenario
+  step?: string;
+  previous?: { status: string; durationMs: number };
+  current?: { status: string; durationMs: number };
+}
+
+export interface ReportDiff {
+  previousGeneratedAt: string;
+  currentGeneratedAt: string;
+  changes: ReportChange[];
+}
+
+export interface ReportDiffOptions {
+  // A duration counts as slower or faster when it changed by this factor (default 1.5)...
+  timingFactor?: number;
+  // ...and by at least this many milliseconds (default 20), so that timer noise in short steps is ignored
+  minTimingDeltaMs?: number;
+}
+
+export type ReportFormat = "json" | "junit" | "markdown";
+
+export const REPORT_FORMAT = "mindoodb-scenario-report";
+
+const ENVIRONMENT_LABELS: Record<string, string> = {
+  platform: "Platform",
+  jsEngine: "JS engine",
+  cryptoProvider: "Crypto provider",
+  mindoodbVersion: "MindooDB",
+  automergeVersion: "Automerge",
+  automergeBackends: "Automerge backends",
+};
+
+const STATUS_ICONS: Record<ScenarioStatus, string> = {
+  pending: "⏳",
+  running: "⏳",
+  passed: "✅",
+  failed: "❌",
+  skipped: "⏭️",
+};
+
+function count(scenarios: ScenarioResult[], status: ScenarioStatus): number {
+  return scenarios.filter((scenario) => scenario.status === status).length;
+}
+
+function failedAssertions(scenario: ScenarioResult): AssertionResult[] {
+  return [...scenario.steps.flatMap((step) => step.assertions), ...scenario.assertions].filter((assertion) => !assertion.passed);
+}
+
+export function createReport(suites: ReportSuite[], environment: ReportEnvironment = {}): ScenarioReport {
+  const all = suites.flatMap((suite) => suite.run.scenarios);
+  const statuses = suites.map((suite) => suite.run.status);
+  return {
+    format: REPORT_FORMAT,
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    environment: Object.fromEntries(Object.entries(environment).filter(([, value]) => value !== undefined)),
+    summary: {
+      status: statuses.includes("failed") ? "failed" : statuses.every((status) => status === "skipped") ? "skipped" : "passed",
+      passed: count(all, "passed"),
+      failed: count(all, "failed"),
+      skipped: count(all, "skipped"),
+      durationMs: suites.reduce((sum, suite) => sum + suite.run.durationMs, 0),
+    },
+    suites: suites.map((suite) => ({ name: suite.name, ...suite.run })),
+  };
+}
+
+/**
+ * Read a report written by exportReport(report, "json")
+ */
+export function parseReport(text: string): ScenarioReport {
+  const report = JSON.parse(text);
+  if (report?.format !== REPORT_FORMAT || report.version !== 1 || !Array.isArray(report.suites)) {
+    throw new Error("Not a scenario report");
+  }
+  return report;
+}
+
+export function exportReport(report: ScenarioReport, format: ReportFormat): string {
+  switch (format) {
+    case "json":
+      return `${JSON.stringify(report, null, 2)}\n`;
+    case "junit":
+      return toJUnitXML(report);
+    case "markdown":
+      return toMarkdown(report);
+  }
+}
+
+function escapeXML(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    // Control characters other than tab and newlines are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+function seconds(ms: number): string {
+  return (ms / 1000).toFixed(3);
+}
+
+function testcase(suite: string, scenario: ScenarioResult): string {
+  const lines = [`    <testcase classname="${escapeXML(suite)}" name="${escapeXML(scenario.name)}" time="${seconds(scenario.durationMs)}">`];
+  if (scenario.status === "skipped") {
+    lines.push(`      <skipped message="${escapeXML(scenario.skipReason ?? "")}"/>`);
+  }
+  const failures = failedAssertions(scenario);
+  if (failures.length > 0) {
+    const text = failures.map(formatAssertion).join("\n");
+    lines.push(`      <failure message="${escapeXML(failures.map((assertion) => assertion.name).join(", "))}" type="AssertionError">${escapeXML(text)}</failure>`);
+  }
+  if (scenario.error) {
+    const text = `${formatError(scenario.error)}\n\n${scenario.error.stack ?? ""}`;
+    lines.push(`      <error message="${escapeXML(scenario.error.message)}" type="${escapeXML(scenario.error.name)}">${escapeXML(text)}</error>`);
+  }
+  const output = [
+    ...scenario.steps.map((step) => `${step.status} ${step.name} (${step.durationMs}ms)`),
+    ...scenario.logs,
+  ];
+  if (output.length > 0) {
+    lines.push(`      <system-out>${escapeXML(output.join("\n"))}</system-out>`);
+  }
+  lines.push("    </testcase>");
+  return lines.join("\n");
+}
+
+export function toJUnitXML(report: ScenarioReport, name = "MindooDB scenarios"): string {
+  const totals = (scenarios: ScenarioResult[]) =>
+    `tests="${scenarios.length}" failures="${scenarios.filter((scenario) => failedAssertions(scenario).length > 0).length}" ` +
+    `errors="${scenarios.filter((scenario) => scenario.error).length}" skipped="${count(scenarios, "skipped")}"`;
+  const properties = Object.entries(report.environment).map(
+    ([key, value]) => `      <property name="${escapeXML(key)}" value="${escapeXML(value ?? "")}"/>`
+  );
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXML(name)}" ${totals(report.suites.flatMap((suite) => suite.scenarios))} time="${seconds(report.summary.durationMs)}">`,
+  ];
+  for (const suite of report.suites) {
+    lines.push(
+      `  <testsuite name="${escapeXML(suite.name)}" ${totals(suite.scenarios)} time="${seconds(suite.durationMs)}" timestamp="${suite.startedAt}">`
+    );
+    if (properties.length > 0) {
+      lines.push("    <properties>", ...properties, "    </properties>");
+    }
+    lines.push(...suite.scenarios.map((scenario) => testcase(suite.name, scenario)));
+    lines.push("  </testsuite>");
+  }
+  lines.push("</testsuites>");
+  return `${lines.join("\n")}\n`;
+}
+
+function escapeMarkdownCell(text: string): string {
+  return text.replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+export function toMarkdown(report: ScenarioReport): string {
+  const { summary } = report;
+  const lines = [
+    "# MindooDB scenario report",
+    "",
+    `${STATUS_ICONS[summary.status]} **${summary.status.toUpperCase()}**: ${summary.passed} passed, ${summary.failed} failed, ` +
+      `${summary.skipped} skipped in ${summary.durationMs} ms (${report.generatedAt})`,
+  ];
+  const environment = Object.entries(report.environment);
+  if (environment.length > 0) {
+    lines.push("", "| Environment | |", "| --- | --- |");
+    lines.push(...environment.map(([key, value]) => `| ${ENVIRONMENT_LABELS[key] ?? key} | ${escapeMarkdownCell(value ?? "")} |`));
+  }
+
+  for (const suite of report.suites) {
+    lines.push("", `## ${suite.name}`, "", "| Scenario | Status | Duration |", "| --- | --- | --- |");
+    for (const scenario of suite.scenarios) {
+      const reason = scenario.skipReason ? ` (${scenario.skipReason})` : "";
+      lines.push(`| ${escapeMarkdownCell(scenario.name)} | ${STATUS_ICONS[scenario.status]} ${scenario.status}${escapeMarkdownCell(reason)} | ${scenario.durationMs} ms |`);
+    }
+    for (const scenario of suite.scenarios.filter((result) => result.metrics?.length)) {
+      lines.push("", `### 📊 ${scenario.name}`, "", "| Metric | Value |", "| --- | --- |");
+      lines.push(...scenario.metrics!.map((metric) => `| ${escapeMarkdownCell(metric.name)} | ${metric.value} ${metric.unit} |`));
+    }
+    for (const scenario of suite.scenarios.filter((result) => result.status === "failed")) {
+      lines.push("", `### ❌ ${scenario.name}`, "");
+      for (const step of scenario.steps) {
+        lines.push(`- ${step.status === "failed" ? "✗" : "✓"} ${step.name} (${step.durationMs} ms)`);
+        lines.push(...step.assertions.filter((assertion) => !assertion.passed).map((assertion) => `  - ${formatAssertion(assertion)}`));
+      }
+      lines.push(...scenario.assertions.filter((assertion) => !assertion.passed).map((assertion) => `- ${formatAssertion(assertion)}`));
+      if (scenario.error) {
+        lines.push("", "```", formatError(scenario.error), "```");
+      }
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Compare a report with an earlier one: scenarios and steps that now fail or pass again, changed durations of
+ * passing ones, and scenarios that were added or removed
+ */
+export function diffReports(previous: ScenarioReport, current: ScenarioReport, options: ReportDiffOptions = {}): ReportDiff {
+  const timingFactor = options.timingFactor ?? 1.5;
+  const minTimingDeltaMs = options.minTimingDeltaMs ?? 20;
+  const changes: ReportChange[] = [];
+
+  const compare = (location: Omit<ReportChange, "kind">, before: { status: string; durationMs: number }, after: { status: string; durationMs: number }) => {
+    const change = { ...location, previous: { status: before.status, durationMs: before.durationMs }, current: { status: after.status, durationMs: after.durationMs } };
+    if (before.status === "passed" && after.status !== "passed") {
+      changes.push({ kind: "regressed", ...change });
+    } else if (before.status === "failed" && after.status === "passed") {
+      changes.push({ kind: "fixed", ...change });
+    } else if (before.status === "passed" && Math.abs(after.durationMs - before.durationMs) >= minTimingDeltaMs) {
+      if (after.durationMs > before.durationMs * timingFactor) {
+        changes.push({ kind: "slower", ...change });
+      } else if (after.durationMs * timingFactor < before.durationMs) {
+        changes.push({ kind: "faster", ...change });
+      }
+    }
+  };
+
+  for (const suite of current.suites) {
+    const previousSuite = previous.suites.find((candidate) => candidate.name === suite.name);
+    for (const scenario of suite.scenarios) {
+      const before = previousSuite?.scenarios.find((candidate) => candidate.name === scenario.name);
+      if (!before) {
+        changes.push({ kind: "added", suite: suite.name, scenario: scenario.name, current: { status: scenario.status, durationMs: scenario.durationMs } });
+        continue;
+      }
+      compare({ suite: suite.name, scenario: scenario.name }, before, scenario);
+      // Steps only ran in both runs when their scenario did; a step missing from either run is not compared
+      for (const step of scenario.steps) {
+        const beforeStep = before.steps.find((candidate) => candidate.name === step.name);
+        if (beforeStep) {
+          compare({ suite: suite.name, scenario: scenario.name, step: step.name }, beforeStep, step);
+        }
+      }
+    }
+  }
+  for (const suite of previous.suites) {
+    const currentSuite = current.suites.find((candidate) => candidate.name === suite.name);
+    for (const scenario of suite.scenarios) {
+      if (!currentSuite?.scenarios.some((candidate) => candidate.name === scenario.name)) {
+        changes.push({ kind: "removed", suite: suite.name, scenario: scenario.name, previous: { status: scenario.status, durationMs: scenario.durationMs } });
+      }
+    }
+  }
+  return { previousGeneratedAt: previous.generatedAt, currentGeneratedAt: current.generatedAt, changes };
+}
+
+const CHANGE_TITLES: Record<ReportChangeKind, string> = {
+  regressed: "Regressed",
+  fixed: "Fixed",
+  slower: "Slower",
+  faster: "Faster",
+  added: "Added",
+  removed: "Removed",
+};
+
+/**
+ * Markdown list of the changes, grouped by kind
+ */
+export function formatReportDiff(diff: ReportDiff): string {
+  const lines = [`Compared with the run of ${diff.previousGeneratedAt}:`];
+  if (diff.changes.length === 0) {
+    lines.push("", "No regressions, fixes or timing changes.");
+  }
+  for (const kind of Object.keys(CHANGE_TITLES) as ReportChangeKind[]) {
+    const changes = diff.changes.filter((change) => change.kind === kind);
+    if (changes.length === 0) {
+      continue;
+    }
+    lines.push("", `**${CHANGE_TITLES[kind]}** (${changes.length})`);
+    for (const change of changes) {
+      const location = `${change.suite} › ${change.scenario}${change.step ? ` › ${change.step}` : ""}`;
+      const { previous, current } = change;
+      const detail =
+        kind === "slower" || kind === "faster"
+          ? `${previous!.durationMs} ms → ${current!.durationMs} ms`
+          : [previous?.status, current?.status].filter(Boolean).join(" → ");
+      lines.push(`- ${location}: ${detail}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,388 @@
+/**
+ * Scenario Runner
+ * Runs named test scenarios against MindooDB and records a structured results model
+ *
+ * A scenario runs its work in timed steps and records assertions instead of appending text: a failed assertion
+ * fails its step and scenario but lets the scenario go on, so every verification is reported; an exception fails
+ * the step and ends the scenario. Scenarios share a state object (the tenant, the database, ...) and name the
+ * scenarios they depend on; a scenario whose dependency did not pass is skipped, and the others still run.
+ * Nothing here depends on React, so the app, Jest and the headless runner share the same scenarios.
+ */
+
+export type ScenarioStatus = "pending" | "running" | "passed" | "failed" | "skipped";
+export type StepStatus = "running" | "passed" | "failed";
+
+export interface AssertionResult {
+  name: string;
+  passed: boolean;
+  expected?: unknown;
+  actual?: unknown;
+  details?: string;
+}
+
+/**
+ * An error as plain data, with its cause chain
+ */
+export interface ScenarioError {
+  name: string;
+  message: string;
+  stack?: string;
+  cause?: ScenarioError;
+}
+
+/**
+ * A measurement, e.g. the throughput or a latency percentile of a benchmarked operation
+ */
+export interface MetricResult {
+  name: string;
+  value: number;
+  unit: string;
+}
+
+export interface StepResult {
+  name: string;
+  status: StepStatus;
+  durationMs: number;
+  assertions: AssertionResult[];
+  error?: ScenarioError;
+}
+
+export interface ScenarioResult {
+  name: string;
+  description?: string;
+  status: ScenarioStatus;
+  durationMs: number;
+  steps: StepResult[];
+  // Assertions made outside of a step
+  assertions: AssertionResult[];
+  logs: string[];
+  // Set when the scenario recorded measurements
+  metrics?: MetricResult[];
+  error?: ScenarioError;
+  skipReason?: string;
+}
+
+export interface RunResult {
+  status: ScenarioStatus;
+  startedAt: string;
+  durationMs: number;
+  scenarios: ScenarioResult[];
+}
+
+export interface ScenarioContext<S> {
+  // State shared by all scenarios of a run
+  state: S;
+  log(line: string): void;
+  // Run a timed step; an exception fails the step and ends the scenario
+  step<T>(name: string, fn: () => Promise<T> | T): Promise<T>;
+  assert(name: string, condition: boolean, details?: string): boolean;
+  assertEqual(name: string, actual: unknown, expected: unknown): boolean;
+  metric(name: string, value: number, unit: string): void;
+  // End the scenario as skipped
+  skip(reason: string): never;
+}
+
+export interface Scenario<S> {
+  name: string;
+  description?: string;
+  // Names of scenarios that must pass before this one runs
+  dependsOn?: string[];
+  setup?(context: ScenarioContext<S>): Promise<void> | void;
+  run(context: ScenarioContext<S>): Promise<void> | void;
+  // Runs after run() whenever setup() succeeded
+  teardown?(context: ScenarioContext<S>): Promise<void> | void;
+}
+
+export interface RunScenariosOptions<S> {
+  state: S;
+  // Called with a copy of the results whenever they change
+  onProgress?: (run: RunResult) => void;
+  // Called for every log line, prefixed with the scenario name
+  log?: (line: string) => void;
+}
+
+class ScenarioSkipped extends Error {
+  constructor(reason: string) {
+    super(reason);
+    this.name = "ScenarioSkipped";
+  }
+}
+
+// Thrown by step() after it recorded the failure, so the scenario does not record it again
+class StepFailed extends Error {
+  readonly original: unknown;
+
+  constructor(original: unknown) {
+    super("Step failed");
+    this.original = original;
+  }
+}
+
+const MAX_CAUSE_DEPTH = 10;
+
+/**
+ * Convert an error and its causes to plain data
+ */
+export function describeError(error: unknown, depth = 0): ScenarioError {
+  const described: ScenarioError =
+    error instanceof Error
+      ? { name: error.name, message: error.message, ...(error.stack && { stack: error.stack }) }
+      : { name: "Error", message: String(error) };
+  const cause = error instanceof Error ? (error as Error & { cause?: unknown }).cause : undefined;
+  if (cause !== undefined && depth < MAX_CAUSE_DEPTH) {
+    described.cause = describeError(cause, depth + 1);
+  }
+  return described;
+}
+
+/**
+ * JSON with sorted object keys, so equal values give equal text
+ */
+export function canonicalJSON(value: unknown): string {
+  return JSON.stringify(value, (_key, member) =>
+    member && typeof member === "object" && !Array.isArray(member)
+      ? Object.fromEntries(Object.keys(member).sort().map((key) => [key, member[key]]))
+      : member
+  );
+}
+
+function sameValue(actual: unknown, expected: unknown): boolean {
+  return Object.is(actual, expected) || canonicalJSON(actual) === canonicalJSON(expected);
+}
+
+function copyRun(run: RunResult): RunResult {
+  return {
+    ...run,
+    scenarios: run.scenarios.map((scenario) => ({
+      ...scenario,
+      steps: scenario.steps.map((step) => ({ ...step, assertions: [...step.assertions] })),
+      assertions: [...scenario.assertions],
+      logs: [...scenario.logs],
+      ...(scenario.metrics && { metrics: [...scenario.metrics] }),
+    })),
+  };
+}
+
+/**
+ * Run scenarios in order; the returned promise does not reject when scenarios fail
+ */
+export async function runScenarios<S>(scenarios: Scenario<S>[], options: RunScenariosOptions<S>): Promise<RunResult> {
+  const started = Date.now();
+  const run: RunResult = {
+    status: "running",
+    startedAt: new Date(started).toISOString(),
+    durationMs: 0,
+    scenarios: scenarios.map((scenario) => ({
+      name: scenario.name,
+      ...(scenario.description && { description: scenario.description }),
+      status: "pending",
+      durationMs: 0,
+      steps: [],
+      assertions: [],
+      logs: [],
+    })),
+  };
+  const progress = () => options.onProgress?.(copyRun(run));
+  progress();
+
+  for (let i = 0; i < scenarios.length; i++) {
+    const scenario = scenarios[i];
+    const result = run.scenarios[i];
+    const unmet = (scenario.dependsOn ?? []).find(
+      (name) => run.scenarios.find((other) => other.name === name)?.status !== "passed"
+    );
+    if (unmet !== undefined) {
+      const dependency = run.scenarios.find((other) => other.name === unmet);
+      result.status = "skipped";
+      result.skipReason = dependency ? `${unmet} ${dependency.status === "skipped" ? "was skipped" : "failed"}` : `${unmet} did not run`;
+      progress();
+      continue;
+    }
+    result.status = "running";
+    progress();
+    await runScenario(scenario, result, options, progress);
+  }
+
+  run.durationMs = Date.now() - started;
+  const statuses = run.scenarios.map((scenario) => scenario.status);
+  run.status = statuses.includes("failed") ? "failed" : statuses.every((status) => status === "skipped") ? "skipped" : "passed";
+  progress();
+  return run;
+}
+
+async function runScenario<S>(
+  scenario: Scenario<S>,
+  result: ScenarioResult,
+  options: RunScenariosOptions<S>,
+  progress: () => void
+): Promise<void> {
+  const started = Date.now();
+  // The steps that are running, outermost first
+  const openSteps: StepResult[] = [];
+
+  const record = (assertion: AssertionResult): boolean => {
+    const currentStep = openSteps[openSteps.length - 1];
+    (currentStep ? currentStep.assertions : result.assertions).push(assertion);
+    if (!assertion.passed) {
+      // A failed assertion fails the steps around it too
+      for (const step of openSteps) {
+        step.status = "failed";
+      }
+    }
+    progress();
+    return assertion.passed;
+  };
+
+  const context: ScenarioContext<S> = {
+    state: options.state,
+    log: (line) => {
+      result.logs.push(line);
+      options.log?.(`[${scenario.name}] ${line}`);
+      progress();
+    },
+    step: async (name, fn) => {
+      const step: StepResult = { name, status: "running", durationMs: 0, assertions: [] };
+      result.steps.push(step);
+      openSteps.push(step);
+      progress();
+      const stepStarted = Date.now();
+      try {
+        const value = await fn();
+        if (step.status === "running") {
+          step.status = "passed";
+        }
+        return value;
+      } catch (error) {
+        if (error instanceof ScenarioSkipped) {
+          step.status = step.status === "running" ? "passed" : step.status;
+          throw error;
+        }
+        step.status = "failed";
+        // A nested step that failed has recorded the error already
+        if (error instanceof StepFailed) {
+          throw error;
+        }
+        step.error = describeError(error);
+        throw new StepFailed(error);
+      } finally {
+        step.durationMs = Date.now() - stepStarted;
+        openSteps.pop();
+        progress();
+      }
+    },
+    assert: (name, condition, details) => record({ name, passed: condition, ...(details !== undefined && { details }) }),
+    assertEqual: (name, actual, expected) => record({ name, passed: sameValue(actual, expected), expected, actual }),
+    metric: (name, value, unit) => {
+      (result.metrics = result.metrics ?? []).push({ name, value, unit });
+      progress();
+    },
+    skip: (reason) => {
+      throw new ScenarioSkipped(reason);
+    },
+  };
+
+  let failure: unknown;
+  let skipped: string | undefined;
+  const capture = (error: unknown) => {
+    if (error instanceof ScenarioSkipped) {
+      skipped = skipped ?? error.message;
+    } else if (failure === undefined) {
+      failure = error;
+    }
+  };
+
+  let setUp = false;
+  try {
+    await scenario.setup?.(context);
+    setUp = true;
+    await scenario.run(context);
+  } catch (error) {
+    capture(error);
+  }
+  if (setUp && scenario.teardown) {
+    try {
+      await scenario.teardown(context);
+    } catch (error) {
+      capture(error);
+    }
+  }
+
+  const assertionFailed = [...result.assertions, ...result.steps.flatMap((step) => step.assertions)].some(
+    (assertion) => !assertion.passed
+  );
+  if (failure !== undefined) {
+    result.status = "failed";
+    result.error = describeError(failure instanceof StepFailed ? failure.original : failure);
+  } else if (assertionFailed || result.steps.some((step) => step.status === "failed")) {
+    result.status = "failed";
+  } else if (skipped !== undefined) {
+    result.status = "skipped";
+    result.skipReason = skipped;
+  } else {
+    result.status = "passed";
+  }
+  result.durationMs = Date.now() - started;
+}
+
+const STATUS_SYMBOLS: Record<ScenarioStatus, string> = {
+  pending: "·",
+  running: "…",
+  passed: "✓",
+  failed: "✗",
+  skipped: "-",
+};
+
+function formatValue(value: unknown): string {
+  return typeof value === "string" ? JSON.stringify(value) : String(JSON.stringify(value));
+}
+
+export function formatAssertion(assertion: AssertionResult): string {
+  const symbol = assertion.passed ? "✓" : "✗";
+  if ("expected" in assertion) {
+    const comparison = assertion.passed
+      ? formatValue(assertion.actual)
+      : `${formatValue(assertion.actual)}, expected ${formatValue(assertion.expected)}`;
+    return `${symbol} ${assertion.name}: ${comparison}`;
+  }
+  return `${symbol} ${assertion.name}${assertion.details ? ` (${assertion.details})` : ""}`;
+}
+
+export function formatMetric(metric: MetricResult): string {
+  return `${metric.name}: ${metric.value} ${metric.unit}`;
+}
+
+export function formatError(error: ScenarioError, indent = ""): string {
+  const lines = [`${indent}${error.name}: ${error.message}`];
+  for (let cause = error.cause; cause; cause = cause.cause) {
+    lines.push(`${indent}  caused by ${cause.name}: ${cause.message}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Plain-text rendering of the results, for logs and the clipboard
+ */
+export function formatRunResult(run: RunResult, options: { logs?: boolean } = {}): string {
+  const lines: string[] = [];
+  for (const scenario of run.scenarios) {
+    const reason = scenario.skipReason ? ` - ${scenario.skipReason}` : "";
+    lines.push(`${STATUS_SYMBOLS[scenario.status]} ${scenario.name} (${scenario.durationMs}ms)${reason}`);
+    if (options.logs) {
+      lines.push(...scenario.logs.map((line) => `    ${line}`));
+    }
+    for (const step of scenario.steps) {
+      lines.push(`  ${STATUS_SYMBOLS[step.status]} ${step.name} (${step.durationMs}ms)`);
+      lines.push(...step.assertions.map((assertion) => `    ${formatAssertion(assertion)}`));
+    }
+    lines.push(...scenario.assertions.map((assertion) => `  ${formatAssertion(assertion)}`));
+    lines.push(...(scenario.metrics ?? []).map((metric) => `  ${formatMetric(metric)}`));
+    if (scenario.error) {
+      lines.push(formatError(scenario.error, "  "));
+    }
+  }
+  const counts = (["passed", "failed", "skipped"] as const).map(
+    (status) => `${run.scenarios.filter((scenario) => scenario.status === status).length} ${status}`
+  );
+  lines.push(`${run.status.toUpperCase()}: ${counts.join(", ")} in ${run.durationMs}ms`);
+  return lines.join("\n");
+}
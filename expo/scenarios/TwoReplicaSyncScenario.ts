@@ -0,0 +1,203 @@
+/**
+ * Two-Replica Sync Scenario
+ * Two independent replicas of one tenant edit documents, sync through a LoopbackSyncTransport, and must converge
+ *
+ * Replica A creates the tenant; replica B receives A's stores and opens the same tenant, like a second device of
+ * the app user. Both sides create documents and then edit the same document concurrently. After each sync, the
+ * scenario compares getData() of every document, the iterateChangesSince order and cursors, and the totals of a
+ * virtual view on both replicas. It needs no network and no React, so the app and the headless runner share it.
+ */
+
+import { LoopbackSyncTransport } from "../sync/LoopbackSyncTransport";
+import { ReplicaStoreFactory, syncReplicas } from "../sync/StoreSync";
+import { canonicalJSON, Scenario } from "./ScenarioRunner";
+
+export interface SyncScenarioEnvironment {
+  // The mindoodb module (BaseMindooTenantFactory, InMemoryContentAddressedStoreFactory, VirtualViewFactory, ...)
+  mindoodb: any;
+  // Crypto adapter of both replicas (default the one the crypto diagnostics scenario put into the state)
+  cryptoAdapter?: any;
+  // Store factory of each replica (default mindoodb's InMemoryContentAddressedStoreFactory)
+  createStoreFactory?: (replica: "A" | "B") => any;
+  // Delay of each transport request and response (default 0)
+  latencyMs?: number;
+}
+
+interface ReplicaSnapshot {
+  // Canonical JSON of getData() by document id
+  data: Record<string, string>;
+  // iterateChangesSince(null) in order
+  changes: Array<{ docId: string; lastModified: number; cursorMatches: boolean }>;
+  // Virtual view categories with their document count and amount total
+  totals: Record<string, { docs: number; total: number }>;
+}
+
+export const SYNC_SCENARIO_NAME = "Two-replica sync";
+
+const TENANT_ID = "sync-tenant";
+const DB_NAME = "sync-db";
+const ADMIN_PASSWORD = "adminpass123";
+const USER_PASSWORD = "userpass123";
+const CATEGORIES = ["Sales", "Engineering", "Marketing"];
+
+async function createDocuments(db: any, replica: string, count: number, offset: number): Promise<string[]> {
+  const ids: string[] = [];
+  for (let i = offset; i < offset + count; i++) {
+    const doc = await db.createDocument();
+    await db.changeDoc(doc, (d: any) => {
+      const data = d.getData();
+      data.index = i;
+      data.replica = replica;
+      data.category = CATEGORIES[i % CATEGORIES.length];
+      data.priority = "High";
+      data.name = `Document ${i}`;
+      data.amount = (i + 1) * 100;
+    });
+    ids.push(doc.getId());
+  }
+  return ids;
+}
+
+async function takeSnapshot(mindoodb: any, db: any): Promise<ReplicaSnapshot> {
+  const snapshot: ReplicaSnapshot = { data: {}, changes: [], totals: {} };
+  for await (const { doc, cursor } of db.iterateChangesSince(null)) {
+    const docId = doc.getId();
+    const lastModified = doc.getLastModified();
+    snapshot.changes.push({ docId, lastModified, cursorMatches: cursor.docId === docId && cursor.lastModified === lastModified });
+    snapshot.data[docId] = canonicalJSON((await db.getDocument(docId)).getData());
+  }
+
+  const { VirtualViewFactory, ColumnSorting, TotalMode } = mindoodb;
+  const view = await VirtualViewFactory.createView()
+    .addCategoryColumn("category", { title: "Category", sorting: ColumnSorting.ASCENDING })
+    .addSortedColumn("name", ColumnSorting.ASCENDING)
+    .addTotalColumn("amount", TotalMode.SUM)
+    .withDB(DB_NAME, db, () => true)
+    .buildAndUpdate();
+  const nav = VirtualViewFactory.createNavigator(view).build();
+  nav.expandAll();
+  for await (const entry of nav.entriesForward()) {
+    if (entry.isCategory()) {
+      snapshot.totals[entry.getCategoryValue()] = { docs: entry.getChildDocumentCount(), total: entry.getColumnValue("amount") };
+    }
+  }
+  return snapshot;
+}
+
+/**
+ * Totals the virtual view must show for a replica's documents
+ */
+function expectedTotals(snapshot: ReplicaSnapshot): Record<string, { docs: number; total: number }> {
+  const totals: Record<string, { docs: number; total: number }> = {};
+  for (const json of Object.values(snapshot.data)) {
+    const data = JSON.parse(json);
+    totals[data.category] = totals[data.category] ?? { docs: 0, total: 0 };
+    totals[data.category].docs++;
+    totals[data.category].total += data.amount;
+  }
+  return totals;
+}
+
+export function createTwoReplicaSyncScenario(environment: SyncScenarioEnvironment): Scenario<{ cryptoAdapter?: any }> {
+  const { mindoodb } = environment;
+  const createStoreFactory = environment.createStoreFactory ?? (() => new mindoodb.InMemoryContentAddressedStoreFactory());
+
+  return {
+    name: SYNC_SCENARIO_NAME,
+    description: "Two replicas of one tenant edit documents, sync through a loopback transport and must converge",
+    async run({ state, step, log, assert, assertEqual, skip }) {
+      if (!mindoodb) {
+        skip("mindoodb is not available");
+      }
+      const cryptoAdapter = environment.cryptoAdapter ?? state.cryptoAdapter;
+      const transport = new LoopbackSyncTransport({ latencyMs: environment.latencyMs });
+      const storesA = new ReplicaStoreFactory(createStoreFactory("A"));
+      const storesB = new ReplicaStoreFactory(createStoreFactory("B"));
+      const sync = async (label: string) => {
+        const result = await syncReplicas(storesA, storesB, transport);
+        log(`Synced ${label}: ${result.pulled} entries B → A, ${result.pushed} entries A → B`);
+      };
+
+      const created = await step("Create tenant on replica A", async () => {
+        const tenantFactory = new mindoodb.BaseMindooTenantFactory(storesA, cryptoAdapter);
+        const result = await tenantFactory.createTenant({
+          tenantId: TENANT_ID,
+          adminName: "CN=admin/O=synctenant",
+          adminPassword: ADMIN_PASSWORD,
+          userName: "CN=user/O=synctenant",
+          userPassword: USER_PASSWORD,
+        });
+        await sync("tenant");
+        return result;
+      });
+
+      // Replica B opens the tenant with A's admin public keys and the app user, like a second device of that user
+      const tenantB = await step("Open tenant on replica B", () =>
+        new mindoodb.BaseMindooTenantFactory(storesB, cryptoAdapter).openTenant(
+          TENANT_ID,
+          created.adminUser.userSigningKeyPair.publicKey,
+          created.adminUser.userEncryptionKeyPair.publicKey,
+          created.appUser,
+          USER_PASSWORD,
+          created.keyBag
+        )
+      );
+      const dbA = await created.tenant.openDB(DB_NAME);
+      const dbB = await tenantB.openDB(DB_NAME);
+      const syncDatabases = async (label: string) => {
+        await sync(label);
+        await dbA.syncStoreChanges();
+        await dbB.syncStoreChanges();
+      };
+
+      const [idsA, idsB] = await step("Create documents on both replicas", async () => {
+        const ids = [await createDocuments(dbA, "A", 6, 0), await createDocuments(dbB, "B", 4, 6)];
+        await syncDatabases("new documents");
+        return ids;
+      });
+
+      // Concurrent edits of one document on both sides, and a category move on B
+      const sharedId = idsA[0];
+      await step("Edit documents concurrently", async () => {
+        await dbA.changeDoc(await dbA.getDocument(sharedId), (d: any) => {
+          d.getData().amount = 5000;
+        });
+        await dbB.changeDoc(await dbB.getDocument(sharedId), (d: any) => {
+          d.getData().priority = "Low";
+        });
+        await dbB.changeDoc(await dbB.getDocument(idsB[0]), (d: any) => {
+          d.getData().category = "Marketing";
+        });
+        await syncDatabases("concurrent edits");
+      });
+
+      await step("Compare replicas", async () => {
+        const snapshotA = await takeSnapshot(mindoodb, dbA);
+        const snapshotB = await takeSnapshot(mindoodb, dbB);
+        const documentCount = idsA.length + idsB.length;
+        assertEqual("Documents on replica A", Object.keys(snapshotA.data).length, documentCount);
+        assertEqual("Documents on replica B", Object.keys(snapshotB.data).length, documentCount);
+        const differing = Object.keys({ ...snapshotA.data, ...snapshotB.data }).filter((id) => snapshotA.data[id] !== snapshotB.data[id]);
+        assert("getData() is equal on both replicas", differing.length === 0, differing.length > 0 ? `differs for ${differing.join(", ")}` : undefined);
+        const shared = snapshotA.data[sharedId] ? JSON.parse(snapshotA.data[sharedId]) : {};
+        assertEqual("Merged concurrent edits", { amount: shared.amount, priority: shared.priority }, { amount: 5000, priority: "Low" });
+        assert("iterateChangesSince order is equal on both replicas", canonicalJSON(snapshotA.changes) === canonicalJSON(snapshotB.changes));
+        assert("Cursors match their documents", [...snapshotA.changes, ...snapshotB.changes].every((change) => change.cursorMatches));
+
+        const lastChange = snapshotA.changes[snapshotA.changes.length - 1];
+        let newerChanges = 0;
+        for (const db of [dbA, dbB]) {
+          for await (const _change of db.iterateChangesSince({ docId: lastChange?.docId, lastModified: lastChange?.lastModified })) {
+            newerChanges++;
+          }
+        }
+        assertEqual("Changes after the last cursor", newerChanges, 0);
+        assertEqual("Virtual view totals on replica B", snapshotB.totals, snapshotA.totals);
+        assertEqual("Virtual view totals on replica A", snapshotA.totals, expectedTotals(snapshotA));
+      });
+
+      const { requests, bytesSent, bytesReceived } = transport.getStats();
+      log(`Transport: ${requests} requests, ${bytesSent} chars sent, ${bytesReceived} chars received`);
+    },
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * Workload Generator
+ * Seeded, reproducible document data for the benchmark: the same seed and options always produce the same documents
+ *
+ * Every document has the fields the virtual view categorizes and totals (category, priority, name, amount) plus a
+ * configurable number of extra fields that cycle through text, numbers, nested objects and arrays. Documents are
+ * generated one at a time from their index, so 100k documents never have to be held in memory at once.
+ */
+
+export interface WorkloadOptions {
+  // Documents to create, between WORKLOAD_LIMITS.minDocuments and WORKLOAD_LIMITS.maxDocuments
+  documents: number;
+  // Extra fields per document (default 4)
+  fields?: number;
+  // Levels of the nested object fields (default 2, 0 for flat documents)
+  nestingDepth?: number;
+  // Entries of the array fields (default 5)
+  arrayLength?: number;
+  // Characters of the text fields (default 64)
+  textSize?: number;
+  seed?: number;
+}
+
+export type ResolvedWorkloadOptions = Required<WorkloadOptions>;
+
+export const WORKLOAD_LIMITS = {
+  minDocuments: 10,
+  maxDocuments: 100000,
+  maxFields: 100,
+  maxNestingDepth: 10,
+  maxArrayLength: 1000,
+  maxTextSize: 100000,
+};
+
+export const WORKLOAD_CATEGORIES = ["Sales", "Engineering", "Marketing", "Support", "Finance"];
+const PRIORITIES = ["High", "Medium", "Low"];
+const WORDS = [
+  "alpha", "beta", "gamma", "delta", "epsilon", "zeta", "eta", "theta",
+  "project", "task", "initiative", "campaign", "feature", "update", "review", "release",
+];
+
+function checkRange(name: string, value: number, min: number, max: number): number {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new RangeError(`Workload ${name} must be an integer from ${min} to ${max}, got ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Fill in the defaults and check the limits
+ */
+export function resolveWorkload(options: WorkloadOptions): ResolvedWorkloadOptions {
+  return {
+    documents: checkRange("documents", options.documents, WORKLOAD_LIMITS.minDocuments, WORKLOAD_LIMITS.maxDocuments),
+    fields: checkRange("fields", options.fields ?? 4, 0, WORKLOAD_LIMITS.maxFields),
+    nestingDepth: checkRange("nestingDepth", options.nestingDepth ?? 2, 0, WORKLOAD_LIMITS.maxNestingDepth),
+    arrayLength: checkRange("arrayLength", options.arrayLength ?? 5, 0, WORKLOAD_LIMITS.maxArrayLength),
+    textSize: checkRange("textSize", options.textSize ?? 64, 0, WORKLOAD_LIMITS.maxTextSize),
+    seed: options.seed ?? 1,
+  };
+}
+
+/**
+ * mulberry32: a small, fast PRNG returning numbers in [0, 1)
+ */
+export function createRandom(seed: number): () => number {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export class WorkloadGenerator {
+  readonly options: ResolvedWorkloadOptions;
+
+  constructor(options: WorkloadOptions) {
+    this.options = resolveWorkload(options);
+  }
+
+  /**
+   * The data of document `index`
+   */
+  document(index: number): Record<string, unknown> {
+    const random = this.random(index, 0);
+    const data: Record<string, unknown> = {
+      index,
+      category: pick(random, WORKLOAD_CATEGORIES),
+      priority: pick(random, PRIORITIES),
+      name: `${capitalize(pick(random, WORDS))} ${capitalize(pick(random, WORDS))} ${index}`,
+      amount: integer(random, 1, 100000),
+    };
+    for (let field = 0; field < this.options.fields; field++) {
+      data[`field${field}`] = this.fieldValue(random, field);
+    }
+    return data;
+  }
+
+  /**
+   * The fields that change in document `index` on modification `round` (starting at 1): the amount, sometimes the
+   * category, and the first extra field
+   */
+  change(index: number, round: number): Record<string, unknown> {
+    const random = this.random(index, round);
+    const changes: Record<string, unknown> = { amount: integer(random, 1, 100000) };
+    if (random() < 0.3) {
+      changes.category = pick(random, WORKLOAD_CATEGORIES);
+    }
+    if (this.options.fields > 0) {
+      changes.field0 = this.fieldValue(random, 0);
+    }
+    return changes;
+  }
+
+  // Every document and round gets its own stream, so any document can be generated without the ones before it
+  private random(index: number, round: number): () => number {
+    return createRandom(Math.imul(this.options.seed, 0x9e3779b1) ^ Math.imul(index + 1, 0x85ebca6b) ^ Math.imul(round, 0xc2b2ae35));
+  }
+
+  private fieldValue(random: () => number, field: number): unknown {
+    switch (field % 4) {
+      case 0:
+        return text(random, this.options.textSize);
+      case 1:
+        return Math.round(random() * 1e6) / 100;
+      case 2:
+        return this.nested(random, this.options.nestingDepth);
+      default:
+        return Array.from({ length: this.options.arrayLength }, (_, i) =>
+          i % 2 === 0 ? integer(random, 0, 1000) : { word: pick(random, WORDS), flag: random() < 0.5 }
+        );
+    }
+  }
+
+  private nested(random: () => number, depth: number): unknown {
+    if (depth === 0) {
+      return text(random, Math.min(this.options.textSize, 16));
+    }
+    return {
+      label: pick(random, WORDS),
+      value: integer(random, 0, 1000),
+      child: this.nested(random, depth - 1),
+    };
+  }
+}
+
+function pick<T>(random: () => number, values: T[]): T {
+  return values[Math.floor(random() * values.length)];
+}
+
+function integer(random: () => number, min: number, max: number): number {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+function capitalize(word: string): string {
+  return word[0].toUpperCase() + word.slice(1);
+}
+
+function text(random: () => number, size: number): string {
+  let result = "";
+  while (result.length < size) {
+    result += `${pick(random, WORDS)} `;
+  }
+  return result.slice(0, size);
+}
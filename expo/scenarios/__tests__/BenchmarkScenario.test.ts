@@ -0,0 +1,80 @@
+/**
+ * Tests for the benchmark statistics, and a small benchmark run against MindooDB when the package is available
+ */
+
+import { ExpoGoCryptoAdapter } from "../../crypto/ExpoGoCryptoAdapter";
+import {
+  BENCHMARK_OPERATIONS,
+  createBenchmarkScenario,
+  describeAutomergeBackends,
+  formatBenchmarkComparison,
+  LatencyRecorder,
+  percentile,
+  summarizeLatencies,
+} from "../BenchmarkScenario";
+import { formatRunResult, runScenarios } from "../ScenarioRunner";
+
+let mindoodb: any;
+
+try {
+  mindoodb = require("mindoodb");
+} catch (e) {
+  console.warn("MindooDB not available for the benchmark scenario:", (e as Error).message);
+}
+
+const describeScenario = mindoodb ? describe : describe.skip;
+
+describe("benchmark statistics", () => {
+  it("should compute nearest-rank percentiles and throughput", () => {
+    const samples = Array.from({ length: 100 }, (_, i) => 100 - i);
+    expect(percentile([...samples].sort((a, b) => a - b), 50)).toBe(50);
+    expect(percentile([...samples].sort((a, b) => a - b), 95)).toBe(95);
+    expect(percentile([], 50)).toBe(0);
+    expect(summarizeLatencies([4, 1, 2, 3])).toEqual({ count: 4, totalMs: 10, opsPerSecond: 400, p50Ms: 2, p95Ms: 4, maxMs: 4 });
+  });
+
+  it("should record the latency of successful and failing calls per operation", async () => {
+    const recorder = new LatencyRecorder();
+    await expect(recorder.time("getDocument", async () => "doc")).resolves.toBe("doc");
+    await expect(recorder.time("getDocument", () => Promise.reject(new Error("missing")))).rejects.toThrow("missing");
+    recorder.record("view.update()", 5);
+
+    const operations = recorder.summarize();
+    expect(Object.keys(operations)).toEqual(["getDocument", "view.update()"]);
+    expect(operations.getDocument?.count).toBe(2);
+    expect(formatBenchmarkComparison([{ backend: "wasm", workload: {} as any, operations }])).toContain("view.update() | 200, 5/5");
+  });
+
+  it("should name the backends that cannot run and why", () => {
+    const backends = [{ name: "native", activate: () => undefined }];
+    const unavailableBackends = [{ name: "wasm", reason: "no WebAssembly in Hermes" }];
+    expect(describeAutomergeBackends(backends, unavailableBackends)).toBe("native; wasm not available (no WebAssembly in Hermes)");
+    expect(createBenchmarkScenario({ mindoodb: null, workload: { documents: 10 }, backends, unavailableBackends }).description).toBe(
+      "10 generated documents with 4 extra fields (seed 1) on native; wasm not available (no WebAssembly in Hermes)"
+    );
+  });
+
+  it("should skip the scenario without mindoodb", async () => {
+    const run = await runScenarios([createBenchmarkScenario({ mindoodb: null, workload: { documents: 10 } })], { state: {} });
+    expect(run.scenarios[0]).toMatchObject({ status: "skipped", skipReason: "mindoodb is not available" });
+  });
+});
+
+describeScenario("Benchmark scenario", () => {
+  it("should measure every operation on a small workload", async () => {
+    const scenario = createBenchmarkScenario({
+      mindoodb,
+      cryptoAdapter: new ExpoGoCryptoAdapter(),
+      workload: { documents: 50, seed: 7 },
+      syncEvery: 20,
+      updateRounds: 2,
+    });
+    const state: { benchmarks?: any[] } = {};
+    const run = await runScenarios([scenario], { state });
+
+    expect(formatRunResult(run)).not.toContain("✗");
+    expect(run.status).toBe("passed");
+    expect(Object.keys(state.benchmarks![0].operations)).toEqual([...BENCHMARK_OPERATIONS]);
+    expect(run.scenarios[0].metrics).toContainEqual({ name: "default createDocument p95", value: expect.any(Number), unit: "ms" });
+  }, 300000);
+});
@@ -0,0 +1,72 @@
+/**
+ * Runs the app's MindooDB scenarios under Node
+ * The crypto diagnostics always run; the scenarios that need MindooDB are skipped when it is not available
+ */
+
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { ExpoGoCryptoAdapter } from "../../crypto/ExpoGoCryptoAdapter";
+import { FileSystemContentAddressedStoreFactory } from "../../storage";
+import { NodeFileSystem } from "../../storage/NodeFileSystem";
+import { createMindooDBScenarios, MindooDBScenarioEnvironment, SCENARIO_NAMES } from "../MindooDBScenarios";
+import { formatRunResult, runScenarios } from "../ScenarioRunner";
+
+let mindoodb: any;
+
+try {
+  mindoodb = require("mindoodb");
+} catch (e) {
+  console.warn("MindooDB not available for the app scenarios:", (e as Error).message);
+}
+
+function createEnvironment(): MindooDBScenarioEnvironment {
+  return {
+    mindoodb,
+    createStoreFactory: async () => ({ storeFactory: mindoodb && new mindoodb.InMemoryContentAddressedStoreFactory(), description: "memory" }),
+    createCryptoAdapter: async () => ({ cryptoAdapter: new ExpoGoCryptoAdapter(), name: "expo-go" }),
+  };
+}
+
+describe("MindooDB scenarios", () => {
+  it("should pass the crypto diagnostics with the ExpoGoCryptoAdapter", async () => {
+    const [crypto] = createMindooDBScenarios(createEnvironment());
+    const run = await runScenarios([crypto], { state: {} });
+
+    expect(run.scenarios[0].name).toBe(SCENARIO_NAMES.crypto);
+    expect(run.status).toBe("passed");
+    expect(run.scenarios[0].steps.map((step) => step.name)).toEqual([
+      "Create store factory",
+      "Create crypto adapter",
+      "getSubtle()",
+      "Run crypto self-tests",
+    ]);
+    expect(run.scenarios[0].logs).toContain("Crypto adapter: expo-go");
+  }, 60000);
+
+  (mindoodb ? it : it.skip)("should pass every scenario and read the documents back from reopened stores", async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), "mindoodb-scenarios-"));
+    try {
+      const createStoreFactory = async () => ({
+        storeFactory: new FileSystemContentAddressedStoreFactory(new NodeFileSystem(), directory),
+        description: "filesystem",
+      });
+      const environment = { ...createEnvironment(), createStoreFactory, reopenStoreFactory: createStoreFactory };
+      const run = await runScenarios(createMindooDBScenarios(environment), { state: {} });
+
+      expect(formatRunResult(run)).not.toContain("✗");
+      expect(run.scenarios.map((scenario) => scenario.status)).toEqual(Array(7).fill("passed"));
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  }, 120000);
+
+  (mindoodb ? it : it.skip)("should skip reopening stores that do not persist", async () => {
+    const run = await runScenarios(createMindooDBScenarios(createEnvironment()), { state: {} });
+
+    expect(run.scenarios.find((scenario) => scenario.name === SCENARIO_NAMES.reopen)).toMatchObject({
+      status: "skipped",
+      skipReason: "the store backend does not persist its data",
+    });
+  }, 120000);
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for the scenario reports: JSON, JUnit XML and Markdown exports, and the diff of two reports
+ */
+
+import { createReport, diffReports, exportReport, formatReportDiff, parseReport, ScenarioReport } from "../ScenarioReports";
+import { runScenarios, RunResult } from "../ScenarioRunner";
+
+const ENVIRONMENT = { platform: "ios 17.5", jsEngine: "Hermes", cryptoProvider: "quick-crypto", mindoodbVersion: undefined };
+
+async function createRun(): Promise<RunResult> {
+  return runScenarios(
+    [
+      {
+        name: "Crypto <diagnostics>",
+        async run({ step, log, metric }) {
+          log("SHA-256 & AES-GCM ok");
+          metric("SHA-256 | throughput", 120.5, "MB/s");
+          await step("self-tests", () => undefined);
+        },
+      },
+      {
+        name: "createTenant",
+        async run({ step }) {
+          await step("create", () => {
+            throw new Error("createTenant failed", { cause: new TypeError('key "admin" is undefined') });
+          });
+        },
+      },
+      {
+        name: "Change iteration",
+        run({ assertEqual }) {
+          assertEqual("Documents processed", 9, 10);
+        },
+      },
+      { name: "Virtual view", dependsOn: ["createTenant"], run: () => undefined },
+    ],
+    { state: {} }
+  );
+}
+
+describe("ScenarioReports", () => {
+  it("should write every scenario as an escaped JUnit testcase", async () => {
+    const xml = exportReport(createReport([{ name: "node-webcrypto", run: await createRun() }], ENVIRONMENT), "junit");
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="MindooDB scenarios" tests="4" failures="1" errors="1" skipped="1" time="\d+\.\d{3}">/);
+    expect(xml).toContain('<testsuite name="node-webcrypto" tests="4" failures="1" errors="1" skipped="1"');
+    expect(xml).toContain('<property name="jsEngine" value="Hermes"/>');
+    expect(xml).not.toContain("mindoodbVersion");
+    expect(xml).toContain('<testcase classname="node-webcrypto" name="Crypto &lt;diagnostics&gt;"');
+    expect(xml).toContain("<system-out>passed self-tests (");
+    expect(xml).toContain("SHA-256 &amp; AES-GCM ok</system-out>");
+    expect(xml).toContain('<error message="createTenant failed" type="Error">Error: createTenant failed\n  caused by TypeError: key &quot;admin&quot; is undefined');
+    expect(xml).toContain('<failure message="Documents processed" type="AssertionError">✗ Documents processed: 9, expected 10</failure>');
+    expect(xml).toContain('<skipped message="createTenant failed"/>');
+    expect(xml.match(/<testcase /g)).toHaveLength(4);
+    expect(xml.match(/<\/testcase>/g)).toHaveLength(4);
+  });
+
+  it("should summarize the suites and read back the JSON export", async () => {
+    const report = createReport(
+      [
+        { name: "node-webcrypto", run: await createRun() },
+        { name: "expo-go-polyfill", run: await createRun() },
+      ],
+      ENVIRONMENT
+    );
+
+    expect(report.environment).toEqual({ platform: "ios 17.5", jsEngine: "Hermes", cryptoProvider: "quick-crypto" });
+    expect(report.summary).toMatchObject({ status: "failed", passed: 2, failed: 4, skipped: 2 });
+    expect(report.suites.map((suite) => [suite.name, suite.status])).toEqual([
+      ["node-webcrypto", "failed"],
+      ["expo-go-polyfill", "failed"],
+    ]);
+    expect(report.suites[0].scenarios[1].error?.cause?.name).toBe("TypeError");
+    expect(parseReport(exportReport(report, "json"))).toEqual(report);
+    expect(() => parseReport('{"suites": []}')).toThrow("Not a scenario report");
+  });
+
+  it("should export Markdown with the environment and the details of failed scenarios", async () => {
+    const markdown = exportReport(createReport([{ name: "node-webcrypto", run: await createRun() }], ENVIRONMENT), "markdown");
+
+    expect(markdown).toContain("| Crypto <diagnostics> | ✅ passed |");
+    expect(markdown).toContain("| JS engine | Hermes |");
+    expect(markdown).toContain("| Crypto &lt;diagnostics&gt; |".replace(/&lt;/g, "<").replace(/&gt;/g, ">"));
+    expect(markdown).toContain("| Virtual view | ⏭️ skipped (createTenant failed) |");
+    expect(markdown).toContain("### 📊 Crypto <diagnostics>\n\n| Metric | Value |\n| --- | --- |\n| SHA-256 \\| throughput | 120.5 MB/s |");
+    expect(markdown).toContain("### ❌ createTenant\n\n- ✗ create (");
+    expect(markdown).toContain("```\nError: createTenant failed\n  caused by TypeError: key \"admin\" is undefined\n```");
+    expect(markdown).toContain("### ❌ Change iteration\n\n- ✗ Documents processed: 9, expected 10");
+  });
+
+  it("should find regressed, fixed, slower and added scenarios and steps", () => {
+    const scenario = (name: string, status: "passed" | "failed", durationMs: number, steps: Array<[string, "passed" | "failed", number]> = []) => ({
+      name,
+      status,
+      durationMs,
+      steps: steps.map(([stepName, stepStatus, stepDuration]) => ({ name: stepName, status: stepStatus, durationMs: stepDuration, assertions: [] })),
+      assertions: [],
+      logs: [],
+    });
+    const report = (scenarios: ReturnType<typeof scenario>[]): ScenarioReport =>
+      createReport([{ name: "app", run: { status: "passed", startedAt: "2026-01-01T00:00:00.000Z", durationMs: 0, scenarios } }]);
+
+    const previous = report([
+      scenario("createTenant", "passed", 1000, [["createTenant", "passed", 900]]),
+      scenario("Change iteration", "passed", 50),
+      scenario("Virtual view", "failed", 30),
+      scenario("Legacy", "passed", 10),
+    ]);
+    const current = report([
+      scenario("createTenant", "passed", 1900, [["createTenant", "passed", 1800]]),
+      scenario("Change iteration", "failed", 60),
+      scenario("Virtual view", "passed", 35),
+      scenario("Sync", "passed", 5),
+    ]);
+
+    const diff = diffReports(previous, current);
+    expect(diff.changes.map((change) => [change.kind, change.scenario, change.step])).toEqual([
+      ["slower", "createTenant", undefined],
+      ["slower", "createTenant", "createTenant"],
+      ["regressed", "Change iteration", undefined],
+      ["fixed", "Virtual view", undefined],
+      ["added", "Sync", undefined],
+      ["removed", "Legacy", undefined],
+    ]);
+    expect(diffReports(previous, previous).changes).toEqual([]);
+
+    const text = formatReportDiff(diff);
+    expect(text).toContain("**Regressed** (1)\n- app › Change iteration: passed → failed");
+    expect(text).toContain("- app › createTenant › createTenant: 900 ms → 1800 ms");
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Tests for the scenario runner
+ * Covers steps, assertions, dependencies, setup/teardown, error cause chains and the text rendering
+ */
+
+import { formatRunResult, RunResult, runScenarios, Scenario } from "../ScenarioRunner";
+
+interface TestState {
+  events: string[];
+  value?: number;
+}
+
+describe("runScenarios", () => {
+  it("should run timed steps that share state between scenarios", async () => {
+    const scenarios: Scenario<TestState>[] = [
+      {
+        name: "produce",
+        async run({ state, step, log }) {
+          state.value = await step("compute", async () => 42);
+          log("computed");
+        },
+      },
+      {
+        name: "consume",
+        dependsOn: ["produce"],
+        run({ state, assertEqual }) {
+          assertEqual("value", state.value, 42);
+        },
+      },
+    ];
+
+    const run = await runScenarios(scenarios, { state: { events: [] } });
+
+    expect(run.status).toBe("passed");
+    expect(run.scenarios.map((scenario) => scenario.status)).toEqual(["passed", "passed"]);
+    expect(run.scenarios[0].steps).toEqual([{ name: "compute", status: "passed", durationMs: expect.any(Number), assertions: [] }]);
+    expect(run.scenarios[0].logs).toEqual(["computed"]);
+    expect(run.scenarios[1].assertions).toEqual([{ name: "value", passed: true, expected: 42, actual: 42 }]);
+  });
+
+  it("should record every assertion and fail the step and scenario when one fails", async () => {
+    const run = await runScenarios(
+      [
+        {
+          name: "verify",
+          async run({ step, assert, assertEqual }) {
+            await step("check", () => {
+              assertEqual("count", 9, 10);
+              assertEqual("totals", { b: 2, a: 1 }, { a: 1, b: 2 });
+              assert("ordered", true);
+            });
+            await step("after", () => undefined);
+          },
+        },
+      ],
+      { state: {} }
+    );
+
+    const [scenario] = run.scenarios;
+    expect(scenario.status).toBe("failed");
+    expect(scenario.error).toBeUndefined();
+    expect(scenario.steps.map((step) => step.status)).toEqual(["failed", "passed"]);
+    expect(scenario.steps[0].assertions.map((assertion) => assertion.passed)).toEqual([false, true, true]);
+    expect(run.status).toBe("failed");
+  });
+
+  it("should fail the enclosing steps when an assertion in a nested step fails", async () => {
+    const run = await runScenarios(
+      [
+        {
+          name: "nested",
+          async run({ step, assertEqual }) {
+            await step("outer", async () => {
+              await step("middle", async () => {
+                await step("inner", () => {
+                  assertEqual("count", 9, 10);
+                });
+                await step("sibling", () => undefined);
+              });
+            });
+            await step("after", () => undefined);
+          },
+        },
+      ],
+      { state: {} }
+    );
+
+    const [scenario] = run.scenarios;
+    expect(scenario.steps.map((step) => [step.name, step.status])).toEqual([
+      ["outer", "failed"],
+      ["middle", "failed"],
+      ["inner", "failed"],
+      ["sibling", "passed"],
+      ["after", "passed"],
+    ]);
+    expect(scenario.steps[2].assertions).toHaveLength(1);
+    expect(scenario.steps[0].assertions).toEqual([]);
+    expect(scenario.status).toBe("failed");
+  });
+
+  it("should end a scenario on an exception, keep the cause chain and skip its dependents", async () => {
+    const run = await runScenarios<TestState>(
+      [
+        {
+          name: "tenant",
+          async run({ step }) {
+            await step("create", () => {
+              throw new Error("createTenant failed", { cause: new TypeError("key is undefined") });
+            });
+            await step("never", () => undefined);
+          },
+        },
+        { name: "documents", dependsOn: ["tenant"], run: () => undefined },
+        { name: "view", dependsOn: ["documents"], run: () => undefined },
+        { name: "independent", run: () => undefined },
+      ],
+      { state: { events: [] } }
+    );
+
+    const [tenant, documents, view, independent] = run.scenarios;
+    expect(tenant.status).toBe("failed");
+    expect(tenant.steps.map((step) => step.name)).toEqual(["create"]);
+    expect(tenant.error).toMatchObject({
+      name: "Error",
+      message: "createTenant failed",
+      cause: { name: "TypeError", message: "key is undefined" },
+    });
+    expect(tenant.steps[0].error).toEqual(tenant.error);
+    expect(documents).toMatchObject({ status: "skipped", skipReason: "tenant failed" });
+    expect(view).toMatchObject({ status: "skipped", skipReason: "documents was skipped" });
+    expect(independent.status).toBe("passed");
+  });
+
+  it("should run teardown after a failure and report skips", async () => {
+    const state: TestState = { events: [] };
+    const run = await runScenarios<TestState>(
+      [
+        {
+          name: "failing",
+          setup: ({ state }) => {
+            state.events.push("setup");
+          },
+          run: ({ state }) => {
+            state.events.push("run");
+            throw new Error("boom");
+          },
+          teardown: ({ state }) => {
+            state.events.push("teardown");
+          },
+        },
+        {
+          name: "unsupported",
+          setup: () => {
+            throw new Error("setup failed");
+          },
+          run: () => undefined,
+          teardown: ({ state }) => {
+            state.events.push("teardown without setup");
+          },
+        },
+        { name: "skipping", run: ({ skip }) => skip("needs a device") },
+      ],
+      { state }
+    );
+
+    expect(state.events).toEqual(["setup", "run", "teardown"]);
+    expect(run.scenarios.map((scenario) => scenario.status)).toEqual(["failed", "failed", "skipped"]);
+    expect(run.scenarios[1].error?.message).toBe("setup failed");
+    expect(run.scenarios[2].skipReason).toBe("needs a device");
+  });
+
+  it("should report progress and render the results as text", async () => {
+    const updates: RunResult[] = [];
+    const run = await runScenarios(
+      [
+        {
+          name: "crypto",
+          async run({ step, log, assertEqual, metric }) {
+            log("SHA-256 ok");
+            metric("SHA-256 throughput", 120.5, "MB/s");
+            await step("self-tests", () => {
+              assertEqual("failed algorithms", ["RSA-OAEP"], []);
+            });
+          },
+        },
+        { name: "tenant", dependsOn: ["crypto"], run: () => undefined },
+      ],
+      { state: {}, onProgress: (update) => updates.push(update) }
+    );
+
+    expect(updates[0].scenarios.map((scenario) => scenario.status)).toEqual(["pending", "pending"]);
+    expect(updates[updates.length - 1]).toEqual(run);
+    expect(updates.some((update) => update.scenarios[0].status === "running")).toBe(true);
+
+    const text = formatRunResult(run, { logs: true });
+    expect(text).toContain("✗ crypto");
+    expect(text).toContain("    SHA-256 ok");
+    expect(text).toContain('✗ failed algorithms: ["RSA-OAEP"], expected []');
+    expect(text).toContain("  SHA-256 throughput: 120.5 MB/s");
+    expect(run.scenarios[0].metrics).toEqual([{ name: "SHA-256 throughput", value: 120.5, unit: "MB/s" }]);
+    expect(run.scenarios[1].metrics).toBeUndefined();
+    expect(text).toContain("- tenant (0ms) - crypto failed");
+    expect(text).toMatch(/FAILED: 0 passed, 1 failed, 1 skipped in \d+ms$/);
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * Runs the two-replica sync scenario against MindooDB
+ * Skipped when the mindoodb package is not available, like the crypto integration tests
+ */
+
+import { ExpoGoCryptoAdapter } from "../../crypto/ExpoGoCryptoAdapter";
+import { formatRunResult, runScenarios } from "../ScenarioRunner";
+import { createTwoReplicaSyncScenario } from "../TwoReplicaSyncScenario";
+
+let mindoodb: any;
+
+try {
+  mindoodb = require("mindoodb");
+} catch (e) {
+  console.warn("MindooDB not available for the sync scenario:", (e as Error).message);
+}
+
+const describeScenario = mindoodb ? describe : describe.skip;
+
+describeScenario("Two-replica sync scenario", () => {
+  it("should converge documents, change cursors and view totals", async () => {
+    const scenario = createTwoReplicaSyncScenario({ mindoodb, cryptoAdapter: new ExpoGoCryptoAdapter(), latencyMs: 1 });
+    const run = await runScenarios([scenario], { state: {} });
+
+    expect(formatRunResult(run)).not.toContain("✗");
+    expect(run.status).toBe("passed");
+  }, 120000);
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for the seeded workload generator: reproducible documents, the configured shape and the limits
+ */
+
+import { createRandom, WORKLOAD_CATEGORIES, WorkloadGenerator } from "../WorkloadGenerator";
+
+function depth(value: unknown): number {
+  return value && typeof value === "object" && !Array.isArray(value) ? 1 + depth((value as { child: unknown }).child) : 0;
+}
+
+describe("WorkloadGenerator", () => {
+  it("should generate the same documents and changes for the same seed", () => {
+    const first = new WorkloadGenerator({ documents: 100, seed: 42 });
+    const second = new WorkloadGenerator({ documents: 100, seed: 42 });
+    const other = new WorkloadGenerator({ documents: 100, seed: 43 });
+
+    expect(second.document(57)).toEqual(first.document(57));
+    expect(second.change(57, 3)).toEqual(first.change(57, 3));
+    expect(other.document(57)).not.toEqual(first.document(57));
+    expect(first.document(58)).not.toEqual(first.document(57));
+    expect(first.change(57, 4)).not.toEqual(first.change(57, 3));
+  });
+
+  it("should shape documents by field count, nesting depth, array length and text size", () => {
+    const generator = new WorkloadGenerator({ documents: 10, fields: 8, nestingDepth: 3, arrayLength: 7, textSize: 200 });
+    const data = generator.document(3);
+
+    expect(data).toMatchObject({ index: 3, priority: expect.any(String), name: expect.stringMatching(/ 3$/) });
+    expect(WORKLOAD_CATEGORIES).toContain(data.category);
+    expect(data.amount).toBeGreaterThanOrEqual(1);
+    expect(Object.keys(data).filter((key) => key.startsWith("field"))).toHaveLength(8);
+    expect(data.field0).toHaveLength(200);
+    expect(typeof data.field1).toBe("number");
+    expect(depth(data.field2)).toBe(3);
+    expect(data.field3).toHaveLength(7);
+    expect(Object.keys(generator.change(3, 1))).toEqual(expect.arrayContaining(["amount", "field0"]));
+
+    const flat = new WorkloadGenerator({ documents: 10, fields: 0 }).document(0);
+    expect(Object.keys(flat).sort()).toEqual(["amount", "category", "index", "name", "priority"]);
+  });
+
+  it("should reject workloads outside the limits", () => {
+    expect(() => new WorkloadGenerator({ documents: 9 })).toThrow(RangeError);
+    expect(() => new WorkloadGenerator({ documents: 100001 })).toThrow("Workload documents must be an integer from 10 to 100000, got 100001");
+    expect(() => new WorkloadGenerator({ documents: 100, fields: -1 })).toThrow(RangeError);
+    expect(new WorkloadGenerator({ documents: 100000 }).options).toEqual({
+      documents: 100000,
+      fields: 4,
+      nestingDepth: 2,
+      arrayLength: 5,
+      textSize: 64,
+      seed: 1,
+    });
+  });
+
+  it("should return uniformly spread numbers from the seeded random source", () => {
+    const random = createRandom(7);
+    const samples = Array.from({ length: 10000 }, () => random());
+    expect(samples.every((sample) => sample >= 0 && sample < 1)).toBe(true);
+    const mean = samples.reduce((sum, sample) => sum + sample, 0) / samples.length;
+    expect(mean).toBeCloseTo(0.5, 1);
+    expect(createRandom(7)()).toBe(samples[0]);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Expo File System
+ * StorageFileSystem over the expo-file-system module, for React Native
+ *
+ * The module is passed in, like react-native-quick-crypto to QuickCryptoAdapter:
+ *   new ExpoFileSystem(require('expo-file-system'))
+ * expo-file-system reads and writes binary files as base64 strings.
+ */
+
+import { StorageFileSystem, base64ToBytes, bytesToBase64, joinPath } from "./StorageFileSystem";
+
+/**
+ * The part of the expo-file-system API the store uses
+ */
+export interface ExpoFileSystemModule {
+  documentDirectory: string | null;
+  getInfoAsync(fileUri: string): Promise<{ exists: boolean }>;
+  readAsStringAsync(fileUri: string, options?: { encoding?: "utf8" | "base64" }): Promise<string>;
+  writeAsStringAsync(fileUri: string, contents: string, options?: { encoding?: "utf8" | "base64" }): Promise<void>;
+  deleteAsync(fileUri: string, options?: { idempotent?: boolean }): Promise<void>;
+  moveAsync(options: { from: string; to: string }): Promise<void>;
+  makeDirectoryAsync(fileUri: string, options?: { intermediates?: boolean }): Promise<void>;
+  readDirectoryAsync(fileUri: string): Promise<string[]>;
+}
+
+export class ExpoFileSystem implements StorageFileSystem {
+  private readonly fileSystem: ExpoFileSystemModule;
+
+  constructor(fileSystem: ExpoFileSystemModule) {
+    this.fileSystem = fileSystem;
+  }
+
+  /**
+   * Get a path in the app's document directory, which survives app restarts and updates
+   */
+  getDocumentPath(name: string): string {
+    if (!this.fileSystem.documentDirectory) {
+      throw new Error("expo-file-system has no document directory on this platform");
+    }
+    return joinPath(this.fileSystem.documentDirectory, name);
+  }
+
+  async readFile(path: string): Promise<Uint8Array | null> {
+    if (!(await this.fileSystem.getInfoAsync(path)).exists) {
+      return null;
+    }
+    return base64ToBytes(await this.fileSystem.readAsStringAsync(path, { encoding: "base64" }));
+  }
+
+  async writeFile(path: string, data: Uint8Array): Promise<void> {
+    await this.fileSystem.writeAsStringAsync(path, bytesToBase64(data), { encoding: "base64" });
+  }
+
+  async rename(from: string, to: string): Promise<void> {
+    await this.fileSystem.moveAsync({ from, to });
+  }
+
+  async deleteFile(path: string): Promise<void> {
+    await this.fileSystem.deleteAsync(path, { idempotent: true });
+  }
+
+  /**
+   * Delete a directory with everything in it; a missing directory is not an error
+   */
+  async deleteDirectory(path: string): Promise<void> {
+    await this.fileSystem.deleteAsync(path, { idempotent: true });
+  }
+
+  async listDirectory(path: string): Promise<string[]> {
+    if (!(await this.fileSystem.getInfoAsync(path)).exists) {
+      return [];
+    }
+    return this.fileSystem.readDirectoryAsync(path);
+  }
+
+  async makeDirectory(path: string): Promise<void> {
+    // With intermediates, an existing directory is not an error
+    await this.fileSystem.makeDirectoryAsync(path, { intermediates: true });
+  }
+}
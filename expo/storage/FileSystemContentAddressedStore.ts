@@ -0,0 +1,445 @@
+/**
+ * File System Content Addressed Store
+ * Persistent MindooDB ContentAddressedStore and ContentAddressedStoreFactory on a StorageFileSystem
+ *
+ * Layout of a store directory:
+ *   blobs/<sha-256 hex>   encrypted entry data, named by its hash and verified against it when read
+ *   segments/<seq>.json   entry metadata and purges, one segment per write, applied in sequence order
+ *
+ * Every file is written through a temporary file and a rename (writeFileAtomic), and a write is committed by
+ * its segment: blobs are written first, so an interrupted write leaves at most unreferenced blobs and temporary
+ * files, which compaction deletes. Compaction also folds all segments into one snapshot segment and drops the
+ * blobs of purged entries.
+ *
+ * Only one store instance may use a directory at a time; the factory hands out one instance per database.
+ */
+
+import { sha256Digest } from "../crypto/SHA256Adapter";
+import {
+  StorageFileSystem,
+  TEMP_SUFFIX,
+  joinPath,
+  parseWithBytes,
+  stringifyWithBytes,
+  writeFileAtomic,
+} from "./StorageFileSystem";
+
+/**
+ * Entry metadata as MindooDB stores it; fields beyond these are persisted as they are, Uint8Array included
+ */
+export interface StoreEntryMetadata {
+  id: string;
+  docId: string;
+  dependencyIds: string[];
+  [field: string]: unknown;
+}
+
+export interface StoreEntry extends StoreEntryMetadata {
+  encryptedData: Uint8Array;
+}
+
+export interface FileSystemStoreOptions {
+  // Digest naming and verifying blobs (default the JavaScript SHA-256); a native digest is faster for large data
+  digest?: (data: Uint8Array) => Promise<ArrayBuffer>;
+  // Compact once a store has this many segments (default 64, 0 to compact only on request)
+  autoCompactSegments?: number;
+}
+
+export interface StoreVerificationResult {
+  checked: number;
+  // Entries whose blob is missing or does not match its hash
+  corruptIds: string[];
+}
+
+export interface CompactionResult {
+  mergedSegments: number;
+  entries: number;
+  removedBlobs: number;
+  removedTempFiles: number;
+}
+
+/**
+ * Stored data does not match its hash, or a segment cannot be read
+ */
+export class StoreIntegrityError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "StoreIntegrityError";
+  }
+}
+
+interface IndexedEntry {
+  metadata: StoreEntryMetadata;
+  blob: string;
+}
+
+interface Segment {
+  version: 1;
+  // A snapshot holds every entry, so older segments no longer apply
+  snapshot?: boolean;
+  entries: IndexedEntry[];
+  purgedDocIds: string[];
+}
+
+const SEGMENT_SUFFIX = ".json";
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toHex(buffer: ArrayBuffer): string {
+  return Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Persistent ContentAddressedStore
+ */
+export class FileSystemContentAddressedStore {
+  private readonly fs: StorageFileSystem;
+  private readonly id: string;
+  private readonly blobsPath: string;
+  private readonly segmentsPath: string;
+  private readonly digest: (data: Uint8Array) => Promise<ArrayBuffer>;
+  private readonly autoCompactSegments: number;
+  // Entries in the order they were added
+  private readonly entries = new Map<string, IndexedEntry>();
+  private readonly blobs = new Set<string>();
+  private segmentCount = 0;
+  private nextSequence = 1;
+  private loading: Promise<void> | null = null;
+  // Writes and compaction run one at a time, in call order
+  private writeQueue: Promise<unknown> = Promise.resolve();
+
+  constructor(fs: StorageFileSystem, directory: string, id: string, options: FileSystemStoreOptions = {}) {
+    this.fs = fs;
+    this.id = id;
+    this.blobsPath = joinPath(directory, "blobs");
+    this.segmentsPath = joinPath(directory, "segments");
+    this.digest = options.digest ?? sha256Digest;
+    this.autoCompactSegments = options.autoCompactSegments ?? 64;
+  }
+
+  getId(): string {
+    return this.id;
+  }
+
+  /**
+   * Add entries; entries whose id is already stored are skipped
+   */
+  async putEntries(entries: StoreEntry[]): Promise<void> {
+    await this.exclusive(async () => {
+      const added = new Map<string, IndexedEntry>();
+      for (const entry of entries) {
+        if (this.entries.has(entry.id) || added.has(entry.id)) {
+          continue;
+        }
+        const { encryptedData, ...metadata } = entry;
+        added.set(entry.id, { metadata, blob: await this.writeBlob(encryptedData) });
+      }
+      if (added.size === 0) {
+        return;
+      }
+      await this.writeSegment({ version: 1, entries: [...added.values()], purgedDocIds: [] });
+      for (const [id, entry] of added) {
+        this.entries.set(id, entry);
+      }
+      if (this.autoCompactSegments > 0 && this.segmentCount >= this.autoCompactSegments) {
+        await this.compactSegments();
+      }
+    });
+  }
+
+  /**
+   * Get the stored entries among ids, with their data verified against its hash
+   */
+  async getEntries(ids: string[]): Promise<StoreEntry[]> {
+    await this.load();
+    const result: StoreEntry[] = [];
+    for (const id of ids) {
+      const entry = this.entries.get(id);
+      if (entry) {
+        result.push({ ...entry.metadata, encryptedData: await this.readBlob(entry) });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Get the ids among ids that are stored
+   */
+  async hasEntries(ids: string[]): Promise<string[]> {
+    await this.load();
+    return ids.filter((id) => this.entries.has(id));
+  }
+
+  /**
+   * Get the metadata of the stored entries that are not among knownIds
+   */
+  async findNewEntries(knownIds: string[]): Promise<StoreEntryMetadata[]> {
+    await this.load();
+    const known = new Set(knownIds);
+    return [...this.entries.values()].filter((entry) => !known.has(entry.metadata.id)).map((entry) => ({ ...entry.metadata }));
+  }
+
+  /**
+   * Get the metadata of a document's stored entries that are not among knownIds
+   */
+  async findNewEntriesForDoc(knownIds: string[], docId: string): Promise<StoreEntryMetadata[]> {
+    return (await this.findNewEntries(knownIds)).filter((metadata) => metadata.docId === docId);
+  }
+
+  async getAllIds(): Promise<string[]> {
+    await this.load();
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * Get an entry and its stored dependencies, transitively, with every entry after its dependencies
+   */
+  async resolveDependencies(startId: string): Promise<string[]> {
+    await this.load();
+    const result: string[] = [];
+    const visited = new Set<string>();
+    // Iterative depth-first walk, as document histories can be longer than the call stack
+    const stack: Array<{ id: string; expanded: boolean }> = [{ id: startId, expanded: false }];
+    while (stack.length > 0) {
+      const top = stack.pop()!;
+      if (top.expanded) {
+        result.push(top.id);
+        continue;
+      }
+      const entry = this.entries.get(top.id);
+      if (!entry || visited.has(top.id)) {
+        continue;
+      }
+      visited.add(top.id);
+      stack.push({ id: top.id, expanded: true });
+      for (const dependencyId of [...entry.metadata.dependencyIds].reverse()) {
+        stack.push({ id: dependencyId, expanded: false });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Remove every entry of a document; the blobs are deleted by the next compaction
+   */
+  async purgeDocHistory(docId: string): Promise<void> {
+    await this.exclusive(async () => {
+      const ids = [...this.entries.values()].filter((entry) => entry.metadata.docId === docId).map((entry) => entry.metadata.id);
+      if (ids.length === 0) {
+        return;
+      }
+      await this.writeSegment({ version: 1, entries: [], purgedDocIds: [docId] });
+      for (const id of ids) {
+        this.entries.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Read every entry's blob and check it against its hash
+   */
+  async verify(): Promise<StoreVerificationResult> {
+    await this.load();
+    const corruptIds: string[] = [];
+    for (const entry of [...this.entries.values()]) {
+      try {
+        await this.readBlob(entry);
+      } catch (error) {
+        if (!(error instanceof StoreIntegrityError)) {
+          throw error;
+        }
+        corruptIds.push(entry.metadata.id);
+      }
+    }
+    return { checked: this.entries.size, corruptIds };
+  }
+
+  /**
+   * Fold all segments into one snapshot and delete unreferenced blobs and leftover temporary files
+   */
+  compact(): Promise<CompactionResult> {
+    return this.exclusive(() => this.compactSegments());
+  }
+
+  private load(): Promise<void> {
+    if (!this.loading) {
+      this.loading = this.readSegments();
+      // A failed load (e.g. an unreadable segment) is retried by the next call
+      this.loading.catch(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  private exclusive<T>(operation: () => Promise<T>): Promise<T> {
+    const result = this.writeQueue.then(async () => {
+      await this.load();
+      return operation();
+    });
+    this.writeQueue = result.catch(() => undefined);
+    return result;
+  }
+
+  private async readSegments(): Promise<void> {
+    await this.fs.makeDirectory(this.blobsPath);
+    await this.fs.makeDirectory(this.segmentsPath);
+    for (const name of await this.fs.listDirectory(this.blobsPath)) {
+      if (!name.endsWith(TEMP_SUFFIX)) {
+        this.blobs.add(name);
+      }
+    }
+
+    const names = (await this.fs.listDirectory(this.segmentsPath)).filter((name) => name.endsWith(SEGMENT_SUFFIX)).sort();
+    // Read back to the last snapshot; the segments before it were already folded into it
+    const segments: Segment[] = [];
+    for (let i = names.length - 1; i >= 0; i--) {
+      const segment = await this.readSegment(names[i]);
+      segments.unshift(segment);
+      if (segment.snapshot) {
+        break;
+      }
+    }
+
+    this.entries.clear();
+    for (const segment of segments) {
+      for (const docId of segment.purgedDocIds) {
+        for (const [id, entry] of this.entries) {
+          if (entry.metadata.docId === docId) {
+            this.entries.delete(id);
+          }
+        }
+      }
+      for (const entry of segment.entries) {
+        this.entries.set(entry.metadata.id, entry);
+      }
+    }
+    this.segmentCount = names.length;
+    this.nextSequence = names.length > 0 ? parseInt(names[names.length - 1], 10) + 1 : 1;
+  }
+
+  private async readSegment(name: string): Promise<Segment> {
+    const data = await this.fs.readFile(joinPath(this.segmentsPath, name));
+    let segment: Segment;
+    try {
+      segment = parseWithBytes<Segment>(decoder.decode(data ?? new Uint8Array(0)));
+    } catch {
+      throw new StoreIntegrityError(`Store ${this.id}: segment ${name} cannot be read`);
+    }
+    if (segment?.version !== 1 || !Array.isArray(segment.entries) || !Array.isArray(segment.purgedDocIds)) {
+      throw new StoreIntegrityError(`Store ${this.id}: segment ${name} has an unknown format`);
+    }
+    return segment;
+  }
+
+  private async writeSegment(segment: Segment): Promise<void> {
+    const name = `${String(this.nextSequence).padStart(10, "0")}${SEGMENT_SUFFIX}`;
+    await writeFileAtomic(this.fs, joinPath(this.segmentsPath, name), encoder.encode(stringifyWithBytes(segment)));
+    this.nextSequence++;
+    this.segmentCount++;
+  }
+
+  private async writeBlob(data: Uint8Array): Promise<string> {
+    const blob = toHex(await this.digest(data));
+    if (!this.blobs.has(blob)) {
+      await writeFileAtomic(this.fs, joinPath(this.blobsPath, blob), data);
+      this.blobs.add(blob);
+    }
+    return blob;
+  }
+
+  private async readBlob(entry: IndexedEntry): Promise<Uint8Array> {
+    const data = await this.fs.readFile(joinPath(this.blobsPath, entry.blob));
+    if (!data) {
+      throw new StoreIntegrityError(`Store ${this.id}: data of entry ${entry.metadata.id} is missing`);
+    }
+    if (toHex(await this.digest(data)) !== entry.blob) {
+      throw new StoreIntegrityError(`Store ${this.id}: data of entry ${entry.metadata.id} does not match its hash`);
+    }
+    return data;
+  }
+
+  private async compactSegments(): Promise<CompactionResult> {
+    const oldSegments = await this.fs.listDirectory(this.segmentsPath);
+    await this.writeSegment({ version: 1, snapshot: true, entries: [...this.entries.values()], purgedDocIds: [] });
+    let removedTempFiles = 0;
+    for (const name of oldSegments) {
+      removedTempFiles += name.endsWith(TEMP_SUFFIX) ? 1 : 0;
+      await this.fs.deleteFile(joinPath(this.segmentsPath, name));
+    }
+    this.segmentCount = 1;
+
+    const referenced = new Set([...this.entries.values()].map((entry) => entry.blob));
+    let removedBlobs = 0;
+    for (const name of await this.fs.listDirectory(this.blobsPath)) {
+      if (name.endsWith(TEMP_SUFFIX)) {
+        removedTempFiles++;
+      } else if (!referenced.has(name)) {
+        removedBlobs++;
+        this.blobs.delete(name);
+      } else {
+        continue;
+      }
+      await this.fs.deleteFile(joinPath(this.blobsPath, name));
+    }
+    return {
+      mergedSegments: oldSegments.filter((name) => name.endsWith(SEGMENT_SUFFIX)).length,
+      entries: this.entries.size,
+      removedBlobs,
+      removedTempFiles,
+    };
+  }
+}
+
+export interface CreateStoreResult {
+  docStore: FileSystemContentAddressedStore;
+  attachmentStore: FileSystemContentAddressedStore;
+}
+
+/**
+ * Persistent ContentAddressedStoreFactory: one directory per database under baseDirectory
+ */
+export class FileSystemContentAddressedStoreFactory {
+  private readonly fs: StorageFileSystem;
+  private readonly baseDirectory: string;
+  private readonly options: FileSystemStoreOptions;
+  private readonly stores = new Map<string, CreateStoreResult>();
+
+  constructor(fs: StorageFileSystem, baseDirectory: string, options: FileSystemStoreOptions = {}) {
+    this.fs = fs;
+    this.baseDirectory = baseDirectory;
+    this.options = options;
+  }
+
+  /**
+   * Open the document and attachment stores of a database; opening a database again returns the same stores
+   */
+  createStore(dbId: string): CreateStoreResult {
+    let result = this.stores.get(dbId);
+    if (!result) {
+      const directory = joinPath(this.baseDirectory, encodeURIComponent(dbId));
+      result = {
+        docStore: new FileSystemContentAddressedStore(this.fs, joinPath(directory, "docs"), dbId, this.options),
+        attachmentStore: new FileSystemContentAddressedStore(
+          this.fs,
+          joinPath(directory, "attachments"),
+          `${dbId}-attachments`,
+          this.options
+        ),
+      };
+      this.stores.set(dbId, result);
+    }
+    return result;
+  }
+
+  /**
+   * Compact every store opened through this factory
+   */
+  async compactAll(): Promise<CompactionResult[]> {
+    const results: CompactionResult[] = [];
+    for (const { docStore, attachmentStore } of this.stores.values()) {
+      results.push(await docStore.compact(), await attachmentStore.compact());
+    }
+    return results;
+  }
+}
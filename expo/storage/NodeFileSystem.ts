@@ -0,0 +1,59 @@
+/**
+ * Node File System
+ * StorageFileSystem over fs/promises, for the headless runner and Jest
+ */
+
+import { promises as fs } from "fs";
+import { StorageFileSystem } from "./StorageFileSystem";
+
+function isNotFound(error: unknown): boolean {
+  return (error as NodeJS.ErrnoException)?.code === "ENOENT";
+}
+
+export class NodeFileSystem implements StorageFileSystem {
+  async readFile(path: string): Promise<Uint8Array | null> {
+    try {
+      const data = await fs.readFile(path);
+      return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async writeFile(path: string, data: Uint8Array): Promise<void> {
+    // Flush before the rename that commits the file, so a power loss cannot leave a renamed empty file
+    const handle = await fs.open(path, "w");
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async rename(from: string, to: string): Promise<void> {
+    await fs.rename(from, to);
+  }
+
+  async deleteFile(path: string): Promise<void> {
+    await fs.rm(path, { force: true });
+  }
+
+  async listDirectory(path: string): Promise<string[]> {
+    try {
+      return await fs.readdir(path);
+    } catch (error) {
+      if (isNotFound(error)) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async makeDirectory(path: string): Promise<void> {
+    await fs.mkdir(path, { recursive: true });
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Storage File System
+ * The file operations the persistent store needs, implemented for Node (NodeFileSystem) and for React Native
+ * (ExpoFileSystem)
+ *
+ * Paths are joined with "/", which works for Node paths and for the file:// URIs of expo-file-system.
+ */
+
+import forge from "node-forge";
+import { binaryStringToBytes, bytesToBinaryString } from "../crypto/ByteUtils";
+
+export interface StorageFileSystem {
+  // Contents of a file, or null if it does not exist
+  readFile(path: string): Promise<Uint8Array | null>;
+  writeFile(path: string, data: Uint8Array): Promise<void>;
+  // Move a file to a path that does not exist yet; the store never renames over an existing file, so the
+  // move is atomic on every platform
+  rename(from: string, to: string): Promise<void>;
+  // Delete a file; a missing file is not an error
+  deleteFile(path: string): Promise<void>;
+  // Names of the entries in a directory, or an empty list if it does not exist
+  listDirectory(path: string): Promise<string[]>;
+  // Create a directory and its parents; an existing directory is not an error
+  makeDirectory(path: string): Promise<void>;
+}
+
+// Suffix of files being written; leftovers of an interrupted write are deleted by compaction
+export const TEMP_SUFFIX = ".tmp";
+
+export function joinPath(...parts: string[]): string {
+  return parts.map((part, i) => (i === 0 ? part.replace(/\/+$/, "") : part.replace(/^\/+|\/+$/g, ""))).join("/");
+}
+
+/**
+ * Write a file through a temporary file and a rename, so readers see either no file or the whole file
+ */
+export async function writeFileAtomic(fs: StorageFileSystem, path: string, data: Uint8Array): Promise<void> {
+  const tempPath = `${path}.${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}${TEMP_SUFFIX}`;
+  await fs.writeFile(tempPath, data);
+  try {
+    await fs.rename(tempPath, path);
+  } catch (error) {
+    await fs.deleteFile(tempPath).catch(() => undefined);
+    throw error;
+  }
+}
+
+export function bytesToBase64(bytes: Uint8Array): string {
+  return forge.util.encode64(bytesToBinaryString(bytes));
+}
+
+export function base64ToBytes(base64: string): Uint8Array {
+  return binaryStringToBytes(forge.util.decode64(base64));
+}
+
+/**
+ * JSON.stringify that keeps Uint8Array values, as {"$bytes": base64}
+ */
+export function stringifyWithBytes(value: unknown): string {
+  return JSON.stringify(value, (_key, member) => (member instanceof Uint8Array ? { $bytes: bytesToBase64(member) } : member));
+}
+
+/**
+ * JSON.parse for text written by stringifyWithBytes
+ */
+export function parseWithBytes<T>(text: string): T {
+  return JSON.parse(text, (_key, member) =>
+    member && typeof member === "object" && typeof member.$bytes === "string" && Object.keys(member).length === 1
+      ? base64ToBytes(member.$bytes)
+      : member
+  );
+}
@@ -0,0 +1,178 @@
+/**
+ * Tests for the persistent FileSystemContentAddressedStore on the Node file system
+ * Covers reopening, integrity checks, interrupted writes and compaction
+ */
+
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import {
+  FileSystemContentAddressedStore,
+  FileSystemContentAddressedStoreFactory,
+  StoreEntry,
+  StoreIntegrityError,
+} from "../FileSystemContentAddressedStore";
+import { NodeFileSystem } from "../NodeFileSystem";
+
+function createEntry(id: string, docId: string, dependencyIds: string[] = [], data = `data of ${id}`): StoreEntry {
+  return {
+    id,
+    docId,
+    dependencyIds,
+    entryType: "doc_change",
+    createdAt: 1700000000000,
+    signature: new Uint8Array([1, 2, 3, id.length]),
+    encryptedData: new TextEncoder().encode(data),
+  };
+}
+
+describe("FileSystemContentAddressedStore", () => {
+  let baseDirectory: string;
+
+  beforeEach(async () => {
+    baseDirectory = await fs.mkdtemp(path.join(os.tmpdir(), "mindoodb-store-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(baseDirectory, { recursive: true, force: true });
+  });
+
+  function openStore(options = {}): FileSystemContentAddressedStore {
+    return new FileSystemContentAddressedStoreFactory(new NodeFileSystem(), baseDirectory, options).createStore("test-db").docStore;
+  }
+
+  function storeFiles(...parts: string[]): Promise<string[]> {
+    return fs.readdir(path.join(baseDirectory, "test-db", "docs", ...parts));
+  }
+
+  it("should store entries and find them by id and document", async () => {
+    const store = openStore();
+    const entries = [createEntry("a1", "doc-a"), createEntry("b1", "doc-b"), createEntry("a2", "doc-a", ["a1"])];
+    await store.putEntries(entries);
+    await store.putEntries([createEntry("a1", "doc-a", [], "ignored duplicate")]);
+
+    expect(await store.getAllIds()).toEqual(["a1", "b1", "a2"]);
+    expect(await store.getEntries(["a2", "missing", "a1"])).toEqual([entries[2], entries[0]]);
+    expect(await store.hasEntries(["b1", "missing"])).toEqual(["b1"]);
+    expect((await store.findNewEntries(["a1"])).map((metadata) => metadata.id)).toEqual(["b1", "a2"]);
+    expect((await store.findNewEntriesForDoc(["a1"], "doc-a")).map((metadata) => metadata.id)).toEqual(["a2"]);
+    expect(await store.findNewEntries([])).not.toContainEqual(expect.objectContaining({ encryptedData: expect.anything() }));
+  });
+
+  it("should keep entries and purges across restarts", async () => {
+    const store = openStore();
+    await store.putEntries([createEntry("a1", "doc-a"), createEntry("b1", "doc-b")]);
+    await store.purgeDocHistory("doc-a");
+    await store.putEntries([createEntry("a2", "doc-a")]);
+
+    const reopened = openStore();
+    expect(await reopened.getAllIds()).toEqual(["b1", "a2"]);
+    expect(await reopened.getEntries(["b1"])).toEqual([createEntry("b1", "doc-b")]);
+  });
+
+  it("should resolve dependencies before the entries that depend on them", async () => {
+    const store = openStore();
+    await store.putEntries([
+      createEntry("c1", "doc"),
+      createEntry("c2", "doc", ["c1"]),
+      createEntry("c3", "doc", ["c1"]),
+      createEntry("c4", "doc", ["c2", "c3", "not-stored"]),
+      createEntry("other", "doc"),
+    ]);
+    expect(await store.resolveDependencies("c4")).toEqual(["c1", "c2", "c3", "c4"]);
+    expect(await store.resolveDependencies("missing")).toEqual([]);
+  });
+
+  it("should reject data that does not match its hash", async () => {
+    const store = openStore();
+    await store.putEntries([createEntry("a1", "doc-a"), createEntry("b1", "doc-b")]);
+    // Flip a bit in the blob of a1
+    const blobsPath = path.join(baseDirectory, "test-db", "docs", "blobs");
+    for (const name of await storeFiles("blobs")) {
+      const data = await fs.readFile(path.join(blobsPath, name));
+      if (data.toString() === "data of a1") {
+        data[0] ^= 1;
+        await fs.writeFile(path.join(blobsPath, name), data);
+      }
+    }
+
+    const reopened = openStore();
+    await expect(reopened.getEntries(["a1"])).rejects.toBeInstanceOf(StoreIntegrityError);
+    expect(await reopened.getEntries(["b1"])).toHaveLength(1);
+    expect(await reopened.verify()).toEqual({ checked: 2, corruptIds: ["a1"] });
+  });
+
+  it("should reject a segment that cannot be read", async () => {
+    await openStore().putEntries([createEntry("a1", "doc-a")]);
+    const [segment] = await storeFiles("segments");
+    await fs.writeFile(path.join(baseDirectory, "test-db", "docs", "segments", segment), '{"version":1,"entries":[');
+
+    await expect(openStore().getAllIds()).rejects.toThrow(/segment 0000000001.json cannot be read/);
+  });
+
+  it("should leave no trace of a write interrupted before its segment was committed", async () => {
+    const fileSystem = new NodeFileSystem();
+    const rename = jest.spyOn(fileSystem, "rename");
+    const store = new FileSystemContentAddressedStoreFactory(fileSystem, baseDirectory).createStore("test-db").docStore;
+    await store.putEntries([createEntry("a1", "doc-a")]);
+
+    // Fail the rename that commits the segment, after the blob was written
+    rename.mockImplementation(async (from, to) => {
+      if (to.endsWith(".json")) {
+        throw new Error("disk full");
+      }
+      await fs.rename(from, to);
+    });
+    await expect(store.putEntries([createEntry("b1", "doc-b")])).rejects.toThrow("disk full");
+    expect(await store.getAllIds()).toEqual(["a1"]);
+    rename.mockRestore();
+
+    const reopened = openStore();
+    expect(await reopened.getAllIds()).toEqual(["a1"]);
+    // The blob of b1 is unreferenced until compaction deletes it
+    expect(await storeFiles("blobs")).toHaveLength(2);
+    await fs.writeFile(path.join(baseDirectory, "test-db", "docs", "blobs", "leftover.tmp"), "partial");
+    expect(await reopened.compact()).toEqual({ mergedSegments: 1, entries: 1, removedBlobs: 1, removedTempFiles: 1 });
+    expect(await storeFiles("blobs")).toHaveLength(1);
+  });
+
+  it("should fold segments into a snapshot and drop the blobs of purged entries", async () => {
+    const store = openStore();
+    for (let i = 0; i < 5; i++) {
+      await store.putEntries([createEntry(`a${i}`, "doc-a"), createEntry(`b${i}`, "doc-b")]);
+    }
+    await store.purgeDocHistory("doc-a");
+    expect(await storeFiles("segments")).toHaveLength(6);
+
+    expect(await store.compact()).toEqual({ mergedSegments: 6, entries: 5, removedBlobs: 5, removedTempFiles: 0 });
+    expect(await storeFiles("segments")).toEqual(["0000000007.json"]);
+    expect(await storeFiles("blobs")).toHaveLength(5);
+
+    await store.putEntries([createEntry("b5", "doc-b")]);
+    const reopened = openStore();
+    expect(await reopened.getAllIds()).toEqual(["b0", "b1", "b2", "b3", "b4", "b5"]);
+    expect(await reopened.verify()).toEqual({ checked: 6, corruptIds: [] });
+  });
+
+  it("should compact automatically once the segment limit is reached", async () => {
+    const store = openStore({ autoCompactSegments: 3 });
+    for (let i = 0; i < 4; i++) {
+      await store.putEntries([createEntry(`a${i}`, "doc-a")]);
+    }
+    expect(await storeFiles("segments")).toEqual(["0000000004.json", "0000000005.json"]);
+    expect(await openStore().getAllIds()).toEqual(["a0", "a1", "a2", "a3"]);
+  });
+
+  it("should keep document and attachment stores of each database apart", async () => {
+    const factory = new FileSystemContentAddressedStoreFactory(new NodeFileSystem(), baseDirectory);
+    const { docStore, attachmentStore } = factory.createStore("db/with:chars");
+    expect(factory.createStore("db/with:chars").docStore).toBe(docStore);
+    await docStore.putEntries([createEntry("d1", "doc")]);
+    await attachmentStore.putEntries([createEntry("f1", "doc")]);
+
+    expect(await attachmentStore.getAllIds()).toEqual(["f1"]);
+    expect(await factory.createStore("other").docStore.getAllIds()).toEqual([]);
+    expect(await fs.readdir(baseDirectory)).toEqual(["db%2Fwith%3Achars", "other"]);
+    expect(await factory.compactAll()).toHaveLength(4);
+  });
+});
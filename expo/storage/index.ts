@@ -0,0 +1,21 @@
+/**
+ * Persistent Storage Exports
+ * NodeFileSystem is imported from "./NodeFileSystem" directly, so that the app bundle does not pull in fs
+ */
+
+export {
+  FileSystemContentAddressedStore,
+  FileSystemContentAddressedStoreFactory,
+  StoreIntegrityError,
+} from "./FileSystemContentAddressedStore";
+export type {
+  StoreEntry,
+  StoreEntryMetadata,
+  FileSystemStoreOptions,
+  StoreVerificationResult,
+  CompactionResult,
+  CreateStoreResult,
+} from "./FileSystemContentAddressedStore";
+export { ExpoFileSystem } from "./ExpoFileSystem";
+export type { ExpoFileSystemModule } from "./ExpoFileSystem";
+export type { StorageFileSystem } from "./StorageFileSystem";
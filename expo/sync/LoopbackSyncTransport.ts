@@ -0,0 +1,109 @@
+/**
+ * Loopback Sync Transport
+ * In-process stand-in for the network between two MindooDB replicas
+ *
+ * connect() wraps a store of the other replica in a proxy whose methods behave like a remote store: every call
+ * and result is encoded to JSON text and decoded again, and is delivered in a later macrotask. Replicas therefore
+ * never share objects, the asynchronous timing of a real connection is kept, and the encoded size of each call
+ * is counted. disconnect() makes calls fail like a lost connection, to exercise offline behavior.
+ */
+
+import { parseWithBytes, stringifyWithBytes } from "../storage/StorageFileSystem";
+import type { StoreEntry, StoreEntryMetadata } from "../storage/FileSystemContentAddressedStore";
+
+/**
+ * The ContentAddressedStore methods store sync needs
+ */
+export interface SyncableStore {
+  getId(): string;
+  putEntries(entries: StoreEntry[]): Promise<void>;
+  getEntries(ids: string[]): Promise<StoreEntry[]>;
+  hasEntries(ids: string[]): Promise<string[]>;
+  findNewEntries(knownIds: string[]): Promise<StoreEntryMetadata[]>;
+  getAllIds(): Promise<string[]>;
+}
+
+export interface LoopbackTransportOptions {
+  // Delay of each request and of each response (default 0, the next macrotask)
+  latencyMs?: number;
+}
+
+export interface TransportStats {
+  requests: number;
+  // Encoded size of the requests and of the responses, in UTF-16 code units
+  bytesSent: number;
+  bytesReceived: number;
+}
+
+export class LoopbackSyncTransport {
+  private readonly latencyMs: number;
+  private connected = true;
+  private readonly stats: TransportStats = { requests: 0, bytesSent: 0, bytesReceived: 0 };
+
+  constructor(options: LoopbackTransportOptions = {}) {
+    this.latencyMs = options.latencyMs ?? 0;
+  }
+
+  /**
+   * Get a proxy that calls a store of the other replica through the transport
+   * Every method except getId() is asynchronous on the proxy.
+   */
+  connect<T extends SyncableStore>(store: T): T {
+    return new Proxy(store, {
+      get: (target, property) => {
+        const value = Reflect.get(target, property, target);
+        if (property === "getId" || typeof value !== "function") {
+          return typeof value === "function" ? value.bind(target) : value;
+        }
+        return (...args: unknown[]) => this.request(target, String(property), args);
+      },
+    });
+  }
+
+  /**
+   * Fail every call until reconnect(), like a device going offline
+   */
+  disconnect(): void {
+    this.connected = false;
+  }
+
+  reconnect(): void {
+    this.connected = true;
+  }
+
+  isConnected(): boolean {
+    return this.connected;
+  }
+
+  getStats(): TransportStats {
+    return { ...this.stats };
+  }
+
+  private async request(store: SyncableStore, method: string, args: unknown[]): Promise<unknown> {
+    this.assertConnected(method);
+    const request = stringifyWithBytes(args);
+    this.stats.requests++;
+    this.stats.bytesSent += request.length;
+    await this.deliver();
+
+    const result = await (store as unknown as Record<string, (...args: unknown[]) => Promise<unknown>>)[method](
+      ...parseWithBytes<unknown[]>(request)
+    );
+    const response = stringifyWithBytes(result === undefined ? null : result);
+    this.stats.bytesReceived += response.length;
+    await this.deliver();
+    // A connection lost while the request was under way loses the response too
+    this.assertConnected(method);
+    return result === undefined ? undefined : parseWithBytes(response);
+  }
+
+  private deliver(): Promise<void> {
+    return new Promise((resolve) => setTimeout(resolve, this.latencyMs));
+  }
+
+  private assertConnected(method: string): void {
+    if (!this.connected) {
+      throw new Error(`Loopback transport is disconnected (${method})`);
+    }
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Store Sync
+ * Two-way exchange of entries between ContentAddressedStores, and the store factory wrapper that finds the stores
+ * of a replica
+ *
+ * Sync works on the stores only: each side gets the entries it is missing, and MindooDB picks them up with
+ * db.syncStoreChanges(), as it would after receiving them over the network.
+ */
+
+import type { SyncableStore, LoopbackSyncTransport } from "./LoopbackSyncTransport";
+
+export interface SyncResult {
+  // Entries copied to the local store, and to the remote store
+  pulled: number;
+  pushed: number;
+}
+
+/**
+ * Copy the entries missing on either side: remote to local first, then local to remote
+ */
+export async function syncStores(local: SyncableStore, remote: SyncableStore): Promise<SyncResult> {
+  const incoming = await remote.findNewEntries(await local.getAllIds());
+  if (incoming.length > 0) {
+    await local.putEntries(await remote.getEntries(incoming.map((metadata) => metadata.id)));
+  }
+  const outgoing = await local.findNewEntries(await remote.getAllIds());
+  if (outgoing.length > 0) {
+    await remote.putEntries(await local.getEntries(outgoing.map((metadata) => metadata.id)));
+  }
+  return { pulled: incoming.length, pushed: outgoing.length };
+}
+
+interface StoreFactory {
+  createStore(dbId: string, ...options: unknown[]): unknown;
+}
+
+/**
+ * ContentAddressedStoreFactory wrapper that keeps the stores it created, by database
+ * createStore returns the same stores when a database is opened again, so entries synced into a database before
+ * MindooDB opens it are not lost.
+ */
+export class ReplicaStoreFactory {
+  private readonly factory: StoreFactory;
+  private readonly stores = new Map<string, unknown>();
+
+  constructor(factory: StoreFactory) {
+    this.factory = factory;
+  }
+
+  createStore(dbId: string, ...options: unknown[]): unknown {
+    if (!this.stores.has(dbId)) {
+      this.stores.set(dbId, this.factory.createStore(dbId, ...options));
+    }
+    return this.stores.get(dbId);
+  }
+
+  getDbIds(): string[] {
+    return [...this.stores.keys()];
+  }
+
+  /**
+   * Get the stores of a database: the store createStore returned, or its document and attachment stores
+   */
+  getStores(dbId: string): SyncableStore[] {
+    const result = this.createStore(dbId) as SyncableStore | { docStore: SyncableStore; attachmentStore?: SyncableStore };
+    if ("docStore" in result) {
+      return result.attachmentStore ? [result.docStore, result.attachmentStore] : [result.docStore];
+    }
+    return [result];
+  }
+}
+
+/**
+ * Sync every database either replica has opened, calling the remote replica's stores through the transport;
+ * databases only one side has opened are created on the other
+ */
+export async function syncReplicas(
+  local: ReplicaStoreFactory,
+  remote: ReplicaStoreFactory,
+  transport: LoopbackSyncTransport
+): Promise<SyncResult> {
+  const total: SyncResult = { pulled: 0, pushed: 0 };
+  for (const dbId of new Set([...local.getDbIds(), ...remote.getDbIds()])) {
+    const localStores = local.getStores(dbId);
+    const remoteStores = remote.getStores(dbId);
+    for (let i = 0; i < localStores.length; i++) {
+      const result = await syncStores(localStores[i], transport.connect(remoteStores[i]));
+      total.pulled += result.pulled;
+      total.pushed += result.pushed;
+    }
+  }
+  return total;
+}
@@ -0,0 +1,109 @@
+/**
+ * Tests for the LoopbackSyncTransport and store sync
+ * Replicas use FileSystemContentAddressedStores in temporary directories on the Node file system
+ */
+
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { FileSystemContentAddressedStoreFactory, StoreEntry } from "../../storage/FileSystemContentAddressedStore";
+import { NodeFileSystem } from "../../storage/NodeFileSystem";
+import { LoopbackSyncTransport } from "../LoopbackSyncTransport";
+import { ReplicaStoreFactory, syncReplicas, syncStores } from "../StoreSync";
+
+function createEntry(id: string, docId: string, dependencyIds: string[] = []): StoreEntry {
+  return {
+    id,
+    docId,
+    dependencyIds,
+    entryType: "doc_change",
+    createdAt: 1700000000000,
+    signature: new Uint8Array([9, id.length]),
+    encryptedData: new TextEncoder().encode(`data of ${id}`),
+  };
+}
+
+describe("LoopbackSyncTransport", () => {
+  let baseDirectory: string;
+
+  beforeEach(async () => {
+    baseDirectory = await fs.mkdtemp(path.join(os.tmpdir(), "mindoodb-sync-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(baseDirectory, { recursive: true, force: true });
+  });
+
+  function createFactory(replica: string): FileSystemContentAddressedStoreFactory {
+    return new FileSystemContentAddressedStoreFactory(new NodeFileSystem(), path.join(baseDirectory, replica));
+  }
+
+  it("should pass copies of entries and count the traffic", async () => {
+    const store = createFactory("remote").createStore("db").docStore;
+    const transport = new LoopbackSyncTransport();
+    const remote = transport.connect(store);
+    const entry = createEntry("e1", "doc-1");
+
+    await remote.putEntries([entry]);
+    entry.encryptedData[0] = 0;
+    const [received] = await remote.getEntries(["e1"]);
+
+    expect(received.encryptedData).toBeInstanceOf(Uint8Array);
+    expect(new TextDecoder().decode(received.encryptedData)).toBe("data of e1");
+    expect(received).not.toBe((await store.getEntries(["e1"]))[0]);
+    expect(remote.getId()).toBe(store.getId());
+    const stats = transport.getStats();
+    expect(stats.requests).toBe(2);
+    expect(stats.bytesSent).toBeGreaterThan(0);
+    expect(stats.bytesReceived).toBeGreaterThan(0);
+  });
+
+  it("should fail calls while disconnected and work again after reconnect", async () => {
+    const transport = new LoopbackSyncTransport({ latencyMs: 1 });
+    const remote = transport.connect(createFactory("remote").createStore("db").docStore);
+
+    transport.disconnect();
+    expect(transport.isConnected()).toBe(false);
+    await expect(remote.getAllIds()).rejects.toThrow("disconnected (getAllIds)");
+
+    transport.reconnect();
+    await remote.putEntries([createEntry("e1", "doc-1")]);
+    expect(await remote.getAllIds()).toEqual(["e1"]);
+
+    const lost = remote.getAllIds();
+    transport.disconnect();
+    await expect(lost).rejects.toThrow("disconnected");
+  });
+
+  it("should copy the missing entries both ways", async () => {
+    const local = createFactory("a").createStore("db").docStore;
+    const store = createFactory("b").createStore("db").docStore;
+    await local.putEntries([createEntry("shared", "doc-1"), createEntry("a1", "doc-1", ["shared"])]);
+    await store.putEntries([createEntry("shared", "doc-1"), createEntry("b1", "doc-2"), createEntry("b2", "doc-2", ["b1"])]);
+    const remote = new LoopbackSyncTransport().connect(store);
+
+    expect(await syncStores(local, remote)).toEqual({ pulled: 2, pushed: 1 });
+    expect((await local.getAllIds()).sort()).toEqual(["a1", "b1", "b2", "shared"]);
+    expect((await store.getAllIds()).sort()).toEqual(["a1", "b1", "b2", "shared"]);
+    expect(await syncStores(local, remote)).toEqual({ pulled: 0, pushed: 0 });
+  });
+
+  it("should sync every database of two replicas and create missing databases", async () => {
+    const replicaA = new ReplicaStoreFactory(createFactory("a"));
+    const replicaB = new ReplicaStoreFactory(createFactory("b"));
+    expect(replicaA.createStore("directory")).toBe(replicaA.createStore("directory"));
+
+    const [docsA, attachmentsA] = replicaA.getStores("directory");
+    await docsA.putEntries([createEntry("d1", "doc-1")]);
+    await attachmentsA.putEntries([createEntry("att1", "doc-1")]);
+    const [docsB] = replicaB.getStores("notes");
+    await docsB.putEntries([createEntry("n1", "note-1")]);
+
+    expect(await syncReplicas(replicaA, replicaB, new LoopbackSyncTransport())).toEqual({ pulled: 1, pushed: 2 });
+    expect(replicaA.getDbIds().sort()).toEqual(["directory", "notes"]);
+    expect(replicaB.getDbIds().sort()).toEqual(["directory", "notes"]);
+    expect(await replicaB.getStores("directory")[0].getAllIds()).toEqual(["d1"]);
+    expect(await replicaB.getStores("directory")[1].getAllIds()).toEqual(["att1"]);
+    expect(await replicaA.getStores("notes")[0].getAllIds()).toEqual(["n1"]);
+  });
+});
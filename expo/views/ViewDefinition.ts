@@ -0,0 +1,131 @@
+/**
+ * View Definition
+ * A virtual view as plain data (its columns with their sorting and total modes), so the view explorer can edit it,
+ * check it, build it with VirtualViewFactory and show the builder code that creates the same view
+ */
+
+export type ViewColumnKind = "category" | "sorted" | "display" | "total";
+
+export interface ViewColumnDefinition {
+  kind: ViewColumnKind;
+  // Document field the column reads
+  field: string;
+  // Category columns only (default the field)
+  title?: string;
+  // Key of mindoodb's ColumnSorting, for category and sorted columns (default "ASCENDING")
+  sorting?: string;
+  // Key of mindoodb's TotalMode, for total columns (default "SUM")
+  totalMode?: string;
+}
+
+export interface ViewDefinition {
+  columns: ViewColumnDefinition[];
+}
+
+export const VIEW_COLUMN_KINDS: ViewColumnKind[] = ["category", "sorted", "display", "total"];
+
+// The view of the app's virtual view scenario
+export const DEFAULT_VIEW_DEFINITION: ViewDefinition = {
+  columns: [
+    { kind: "category", field: "category", title: "Category", sorting: "ASCENDING" },
+    { kind: "sorted", field: "priority", sorting: "DESCENDING" },
+    { kind: "sorted", field: "name", sorting: "ASCENDING" },
+    { kind: "display", field: "index" },
+    { kind: "total", field: "amount", totalMode: "SUM" },
+  ],
+};
+
+/**
+ * Names of a TypeScript enum, without the reverse mappings of numeric enums
+ */
+export function enumKeys(enumObject: Record<string, unknown> | undefined): string[] {
+  return Object.keys(enumObject ?? {}).filter((key) => Number.isNaN(Number(key)));
+}
+
+/**
+ * Problems that keep the definition from being built; empty when it is fine
+ */
+export function validateViewDefinition(definition: ViewDefinition, mindoodb: any): string[] {
+  const errors: string[] = [];
+  const sortings = enumKeys(mindoodb?.ColumnSorting);
+  const totalModes = enumKeys(mindoodb?.TotalMode);
+  const fields = new Set<string>();
+  if (definition.columns.length === 0) {
+    errors.push("The view needs at least one column");
+  }
+  definition.columns.forEach((column, i) => {
+    const label = `Column ${i + 1} (${column.kind})`;
+    const field = column.field.trim();
+    if (!field) {
+      errors.push(`${label} has no field`);
+    } else if (fields.has(field)) {
+      errors.push(`${label} uses the field "${field}" of an earlier column`);
+    }
+    fields.add(field);
+    if ((column.kind === "category" || column.kind === "sorted") && !sortings.includes(column.sorting ?? "ASCENDING")) {
+      errors.push(`${label} has the unknown sorting "${column.sorting}"`);
+    }
+    if (column.kind === "total" && !totalModes.includes(column.totalMode ?? "SUM")) {
+      errors.push(`${label} has the unknown total mode "${column.totalMode}"`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Build the view over a database with VirtualViewFactory and fill it
+ */
+export async function buildView(mindoodb: any, definition: ViewDefinition, dbName: string, db: any): Promise<any> {
+  const errors = validateViewDefinition(definition, mindoodb);
+  if (errors.length > 0) {
+    throw new Error(`Invalid view definition: ${errors.join("; ")}`);
+  }
+  const { VirtualViewFactory, ColumnSorting, TotalMode } = mindoodb;
+  let builder = VirtualViewFactory.createView();
+  for (const column of definition.columns) {
+    const field = column.field.trim();
+    const sorting = ColumnSorting[column.sorting ?? "ASCENDING"];
+    switch (column.kind) {
+      case "category":
+        builder = builder.addCategoryColumn(field, { title: column.title || field, sorting });
+        break;
+      case "sorted":
+        builder = builder.addSortedColumn(field, sorting);
+        break;
+      case "display":
+        builder = builder.addDisplayColumn(field);
+        break;
+      case "total":
+        builder = builder.addTotalColumn(field, TotalMode[column.totalMode ?? "SUM"]);
+        break;
+    }
+  }
+  return builder.withDB(dbName, db, () => true).buildAndUpdate();
+}
+
+/**
+ * The VirtualViewFactory builder code that creates the view, to copy into a product
+ */
+export function toBuilderCode(definition: ViewDefinition, dbName: string): string {
+  const lines = ["VirtualViewFactory.createView()"];
+  for (const column of definition.columns) {
+    const field = JSON.stringify(column.field.trim());
+    const sorting = `ColumnSorting.${column.sorting ?? "ASCENDING"}`;
+    switch (column.kind) {
+      case "category":
+        lines.push(`  .addCategoryColumn(${field}, { title: ${JSON.stringify(column.title || column.field.trim())}, sorting: ${sorting} })`);
+        break;
+      case "sorted":
+        lines.push(`  .addSortedColumn(${field}, ${sorting})`);
+        break;
+      case "display":
+        lines.push(`  .addDisplayColumn(${field})`);
+        break;
+      case "total":
+        lines.push(`  .addTotalColumn(${field}, TotalMode.${column.totalMode ?? "SUM"})`);
+        break;
+    }
+  }
+  lines.push(`  .withDB(${JSON.stringify(dbName)}, db, () => true)`, "  .buildAndUpdate();");
+  return lines.join("\n");
+}
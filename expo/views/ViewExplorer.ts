@@ -0,0 +1,253 @@
+/**
+ * View Explorer
+ * Pages through a virtual view with VirtualViewFactory.createNavigator, with categories that expand and collapse,
+ * and a sample database whose documents can be changed to watch the totals follow
+ *
+ * The navigator starts with every category expanded and collapses the explorer's collapsed categories as they are
+ * read, so it skips their descendants instead of handing them out. Entries are pulled from one entriesForward()
+ * iterator a page at a time, so a large view is only read as far as it is shown. Expanding or collapsing a category
+ * keeps the entries above it and reads on from the category itself; refreshing reads the shown entries again from
+ * a navigator over the updated view.
+ */
+
+import { WorkloadGenerator, WorkloadOptions } from "../scenarios/WorkloadGenerator";
+
+export interface ExplorerEntry {
+  // Stable while the view's data does not change, for React keys and toggle()
+  key: string;
+  // Position in the view, e.g. "1.2.3"
+  position: string;
+  level: number;
+  isCategory: boolean;
+  // The category value, or the document's position in the view
+  label: string;
+  // Category columns only
+  documentCount?: number;
+  collapsed?: boolean;
+  // Total column values of a category, all column values of a document
+  values: Record<string, unknown>;
+}
+
+export interface ViewExplorerOptions {
+  // Entries per loadMore() (default 50)
+  pageSize?: number;
+  // Total columns to read from category entries
+  totalFields?: string[];
+}
+
+export class ViewExplorer {
+  private readonly pageSize: number;
+  private readonly totalFields: string[];
+  private readonly collapsed = new Set<string>();
+  private entries: ExplorerEntry[] = [];
+  private navigator: any = null;
+  private iterator: AsyncIterator<any> | null = null;
+  private exhausted = false;
+  // Categories above the entry that was read last, outermost first
+  private ancestors: Array<{ level: number; key: string }> = [];
+  // Operations run one after the other, so a tap during a page load does not interleave two iterators
+  private queue: Promise<unknown> = Promise.resolve();
+
+  constructor(
+    private readonly mindoodb: any,
+    private readonly view: any,
+    options: ViewExplorerOptions = {}
+  ) {
+    this.pageSize = options.pageSize ?? 50;
+    this.totalFields = options.totalFields ?? [];
+  }
+
+  getEntries(): ExplorerEntry[] {
+    return this.entries;
+  }
+
+  hasMore(): boolean {
+    return !this.exhausted;
+  }
+
+  /**
+   * Categories and documents of the whole view
+   */
+  getSummary(): { categories: number; documents: number } {
+    const root = this.view.getRoot();
+    return { categories: root.getChildCount(), documents: root.getDescendantDocumentCount() };
+  }
+
+  /**
+   * Read the next page of visible entries
+   */
+  loadMore(): Promise<ExplorerEntry[]> {
+    return this.enqueue(() => this.readVisible(this.pageSize));
+  }
+
+  /**
+   * Collapse an expanded category or expand a collapsed one
+   */
+  toggle(key: string): Promise<ExplorerEntry[]> {
+    return this.enqueue(async () => {
+      const index = this.entries.findIndex((entry) => entry.key === key && entry.isCategory);
+      if (index < 0) {
+        return this.entries;
+      }
+      const category = this.entries[index];
+      if (this.collapsed.delete(key)) {
+        this.navigator.expand(category.position);
+      } else {
+        this.collapsed.add(key);
+        this.navigator.collapse(category.position);
+      }
+      const count = Math.max(this.entries.length, this.pageSize) - index;
+      await this.closeIterator();
+      this.entries = this.entries.slice(0, index);
+      this.ancestors = [];
+      for (const entry of this.entries) {
+        if (entry.isCategory) {
+          this.pushAncestor(entry.level, entry.key);
+        }
+      }
+      this.navigator.gotoPos(category.position);
+      return this.readVisible(count);
+    });
+  }
+
+  /**
+   * Apply the database's changes to the view with view.update(), then read the shown entries again
+   */
+  refresh(): Promise<ExplorerEntry[]> {
+    return this.enqueue(async () => {
+      await this.view.update();
+      const count = Math.max(this.entries.length, this.pageSize);
+      await this.closeIterator();
+      this.navigator = null;
+      this.entries = [];
+      this.ancestors = [];
+      return this.readVisible(count);
+    });
+  }
+
+  private enqueue(operation: () => Promise<ExplorerEntry[]>): Promise<ExplorerEntry[]> {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => undefined);
+    return result;
+  }
+
+  private async closeIterator(): Promise<void> {
+    await this.iterator?.return?.();
+    this.iterator = null;
+    this.exhausted = false;
+  }
+
+  // Pop the categories that are not above an entry of `level`, then push the category `key` at that level
+  private pushAncestor(level: number, key?: string): void {
+    while (this.ancestors.length > 0 && this.ancestors[this.ancestors.length - 1].level >= level) {
+      this.ancestors.pop();
+    }
+    if (key !== undefined) {
+      this.ancestors.push({ level, key });
+    }
+  }
+
+  private async readVisible(count: number): Promise<ExplorerEntry[]> {
+    if (!this.navigator) {
+      this.navigator = this.mindoodb.VirtualViewFactory.createNavigator(this.view).build();
+      this.navigator.expandAll();
+    }
+    // entriesForward() starts at the navigator's current entry: the first one, or the category gotoPos() went to
+    this.iterator ??= this.navigator.entriesForward()[Symbol.asyncIterator]();
+    const page: ExplorerEntry[] = [];
+    while (page.length < count && !this.exhausted) {
+      const next = await this.iterator!.next();
+      if (next.done) {
+        this.exhausted = true;
+        break;
+      }
+      page.push(this.readEntry(next.value));
+    }
+    this.entries = [...this.entries, ...page];
+    return this.entries;
+  }
+
+  private readEntry(entry: any): ExplorerEntry {
+    const level: number = entry.getLevel();
+    const position: string = entry.getPositionStr();
+    this.pushAncestor(level);
+    const parentKey = this.ancestors.length > 0 ? this.ancestors[this.ancestors.length - 1].key : "";
+
+    if (entry.isCategory()) {
+      const label = String(entry.getCategoryValue());
+      const key = `${parentKey}/${label}`;
+      this.pushAncestor(level, key);
+      const collapsed = this.collapsed.has(key);
+      if (collapsed) {
+        // Read before the iterator moves on, so the navigator skips the category's descendants
+        this.navigator.collapse(position);
+      }
+      const values: Record<string, unknown> = {};
+      for (const field of this.totalFields) {
+        values[field] = entry.getColumnValue(field);
+      }
+      return { key, position, level, isCategory: true, label, documentCount: entry.getChildDocumentCount(), collapsed, values };
+    }
+    return { key: `${parentKey}#${position}`, position, level, isCategory: false, label: `#${position}`, values: entry.getColumnValues() };
+  }
+}
+
+/**
+ * A tenant with one database of generated documents for the explorer; modify() changes some of them, so the
+ * view's totals have something to follow
+ */
+export class SampleDatabase {
+  static readonly DB_NAME = "explorer-db";
+
+  private round = 0;
+
+  private constructor(
+    readonly db: any,
+    private readonly docIds: string[],
+    private readonly generator: WorkloadGenerator
+  ) {}
+
+  static async create(mindoodb: any, storeFactory: any, cryptoAdapter: any, workload: WorkloadOptions): Promise<SampleDatabase> {
+    const generator = new WorkloadGenerator(workload);
+    const factory = new mindoodb.BaseMindooTenantFactory(storeFactory, cryptoAdapter);
+    const { tenant } = await factory.createTenant({
+      tenantId: "view-explorer",
+      adminName: "CN=admin/O=viewexplorer",
+      adminPassword: "adminpass123",
+      userName: "CN=user/O=viewexplorer",
+      userPassword: "userpass123",
+    });
+    const db = await tenant.openDB(SampleDatabase.DB_NAME);
+    const docIds: string[] = [];
+    for (let i = 0; i < generator.options.documents; i++) {
+      const doc = await db.createDocument();
+      const data = generator.document(i);
+      await db.changeDoc(doc, (d: any) => {
+        Object.assign(d.getData(), data);
+      });
+      docIds.push(doc.getId());
+    }
+    await db.syncStoreChanges();
+    return new SampleDatabase(db, docIds, generator);
+  }
+
+  get documentCount(): number {
+    return this.docIds.length;
+  }
+
+  /**
+   * Change the amount, and sometimes the category, of `count` documents spread over the database
+   */
+  async modify(count: number): Promise<void> {
+    this.round++;
+    const stride = Math.max(1, Math.floor(this.docIds.length / count));
+    for (let k = 0; k < Math.min(count, this.docIds.length); k++) {
+      const index = (k * stride + this.round) % this.docIds.length;
+      const changes = this.generator.change(index, this.round);
+      await this.db.changeDoc(await this.db.getDocument(this.docIds[index]), (d: any) => {
+        Object.assign(d.getData(), changes);
+      });
+    }
+    await this.db.syncStoreChanges();
+  }
+}
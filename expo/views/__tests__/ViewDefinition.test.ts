@@ -0,0 +1,89 @@
+/**
+ * Tests for view definitions: validation against mindoodb's enums, the builder calls and the generated code
+ */
+
+import { buildView, DEFAULT_VIEW_DEFINITION, enumKeys, toBuilderCode, validateViewDefinition } from "../ViewDefinition";
+
+enum ColumnSorting {
+  ASCENDING = "asc",
+  DESCENDING = "desc",
+}
+
+enum TotalMode {
+  SUM,
+  AVERAGE,
+}
+
+function createMindooDB(calls: unknown[][]) {
+  const builder: Record<string, (...args: unknown[]) => unknown> = {};
+  for (const method of ["addCategoryColumn", "addSortedColumn", "addDisplayColumn", "addTotalColumn", "withDB"]) {
+    builder[method] = (...args: unknown[]) => {
+      calls.push([method, ...args.filter((arg) => typeof arg !== "function")]);
+      return builder;
+    };
+  }
+  builder.buildAndUpdate = async () => "view";
+  return { ColumnSorting, TotalMode, VirtualViewFactory: { createView: () => builder } };
+}
+
+describe("ViewDefinition", () => {
+  it("should list enum names without the reverse mappings of numeric enums", () => {
+    expect(enumKeys(TotalMode)).toEqual(["SUM", "AVERAGE"]);
+    expect(enumKeys(ColumnSorting)).toEqual(["ASCENDING", "DESCENDING"]);
+    expect(enumKeys(undefined)).toEqual([]);
+  });
+
+  it("should report empty views, missing and repeated fields and unknown enum names", () => {
+    const mindoodb = createMindooDB([]);
+    expect(validateViewDefinition(DEFAULT_VIEW_DEFINITION, mindoodb)).toEqual([]);
+    expect(validateViewDefinition({ columns: [] }, mindoodb)).toEqual(["The view needs at least one column"]);
+    expect(
+      validateViewDefinition(
+        {
+          columns: [
+            { kind: "category", field: "category", sorting: "RANDOM" },
+            { kind: "display", field: " " },
+            { kind: "total", field: "category", totalMode: "MEDIAN" },
+          ],
+        },
+        mindoodb
+      )
+    ).toEqual([
+      'Column 1 (category) has the unknown sorting "RANDOM"',
+      "Column 2 (display) has no field",
+      'Column 3 (total) uses the field "category" of an earlier column',
+      'Column 3 (total) has the unknown total mode "MEDIAN"',
+    ]);
+  });
+
+  it("should build the view with one builder call per column", async () => {
+    const calls: unknown[][] = [];
+    const mindoodb = createMindooDB(calls);
+
+    await expect(buildView(mindoodb, DEFAULT_VIEW_DEFINITION, "test-db", "db")).resolves.toBe("view");
+    expect(calls).toEqual([
+      ["addCategoryColumn", "category", { title: "Category", sorting: "asc" }],
+      ["addSortedColumn", "priority", "desc"],
+      ["addSortedColumn", "name", "asc"],
+      ["addDisplayColumn", "index"],
+      ["addTotalColumn", "amount", TotalMode.SUM],
+      ["withDB", "test-db", "db"],
+    ]);
+    await expect(buildView(mindoodb, { columns: [] }, "test-db", "db")).rejects.toThrow("Invalid view definition: The view needs at least one column");
+  });
+
+  it("should generate the matching builder code", () => {
+    expect(toBuilderCode(DEFAULT_VIEW_DEFINITION, "test-db")).toBe(
+      [
+        "VirtualViewFactory.createView()",
+        '  .addCategoryColumn("category", { title: "Category", sorting: ColumnSorting.ASCENDING })',
+        '  .addSortedColumn("priority", ColumnSorting.DESCENDING)',
+        '  .addSortedColumn("name", ColumnSorting.ASCENDING)',
+        '  .addDisplayColumn("index")',
+        '  .addTotalColumn("amount", TotalMode.SUM)',
+        '  .withDB("test-db", db, () => true)',
+        "  .buildAndUpdate();",
+      ].join("\n")
+    );
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests for the view explorer's paging and expand/collapse over a navigator of fixed entries that skips collapsed
+ * categories the way mindoodb's navigator does
+ */
+
+import { ViewExplorer } from "../ViewExplorer";
+
+interface Row {
+  level: number;
+  category?: string;
+  docs?: number;
+  amount?: number;
+  name?: string;
+}
+
+// Year > Month categories with documents, like a two-level categorized view
+const ROWS: Row[] = [
+  { level: 0, category: "2025", docs: 3, amount: 60 },
+  { level: 1, category: "Jan", docs: 2, amount: 30 },
+  { level: 2, name: "a", amount: 10 },
+  { level: 2, name: "b", amount: 20 },
+  { level: 1, category: "Feb", docs: 1, amount: 30 },
+  { level: 2, name: "c", amount: 30 },
+  { level: 0, category: "2026", docs: 1, amount: 5 },
+  { level: 1, category: "Jan", docs: 1, amount: 5 },
+  { level: 2, name: "d", amount: 5 },
+];
+
+// Positions like "1.2.1" from the levels, the way the navigator numbers the entries under each parent
+function withPositions(rows: Row[]): Array<Row & { position: string }> {
+  const path: number[] = [];
+  return rows.map((row) => {
+    path.length = row.level + 1;
+    path[row.level] = (path[row.level] ?? 0) + 1;
+    return { ...row, position: path.join(".") };
+  });
+}
+
+function createFixture(rows: Row[]) {
+  const stats = { entriesRead: 0, updates: 0 };
+  const view = {
+    rows,
+    getRoot: () => ({ getChildCount: () => 2, getDescendantDocumentCount: () => 4 }),
+    update: async () => {
+      stats.updates++;
+    },
+  };
+  const mindoodb = {
+    VirtualViewFactory: {
+      createNavigator: (target: typeof view) => ({
+        build: () => {
+          const positioned = withPositions(target.rows);
+          const collapsed = new Set<string>();
+          let current = 0;
+          return {
+            expandAll: () => collapsed.clear(),
+            expand: (position: string) => collapsed.delete(position),
+            collapse: (position: string) => collapsed.add(position),
+            gotoPos: (position: string) => {
+              current = positioned.findIndex((row) => row.position === position);
+              return current >= 0;
+            },
+            // Only the entries handed out count as read; a collapsed category's descendants are jumped over
+            async *entriesForward() {
+              let index = current;
+              while (index < positioned.length) {
+                const row = positioned[index];
+                stats.entriesRead++;
+                yield {
+                  getLevel: () => row.level,
+                  getPositionStr: () => row.position,
+                  isCategory: () => row.category !== undefined,
+                  getCategoryValue: () => row.category,
+                  getChildDocumentCount: () => row.docs,
+                  getColumnValue: (field: string) => (field === "amount" ? row.amount : undefined),
+                  getColumnValues: () => ({ name: row.name, amount: row.amount }),
+                };
+                index++;
+                if (collapsed.has(row.position)) {
+                  while (index < positioned.length && positioned[index].position.startsWith(`${row.position}.`)) {
+                    index++;
+                  }
+                }
+              }
+            },
+          };
+        },
+      }),
+    },
+  };
+  return { stats, view, explorer: new ViewExplorer(mindoodb, view, { pageSize: 4, totalFields: ["amount"] }) };
+}
+
+const labels = (entries: Array<{ label: string }>) => entries.map((entry) => entry.label);
+
+describe("ViewExplorer", () => {
+  it("should read the view one page at a time", async () => {
+    const { explorer, stats } = createFixture(ROWS);
+
+    const first = await explorer.loadMore();
+    expect(labels(first)).toEqual(["2025", "Jan", "#1.1.1", "#1.1.2"]);
+    expect(stats.entriesRead).toBe(4);
+    expect(first[0]).toMatchObject({ key: "/2025", isCategory: true, documentCount: 3, collapsed: false, values: { amount: 60 } });
+    expect(first[2]).toMatchObject({ key: "/2025/Jan#1.1.1", position: "1.1.1", level: 2, isCategory: false, values: { name: "a", amount: 10 } });
+    expect(explorer.hasMore()).toBe(true);
+
+    await explorer.loadMore();
+    const all = await explorer.loadMore();
+    expect(labels(all)).toEqual(["2025", "Jan", "#1.1.1", "#1.1.2", "Feb", "#1.2.1", "2026", "Jan", "#2.1.1"]);
+    expect(all[7].key).toBe("/2026/Jan");
+    expect(explorer.hasMore()).toBe(false);
+    expect(explorer.getSummary()).toEqual({ categories: 2, documents: 4 });
+  });
+
+  it("should let the navigator skip the descendants of collapsed categories and show them again when expanded", async () => {
+    const { explorer, stats } = createFixture(ROWS);
+    await explorer.loadMore();
+
+    const collapsed = await explorer.toggle("/2025");
+    expect(labels(collapsed)).toEqual(["2025", "2026", "Jan", "#2.1.1"]);
+    expect(collapsed[0].collapsed).toBe(true);
+    // 4 for the first page, then 4 from "2025" on: none of its 5 descendants
+    expect(stats.entriesRead).toBe(8);
+
+    await explorer.toggle("/2026/Jan");
+    expect(labels(explorer.getEntries())).toEqual(["2025", "2026", "Jan"]);
+    // The entries above "/2026/Jan" are kept; only the category itself is read again
+    expect(stats.entriesRead).toBe(9);
+
+    const expanded = await explorer.toggle("/2025");
+    expect(labels(expanded)).toEqual(["2025", "Jan", "#1.1.1", "#1.1.2"]);
+    expect(labels(await explorer.loadMore())).toEqual(["2025", "Jan", "#1.1.1", "#1.1.2", "Feb", "#1.2.1", "2026", "Jan"]);
+  });
+
+  it("should keep collapsed categories collapsed on refresh", async () => {
+    const { explorer, stats } = createFixture(ROWS);
+    await explorer.loadMore();
+    await explorer.toggle("/2025");
+    stats.entriesRead = 0;
+
+    const entries = await explorer.refresh();
+    expect(labels(entries)).toEqual(["2025", "2026", "Jan", "#2.1.1"]);
+    expect(entries[0].collapsed).toBe(true);
+    expect(stats.entriesRead).toBe(4);
+  });
+
+  it("should update the view and read the shown entries again on refresh", async () => {
+    const { explorer, stats, view } = createFixture(ROWS);
+    await explorer.loadMore();
+
+    view.rows = [{ ...ROWS[0], amount: 75 }, ...ROWS.slice(1)];
+    const entries = await explorer.refresh();
+    expect(stats.updates).toBe(1);
+    expect(entries).toHaveLength(4);
+    expect(entries[0].values).toEqual({ amount: 75 });
+  });
+});
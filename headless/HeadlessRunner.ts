@@ -0,0 +1,213 @@
+/**
+ * Headless Runner
+ * Runs the app's MindooDB scenarios and the two-replica sync scenario under Node, once per crypto adapter, and
+ * writes JUnit XML and JSON reports
+ *
+ * This checks the linked mindoodb package on a Linux box without a simulator. Each crypto variant is one suite:
+ * Node's WebCrypto, and the ExpoGoCryptoAdapter with its JavaScript polyfill forced on. Without the mindoodb
+ * package only the crypto diagnostics run and the remaining scenarios are reported as skipped. The scenarios keep
+ * their stores in a temporary directory, which a second store factory reopens like the app does after a restart. The reports are
+ * compared with the previous ones in the same directory, so regressions and slowdowns show up in diff.md.
+ *
+ * With HEADLESS_BENCHMARK set to a document count, the benchmark scenario runs as an extra suite on Node's
+ * WebCrypto. Node only has the WASM build of Automerge, so there is no native backend to compare with here; the
+ * report says so.
+ */
+
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { ExpoGoCryptoAdapter } from "../expo/crypto/ExpoGoCryptoAdapter";
+import {
+  AutomergeBackend,
+  createBenchmarkScenario,
+  describeAutomergeBackends,
+  UnavailableBackend,
+} from "../expo/scenarios/BenchmarkScenario";
+import { createMindooDBScenarios, SCENARIO_NAMES } from "../expo/scenarios/MindooDBScenarios";
+import {
+  diffReports,
+  exportReport,
+  formatReportDiff,
+  parseReport,
+  ReportEnvironment,
+  ReportSuite,
+  ScenarioReport,
+} from "../expo/scenarios/ScenarioReports";
+import { runScenarios, Scenario } from "../expo/scenarios/ScenarioRunner";
+import { FileSystemContentAddressedStoreFactory } from "../expo/storage";
+import { NodeFileSystem } from "../expo/storage/NodeFileSystem";
+import { createTwoReplicaSyncScenario } from "../expo/scenarios/TwoReplicaSyncScenario";
+import { WorkloadOptions } from "../expo/scenarios/WorkloadGenerator";
+import { NodeCryptoAdapter } from "./NodeCryptoAdapter";
+
+export interface CryptoVariant {
+  name: string;
+  createCryptoAdapter(): unknown;
+}
+
+export const CRYPTO_VARIANTS: CryptoVariant[] = [
+  { name: "node-webcrypto", createCryptoAdapter: () => new NodeCryptoAdapter() },
+  { name: "expo-go-polyfill", createCryptoAdapter: () => new ExpoGoCryptoAdapter({ useNativeSubtle: false }) },
+];
+
+// mindoodb loads the full @automerge/automerge package, which initializes its WASM build by itself under Node
+export const NODE_AUTOMERGE_BACKENDS: AutomergeBackend[] = [{ name: "wasm", activate: () => undefined }];
+
+export const NODE_UNAVAILABLE_BACKENDS: UnavailableBackend[] = [
+  { name: "native", reason: "react-native-automerge-generated needs React Native" },
+];
+
+export interface HeadlessOptions {
+  // The mindoodb module, or null when it is not available
+  mindoodb: any;
+  variants?: CryptoVariant[];
+  numDocs?: number;
+  log?: (line: string) => void;
+}
+
+/**
+ * Load the mindoodb package, or null with the reason when it cannot be loaded
+ */
+export function loadMindooDB(): { mindoodb: any; error?: string } {
+  try {
+    return { mindoodb: require("mindoodb") };
+  } catch (error) {
+    return { mindoodb: null, error: (error as Error).message };
+  }
+}
+
+/**
+ * The scenarios of one suite: the app's scenarios, then the sync scenario
+ */
+export function createHeadlessScenarios(
+  mindoodb: any,
+  variant: CryptoVariant,
+  numDocs?: number,
+  storeDirectory?: string
+): Scenario<any>[] {
+  const createStoreFactory = async () => {
+    if (!mindoodb) {
+      return { storeFactory: null, description: "none (mindoodb not available)" };
+    }
+    if (!storeDirectory) {
+      return { storeFactory: new mindoodb.InMemoryContentAddressedStoreFactory(), description: "memory" };
+    }
+    return {
+      storeFactory: new FileSystemContentAddressedStoreFactory(new NodeFileSystem(), storeDirectory),
+      description: `filesystem (${storeDirectory})`,
+    };
+  };
+  const scenarios = createMindooDBScenarios({
+    mindoodb,
+    createStoreFactory,
+    reopenStoreFactory: storeDirectory ? createStoreFactory : undefined,
+    createCryptoAdapter: async () => ({ cryptoAdapter: variant.createCryptoAdapter(), name: variant.name }),
+    numDocs,
+  });
+  const sync = createTwoReplicaSyncScenario({ mindoodb });
+  return [...scenarios, { ...sync, dependsOn: [SCENARIO_NAMES.crypto] }];
+}
+
+export async function runHeadless(options: HeadlessOptions): Promise<ReportSuite[]> {
+  const suites: ReportSuite[] = [];
+  for (const variant of options.variants ?? CRYPTO_VARIANTS) {
+    const storeDirectory = await fs.mkdtemp(path.join(os.tmpdir(), `mindoodb-${variant.name}-`));
+    try {
+      const run = await runScenarios(createHeadlessScenarios(options.mindoodb, variant, options.numDocs, storeDirectory), {
+        state: {},
+        log: options.log && ((line) => options.log!(`[${variant.name}] ${line}`)),
+      });
+      suites.push({ name: variant.name, run });
+    } finally {
+      await fs.rm(storeDirectory, { recursive: true, force: true });
+    }
+  }
+  return suites;
+}
+
+/**
+ * The benchmark workload from HEADLESS_BENCHMARK (documents) and the optional HEADLESS_BENCHMARK_FIELDS,
+ * HEADLESS_BENCHMARK_DEPTH, HEADLESS_BENCHMARK_ARRAY_LENGTH, HEADLESS_BENCHMARK_TEXT_SIZE and
+ * HEADLESS_BENCHMARK_SEED, or null when no benchmark is requested
+ */
+export function benchmarkWorkloadFromEnv(env: NodeJS.ProcessEnv = process.env): WorkloadOptions | null {
+  if (!env.HEADLESS_BENCHMARK) {
+    return null;
+  }
+  const number = (name: string) => (env[name] ? Number(env[name]) : undefined);
+  return {
+    documents: Number(env.HEADLESS_BENCHMARK),
+    fields: number("HEADLESS_BENCHMARK_FIELDS"),
+    nestingDepth: number("HEADLESS_BENCHMARK_DEPTH"),
+    arrayLength: number("HEADLESS_BENCHMARK_ARRAY_LENGTH"),
+    textSize: number("HEADLESS_BENCHMARK_TEXT_SIZE"),
+    seed: number("HEADLESS_BENCHMARK_SEED"),
+  };
+}
+
+/**
+ * Run the benchmark scenario on Node's WebCrypto as a suite named "benchmark"
+ */
+export async function runHeadlessBenchmark(options: HeadlessOptions & { workload: WorkloadOptions }): Promise<ReportSuite> {
+  const [variant] = CRYPTO_VARIANTS;
+  const [cryptoDiagnostics] = createHeadlessScenarios(options.mindoodb, variant);
+  const benchmark = createBenchmarkScenario({
+    mindoodb: options.mindoodb,
+    workload: options.workload,
+    backends: NODE_AUTOMERGE_BACKENDS,
+    unavailableBackends: NODE_UNAVAILABLE_BACKENDS,
+  });
+  const run = await runScenarios([cryptoDiagnostics, { ...benchmark, dependsOn: [SCENARIO_NAMES.crypto] }], {
+    state: {},
+    log: options.log && ((line) => options.log!(`[benchmark] ${line}`)),
+  });
+  return { name: "benchmark", run };
+}
+
+function packageVersion(name: string): string | undefined {
+  try {
+    return require(`${name}/package.json`).version;
+  } catch {
+    return undefined;
+  }
+}
+
+export function collectNodeEnvironment(variants: CryptoVariant[] = CRYPTO_VARIANTS): ReportEnvironment {
+  return {
+    platform: `${process.platform} ${process.arch}, Node ${process.version}`,
+    jsEngine: `V8 ${process.versions.v8}`,
+    cryptoProvider: variants.map((variant) => variant.name).join(", "),
+    mindoodbVersion: packageVersion("mindoodb"),
+    automergeVersion: packageVersion("@automerge/automerge"),
+    automergeBackends: describeAutomergeBackends(NODE_AUTOMERGE_BACKENDS, NODE_UNAVAILABLE_BACKENDS),
+  };
+}
+
+/**
+ * Write report.json, junit.xml and report.md into a directory, and diff.md against the report.json that was
+ * there before; returns the paths of the files written
+ */
+export async function writeReports(report: ScenarioReport, directory: string): Promise<string[]> {
+  await fs.mkdir(directory, { recursive: true });
+  const jsonPath = path.join(directory, "report.json");
+  const written: string[] = [];
+  const write = async (name: string, text: string) => {
+    const filePath = path.join(directory, name);
+    await fs.writeFile(filePath, text);
+    written.push(filePath);
+  };
+
+  // A missing or unreadable previous report only means there is nothing to compare with
+  const previous = await fs
+    .readFile(jsonPath, "utf8")
+    .then(parseReport)
+    .catch(() => null);
+  if (previous) {
+    await write("diff.md", formatReportDiff(diffReports(previous, report)));
+  }
+  await write("report.json", exportReport(report, "json"));
+  await write("junit.xml", exportReport(report, "junit"));
+  await write("report.md", exportReport(report, "markdown"));
+  return written;
+}
@@ -0,0 +1,16 @@
+/**
+ * Node Crypto Adapter
+ * MindooDB crypto adapter over Node's built-in WebCrypto, the reference the polyfill is compared with
+ */
+
+import { webcrypto } from "crypto";
+
+export class NodeCryptoAdapter {
+  getSubtle(): SubtleCrypto {
+    return webcrypto.subtle as SubtleCrypto;
+  }
+
+  getRandomValues(array: Uint8Array): Uint8Array {
+    return webcrypto.getRandomValues(array);
+  }
+}
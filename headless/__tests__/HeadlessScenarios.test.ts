@@ -0,0 +1,69 @@
+/**
+ * Headless entry point: runs the MindooDB scenarios once per crypto adapter, one Jest test per scenario
+ * With HEADLESS_REPORT_DIR set (npm run test:headless), the reports and the diff to the previous run are written there,
+ * and a mindoodb package that does not load fails the run; plain npm test only skips the MindooDB scenarios then
+ * With HEADLESS_BENCHMARK set to a document count (npm run bench:headless), the benchmark runs as an extra suite
+ */
+
+import { BENCHMARK_SCENARIO_NAME } from "../../expo/scenarios/BenchmarkScenario";
+import { SCENARIO_NAMES } from "../../expo/scenarios/MindooDBScenarios";
+import { createReport, ReportSuite } from "../../expo/scenarios/ScenarioReports";
+import { formatRunResult, RunResult } from "../../expo/scenarios/ScenarioRunner";
+import { SYNC_SCENARIO_NAME } from "../../expo/scenarios/TwoReplicaSyncScenario";
+import {
+  benchmarkWorkloadFromEnv,
+  collectNodeEnvironment,
+  CRYPTO_VARIANTS,
+  loadMindooDB,
+  runHeadless,
+  runHeadlessBenchmark,
+  writeReports,
+} from "../HeadlessRunner";
+
+const { mindoodb, error } = loadMindooDB();
+const requireMindooDB = Boolean(process.env.HEADLESS_REPORT_DIR);
+if (!mindoodb && !requireMindooDB) {
+  console.warn("MindooDB not available, only the crypto diagnostics run:", error);
+}
+
+const SCENARIOS = [...Object.values(SCENARIO_NAMES), SYNC_SCENARIO_NAME];
+const suites: ReportSuite[] = [];
+const workload = benchmarkWorkloadFromEnv();
+
+afterAll(async () => {
+  if (process.env.HEADLESS_REPORT_DIR && suites.length > 0) {
+    const files = await writeReports(createReport(suites, collectNodeEnvironment()), process.env.HEADLESS_REPORT_DIR);
+    console.log(`Scenario reports written to ${files.join(", ")}`);
+  }
+});
+
+(requireMindooDB ? it : it.skip)("should load the mindoodb package", () => {
+  expect({ loaded: Boolean(mindoodb), error }).toEqual({ loaded: true, error: undefined });
+});
+
+describe.each(CRYPTO_VARIANTS.map((variant) => [variant.name, variant] as const))("MindooDB scenarios with %s", (_name, variant) => {
+  let run: RunResult;
+
+  beforeAll(async () => {
+    [{ run }] = await runHeadless({ mindoodb, variants: [variant] });
+    suites.push({ name: variant.name, run });
+  }, 300000);
+
+  it.each(SCENARIOS)("%s", (name) => {
+    const scenario = run.scenarios.find((result) => result.name === name)!;
+    // The report of the scenario, with its steps, assertions and error, shows up in the diff when it fails
+    const report = formatRunResult({ ...run, scenarios: [scenario] }, { logs: true });
+    const expected = mindoodb || name === SCENARIO_NAMES.crypto ? "passed" : "skipped";
+    expect({ status: scenario.status, report }).toEqual({ status: expected, report: expect.any(String) });
+  });
+});
+
+(workload ? describe : describe.skip)("MindooDB benchmark", () => {
+  it(`${BENCHMARK_SCENARIO_NAME} with ${workload?.documents} documents`, async () => {
+    const suite = await runHeadlessBenchmark({ mindoodb, workload: workload!, log: (line) => console.log(line) });
+    suites.push(suite);
+    const scenario = suite.run.scenarios.find((result) => result.name === BENCHMARK_SCENARIO_NAME)!;
+    const report = formatRunResult({ ...suite.run, scenarios: [scenario] }, { logs: true });
+    expect({ status: scenario.status, report }).toEqual({ status: mindoodb ? "passed" : "skipped", report: expect.any(String) });
+  }, 3600000);
+});
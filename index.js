@@ -120,15 +120,14 @@ console.error = function(...args) {
 // CRITICAL: TextDecoder MUST be available before URL polyfill loads
 import { polyfillWebCrypto } from 'expo-standard-web-crypto';
 
-// Install react-native-quick-crypto polyfills if available
+// Install react-native-quick-crypto polyfills if available; the startup self-test below reports what is missing
 try {
   const quickCrypto = require('react-native-quick-crypto');
   if (typeof quickCrypto.install === 'function') {
     quickCrypto.install();
-    console.log('react-native-quick-crypto install() called');
   }
 } catch (quickCryptoError) {
-  console.warn('react-native-quick-crypto install() not available:', quickCryptoError.message);
+  // Not available, e.g. in Expo Go
 }
 
 // Set up Web Crypto API with subtle support for React Native
@@ -136,7 +135,6 @@ try {
   // First, set up basic crypto (getRandomValues)
   if (typeof window !== 'undefined') {
     polyfillWebCrypto();
-    console.log('Called polyfillWebCrypto() for getRandomValues');
   }
 
   // Note: react-native-webview-crypto requires a React component to be rendered
@@ -149,12 +147,8 @@ try {
         // Just require it to set up the global.crypto.subtle object
         // The actual WebView will be rendered in App.js
         require('react-native-webview-crypto');
-        console.log('react-native-webview-crypto module loaded (WebView will be rendered in App)');
-      } else {
-        console.log('Running on web - using native Web Crypto API');
       }
     } catch (webviewCryptoError) {
-      console.warn('react-native-webview-crypto not available, subtle API may not work:', webviewCryptoError.message);
       // Continue - some operations might still work
     }
   }
@@ -261,23 +255,21 @@ if (typeof window !== 'undefined') {
     if (typeof globalThis !== 'undefined' && !globalThis.crypto) {
       globalThis.crypto = crypto;
     }
-  } else {
-    console.error('crypto is not available globally after importing expo-standard-web-crypto!');
   }
+}
 
-  // Verify crypto is available
-  console.log('crypto available on window:', typeof window.crypto);
-  console.log('crypto.subtle available:', typeof window.crypto?.subtle);
-  console.log('crypto.getRandomValues available:', typeof window.crypto?.getRandomValues);
-
-  // Check if subtle is missing and provide helpful error
-  if (window.crypto && !window.crypto.subtle) {
-    console.warn('window.crypto.subtle is not available!');
-    console.warn('This is required for MindooDB. You need to install react-native-webview-crypto');
-    console.warn('Run: npm install react-native-webview react-native-webview-crypto');
-    console.warn('Then restart your dev server.');
+// Known-answer self-tests of the crypto the app will use: the registry-backed ReactNativeCryptoAdapter when app.json
+// extra.allowJsCryptoFallback is set, react-native-quick-crypto otherwise. App waits for the report and does not
+// run when a required algorithm failed.
+const { runStartupSelfTest } = require('./expo/crypto/CryptoCapabilities');
+runStartupSelfTest(() => {
+  if (require('expo-constants').default?.expoConfig?.extra?.allowJsCryptoFallback) {
+    const { ReactNativeCryptoAdapter } = require('./ReactNativeCryptoAdapter');
+    return new ReactNativeCryptoAdapter().getRegistry();
   }
-}
+  const quickCrypto = require('react-native-quick-crypto');
+  return { name: 'quick-crypto', subtle: quickCrypto.subtle, getRandomValues: (array) => quickCrypto.getRandomValues(array) };
+});
 
 // ============================================================================
 // Initialize Automerge with NATIVE Rust backend (no WASM needed!)
@@ -1,7 +1,7 @@
 module.exports = {
   preset: 'ts-jest',
   testEnvironment: 'node',
-  roots: ['<rootDir>/expo'],
+  roots: ['<rootDir>/expo', '<rootDir>/headless'],
   testMatch: ['**/__tests__/**/*.test.ts', '**/?(*.)+(spec|test).ts'],
   testPathIgnorePatterns: ['/node_modules/', '/__mocks__/'],
   transform: {
@@ -20,8 +20,10 @@ module.exports = {
   ],
   collectCoverageFrom: [
     'expo/**/*.ts',
+    'headless/**/*.ts',
     '!expo/**/*.d.ts',
     '!expo/**/__tests__/**',
+    '!headless/**/__tests__/**',
     '!expo/**/__mocks__/**',
   ],
 };
@@ -81,6 +81,15 @@ config.resolver = {
     // Handle @automerge/automerge imports — resolve to slim.cjs
     // We use UseApi(nativeApi) from react-native-automerge-generated
     // instead of WASM auto-init, so slim.cjs is the correct entry point.
+    // The base64 WASM build is the exception: the benchmark loads it to compare it with the native backend.
+    // Only web builds get it, from mindoodb's @automerge/automerge like the slim build; Hermes has no
+    // WebAssembly, so native builds get an empty module instead of several MB of base64.
+    if (moduleName === '@automerge/automerge/automerge.wasm.base64') {
+      if (platform !== 'web') {
+        return { type: 'empty' };
+      }
+      return context.resolveRequest({ ...context, originModulePath: path.resolve(mindoodbPath, 'package.json') }, moduleName, platform);
+    }
     if (moduleName === '@automerge/automerge' || moduleName.startsWith('@automerge/automerge/')) {
       const automergePath = path.resolve(mindoodbPath, 'node_modules/@automerge/automerge');
       const slimBuild = path.resolve(automergePath, 'dist/cjs/slim.cjs');